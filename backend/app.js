@@ -1,25 +1,30 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const compression = require('compression');
-const connectDB = require('./config/database.js');
-const config = require('./config/environment.js');
-const {
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import compression from 'compression';
+import connectDB from './config/database.js';
+import config from './config/environment.js';
+import {
   errorHandler,
   notFound,
   handleUnhandledRejections,
   handleUncaughtExceptions,
-} = require('./middleware/errorMiddleware.js');
-const { expressRequestLogger } = require('./utils/logger.js');
-const { generalLimiter } = require('./middleware/rateLimitMiddleware.js');
+} from './middleware/errorMiddleware.js';
+import { expressRequestLogger } from './utils/logger.js';
+import { generalLimiter } from './middleware/rateLimitMiddleware.js';
 
 // Route imports
-const authRoutes = require('./routes/auth.js');
-const userRoutes = require('./routes/users.js');
-const connectionRoutes = require('./routes/connections.js');
-const postRoutes = require('./routes/posts.js');
-const commentRoutes = require('./routes/comments.js');
-const contactRoutes = require('./routes/contact.js');
+import authRoutes from './routes/auth.js';
+import userRoutes from './routes/users.js';
+import connectionRoutes from './routes/connections.js';
+import postRoutes from './routes/posts.js';
+import commentRoutes from './routes/comments.js';
+import contactRoutes from './routes/contact.js';
+import notificationRoutes from './routes/notifications.js';
+import searchRoutes from './routes/search.js';
+import adminRoutes from './routes/admin.js';
+import tagRoutes from './routes/tags.js';
+import uploadRoutes from './routes/uploads.js';
 
 // Create Express app
 const app = express();
@@ -97,6 +102,11 @@ app.use('/api/connections', connectionRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/uploads', uploadRoutes);
 
 // API documentation endpoint (basic)
 app.get('/api', (req, res) => {
@@ -111,6 +121,10 @@ app.get('/api', (req, res) => {
       posts: '/api/posts',
       comments: '/api/comments',
       contact: '/api/contact',
+      notifications: '/api/notifications',
+      search: '/api/search',
+      admin: '/api/admin',
+      uploads: '/api/uploads',
     },
     documentation: 'https://github.com/voiceconnect/api-docs',
   });
@@ -146,4 +160,4 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-module.exports = app;
+export default app;
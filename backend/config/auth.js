@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
@@ -5,17 +6,99 @@ const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
 const JWT_REFRESH_SECRET =
   process.env.JWT_REFRESH_SECRET || 'your-refresh-secret';
 const JWT_REFRESH_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '30d';
+// Email links get their own key so they can never pass as access tokens
+const EMAIL_TOKEN_SECRET =
+  process.env.EMAIL_TOKEN_SECRET || `${JWT_SECRET}:email`;
+// Likewise the short-lived tokens between steps of signing in: a password
+// and its second factor, or leaving for Google and coming back
+const CHALLENGE_TOKEN_SECRET =
+  process.env.CHALLENGE_TOKEN_SECRET || `${JWT_SECRET}:challenge`;
+// Tokens in audio URLs end up in logs and browser history, so they get a
+// key of their own, only unlock one file and expire quickly
+const MEDIA_TOKEN_SECRET =
+  process.env.MEDIA_TOKEN_SECRET || `${JWT_SECRET}:media`;
+const MEDIA_TOKEN_EXPIRE = 15 * 60; // seconds
+const CHALLENGE_AUDIENCE = 'two_factor_login';
+const OAUTH_STATE_AUDIENCE = 'google_oauth';
+const OAUTH_STATE_EXPIRE = '10m';
 
-const generateAccessToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: JWT_EXPIRE });
+// Both tokens name the session they belong to (sid) and carry a unique
+// ID (jti), so a single token can be revoked or told apart from its
+// rotated successors. Passing the jti and iat of an earlier token signs
+// that same token again.
+const generateAccessToken = (
+  userId,
+  sessionId,
+  { jti = crypto.randomUUID(), iat } = {}
+) => {
+  return jwt.sign(
+    { userId, sid: sessionId, ...(iat && { iat }) },
+    JWT_SECRET,
+    {
+      expiresIn: JWT_EXPIRE,
+      jwtid: jti,
+    }
+  );
 };
 
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId }, JWT_REFRESH_SECRET, {
-    expiresIn: JWT_REFRESH_EXPIRE,
+const generateRefreshToken = (
+  userId,
+  sessionId,
+  { jti = crypto.randomUUID(), iat } = {}
+) => {
+  return jwt.sign(
+    { userId, sid: sessionId, ...(iat && { iat }) },
+    JWT_REFRESH_SECRET,
+    {
+      expiresIn: JWT_REFRESH_EXPIRE,
+      jwtid: jti,
+    }
+  );
+};
+
+// Tokens in account emails, scoped to one purpose (e.g. 'verify_email')
+const generateEmailToken = (userId, purpose, expiresIn, claims = {}) => {
+  return jwt.sign({ ...claims, userId }, EMAIL_TOKEN_SECRET, {
+    expiresIn,
+    audience: purpose,
+    jwtid: crypto.randomUUID(),
+  });
+};
+
+// Proves the password was right; exchanged with a second factor for a
+// session
+const generateChallengeToken = (userId, expiresIn) => {
+  return jwt.sign({ userId }, CHALLENGE_TOKEN_SECRET, {
+    expiresIn,
+    audience: CHALLENGE_AUDIENCE,
+    jwtid: crypto.randomUUID(),
+  });
+};
+
+// OAuth state: what the Google consent screen was opened for, checked
+// when the user returns
+const generateOAuthStateToken = (claims) => {
+  return jwt.sign(claims, CHALLENGE_TOKEN_SECRET, {
+    expiresIn: OAUTH_STATE_EXPIRE,
+    audience: OAUTH_STATE_AUDIENCE,
+    jwtid: crypto.randomUUID(),
   });
 };
 
+// Lets an <audio> element, which cannot send headers, play one post's or
+// comment's audio (purpose is a MEDIA_TYPES value) as the signed-in user
+const generateMediaToken = (userId, sessionId, purpose, mediaId) => {
+  return jwt.sign(
+    { userId, sid: sessionId, mediaId: String(mediaId) },
+    MEDIA_TOKEN_SECRET,
+    {
+      expiresIn: MEDIA_TOKEN_EXPIRE,
+      audience: purpose,
+      jwtid: crypto.randomUUID(),
+    }
+  );
+};
+
 const verifyAccessToken = (token) => {
   try {
     return jwt.verify(token, JWT_SECRET);
@@ -32,11 +115,71 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+const verifyEmailToken = (token, purpose) => {
+  try {
+    return jwt.verify(token, EMAIL_TOKEN_SECRET, { audience: purpose });
+  } catch (error) {
+    throw new Error(
+      error.name === 'TokenExpiredError' ? 'Link has expired' : 'Invalid link'
+    );
+  }
+};
+
+const verifyChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, CHALLENGE_TOKEN_SECRET, {
+      audience: CHALLENGE_AUDIENCE,
+    });
+  } catch (error) {
+    throw new Error(
+      error.name === 'TokenExpiredError'
+        ? 'Sign-in has expired, please log in again'
+        : 'Invalid sign-in attempt'
+    );
+  }
+};
+
+const verifyOAuthStateToken = (token) => {
+  try {
+    return jwt.verify(token, CHALLENGE_TOKEN_SECRET, {
+      audience: OAUTH_STATE_AUDIENCE,
+    });
+  } catch (error) {
+    throw new Error(
+      error.name === 'TokenExpiredError'
+        ? 'Google sign-in took too long, please try again'
+        : 'Invalid Google sign-in attempt'
+    );
+  }
+};
+
+const verifyMediaToken = (token, purpose, mediaId) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, MEDIA_TOKEN_SECRET, { audience: purpose });
+  } catch (error) {
+    throw new Error('Invalid media token');
+  }
+  if (decoded.mediaId !== String(mediaId)) {
+    throw new Error('Invalid media token');
+  }
+  return decoded;
+};
+
 export {
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  generateEmailToken,
+  verifyEmailToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateOAuthStateToken,
+  verifyOAuthStateToken,
+  generateMediaToken,
+  verifyMediaToken,
+  MEDIA_TOKEN_EXPIRE,
   JWT_SECRET,
   JWT_EXPIRE,
   JWT_REFRESH_SECRET,
@@ -12,9 +12,13 @@ const oauth2Client = new google.auth.OAuth2(
   REDIRECT_URI
 );
 
-const SCOPES = [
+const DRIVE_SCOPES = [
   'https://www.googleapis.com/auth/drive.file',
   'https://www.googleapis.com/auth/drive.appdata',
+];
+
+const SCOPES = [
+  ...DRIVE_SCOPES,
   'https://www.googleapis.com/auth/userinfo.email',
   'https://www.googleapis.com/auth/userinfo.profile',
 ];
@@ -59,4 +63,5 @@ export {
   refreshAccessToken,
   isTokenExpired,
   SCOPES,
+  DRIVE_SCOPES,
 };
@@ -17,12 +17,46 @@ const config = {
   JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET || 'your-refresh-secret',
   JWT_REFRESH_EXPIRE: process.env.JWT_REFRESH_EXPIRE || '30d',
 
+  // Links in account emails: verify address within 24 hours, reset a
+  // password within 1 hour
+  EMAIL_VERIFICATION_TTL: process.env.EMAIL_VERIFICATION_TTL || '24h',
+  PASSWORD_RESET_TTL: process.env.PASSWORD_RESET_TTL || '1h',
+
+  // Two-factor sign-in: the second step must follow the password within
+  // 5 minutes. Authenticator secrets are encrypted with the key.
+  TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || 'VoiceConnect',
+  TWO_FACTOR_CHALLENGE_TTL: process.env.TWO_FACTOR_CHALLENGE_TTL || '5m',
+  TWO_FACTOR_ENCRYPTION_KEY: process.env.TWO_FACTOR_ENCRYPTION_KEY,
+
+  // Email ('smtp', or 'file'/'console' to read mail locally)
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'console',
+  MAIL_FROM: process.env.MAIL_FROM || 'VoiceConnect <no-reply@localhost>',
+  MAIL_FILE_PATH: process.env.MAIL_FILE_PATH || 'logs/mail/',
+  SMTP_HOST: process.env.SMTP_HOST || 'localhost',
+  SMTP_PORT: parseInt(process.env.SMTP_PORT) || 587,
+  SMTP_SECURE: process.env.SMTP_SECURE === 'true', // TLS from the start (port 465)
+  SMTP_USER: process.env.SMTP_USER,
+  SMTP_PASS: process.env.SMTP_PASS,
+
   // Google OAuth
   GOOGLE_CLIENT_ID: process.env.GOOGLE_CLIENT_ID,
   GOOGLE_CLIENT_SECRET: process.env.GOOGLE_CLIENT_SECRET,
   GOOGLE_REDIRECT_URI:
     process.env.GOOGLE_REDIRECT_URI ||
     'http://localhost:5000/api/auth/google/callback',
+  // Sign in with Google returns to the frontend, which finishes signing in
+  GOOGLE_SIGNIN_REDIRECT_URI:
+    process.env.GOOGLE_SIGNIN_REDIRECT_URI ||
+    `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/google/callback`,
+  // Drive tokens are refreshed this long before they expire
+  DRIVE_TOKEN_REFRESH_SKEW_MS:
+    parseInt(process.env.DRIVE_TOKEN_REFRESH_SKEW_MS) || 300000, // 5 minutes
+
+  // Sign-in sessions: approximate location of each device from its IP.
+  // Any service answering GET <url with {ip} filled in> with JSON holding
+  // city/region/country fields (ipapi.co, ip-api.com...); unset disables it
+  GEOIP_LOOKUP_URL: process.env.GEOIP_LOOKUP_URL,
+  GEOIP_TIMEOUT_MS: parseInt(process.env.GEOIP_TIMEOUT_MS) || 2000,
 
   // Audio Processing
   MAX_AUDIO_DURATION: parseInt(process.env.MAX_AUDIO_DURATION) || 600, // 10 minutes in seconds
@@ -34,15 +68,96 @@ const config = {
     'audio/ogg',
     'audio/mpeg',
   ],
+  // Loudness normalization target (EBU R128) and rendition bitrates
+  AUDIO_LOUDNESS_TARGET: parseFloat(process.env.AUDIO_LOUDNESS_TARGET ?? -16), // LUFS
+  AUDIO_TRUE_PEAK: parseFloat(process.env.AUDIO_TRUE_PEAK ?? -1.5), // dBTP
+  AUDIO_LOUDNESS_RANGE: parseFloat(process.env.AUDIO_LOUDNESS_RANGE ?? 11), // LU
+  AUDIO_OPUS_BITRATE: process.env.AUDIO_OPUS_BITRATE || '64k',
+  AUDIO_AAC_BITRATE: process.env.AUDIO_AAC_BITRATE || '96k',
+
+  // Transcription ('local', 'http' or 'none')
+  TRANSCRIPTION_ENGINE: process.env.TRANSCRIPTION_ENGINE || 'none',
+  TRANSCRIPTION_LOCAL_COMMAND:
+    process.env.TRANSCRIPTION_LOCAL_COMMAND || 'whisper-transcribe',
+  TRANSCRIPTION_LOCAL_ARGS: process.env.TRANSCRIPTION_LOCAL_ARGS
+    ? process.env.TRANSCRIPTION_LOCAL_ARGS.split(' ')
+    : [],
+  TRANSCRIPTION_HTTP_URL:
+    process.env.TRANSCRIPTION_HTTP_URL || 'http://localhost:8000',
+  TRANSCRIPTION_HTTP_API_KEY: process.env.TRANSCRIPTION_HTTP_API_KEY,
+  TRANSCRIPTION_HTTP_MODEL: process.env.TRANSCRIPTION_HTTP_MODEL || 'whisper-1',
+  TRANSCRIPTION_TIMEOUT_MS:
+    parseInt(process.env.TRANSCRIPTION_TIMEOUT_MS) || 300000, // 5 minutes
 
   // Upload
   UPLOAD_PATH: process.env.UPLOAD_PATH || 'uploads/audio/',
   MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE) || 52428800, // 50MB
+  // Resumable uploads (see /api/uploads)
+  UPLOAD_SESSION_PATH: process.env.UPLOAD_SESSION_PATH || 'uploads/sessions/',
+  UPLOAD_CHUNK_SIZE: parseInt(process.env.UPLOAD_CHUNK_SIZE) || 5242880, // 5MB
+  UPLOAD_SESSION_TTL_HOURS: parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24,
+
+  // Storage ('google_drive', 'local' or 's3'; admins can override the default)
+  STORAGE_DEFAULT_TYPE: process.env.STORAGE_DEFAULT_TYPE || 'local',
+  STORAGE_LOCAL_ENABLED: process.env.STORAGE_LOCAL_ENABLED !== 'false',
+  STORAGE_LOCAL_PATH: process.env.STORAGE_LOCAL_PATH || 'uploads/storage/',
+  // S3-compatible object storage (AWS S3, MinIO...); enabled when a bucket is set
+  S3_BUCKET: process.env.S3_BUCKET,
+  S3_ENDPOINT: process.env.S3_ENDPOINT,
+  S3_REGION: process.env.S3_REGION || 'us-east-1',
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY,
+  S3_FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE === 'true',
+  // Files moved per storage migration job before it queues the next batch
+  STORAGE_MIGRATION_BATCH_SIZE:
+    parseInt(process.env.STORAGE_MIGRATION_BATCH_SIZE) || 10,
 
   // Rate Limiting
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
   RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
 
+  // Notifications
+  NOTIFICATION_TTL_DAYS: parseInt(process.env.NOTIFICATION_TTL_DAYS) || 90,
+
+  // Background jobs
+  JOB_MAX_ATTEMPTS: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+  JOB_BACKOFF_BASE_MS: parseInt(process.env.JOB_BACKOFF_BASE_MS) || 5000, // 5 seconds
+  JOB_POLL_INTERVAL_MS: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000,
+  JOB_LOCK_TIMEOUT_MS: parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 600000, // 10 minutes
+  JOB_SPOOL_PATH: process.env.JOB_SPOOL_PATH || 'uploads/jobs/',
+
+  // Feed ranking (weights of each signal in the "top" feed score)
+  FEED_WEIGHT_RECENCY: parseFloat(process.env.FEED_WEIGHT_RECENCY ?? 1),
+  FEED_WEIGHT_ENGAGEMENT: parseFloat(process.env.FEED_WEIGHT_ENGAGEMENT ?? 0.6),
+  FEED_WEIGHT_AFFINITY: parseFloat(process.env.FEED_WEIGHT_AFFINITY ?? 0.8),
+  FEED_WEIGHT_COMPLETION: parseFloat(process.env.FEED_WEIGHT_COMPLETION ?? 0.4),
+  FEED_RECENCY_HALF_LIFE_HOURS:
+    parseInt(process.env.FEED_RECENCY_HALF_LIFE_HOURS) || 24,
+  FEED_TOP_WINDOW_DAYS: parseInt(process.env.FEED_TOP_WINDOW_DAYS) || 7,
+  FEED_AFFINITY_WINDOW_DAYS:
+    parseInt(process.env.FEED_AFFINITY_WINDOW_DAYS) || 90,
+  FEED_CANDIDATE_LIMIT: parseInt(process.env.FEED_CANDIDATE_LIMIT) || 500,
+  // How long a ranked "top" feed can be paged through
+  FEED_SNAPSHOT_TTL_MINUTES:
+    parseInt(process.env.FEED_SNAPSHOT_TTL_MINUTES) || 60,
+
+  // Comment trees: replies inlined under each comment, and how many
+  // levels below the requested one are expanded
+  COMMENT_TREE_REPLIES: parseInt(process.env.COMMENT_TREE_REPLIES ?? 3),
+  COMMENT_TREE_DEPTH: parseInt(process.env.COMMENT_TREE_DEPTH ?? 2),
+
+  // Trending
+  TRENDING_REFRESH_INTERVAL_MS:
+    parseInt(process.env.TRENDING_REFRESH_INTERVAL_MS) || 300000, // 5 minutes
+  TRENDING_GRAVITY: parseFloat(process.env.TRENDING_GRAVITY ?? 1.8),
+  TRENDING_VELOCITY_WEIGHT: parseFloat(
+    process.env.TRENDING_VELOCITY_WEIGHT ?? 2
+  ),
+  TRENDING_MAX_POSTS: parseInt(process.env.TRENDING_MAX_POSTS) || 200,
+  TRENDING_MAX_TAGS: parseInt(process.env.TRENDING_MAX_TAGS) || 50,
+  TRENDING_SNAPSHOT_TTL_HOURS:
+    parseInt(process.env.TRENDING_SNAPSHOT_TTL_HOURS) || 48,
+
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
   LOG_FILE: process.env.LOG_FILE || 'logs/app.log',
@@ -0,0 +1,153 @@
+import jobQueueService from '../services/jobQueueService.js';
+import storageService from '../services/storageService.js';
+import { logger } from '../utils/logger.js';
+
+const adminController = {
+  /**
+   * Get job queue depth by type and status
+   */
+  async getQueueStats(req, res) {
+    try {
+      const stats = await jobQueueService.getStats();
+
+      res.json({
+        success: true,
+        data: stats,
+      });
+    } catch (error) {
+      logger.error('Failed to get queue stats:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get queue stats',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get dead-lettered jobs
+   */
+  async getFailedJobs(req, res) {
+    try {
+      const { limit = 20, skip = 0, type } = req.query;
+
+      const result = await jobQueueService.getFailedJobs({
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        type,
+      });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Failed to get failed jobs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get failed jobs',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Put a dead-lettered job back on the queue
+   */
+  async retryJob(req, res) {
+    try {
+      const { jobId } = req.params;
+
+      const job = await jobQueueService.retryJob(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Failed job not found',
+        });
+      }
+
+      logger.info('Job requeued by admin:', {
+        jobId,
+        adminId: req.user._id,
+      });
+
+      res.json({
+        success: true,
+        message: 'Job requeued',
+        data: {
+          job,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to retry job:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retry job',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get the default storage backend and the backends available
+   */
+  async getStorageSettings(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          defaultType: await storageService.getDefaultType(),
+          available: storageService.getAvailableTypes(),
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to get storage settings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get storage settings',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Set the storage backend used by users without a preference
+   */
+  async updateDefaultStorage(req, res) {
+    try {
+      const { type } = req.body;
+
+      if (!storageService.getAvailableTypes().includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Storage type is not configured on this server',
+        });
+      }
+
+      await storageService.setDefaultType(type, req.user._id);
+
+      logger.info('Default storage changed by admin:', {
+        type,
+        adminId: req.user._id,
+      });
+
+      res.json({
+        success: true,
+        message: 'Default storage updated',
+        data: {
+          defaultType: type,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to update default storage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update default storage',
+        error: error.message,
+      });
+    }
+  },
+};
+
+export default adminController;
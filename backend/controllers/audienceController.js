@@ -0,0 +1,270 @@
+import Audience from '../models/Audience.js';
+import Post from '../models/Post.js';
+import visibilityService from '../services/visibilityService.js';
+import { AUDIENCE_LIMITS, POST_PRIVACY } from '../utils/constants.js';
+import { logger } from '../utils/logger.js';
+
+const MEMBER_FIELDS = 'username profile.displayName profile.avatar';
+
+/**
+ * Find the requested members that are not accepted connections of the owner
+ * @param {string} ownerId - Audience owner
+ * @param {Array<string>} memberIds - Requested member IDs
+ * @returns {Promise<Array<string>>} IDs that may not be added
+ */
+const findInvalidMembers = async (ownerId, memberIds) => {
+  const { connectionIds } = await visibilityService.getRelatedUserIds(ownerId);
+  const connected = new Set(connectionIds.map((id) => id.toString()));
+
+  return memberIds.filter((memberId) => !connected.has(memberId));
+};
+
+const audienceController = {
+  /**
+   * Get current user's audience lists
+   */
+  async getAudiences(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const audiences = await Audience.find({ ownerId: userId })
+        .populate('memberIds', MEMBER_FIELDS)
+        .sort({ name: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          audiences,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to get audiences:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get audiences',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Create audience list
+   */
+  async createAudience(req, res) {
+    try {
+      const userId = req.user._id;
+      const { name, memberIds = [] } = req.body;
+
+      const audienceCount = await Audience.countDocuments({ ownerId: userId });
+      if (audienceCount >= AUDIENCE_LIMITS.MAX_LISTS) {
+        return res.status(400).json({
+          success: false,
+          message: `You can have at most ${AUDIENCE_LIMITS.MAX_LISTS} audiences`,
+        });
+      }
+
+      const invalidMembers = await findInvalidMembers(userId, memberIds);
+      if (invalidMembers.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Audience members must be your connections',
+          data: {
+            invalidMembers,
+          },
+        });
+      }
+
+      const audience = await Audience.create({
+        ownerId: userId,
+        name: name.trim(),
+        memberIds,
+      });
+      await audience.populate('memberIds', MEMBER_FIELDS);
+
+      logger.info('Audience created:', {
+        audienceId: audience._id,
+        userId,
+        memberCount: memberIds.length,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Audience created successfully',
+        data: {
+          audience,
+        },
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have an audience with this name',
+        });
+      }
+
+      logger.error('Failed to create audience:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create audience',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get audience list by ID
+   */
+  async getAudience(req, res) {
+    try {
+      const { audienceId } = req.params;
+      const userId = req.user._id;
+
+      const audience = await Audience.findOne({
+        _id: audienceId,
+        ownerId: userId,
+      }).populate('memberIds', MEMBER_FIELDS);
+
+      if (!audience) {
+        return res.status(404).json({
+          success: false,
+          message: 'Audience not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          audience,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to get audience:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get audience',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Rename an audience list or replace its members
+   */
+  async updateAudience(req, res) {
+    try {
+      const { audienceId } = req.params;
+      const userId = req.user._id;
+      const { name, memberIds } = req.body;
+
+      const audience = await Audience.findOne({
+        _id: audienceId,
+        ownerId: userId,
+      });
+
+      if (!audience) {
+        return res.status(404).json({
+          success: false,
+          message: 'Audience not found',
+        });
+      }
+
+      if (memberIds !== undefined) {
+        const invalidMembers = await findInvalidMembers(userId, memberIds);
+        if (invalidMembers.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Audience members must be your connections',
+            data: {
+              invalidMembers,
+            },
+          });
+        }
+
+        audience.memberIds = memberIds;
+      }
+
+      if (name !== undefined) audience.name = name.trim();
+
+      await audience.save();
+      await audience.populate('memberIds', MEMBER_FIELDS);
+
+      logger.info('Audience updated:', { audienceId, userId });
+
+      res.json({
+        success: true,
+        message: 'Audience updated successfully',
+        data: {
+          audience,
+        },
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have an audience with this name',
+        });
+      }
+
+      logger.error('Failed to update audience:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update audience',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Delete audience list
+   */
+  async deleteAudience(req, res) {
+    try {
+      const { audienceId } = req.params;
+      const userId = req.user._id;
+
+      const audience = await Audience.findOneAndDelete({
+        _id: audienceId,
+        ownerId: userId,
+      });
+
+      if (!audience) {
+        return res.status(404).json({
+          success: false,
+          message: 'Audience not found',
+        });
+      }
+
+      // Posts shared with the list fall back to author-only
+      const result = await Post.updateMany(
+        { audienceId: audience._id },
+        {
+          $set: { privacy: POST_PRIVACY.PRIVATE },
+          $unset: { audienceId: 1 },
+        }
+      );
+
+      logger.info('Audience deleted:', {
+        audienceId,
+        userId,
+        postsMadePrivate: result.modifiedCount,
+      });
+
+      res.json({
+        success: true,
+        message: 'Audience deleted successfully',
+        data: {
+          postsMadePrivate: result.modifiedCount,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to delete audience:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete audience',
+        error: error.message,
+      });
+    }
+  },
+};
+
+export default audienceController;
@@ -1,7 +1,16 @@
 import User from '../models/User.js';
-import { generateAccessToken, generateRefreshToken, verifyRefreshToken } from '../config/auth.js';
 import { getAuthUrl, getAccessToken } from '../config/cloudStorage.js';
 import audioService from '../services/audioService.js';
+import sessionService from '../services/sessionService.js';
+import accountService from '../services/accountService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import googleAuthService from '../services/googleAuthService.js';
+import {
+  DRIVE_CONNECTION_STATUSES,
+  EMAIL_TEMPLATES,
+  GOOGLE_AUTH_INTENTS,
+  SESSION_REVOKE_REASONS
+} from '../utils/constants.js';
 import { logger } from '../utils/logger.js';
 
 const authController = {
@@ -29,6 +38,7 @@ const authController = {
         username,
         email,
         password,
+        emailVerified: false,
         profile: {
           displayName: displayName || username
         }
@@ -36,9 +46,13 @@ const authController = {
 
       await user.save();
 
-      // Generate tokens
-      const accessToken = generateAccessToken(user._id);
-      const refreshToken = generateRefreshToken(user._id);
+      // The account works without it, but cannot post until verified
+      await accountService.queueEmail(user._id, EMAIL_TEMPLATES.VERIFY_EMAIL).catch((error) => {
+        logger.error('Failed to queue verification email:', error);
+      });
+
+      // Start a session for this device
+      const { accessToken, refreshToken } = await sessionService.createSession(user._id, req);
 
       logger.info('User registered successfully:', { userId: user._id, username });
 
@@ -87,13 +101,24 @@ const authController = {
         });
       }
 
+      // The password alone is not enough; the second step finishes signing in
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            twoFactorRequired: true,
+            challengeToken: twoFactorService.createChallenge(user)
+          }
+        });
+      }
+
       // Update last login
       user.lastLogin = new Date();
       await user.save();
 
-      // Generate tokens
-      const accessToken = generateAccessToken(user._id);
-      const refreshToken = generateRefreshToken(user._id);
+      // Start a session for this device
+      const { accessToken, refreshToken } = await sessionService.createSession(user._id, req);
 
       logger.info('User logged in successfully:', { userId: user._id, email });
 
@@ -116,15 +141,54 @@ const authController = {
     }
   },
 
+  /**
+   * Finish logging in with a two-factor code
+   */
+  async verifyTwoFactorLogin(req, res) {
+    try {
+      const { challengeToken, code } = req.body;
+
+      const user = await twoFactorService.completeChallenge(challengeToken, code, req);
+
+      user.lastLogin = new Date();
+      await user.save();
+
+      const { accessToken, refreshToken } = await sessionService.createSession(user._id, req);
+
+      logger.info('User logged in successfully:', { userId: user._id, twoFactor: true });
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user: user.getPublicProfile(),
+          accessToken,
+          refreshToken
+        }
+      });
+    } catch (error) {
+      logger.error('Two-factor login failed:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Login failed',
+        error: error.message
+      });
+    }
+  },
+
   /**
    * Logout user
    */
   async logout(req, res) {
     try {
-      // In a real implementation, you might want to blacklist the token
-      // For now, we'll just acknowledge the logout request
-      
-      logger.info('User logged out:', { userId: req.user?._id });
+      const { sessionId, tokenId, expiresAt } = req.auth;
+
+      // Revoking the session denylists its latest access token; the one
+      // used here may be older, so denylist it too
+      await sessionService.revokeSession(sessionId, SESSION_REVOKE_REASONS.LOGOUT);
+      await sessionService.revokeAccessToken(tokenId, req.user._id, expiresAt);
+
+      logger.info('User logged out:', { userId: req.user._id, sessionId });
 
       res.json({
         success: true,
@@ -154,11 +218,10 @@ const authController = {
         });
       }
 
-      // Verify refresh token
-      const decoded = verifyRefreshToken(refreshToken);
-      
-      // Find user
-      const user = await User.findById(decoded.userId);
+      // Rotate it: the token sent here stops working from now on
+      const tokens = await sessionService.rotate(refreshToken, req);
+
+      const user = await User.findById(tokens.userId);
       if (!user || !user.isActive) {
         return res.status(401).json({
           success: false,
@@ -166,25 +229,482 @@ const authController = {
         });
       }
 
-      // Generate new access token
-      const newAccessToken = generateAccessToken(user._id);
-      const newRefreshToken = generateRefreshToken(user._id);
-
       logger.info('Access token refreshed:', { userId: user._id });
 
       res.json({
         success: true,
         message: 'Token refreshed successfully',
         data: {
-          accessToken: newAccessToken,
-          refreshToken: newRefreshToken
+          accessToken: tokens.accessToken,
+          refreshToken: tokens.refreshToken
         }
       });
     } catch (error) {
       logger.error('Token refresh failed:', error);
-      res.status(401).json({
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Token refresh failed',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Verify email address from the emailed link
+   */
+  async verifyEmail(req, res) {
+    try {
+      const user = await accountService.verifyEmail(req.body.token);
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully',
+        data: {
+          user: user.getPublicProfile()
+        }
+      });
+    } catch (error) {
+      logger.error('Email verification failed:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Email verification failed',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Send another verification email
+   */
+  async resendVerification(req, res) {
+    try {
+      await accountService.resendVerification(req.user);
+
+      res.json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      logger.error('Failed to resend verification email:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to send verification email',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Email a password reset link
+   */
+  async forgotPassword(req, res) {
+    try {
+      await accountService.requestPasswordReset(req.body.email);
+
+      // Same answer whether or not the address has an account
+      res.json({
+        success: true,
+        message: 'If an account exists for that email, a reset link is on its way'
+      });
+    } catch (error) {
+      logger.error('Password reset request failed:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to request password reset',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Set a new password from the emailed link
+   */
+  async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body;
+
+      await accountService.resetPassword(token, password);
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password.'
+      });
+    } catch (error) {
+      logger.error('Password reset failed:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Password reset failed',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * List the devices the user is signed in on
+   */
+  async getSessions(req, res) {
+    try {
+      const sessions = await sessionService.getActiveSessions(req.user._id);
+
+      res.json({
+        success: true,
+        data: {
+          sessions: sessions.map((session) =>
+            sessionService.formatSession(session, req.auth.sessionId)
+          )
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get sessions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get sessions',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Sign out one device
+   */
+  async revokeSession(req, res) {
+    try {
+      const session = await sessionService.revokeSession(
+        req.params.sessionId,
+        SESSION_REVOKE_REASONS.REMOTE_LOGOUT,
+        req.user._id
+      );
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      logger.info('Session signed out:', { userId: req.user._id, sessionId: session._id });
+
+      res.json({
+        success: true,
+        message: 'Device signed out'
+      });
+    } catch (error) {
+      logger.error('Failed to revoke session:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sign out device',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Sign out every device except this one
+   */
+  async revokeOtherSessions(req, res) {
+    try {
+      const count = await sessionService.revokeOtherSessions(req.user._id, req.auth.sessionId);
+
+      logger.info('Other sessions signed out:', { userId: req.user._id, count });
+
+      res.json({
+        success: true,
+        message: 'Signed out everywhere else',
+        data: {
+          count
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to revoke other sessions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sign out other devices',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get the user's two-factor authentication status
+   */
+  async getTwoFactorStatus(req, res) {
+    try {
+      const enabled = Boolean(req.user.twoFactor?.enabled);
+
+      res.json({
+        success: true,
+        data: {
+          enabled,
+          enabledAt: req.user.twoFactor?.enabledAt || null,
+          recoveryCodesRemaining: enabled
+            ? await twoFactorService.countRecoveryCodes(req.user._id)
+            : 0
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get two-factor status:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get two-factor status',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Start two-factor setup: a secret and QR code for an authenticator app
+   */
+  async setupTwoFactor(req, res) {
+    try {
+      const enrollment = await twoFactorService.beginEnrollment(req.user);
+
+      res.json({
+        success: true,
+        data: enrollment
+      });
+    } catch (error) {
+      logger.error('Two-factor setup failed:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Two-factor setup failed',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Turn on two-factor authentication with a code from the app
+   */
+  async enableTwoFactor(req, res) {
+    try {
+      const recoveryCodes = await twoFactorService.confirmEnrollment(
+        req.user._id,
+        req.body.code,
+        req
+      );
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      logger.error('Failed to enable two-factor authentication:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to enable two-factor authentication',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Turn off two-factor authentication (password and code required)
+   */
+  async disableTwoFactor(req, res) {
+    try {
+      await twoFactorService.disable(req.user._id, req.body, req);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      logger.error('Failed to disable two-factor authentication:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to disable two-factor authentication',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Replace the recovery codes (password and code required)
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(
+        req.user._id,
+        req.body,
+        req
+      );
+
+      res.json({
+        success: true,
+        message: 'Recovery codes regenerated',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      logger.error('Failed to regenerate recovery codes:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to regenerate recovery codes',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get the Google consent URL for signing in
+   */
+  async getGoogleSignInUrl(req, res) {
+    try {
+      const { authUrl, state } = googleAuthService.getAuthUrl({
+        intent: GOOGLE_AUTH_INTENTS.SIGN_IN,
+        includeDrive: req.query.includeDrive === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: { authUrl, state }
+      });
+    } catch (error) {
+      logger.error('Failed to generate Google sign-in URL:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start Google sign-in',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Sign in (or sign up) with the code Google returned
+   */
+  async googleSignIn(req, res) {
+    try {
+      const { code, state } = req.body;
+
+      const { user, created, driveConnected } = await googleAuthService.signIn(code, state, req);
+
+      // Google stands in for the password, not the second factor
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            twoFactorRequired: true,
+            challengeToken: twoFactorService.createChallenge(user)
+          }
+        });
+      }
+
+      user.lastLogin = new Date();
+      await user.save();
+
+      const { accessToken, refreshToken } = await sessionService.createSession(user._id, req);
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? 'User registered successfully' : 'Login successful',
+        data: {
+          user: user.getPublicProfile(),
+          accessToken,
+          refreshToken,
+          created,
+          driveConnected
+        }
+      });
+    } catch (error) {
+      logger.error('Google sign-in failed:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Google sign-in failed',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get the Google account linked for signing in
+   */
+  async getGoogleStatus(req, res) {
+    try {
+      const status = await googleAuthService.getStatus(req.user._id);
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      logger.error('Failed to get Google account status:', error);
+      res.status(500).json({
         success: false,
-        message: 'Invalid refresh token',
+        message: 'Failed to get Google account status',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get the Google consent URL for linking to the current account
+   */
+  async getGoogleLinkUrl(req, res) {
+    try {
+      const { authUrl, state } = googleAuthService.getAuthUrl({
+        intent: GOOGLE_AUTH_INTENTS.LINK,
+        userId: req.user._id,
+        includeDrive: req.query.includeDrive === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: { authUrl, state }
+      });
+    } catch (error) {
+      logger.error('Failed to generate Google link URL:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start linking Google',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Link a Google account with the code Google returned
+   */
+  async linkGoogle(req, res) {
+    try {
+      const { code, state } = req.body;
+
+      const { user, driveConnected } = await googleAuthService.link(req.user._id, code, state, req);
+
+      res.json({
+        success: true,
+        message: 'Google account linked',
+        data: {
+          user: user.getPublicProfile(),
+          driveConnected
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to link Google account:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to link Google account',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Stop signing in with Google
+   */
+  async unlinkGoogle(req, res) {
+    try {
+      await googleAuthService.unlink(req.user._id, req);
+
+      res.json({
+        success: true,
+        message: 'Google account unlinked'
+      });
+    } catch (error) {
+      logger.error('Failed to unlink Google account:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to unlink Google account',
         error: error.message
       });
     }
@@ -213,6 +733,10 @@ const authController = {
         userId,
         {
           'storage.googleDriveToken': tokens,
+          'storage.googleDriveHealth': {
+            status: DRIVE_CONNECTION_STATUSES.CONNECTED,
+            lastRefreshAt: new Date()
+          },
           'storage.preference': 'google_drive'
         },
         { new: true }
@@ -284,6 +808,10 @@ const authController = {
           state,
           {
             'storage.googleDriveToken': tokens,
+            'storage.googleDriveHealth': {
+              status: DRIVE_CONNECTION_STATUSES.CONNECTED,
+              lastRefreshAt: new Date()
+            },
             'storage.preference': 'google_drive'
           },
           { new: true }
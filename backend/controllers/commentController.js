@@ -3,7 +3,20 @@ import Post from '../models/Post.js';
 import Comment from '../models/Comment.js';
 import Connection from '../models/Connection.js';
 import audioService from '../services/audioService.js';
+import audioStreamService from '../services/audioStreamService.js';
+import uploadService from '../services/uploadService.js';
+import storageService from '../services/storageService.js';
 import notificationService from '../services/notificationService.js';
+import realtimeService from '../services/realtimeService.js';
+import visibilityService from '../services/visibilityService.js';
+import commentTreeService from '../services/commentTreeService.js';
+import {
+  COMMENT_LIMITS,
+  COMMENT_SORTS,
+  MEDIA_TYPES,
+  REALTIME_EVENTS,
+} from '../utils/constants.js';
+import { generateMediaToken, MEDIA_TOKEN_EXPIRE } from '../config/auth.js';
 import { logger } from '../utils/logger.js';
 
 const commentController = {
@@ -13,6 +26,7 @@ const commentController = {
   async getPostComments(req, res) {
     try {
       const { postId } = req.params;
+      const userId = req.user?._id;
       const { limit = 20, skip = 0 } = req.query;
 
       const post = await Post.findById(postId);
@@ -23,6 +37,13 @@ const commentController = {
         });
       }
 
+      if (!(await visibilityService.canViewPost(post, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this post',
+        });
+      }
+
       const comments = await Comment.findTopLevelComments(
         postId,
         parseInt(limit),
@@ -46,18 +67,154 @@ const commentController = {
     }
   },
 
+  /**
+   * Get a post's comments as a tree: a page of top-level comments with
+   * their first replies nested, and cursors to load the rest
+   */
+  async getPostCommentTree(req, res) {
+    try {
+      const { postId } = req.params;
+      const userId = req.user?._id;
+      const {
+        sort = COMMENT_SORTS.NEW,
+        limit = 20,
+        replies,
+        depth,
+        cursor,
+      } = req.query;
+
+      const post = await Post.findById(postId);
+      if (!post || !post.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found',
+        });
+      }
+
+      if (!(await visibilityService.canViewPost(post, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this post',
+        });
+      }
+
+      let decodedCursor = null;
+      if (cursor) {
+        decodedCursor = commentTreeService.decodeCursor(cursor, sort);
+        if (!decodedCursor) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid cursor',
+          });
+        }
+      }
+
+      const tree = await commentTreeService.getPostTree(postId, userId, {
+        sort,
+        limit: parseInt(limit),
+        ...(replies !== undefined && { replies: parseInt(replies) }),
+        ...(depth !== undefined && { depth: parseInt(depth) }),
+        cursor: decodedCursor,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...tree,
+          total: post.engagement.commentCount,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to get comment tree:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get comments',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get more of a comment's replies as a tree, continuing from a
+   * repliesCursor
+   */
+  async getCommentReplyTree(req, res) {
+    try {
+      const { commentId } = req.params;
+      const userId = req.user?._id;
+      const { limit = 20, replies, depth, cursor } = req.query;
+
+      const parentComment = await Comment.findById(commentId);
+      if (!parentComment || !parentComment.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found',
+        });
+      }
+
+      const post = await Post.findById(parentComment.postId);
+      if (!post || !post.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found',
+        });
+      }
+
+      if (!(await visibilityService.canViewPost(post, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this post',
+        });
+      }
+
+      let decodedCursor = null;
+      if (cursor) {
+        decodedCursor = commentTreeService.decodeRepliesCursor(cursor);
+        if (!decodedCursor) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid cursor',
+          });
+        }
+      }
+
+      const tree = await commentTreeService.getReplyTree(commentId, userId, {
+        limit: parseInt(limit),
+        ...(replies !== undefined && { replies: parseInt(replies) }),
+        ...(depth !== undefined && { depth: parseInt(depth) }),
+        cursor: decodedCursor,
+      });
+
+      res.json({
+        success: true,
+        data: tree,
+      });
+    } catch (error) {
+      logger.error('Failed to get comment reply tree:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get comment replies',
+        error: error.message,
+      });
+    }
+  },
+
   /**
    * Create comment on post
    */
   async createComment(req, res) {
+    // A claimed upload goes back to ready if the comment is never saved
+    let upload = null;
+    let saved = false;
+
     try {
       const { postId } = req.params;
-      const { parentCommentId } = req.body;
+      const { parentCommentId, uploadId } = req.body;
       const userId = req.user._id;
       const audioFile = req.file;
       const audioMetadata = req.audioMetadata;
 
-      if (!audioFile || !audioMetadata) {
+      if (!uploadId && (!audioFile || !audioMetadata)) {
         return res.status(400).json({
           success: false,
           message: 'Audio file is required',
@@ -72,13 +229,64 @@ const commentController = {
         });
       }
 
-      // Process audio file
-      const audioData = await audioService.processAudio(
-        { ...audioFile, ...audioMetadata },
-        userId,
-        'google_drive',
-        req.user.storage.googleDriveToken
-      );
+      if (!(await visibilityService.canViewPost(post, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this post',
+        });
+      }
+
+      // Replies must target a live comment on the same post, and the
+      // depth limit is checked before any audio is stored
+      let parentComment = null;
+      if (parentCommentId) {
+        parentComment = await Comment.findOne({
+          _id: parentCommentId,
+          postId,
+          isActive: true,
+        });
+        if (!parentComment) {
+          return res.status(404).json({
+            success: false,
+            message: 'Comment not found',
+          });
+        }
+        if (parentComment.depth >= COMMENT_LIMITS.MAX_DEPTH) {
+          return res.status(400).json({
+            success: false,
+            message: `Replies cannot be nested more than ${COMMENT_LIMITS.MAX_DEPTH} levels deep`,
+          });
+        }
+      }
+
+      // Audio comes from a finalized resumable upload or this request
+      let audioData;
+      if (uploadId) {
+        upload = await uploadService.claim(uploadId, userId);
+        if (!upload) {
+          return res.status(400).json({
+            success: false,
+            message: 'Upload is not finalized or was already used',
+          });
+        }
+        audioData = upload.audio;
+      } else {
+        const storageTarget = await storageService.getUploadTarget(req.user);
+        if (!storageTarget) {
+          return res.status(400).json({
+            success: false,
+            message:
+              'Connect Google Drive or choose another storage location in settings',
+          });
+        }
+
+        audioData = await audioService.processAudio(
+          { ...audioFile, ...audioMetadata },
+          userId,
+          storageTarget.storageType,
+          storageTarget.userToken
+        );
+      }
 
       // Create comment
       const comment = new Comment({
@@ -89,6 +297,14 @@ const commentController = {
       });
 
       await comment.save();
+      saved = true;
+
+      await audioService.queueProcessing(
+        'comment',
+        comment._id,
+        upload ? upload.filePath : audioFile.path
+      );
+      if (upload) await uploadService.complete(upload);
 
       // Send notification to post author (if not commenting on own post)
       if (!post.authorId.equals(userId)) {
@@ -105,10 +321,12 @@ const commentController = {
         );
       }
 
+      const realtimeRecipients = [post.authorId];
+
       // Send notification to parent comment author (if replying to someone else's comment)
-      if (parentCommentId) {
-        const parentComment = await Comment.findById(parentCommentId);
-        if (parentComment && !parentComment.authorId.equals(userId)) {
+      if (parentComment) {
+        realtimeRecipients.push(parentComment.authorId);
+        if (!parentComment.authorId.equals(userId)) {
           await notificationService.sendNotification(
             parentComment.authorId,
             'post_comment',
@@ -123,6 +341,17 @@ const commentController = {
         }
       }
 
+      realtimeService.emitToUsers(
+        realtimeRecipients.filter((id) => !id.equals(userId)),
+        REALTIME_EVENTS.COMMENT_NEW,
+        {
+          postId: post._id,
+          commentId: comment._id,
+          parentCommentId: comment.parentCommentId || null,
+          commentCount: post.engagement.commentCount + 1,
+        }
+      );
+
       logger.info('Comment created successfully:', {
         commentId: comment._id,
         postId,
@@ -139,6 +368,11 @@ const commentController = {
       });
     } catch (error) {
       logger.error('Failed to create comment:', error);
+      if (upload && !saved) {
+        await uploadService.release(upload).catch((releaseError) => {
+          logger.error('Failed to release upload:', releaseError);
+        });
+      }
       res.status(500).json({
         success: false,
         message: 'Failed to create comment',
@@ -173,11 +407,7 @@ const commentController = {
       }
 
       // Delete audio file from storage
-      await audioService.deleteAudio(
-        comment.audio,
-        userId,
-        req.user.storage.googleDriveToken
-      );
+      await audioService.deleteAudio(comment.audio, userId);
 
       // Soft delete the comment
       comment.isActive = false;
@@ -205,6 +435,7 @@ const commentController = {
   async getCommentReplies(req, res) {
     try {
       const { commentId } = req.params;
+      const userId = req.user?._id;
       const { limit = 20, skip = 0 } = req.query;
 
       const parentComment = await Comment.findById(commentId);
@@ -215,6 +446,21 @@ const commentController = {
         });
       }
 
+      const post = await Post.findById(parentComment.postId);
+      if (!post || !post.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found',
+        });
+      }
+
+      if (!(await visibilityService.canViewPost(post, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this post',
+        });
+      }
+
       const replies = await Comment.find({
         parentCommentId: commentId,
         isActive: true,
@@ -241,6 +487,90 @@ const commentController = {
     }
   },
 
+  /**
+   * Issue a token for playing a comment's audio in an <audio> element.
+   * Whether the post may be seen is checked when the audio is streamed.
+   */
+  async getAudioToken(req, res) {
+    try {
+      const token = generateMediaToken(
+        req.user._id,
+        req.auth.sessionId,
+        MEDIA_TYPES.COMMENT_AUDIO,
+        req.params.commentId
+      );
+
+      res.json({
+        success: true,
+        data: {
+          token,
+          expiresAt: new Date(Date.now() + MEDIA_TOKEN_EXPIRE * 1000),
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to create audio token:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create audio token',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Stream a comment's audio to a viewer who may see its post
+   */
+  async streamCommentAudio(req, res) {
+    try {
+      const { commentId } = req.params;
+      const userId = req.user?._id;
+
+      const comment = await Comment.findById(commentId).select(
+        'postId authorId audio isActive'
+      );
+
+      if (!comment || !comment.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found',
+        });
+      }
+
+      const post = await Post.findById(comment.postId).select(
+        'authorId privacy audienceId isActive'
+      );
+
+      if (!post || !post.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found',
+        });
+      }
+
+      if (!(await visibilityService.canViewPost(post, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this post',
+        });
+      }
+
+      await audioStreamService.sendAudio(
+        req,
+        res,
+        audioService.getRendition(comment.audio, req.query.format),
+        comment.authorId
+      );
+    } catch (error) {
+      logger.error('Failed to stream comment audio:', error);
+      if (res.headersSent) return;
+      res.status(500).json({
+        success: false,
+        message: 'Failed to stream audio',
+        error: error.message,
+      });
+    }
+  },
+
   /**
    * Toggle like on comment
    */
@@ -258,12 +588,26 @@ const commentController = {
         });
       }
 
+      const post = await Post.findById(comment.postId);
+      if (!post || !post.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found',
+        });
+      }
+
+      if (!(await visibilityService.canViewPost(post, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this post',
+        });
+      }
+
       const wasLiked = comment.isLikedBy(userId);
       await comment.toggleLike(userId);
 
       // Send notification if comment is being liked (not unliked)
       if (!wasLiked && !comment.authorId.equals(userId)) {
-        const post = await Post.findById(comment.postId);
         await notificationService.sendNotification(
           comment.authorId,
           'post_like',
@@ -307,6 +651,7 @@ const commentController = {
   async getCommentLikes(req, res) {
     try {
       const { commentId } = req.params;
+      const userId = req.user?._id;
       const { limit = 20, skip = 0 } = req.query;
 
       const comment = await Comment.findById(commentId).populate(
@@ -321,6 +666,21 @@ const commentController = {
         });
       }
 
+      const post = await Post.findById(comment.postId);
+      if (!post || !post.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found',
+        });
+      }
+
+      if (!(await visibilityService.canViewPost(post, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this post',
+        });
+      }
+
       const likes = comment.likedBy.slice(
         parseInt(skip),
         parseInt(skip) + parseInt(limit)
@@ -410,9 +770,16 @@ const commentController = {
         });
       }
 
+      // Only include comments on posts the viewer is allowed to see
+      const visiblePostIds = await visibilityService.filterVisiblePostIds(
+        await Comment.distinct('postId', { authorId: userId, isActive: true }),
+        req.user?._id
+      );
+
       const comments = await Comment.find({
         authorId: userId,
         isActive: true,
+        postId: { $in: visiblePostIds },
       })
         .populate('postId', 'content.title privacy')
         .populate('authorId', 'username profile.displayName profile.avatar')
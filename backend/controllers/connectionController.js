@@ -1,6 +1,9 @@
 import User from '../models/User.js';
 import Connection from '../models/Connection.js';
+import Audience from '../models/Audience.js';
 import notificationService from '../services/notificationService.js';
+import realtimeService from '../services/realtimeService.js';
+import { REALTIME_EVENTS } from '../utils/constants.js';
 import { logger } from '../utils/logger.js';
 
 const connectionController = {
@@ -108,6 +111,15 @@ const connectionController = {
           }
         );
 
+        realtimeService.emitToUsers(
+          [requesterId, userId],
+          REALTIME_EVENTS.CONNECTION_UPDATED,
+          {
+            connectionId: connection._id,
+            status: 'accepted',
+          }
+        );
+
         logger.info('Connection auto-accepted:', {
           requesterId,
           recipientId: userId,
@@ -131,6 +143,11 @@ const connectionController = {
         message,
       });
 
+      realtimeService.emitToUser(userId, REALTIME_EVENTS.CONNECTION_REQUEST, {
+        connectionId: connection._id,
+        requesterId,
+      });
+
       logger.info('Connection request sent:', {
         requesterId,
         recipientId: userId,
@@ -223,6 +240,15 @@ const connectionController = {
 
       await connection.save();
 
+      realtimeService.emitToUsers(
+        [connection.requesterId, userId],
+        REALTIME_EVENTS.CONNECTION_UPDATED,
+        {
+          connectionId: connection._id,
+          status,
+        }
+      );
+
       res.json({
         success: true,
         message: `Connection request ${status}`,
@@ -268,6 +294,7 @@ const connectionController = {
 
       // Remove connection
       await Connection.findByIdAndDelete(connection._id);
+      await Audience.removeBetween(currentUserId, userId);
 
       // Update user stats
       await User.findByIdAndUpdate(currentUserId, {
@@ -512,6 +539,7 @@ const connectionController = {
       }
 
       await connection.save();
+      await Audience.removeBetween(blockerId, userId);
 
       logger.info('User blocked:', {
         blockerId,
@@ -0,0 +1,156 @@
+import notificationService from '../services/notificationService.js';
+import { logger } from '../utils/logger.js';
+
+const notificationController = {
+  /**
+   * Get current user's notifications
+   */
+  async getNotifications(req, res) {
+    try {
+      const userId = req.user._id;
+      const { limit = 20, cursor, unread } = req.query;
+
+      const result = await notificationService.getUserNotifications(userId, {
+        limit: parseInt(limit),
+        cursor,
+        unreadOnly: unread === 'true',
+      });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Failed to get notifications:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get notifications',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get unread notification count
+   */
+  async getUnreadCount(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const unreadCount = await notificationService.getUnreadCount(userId);
+
+      res.json({
+        success: true,
+        data: {
+          unreadCount,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to get unread notification count:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get unread count',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Mark notification as read
+   */
+  async markAsRead(req, res) {
+    try {
+      const { notificationId } = req.params;
+      const userId = req.user._id;
+
+      const notification = await notificationService.markAsRead(
+        userId,
+        notificationId
+      );
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Notification marked as read',
+        data: {
+          notification,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to mark notification as read:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to mark notification as read',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Mark all notifications as read
+   */
+  async markAllAsRead(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const updated = await notificationService.markAllAsRead(userId);
+
+      res.json({
+        success: true,
+        message: 'All notifications marked as read',
+        data: {
+          updated,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to mark all notifications as read:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to mark all notifications as read',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Delete notification
+   */
+  async deleteNotification(req, res) {
+    try {
+      const { notificationId } = req.params;
+      const userId = req.user._id;
+
+      const deleted = await notificationService.deleteNotification(
+        userId,
+        notificationId
+      );
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Notification deleted',
+      });
+    } catch (error) {
+      logger.error('Failed to delete notification:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete notification',
+        error: error.message,
+      });
+    }
+  },
+};
+
+export default notificationController;
@@ -1,8 +1,27 @@
 import User from '../models/User.js';
 import Post from '../models/Post.js';
-import Connection from '../models/Connection.js';
+import Audience from '../models/Audience.js';
+import Listen from '../models/Listen.js';
 import audioService from '../services/audioService.js';
+import audioStreamService from '../services/audioStreamService.js';
+import uploadService from '../services/uploadService.js';
+import storageService from '../services/storageService.js';
 import notificationService from '../services/notificationService.js';
+import jobQueueService from '../services/jobQueueService.js';
+import realtimeService from '../services/realtimeService.js';
+import visibilityService from '../services/visibilityService.js';
+import feedService from '../services/feedService.js';
+import trendingService from '../services/trendingService.js';
+import tagService from '../services/tagService.js';
+import {
+  AUDIO_STATUSES,
+  FEED_MODES,
+  JOB_TYPES,
+  MEDIA_TYPES,
+  POST_PRIVACY,
+  REALTIME_EVENTS,
+} from '../utils/constants.js';
+import { generateMediaToken, MEDIA_TOKEN_EXPIRE } from '../config/auth.js';
 import { logger } from '../utils/logger.js';
 
 const postController = {
@@ -12,37 +31,28 @@ const postController = {
   async getUserFeed(req, res) {
     try {
       const userId = req.user._id;
-      const { limit = 20, skip = 0 } = req.query;
-
-      // Get user's connections
-      const connections = await Connection.find({
-        status: 'accepted',
-        $or: [{ requesterId: userId }, { recipientId: userId }],
-      }).select('requesterId recipientId');
+      const { mode = FEED_MODES.LATEST, limit = 20, cursor } = req.query;
+
+      let decodedCursor = null;
+      if (cursor) {
+        decodedCursor = feedService.decodeCursor(cursor, mode);
+        if (!decodedCursor) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid cursor',
+          });
+        }
+      }
 
-      const connectedUserIds = new Set([userId.toString()]); // Include user's own posts
-      connections.forEach((conn) => {
-        connectedUserIds.add(conn.requesterId.toString());
-        connectedUserIds.add(conn.recipientId.toString());
+      const feed = await feedService.getFeed(userId, {
+        mode,
+        limit: parseInt(limit),
+        cursor: decodedCursor,
       });
 
-      // Get posts from connections
-      const posts = await Post.find({
-        authorId: { $in: Array.from(connectedUserIds) },
-        isActive: true,
-        privacy: { $in: ['public', 'connections_only'] },
-      })
-        .populate('authorId', 'username profile.displayName profile.avatar')
-        .sort({ createdAt: -1 })
-        .limit(parseInt(limit))
-        .skip(parseInt(skip));
-
       res.json({
         success: true,
-        data: {
-          posts,
-          total: posts.length,
-        },
+        data: feed,
       });
     } catch (error) {
       logger.error('Failed to get user feed:', error);
@@ -58,26 +68,64 @@ const postController = {
    * Create new post
    */
   async createPost(req, res) {
+    // A claimed upload goes back to ready if the post is never saved
+    let upload = null;
+    let saved = false;
+
     try {
       const userId = req.user._id;
-      const { title, tags, privacy } = req.body;
+      const { title, tags, privacy, audienceId, uploadId } = req.body;
       const audioFile = req.file;
       const audioMetadata = req.audioMetadata;
 
-      if (!audioFile || !audioMetadata) {
+      if (!uploadId && (!audioFile || !audioMetadata)) {
         return res.status(400).json({
           success: false,
           message: 'Audio file is required',
         });
       }
 
-      // Process audio file
-      const audioData = await audioService.processAudio(
-        { ...audioFile, ...audioMetadata },
-        userId,
-        'google_drive',
-        req.user.storage.googleDriveToken
-      );
+      const isAudiencePost = privacy === POST_PRIVACY.AUDIENCE;
+      if (
+        isAudiencePost &&
+        !(await Audience.exists({ _id: audienceId, ownerId: userId }))
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: 'Audience not found',
+        });
+      }
+
+      // Audio comes from a finalized resumable upload or this request
+      let audioData;
+      if (uploadId) {
+        upload = await uploadService.claim(uploadId, userId);
+        if (!upload) {
+          return res.status(400).json({
+            success: false,
+            message: 'Upload is not finalized or was already used',
+          });
+        }
+        audioData = upload.audio;
+      } else {
+        const storageTarget = await storageService.getUploadTarget(req.user);
+        if (!storageTarget) {
+          return res.status(400).json({
+            success: false,
+            message:
+              'Connect Google Drive or choose another storage location in settings',
+          });
+        }
+
+        // Transcoding takes a while, so the worker stores the audio and
+        // the post plays once it is ready
+        audioData = {
+          status: AUDIO_STATUSES.PROCESSING,
+          storageType: storageTarget.storageType,
+          duration: audioMetadata.duration,
+          format: audioMetadata.format,
+        };
+      }
 
       // Create post
       const post = new Post({
@@ -88,9 +136,12 @@ const postController = {
           tags: tags || [],
         },
         privacy: privacy || 'public',
+        ...(isAudiencePost && { audienceId }),
       });
 
       await post.save();
+      saved = true;
+      await tagService.recordUsage(tags || []);
 
       // Update user stats
       await User.findByIdAndUpdate(userId, {
@@ -100,25 +151,23 @@ const postController = {
         },
       });
 
-      // Notify connections about new post
-      const connections = await Connection.find({
-        status: 'accepted',
-        $or: [{ requesterId: userId }, { recipientId: userId }],
-      });
-
-      const connectionIds = connections
-        .map((conn) =>
-          conn.requesterId.equals(userId) ? conn.recipientId : conn.requesterId
-        )
-        .filter((id) => !id.equals(userId));
-
-      for (const connectionId of connectionIds) {
-        await notificationService.sendNotification(connectionId, 'new_post', {
+      // Transcoding, transcription and connection fan-out run in the
+      // background; audio still being transcoded is announced once stored
+      if (upload) {
+        await audioService.queueProcessing('post', post._id, upload.filePath);
+        await uploadService.complete(upload);
+        await jobQueueService.enqueue(JOB_TYPES.NEW_POST_FANOUT, {
           authorId: userId,
           authorName: req.user.username,
           postTitle: title,
           postId: post._id,
         });
+      } else {
+        await audioService.queueProcessing('post', post._id, audioFile.path, {
+          originalname: audioFile.originalname,
+          mimetype: audioFile.mimetype,
+          size: audioFile.size,
+        });
       }
 
       logger.info('Post created successfully:', {
@@ -136,6 +185,11 @@ const postController = {
       });
     } catch (error) {
       logger.error('Failed to create post:', error);
+      if (upload && !saved) {
+        await uploadService.release(upload).catch((releaseError) => {
+          logger.error('Failed to release upload:', releaseError);
+        });
+      }
       res.status(500).json({
         success: false,
         message: 'Failed to create post',
@@ -165,7 +219,7 @@ const postController = {
       }
 
       // Check if user can view the post
-      if (!post.canView(userId)) {
+      if (!(await visibilityService.canViewPost(post, userId))) {
         return res.status(403).json({
           success: false,
           message: 'You do not have permission to view this post',
@@ -188,6 +242,130 @@ const postController = {
     }
   },
 
+  /**
+   * Issue a token for playing a post's audio in an <audio> element. Whether
+   * the post may be seen is checked when the audio is streamed.
+   */
+  async getAudioToken(req, res) {
+    try {
+      const token = generateMediaToken(
+        req.user._id,
+        req.auth.sessionId,
+        MEDIA_TYPES.POST_AUDIO,
+        req.params.postId
+      );
+
+      res.json({
+        success: true,
+        data: {
+          token,
+          expiresAt: new Date(Date.now() + MEDIA_TOKEN_EXPIRE * 1000),
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to create audio token:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create audio token',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get every waveform resolution for a post. Post lists only carry the
+   * smallest one.
+   */
+  async getWaveforms(req, res) {
+    try {
+      const { postId } = req.params;
+      const userId = req.user?._id;
+
+      const post = await Post.findById(postId).select(
+        'authorId audio.waveforms privacy audienceId isActive'
+      );
+
+      if (!post || !post.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found',
+        });
+      }
+
+      if (!(await visibilityService.canViewPost(post, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this post',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          waveforms: post.audio?.waveforms || [],
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to get post waveforms:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get post waveforms',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Stream a post's audio to a viewer who may see the post
+   */
+  async streamPostAudio(req, res) {
+    try {
+      const { postId } = req.params;
+      const userId = req.user?._id;
+
+      const post = await Post.findById(postId).select(
+        'authorId audio privacy audienceId isActive'
+      );
+
+      if (!post || !post.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found',
+        });
+      }
+
+      if (!(await visibilityService.canViewPost(post, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this post',
+        });
+      }
+
+      if (post.audio.status === AUDIO_STATUSES.PROCESSING) {
+        return res.status(409).json({
+          success: false,
+          message: 'Audio is still processing',
+        });
+      }
+
+      // Players pick a rendition they can decode with ?format=
+      await audioStreamService.sendAudio(
+        req,
+        res,
+        audioService.getRendition(post.audio, req.query.format),
+        post.authorId
+      );
+    } catch (error) {
+      logger.error('Failed to stream post audio:', error);
+      if (res.headersSent) return;
+      res.status(500).json({
+        success: false,
+        message: 'Failed to stream audio',
+        error: error.message,
+      });
+    }
+  },
+
   /**
    * Delete post
    */
@@ -213,16 +391,16 @@ const postController = {
         });
       }
 
-      // Delete audio file from storage
-      await audioService.deleteAudio(
-        post.audio,
-        userId,
-        req.user.storage.googleDriveToken
-      );
+      // Delete audio file from storage (the worker drops audio still being
+      // transcoded once it sees the post is gone)
+      if (post.audio.status !== AUDIO_STATUSES.PROCESSING) {
+        await audioService.deleteAudio(post.audio, userId);
+      }
 
       // Soft delete the post
       post.isActive = false;
       await post.save();
+      await tagService.recordUsage([], post.content.tags);
 
       // Update user stats
       await User.findByIdAndUpdate(userId, {
@@ -267,7 +445,7 @@ const postController = {
 
       const posts = await Post.findByUser(
         userId,
-        currentUserId,
+        await visibilityService.getPostFilter(currentUserId),
         parseInt(limit),
         parseInt(skip)
       );
@@ -306,9 +484,28 @@ const postController = {
         });
       }
 
+      if (!(await visibilityService.canViewPost(post, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this post',
+        });
+      }
+
       const wasLiked = post.isLikedBy(userId);
       await post.toggleLike(userId);
 
+      // Keep the author's and the liker's open clients in sync
+      realtimeService.emitToUsers(
+        [post.authorId, userId],
+        REALTIME_EVENTS.POST_LIKE,
+        {
+          postId: post._id,
+          userId,
+          liked: !wasLiked,
+          likeCount: post.engagement.likeCount,
+        }
+      );
+
       // Send notification if post is being liked (not unliked)
       if (!wasLiked && !post.authorId.equals(userId)) {
         await notificationService.sendNotification(post.authorId, 'post_like', {
@@ -349,6 +546,7 @@ const postController = {
   async getPostLikes(req, res) {
     try {
       const { postId } = req.params;
+      const userId = req.user?._id;
       const { limit = 20, skip = 0 } = req.query;
 
       const post = await Post.findById(postId).populate(
@@ -363,6 +561,13 @@ const postController = {
         });
       }
 
+      if (!(await visibilityService.canViewPost(post, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this post',
+        });
+      }
+
       const likes = post.likedBy.slice(
         parseInt(skip),
         parseInt(skip) + parseInt(limit)
@@ -392,7 +597,7 @@ const postController = {
     try {
       const { postId } = req.params;
       const userId = req.user._id;
-      const { title, tags, privacy } = req.body;
+      const { title, tags, privacy, audienceId } = req.body;
 
       const post = await Post.findById(postId);
 
@@ -412,12 +617,37 @@ const postController = {
       }
 
       // Update post
+      const previousTags = [...(post.content.tags || [])];
       if (title !== undefined) post.content.title = title;
       if (tags !== undefined) post.content.tags = tags;
       if (privacy !== undefined) post.privacy = privacy;
 
+      if (post.privacy === POST_PRIVACY.AUDIENCE) {
+        if (audienceId !== undefined) post.audienceId = audienceId;
+
+        const ownsAudience =
+          post.audienceId &&
+          (await Audience.exists({ _id: post.audienceId, ownerId: userId }));
+        if (!ownsAudience) {
+          return res.status(404).json({
+            success: false,
+            message: 'Audience not found',
+          });
+        }
+      } else {
+        post.audienceId = undefined;
+      }
+
       await post.save();
 
+      if (tags !== undefined) {
+        const nextTags = post.content.tags;
+        await tagService.recordUsage(
+          nextTags.filter((tag) => !previousTags.includes(tag)),
+          previousTags.filter((tag) => !nextTags.includes(tag))
+        );
+      }
+
       logger.info('Post updated successfully:', { postId, userId });
 
       res.json({
@@ -442,30 +672,17 @@ const postController = {
    */
   async getTrendingPosts(req, res) {
     try {
-      const { limit = 20, skip = 0 } = req.query;
+      const { window = '24h', limit = 20, skip = 0 } = req.query;
       const userId = req.user?._id;
 
-      // Get posts with high engagement
-      const posts = await Post.find({
-        isActive: true,
-        privacy: 'public',
-        createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }, // Last 7 days
-      })
-        .populate('authorId', 'username profile.displayName profile.avatar')
-        .sort({
-          'engagement.likeCount': -1,
-          'engagement.commentCount': -1,
-          'engagement.listenCount': -1,
-        })
-        .limit(parseInt(limit))
-        .skip(parseInt(skip));
+      const trending = await trendingService.getTrending(window, userId, {
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+      });
 
       res.json({
         success: true,
-        data: {
-          posts,
-          total: posts.length,
-        },
+        data: trending,
       });
     } catch (error) {
       logger.error('Failed to get trending posts:', error);
@@ -489,8 +706,10 @@ const postController = {
       const posts = await Post.find({
         isActive: true,
         privacy: 'public',
+        ...(await visibilityService.getPostFilter(userId)),
       })
         .populate('authorId', 'username profile.displayName profile.avatar')
+        .withPreviewWaveform()
         .sort({ createdAt: -1 })
         .limit(parseInt(limit))
         .skip(parseInt(skip));
@@ -529,9 +748,39 @@ const postController = {
         });
       }
 
-      await post.incrementListenCount();
+      if (!(await visibilityService.canViewPost(post, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this post',
+        });
+      }
+
+      const { completed } = req.body;
+      const isAuthor = post.authorId.equals(userId);
+
+      // Authors' own plays don't count towards ranking signals
+      if (completed) {
+        if (!isAuthor && (await Listen.recordCompletion(userId, post._id))) {
+          await Post.updateOne(
+            { _id: post._id },
+            { $inc: { 'engagement.completionCount': 1 } }
+          );
+        }
+      } else {
+        const isFirstListen =
+          !isAuthor && (await Listen.recordPlay(userId, post));
+        await Post.updateOne(
+          { _id: post._id },
+          {
+            $inc: {
+              'engagement.listenCount': 1,
+              ...(isFirstListen && { 'engagement.listenerCount': 1 }),
+            },
+          }
+        );
+      }
 
-      logger.info('Post listen recorded:', { postId, userId });
+      logger.info('Post listen recorded:', { postId, userId, completed });
 
       res.json({
         success: true,
@@ -553,6 +802,7 @@ const postController = {
   async getPostStats(req, res) {
     try {
       const { postId } = req.params;
+      const userId = req.user._id;
 
       const post = await Post.findById(postId);
 
@@ -563,9 +813,17 @@ const postController = {
         });
       }
 
+      if (!(await visibilityService.canViewPost(post, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this post',
+        });
+      }
+
       const stats = {
         engagement: post.engagement,
         engagementScore: post.engagementScore,
+        completionRate: post.completionRate,
         createdAt: post.createdAt,
         updatedAt: post.updatedAt,
       };
@@ -585,6 +843,67 @@ const postController = {
       });
     }
   },
+
+  /**
+   * Hide a post from the current user's feed
+   */
+  async hidePost(req, res) {
+    try {
+      const { postId } = req.params;
+      const userId = req.user._id;
+
+      const post = await Post.findById(postId).select('_id isActive');
+
+      if (!post || !post.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found',
+        });
+      }
+
+      await feedService.setPostHidden(userId, post._id, true);
+
+      logger.info('Post hidden from feed:', { postId, userId });
+
+      res.json({
+        success: true,
+        message: 'Post hidden from your feed',
+      });
+    } catch (error) {
+      logger.error('Failed to hide post:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to hide post',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Show a hidden post in the current user's feed again
+   */
+  async unhidePost(req, res) {
+    try {
+      const { postId } = req.params;
+      const userId = req.user._id;
+
+      await feedService.setPostHidden(userId, postId, false);
+
+      logger.info('Post unhidden from feed:', { postId, userId });
+
+      res.json({
+        success: true,
+        message: 'Post is visible in your feed again',
+      });
+    } catch (error) {
+      logger.error('Failed to unhide post:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unhide post',
+        error: error.message,
+      });
+    }
+  },
 };
 
 export default postController;
@@ -0,0 +1,36 @@
+import searchService from '../services/searchService.js';
+import { logger } from '../utils/logger.js';
+
+const searchController = {
+  /**
+   * Search posts, comments and users
+   */
+  async search(req, res) {
+    try {
+      const { q: query, type = 'all', limit = 20, skip = 0 } = req.query;
+      const userId = req.user?._id;
+
+      const result = await searchService.search({
+        query: query.trim(),
+        type,
+        userId,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+      });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Search failed:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Search failed',
+        error: error.message,
+      });
+    }
+  },
+};
+
+export default searchController;
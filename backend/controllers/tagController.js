@@ -0,0 +1,182 @@
+import tagService from '../services/tagService.js';
+import { logger } from '../utils/logger.js';
+
+const tagController = {
+  /**
+   * Get trending tags
+   */
+  async getTrendingTags(req, res) {
+    try {
+      const { window = '24h', limit = 10 } = req.query;
+
+      const trending = await tagService.getTrendingTags(
+        window,
+        parseInt(limit)
+      );
+
+      res.json({
+        success: true,
+        data: trending,
+      });
+    } catch (error) {
+      logger.error('Failed to get trending tags:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get trending tags',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get tags the current user follows
+   */
+  async getFollowedTags(req, res) {
+    try {
+      const tags = await tagService.getFollowedTags(req.user._id);
+
+      res.json({
+        success: true,
+        data: {
+          tags,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to get followed tags:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get followed tags',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get tag by slug
+   */
+  async getTag(req, res) {
+    try {
+      const { slug } = req.params;
+
+      const result = await tagService.getTag(slug, req.user?._id);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tag not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Failed to get tag:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get tag',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get posts with a tag
+   */
+  async getTagPosts(req, res) {
+    try {
+      const { slug } = req.params;
+      const { limit = 20, skip = 0 } = req.query;
+
+      const result = await tagService.getTagPosts(slug, req.user?._id, {
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+      });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Failed to get tag posts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get tag posts',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Follow a tag
+   */
+  async followTag(req, res) {
+    try {
+      const { slug } = req.params;
+      const userId = req.user._id;
+
+      const result = await tagService.getTag(slug);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tag not found',
+        });
+      }
+
+      await tagService.followTag(userId, result.tag);
+
+      logger.info('Tag followed:', { userId, tag: result.tag.slug });
+
+      res.json({
+        success: true,
+        message: 'Tag followed',
+      });
+    } catch (error) {
+      logger.error('Failed to follow tag:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to follow tag',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Unfollow a tag
+   */
+  async unfollowTag(req, res) {
+    try {
+      const { slug } = req.params;
+      const userId = req.user._id;
+
+      const result = await tagService.getTag(slug);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tag not found',
+        });
+      }
+
+      await tagService.unfollowTag(userId, result.tag);
+
+      logger.info('Tag unfollowed:', { userId, tag: result.tag.slug });
+
+      res.json({
+        success: true,
+        message: 'Tag unfollowed',
+      });
+    } catch (error) {
+      logger.error('Failed to unfollow tag:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unfollow tag',
+        error: error.message,
+      });
+    }
+  },
+};
+
+export default tagController;
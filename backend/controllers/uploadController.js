@@ -0,0 +1,182 @@
+import uploadService from '../services/uploadService.js';
+import config from '../config/environment.js';
+import { UPLOAD_STATUSES } from '../utils/constants.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Shape an upload session for clients
+ * @param {Object} session - Upload session
+ * @returns {Object} Upload state
+ */
+const formatUpload = (session) => ({
+  uploadId: session._id,
+  status: session.status,
+  size: session.size,
+  receivedBytes: session.receivedBytes,
+  chunkSize: config.UPLOAD_CHUNK_SIZE,
+  expiresAt: session.expiresAt,
+  ...(session.error && { error: session.error }),
+  ...(session.audio && {
+    audio: {
+      duration: session.audio.duration,
+      format: session.audio.format,
+      fileSize: session.audio.fileSize,
+    },
+  }),
+});
+
+const uploadController = {
+  /**
+   * Start a resumable audio upload
+   */
+  async createUpload(req, res) {
+    try {
+      const session = await uploadService.createSession(req.user._id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Upload started',
+        data: {
+          upload: formatUpload(session),
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to start upload:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to start upload',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Get upload progress, e.g. to find where to resume
+   */
+  async getUpload(req, res) {
+    try {
+      const session = await uploadService.getSession(
+        req.params.uploadId,
+        req.user._id
+      );
+
+      res.json({
+        success: true,
+        data: {
+          upload: formatUpload(session),
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to get upload:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to get upload',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Append one chunk (raw body) at ?offset= with its ?checksum=
+   */
+  async appendChunk(req, res) {
+    try {
+      const { offset, checksum } = req.query;
+      const session = await uploadService.getSession(
+        req.params.uploadId,
+        req.user._id
+      );
+
+      const updated = await uploadService.appendChunk(
+        session,
+        parseInt(offset),
+        req.body,
+        checksum
+      );
+
+      res.json({
+        success: true,
+        data: {
+          upload: formatUpload(updated),
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to append upload chunk:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to store chunk',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Queue a complete upload for processing so it can be attached to a post
+   * or comment. Clients poll GET /api/uploads/:uploadId until it is ready.
+   */
+  async finalizeUpload(req, res) {
+    try {
+      const session = await uploadService.getSession(
+        req.params.uploadId,
+        req.user._id
+      );
+      const finalized = await uploadService.finalize(session, req.user);
+      const isProcessing = finalized.status === UPLOAD_STATUSES.PROCESSING;
+
+      logger.info('Upload finalized:', {
+        uploadId: finalized._id,
+        userId: req.user._id,
+      });
+
+      res.status(isProcessing ? 202 : 200).json({
+        success: true,
+        message: isProcessing ? 'Upload is being processed' : 'Upload processed',
+        data: {
+          upload: formatUpload(finalized),
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to finalize upload:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to process upload',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Cancel an upload and remove what it stored
+   */
+  async deleteUpload(req, res) {
+    try {
+      const session = await uploadService.getSession(
+        req.params.uploadId,
+        req.user._id
+      );
+
+      if (session.status === UPLOAD_STATUSES.PROCESSING) {
+        return res.status(409).json({
+          success: false,
+          message: 'Upload is being processed',
+        });
+      }
+
+      await uploadService.discard(session);
+
+      res.json({
+        success: true,
+        message: 'Upload cancelled',
+      });
+    } catch (error) {
+      logger.error('Failed to cancel upload:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to cancel upload',
+        error: error.message,
+      });
+    }
+  },
+};
+
+export default uploadController;
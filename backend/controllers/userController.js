@@ -1,6 +1,13 @@
 import User from '../models/User.js';
 import Connection from '../models/Connection.js';
+import StorageMigration from '../models/StorageMigration.js';
 import storageService from '../services/storageService.js';
+import storageMigrationService from '../services/storageMigrationService.js';
+import driveTokenManager from '../services/driveTokenManager.js';
+import realtimeService from '../services/realtimeService.js';
+import feedService from '../services/feedService.js';
+import helpers from '../utils/helpers.js';
+import { DRIVE_CONNECTION_STATUSES, STORAGE_TYPES } from '../utils/constants.js';
 import { logger } from '../utils/logger.js';
 
 const userController = {
@@ -182,6 +189,11 @@ const userController = {
         userProfile.profile.privateContact = user.profile.privateContact;
       }
 
+      // Presence is only visible to connections
+      if (isConnected) {
+        userProfile.connection.isOnline = realtimeService.isOnline(user._id);
+      }
+
       res.json({
         success: true,
         data: {
@@ -206,14 +218,14 @@ const userController = {
       const { q: query, limit = 20, skip = 0 } = req.query;
       const currentUserId = req.user._id;
 
-      // Search users by username, display name, or email
+      // Search users by username or display name prefix
+      const pattern = new RegExp(`^${helpers.escapeRegex(query.trim())}`, 'i');
       const users = await User.find({
         $and: [
           {
             $or: [
-              { username: { $regex: query, $options: 'i' } },
-              { 'profile.displayName': { $regex: query, $options: 'i' } },
-              { email: { $regex: query, $options: 'i' } }
+              { username: pattern },
+              { 'profile.displayName': pattern }
             ]
           },
           { isActive: true },
@@ -371,53 +383,57 @@ const userController = {
   async getStorageInfo(req, res) {
     try {
       const user = req.user;
-      const { storagePreference, googleDriveToken } = user.storage;
-
-      if (!googleDriveToken) {
-        return res.json({
-          success: true,
-          data: {
-            storage: {
-              preference: storagePreference,
-              connected: false,
-              quota: null
-            }
-          }
-        });
-      }
+      const { googleDriveToken } = user.storage;
+      const [preference, defaultType] = await Promise.all([
+        storageService.getUserStorageType(user),
+        storageService.getDefaultType()
+      ]);
+
+      const storage = {
+        preference,
+        defaultType,
+        available: storageService.getAvailableTypes(),
+        connected: !!googleDriveToken,
+        quota: null
+      };
 
-      try {
-        const quota = await storageService.getStorageQuota(storagePreference, googleDriveToken);
-        
-        res.json({
-          success: true,
-          data: {
-            storage: {
-              preference: storagePreference,
-              connected: true,
-              quota: {
-                used: parseInt(quota.usage) || 0,
-                total: parseInt(quota.limit) || 0,
-                available: parseInt(quota.limit) - parseInt(quota.usage) || 0
-              }
-            }
+      if (googleDriveToken) {
+        try {
+          const userToken = await storageService.getAccessToken(
+            STORAGE_TYPES.GOOGLE_DRIVE,
+            user._id
+          );
+
+          // Null here means the refresh just found access revoked
+          if (userToken) {
+            const quota = await storageService.getStorageQuota(
+              STORAGE_TYPES.GOOGLE_DRIVE,
+              userToken
+            );
+
+            storage.quota = {
+              used: quota.used,
+              total: quota.total,
+              available: quota.total - quota.used || 0
+            };
           }
-        });
-      } catch (storageError) {
-        logger.warn('Failed to get storage quota:', storageError);
-        
-        res.json({
-          success: true,
-          data: {
-            storage: {
-              preference: storagePreference,
-              connected: true,
-              quota: null,
-              error: 'Failed to get storage information'
-            }
-          }
-        });
+        } catch (storageError) {
+          logger.warn('Failed to get storage quota:', storageError);
+          storage.error = 'Failed to get storage information';
+        }
       }
+
+      // Read after the quota call so a refresh or revocation shows up
+      storage.googleDrive = await driveTokenManager.getHealth(user._id);
+      storage.connected =
+        storage.googleDrive.status === DRIVE_CONNECTION_STATUSES.CONNECTED;
+
+      res.json({
+        success: true,
+        data: {
+          storage
+        }
+      });
     } catch (error) {
       logger.error('Failed to get storage info:', error);
       res.status(500).json({
@@ -436,13 +452,23 @@ const userController = {
       const { preference } = req.body;
       const userId = req.user._id;
 
-      if (!['google_drive'].includes(preference)) {
+      if (!storageService.getAvailableTypes().includes(preference)) {
         return res.status(400).json({
           success: false,
           message: 'Invalid storage preference'
         });
       }
 
+      if (
+        preference === STORAGE_TYPES.GOOGLE_DRIVE &&
+        !req.user.hasGoogleDriveToken()
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: 'Connect Google Drive before choosing it for storage'
+        });
+      }
+
       const user = await User.findByIdAndUpdate(
         userId,
         { 'storage.preference': preference },
@@ -468,6 +494,90 @@ const userController = {
     }
   },
 
+  /**
+   * Start moving the current user's audio to another storage backend
+   */
+  async startStorageMigration(req, res) {
+    try {
+      const user = req.user;
+      const targetType =
+        req.body.targetType || (await storageService.getUserStorageType(user));
+
+      if (!storageService.getAvailableTypes().includes(targetType)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Storage type is not configured on this server'
+        });
+      }
+
+      if (
+        targetType === STORAGE_TYPES.GOOGLE_DRIVE &&
+        !user.hasGoogleDriveToken()
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: 'Connect Google Drive before moving audio to it'
+        });
+      }
+
+      if (await StorageMigration.findActive(user._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A storage migration is already in progress'
+        });
+      }
+
+      const migration = await storageMigrationService.startMigration(
+        user._id,
+        targetType
+      );
+
+      // New uploads should land where the existing audio is going
+      await User.updateOne(
+        { _id: user._id },
+        { 'storage.preference': targetType }
+      );
+
+      res.status(202).json({
+        success: true,
+        message: 'Storage migration started',
+        data: {
+          migration
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to start storage migration:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start storage migration',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get progress of the current user's latest storage migration
+   */
+  async getStorageMigration(req, res) {
+    try {
+      const migration = await StorageMigration.findLatest(req.user._id);
+
+      res.json({
+        success: true,
+        data: {
+          migration
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to get storage migration:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get storage migration',
+        error: error.message
+      });
+    }
+  },
+
   /**
    * Upload avatar (placeholder)
    */
@@ -523,6 +633,73 @@ const userController = {
         error: error.message
       });
     }
+  },
+
+  /**
+   * Mute a user's posts in the current user's feed
+   */
+  async muteUser(req, res) {
+    try {
+      const { userId } = req.params;
+      const currentUserId = req.user._id;
+
+      if (currentUserId.equals(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot mute yourself'
+        });
+      }
+
+      const user = await User.findById(userId).select('_id isActive');
+      if (!user || !user.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      await feedService.setUserMuted(currentUserId, user._id, true);
+
+      logger.info('User muted:', { userId: currentUserId, mutedUserId: userId });
+
+      res.json({
+        success: true,
+        message: 'User muted'
+      });
+    } catch (error) {
+      logger.error('Failed to mute user:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to mute user',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Unmute a user's posts in the current user's feed
+   */
+  async unmuteUser(req, res) {
+    try {
+      const { userId } = req.params;
+      const currentUserId = req.user._id;
+
+      await feedService.setUserMuted(currentUserId, userId, false);
+
+      logger.info('User unmuted:', { userId: currentUserId, mutedUserId: userId });
+
+      res.json({
+        success: true,
+        message: 'User unmuted'
+      });
+    } catch (error) {
+      logger.error('Failed to unmute user:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unmute user',
+        error: error.message
+      });
+    }
   }
 };
 
@@ -0,0 +1,269 @@
+import fs from 'fs';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import audioService from '../services/audioService.js';
+import jobQueueService from '../services/jobQueueService.js';
+import storageService from '../services/storageService.js';
+import transcriptionService from '../services/transcriptionService.js';
+import audioUtils from '../utils/audioUtils.js';
+import {
+  AUDIO_STATUSES,
+  JOB_TYPES,
+  TRANSCRIPTION_STATUSES,
+} from '../utils/constants.js';
+import { logger } from '../utils/logger.js';
+
+const TARGET_MODELS = {
+  post: Post,
+  comment: Comment,
+};
+
+/**
+ * Load the post or comment an audio job belongs to
+ * @param {string} targetType - 'post' or 'comment'
+ * @param {string} targetId - Document ID
+ * @returns {Promise<Object|null>} Active document, or null if gone
+ */
+const findTarget = async (targetType, targetId) => {
+  const Model = TARGET_MODELS[targetType];
+  if (!Model) {
+    throw new Error(`Unknown audio target type: ${targetType}`);
+  }
+
+  const target = await Model.findById(targetId);
+  return target && target.isActive ? target : null;
+};
+
+/**
+ * Give up on a post whose audio could not be stored: take it down and
+ * undo what creating it added to the author's stats
+ * @param {Object} post - Post whose audio is processing
+ * @param {string} filePath - Spooled upload
+ */
+const failPostAudio = async (post, filePath) => {
+  await Post.updateOne(
+    { _id: post._id },
+    { $set: { 'audio.status': AUDIO_STATUSES.FAILED, isActive: false } }
+  );
+  await User.updateOne(
+    { _id: post.authorId },
+    {
+      $inc: {
+        'stats.postCount': -1,
+        'stats.audioMinutes': -Math.floor(post.audio.duration / 60),
+      },
+    }
+  );
+  await audioUtils.removeSpooledFile(filePath);
+};
+
+/**
+ * Transcode and store audio that was uploaded with its post, then tell the
+ * author's connections about the post
+ * @param {Object} post - Post whose audio is processing
+ * @param {string} filePath - Spooled upload
+ * @param {Object} file - The upload's { originalname, mimetype, size }
+ * @param {Object} job - Job document
+ */
+const storePostAudio = async (post, filePath, file, job) => {
+  const author = await User.findById(post.authorId);
+
+  let audio;
+  let userToken;
+  try {
+    // Wherever the author uploads to now, in case they moved storage since
+    const storageTarget = await storageService.getUploadTarget(author);
+    if (!storageTarget) {
+      throw new Error('Author has no storage to upload to');
+    }
+    userToken = storageTarget.userToken;
+
+    audio = await audioService.processAudio(
+      { ...file, path: filePath },
+      post.authorId,
+      storageTarget.storageType,
+      userToken
+    );
+  } catch (error) {
+    // Only give up on the post once the queue stops retrying
+    if (job.attempts >= job.maxAttempts) {
+      await failPostAudio(post, filePath);
+    }
+    throw error;
+  }
+
+  const { modifiedCount } = await Post.updateOne(
+    { _id: post._id, isActive: true, 'audio.status': AUDIO_STATUSES.PROCESSING },
+    { $set: { audio: { ...audio, status: AUDIO_STATUSES.READY } } }
+  );
+
+  // Deleted while transcoding
+  if (modifiedCount === 0) {
+    await audioService.deleteAudio(audio, post.authorId, userToken);
+    return false;
+  }
+
+  await jobQueueService.enqueue(JOB_TYPES.NEW_POST_FANOUT, {
+    authorId: post.authorId,
+    authorName: author.username,
+    postTitle: post.content.title,
+    postId: post._id,
+  });
+
+  logger.info('Post audio stored:', {
+    postId: post._id,
+    duration: audio.duration,
+  });
+
+  return true;
+};
+
+/**
+ * Store audio still waiting to be transcoded, or probe stored audio and
+ * correct its metadata, then queue transcription
+ * @param {Object} payload - Job payload
+ * @param {Object} job - Job document
+ */
+export const processAudio = async (
+  { targetType, targetId, filePath, file },
+  job
+) => {
+  const target = await findTarget(targetType, targetId);
+  if (!target) {
+    await audioUtils.removeSpooledFile(filePath);
+    return;
+  }
+
+  if (!fs.existsSync(filePath)) {
+    // Audio that was never stored is lost with its spool (cleaned up after
+    // a day, or on another host), so retrying cannot bring the post back
+    if (target.audio.status === AUDIO_STATUSES.PROCESSING) {
+      await failPostAudio(target, filePath);
+      logger.warn('Spooled post audio missing, post taken down:', {
+        postId: targetId,
+      });
+      return;
+    }
+    throw new Error('Spooled audio file not found');
+  }
+
+  if (target.audio.status === AUDIO_STATUSES.PROCESSING) {
+    // Transcoding measured the duration as well
+    if (!(await storePostAudio(target, filePath, file, job))) {
+      await audioUtils.removeSpooledFile(filePath);
+      return;
+    }
+  } else {
+    const duration = Math.round(await audioUtils.getAudioDuration(filePath));
+
+    if (duration > 0 && duration !== target.audio.duration) {
+      await TARGET_MODELS[targetType].updateOne(
+        { _id: targetId },
+        { $set: { 'audio.duration': duration } }
+      );
+
+      logger.info('Audio duration corrected:', {
+        targetType,
+        targetId,
+        from: target.audio.duration,
+        to: duration,
+      });
+    }
+  }
+
+  await jobQueueService.enqueue(JOB_TYPES.AUDIO_TRANSCRIBE, {
+    targetType,
+    targetId,
+    filePath,
+  });
+};
+
+/**
+ * Update the transcription status of a post or comment
+ * @param {string} targetType - 'post' or 'comment'
+ * @param {string} targetId - Document ID
+ * @param {string} status - Transcription status
+ * @param {Object} fields - Extra content fields to set
+ */
+const setTranscription = (targetType, targetId, status, fields = {}) => {
+  const update = { 'content.transcriptionStatus': status };
+
+  for (const [key, value] of Object.entries(fields)) {
+    update[`content.${key}`] = value;
+  }
+
+  return TARGET_MODELS[targetType].updateOne(
+    { _id: targetId },
+    { $set: update }
+  );
+};
+
+/**
+ * Transcribe the uploaded audio and store text, word timings and detected
+ * language on the post or comment
+ * @param {Object} payload - Job payload
+ * @param {Object} job - Job document
+ */
+export const transcribeAudio = async (
+  { targetType, targetId, filePath },
+  job
+) => {
+  const target = await findTarget(targetType, targetId);
+  if (!target) {
+    await audioUtils.removeSpooledFile(filePath);
+    return;
+  }
+
+  if (!transcriptionService.isEnabled()) {
+    await setTranscription(
+      targetType,
+      targetId,
+      TRANSCRIPTION_STATUSES.SKIPPED
+    );
+    await audioUtils.removeSpooledFile(filePath);
+    return;
+  }
+
+  await setTranscription(
+    targetType,
+    targetId,
+    TRANSCRIPTION_STATUSES.PROCESSING
+  );
+
+  let result;
+  try {
+    result = await transcriptionService.transcribeAudio(filePath);
+  } catch (error) {
+    // Only give up on the document once the queue stops retrying
+    if (job.attempts >= job.maxAttempts) {
+      await setTranscription(
+        targetType,
+        targetId,
+        TRANSCRIPTION_STATUSES.FAILED
+      );
+      await audioUtils.removeSpooledFile(filePath);
+    }
+    throw error;
+  }
+
+  await setTranscription(
+    targetType,
+    targetId,
+    TRANSCRIPTION_STATUSES.COMPLETED,
+    {
+      transcription: result.text,
+      transcriptionWords: result.words,
+      ...(result.language && { language: result.language }),
+    }
+  );
+
+  await audioUtils.removeSpooledFile(filePath);
+
+  logger.info('Audio transcription stored:', {
+    targetType,
+    targetId,
+    engine: result.engine,
+    language: result.language,
+  });
+};
@@ -0,0 +1,34 @@
+import jobQueueService from '../services/jobQueueService.js';
+import notificationService from '../services/notificationService.js';
+import trendingService from '../services/trendingService.js';
+import storageMigrationService from '../services/storageMigrationService.js';
+import accountService from '../services/accountService.js';
+import uploadService from '../services/uploadService.js';
+import { processAudio, transcribeAudio } from './audioJobs.js';
+import { JOB_TYPES } from '../utils/constants.js';
+
+/**
+ * Register a handler for every job type the worker knows how to run
+ */
+export const registerJobHandlers = () => {
+  jobQueueService.registerHandler(JOB_TYPES.NOTIFICATION_DELIVER, (payload) =>
+    notificationService.processNotification(payload)
+  );
+  jobQueueService.registerHandler(JOB_TYPES.NEW_POST_FANOUT, (payload) =>
+    notificationService.fanOutNewPost(payload)
+  );
+  jobQueueService.registerHandler(JOB_TYPES.AUDIO_PROCESS, processAudio);
+  jobQueueService.registerHandler(JOB_TYPES.AUDIO_TRANSCRIBE, transcribeAudio);
+  jobQueueService.registerHandler(JOB_TYPES.UPLOAD_PROCESS, (payload, job) =>
+    uploadService.processUpload(payload, job)
+  );
+  jobQueueService.registerHandler(JOB_TYPES.TRENDING_COMPUTE, (payload) =>
+    trendingService.computeSnapshot(payload.window)
+  );
+  jobQueueService.registerHandler(JOB_TYPES.STORAGE_MIGRATE, (payload, job) =>
+    storageMigrationService.runBatch(payload, job)
+  );
+  jobQueueService.registerHandler(JOB_TYPES.ACCOUNT_EMAIL, (payload) =>
+    accountService.sendAccountEmail(payload)
+  );
+};
@@ -1,6 +1,16 @@
-import { verifyAccessToken, verifyRefreshToken } from '../config/auth.js';
+import {
+  verifyAccessToken,
+  verifyRefreshToken,
+  verifyMediaToken,
+} from '../config/auth.js';
 import User from '../models/User.js';
-import { logger } from '../utils/logger.js';
+import sessionService from '../services/sessionService.js';
+import {
+  DRIVE_CONNECTION_STATUSES,
+  MEDIA_TYPES,
+  USER_ROLES,
+} from '../utils/constants.js';
+import { logger, logSecurityEvent } from '../utils/logger.js';
 
 const verifyToken = async (req, res, next) => {
   try {
@@ -14,6 +24,15 @@ const verifyToken = async (req, res, next) => {
     }
 
     const decoded = verifyAccessToken(token);
+    const session = await sessionService.getTokenSession(decoded);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked.',
+      });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
 
     if (!user || !user.isActive) {
@@ -27,7 +46,21 @@ const verifyToken = async (req, res, next) => {
     user.lastLogin = new Date();
     await user.save();
 
+    // Keeps "last active" in the device list current; never holds up the request
+    sessionService.touch(session).catch((error) => {
+      logger.error('Failed to update session activity:', {
+        sessionId: session._id,
+        error: error.message,
+      });
+    });
+
     req.user = user;
+    // The session and token behind this request, e.g. to log it out
+    req.auth = {
+      sessionId: decoded.sid,
+      tokenId: decoded.jti,
+      expiresAt: new Date(decoded.exp * 1000),
+    };
     next();
   } catch (error) {
     logger.error('Token verification failed:', error);
@@ -44,6 +77,10 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = verifyAccessToken(token);
+      if (!(await sessionService.getTokenSession(decoded))) {
+        return next();
+      }
+
       const user = await User.findById(decoded.userId).select('-password');
       if (user && user.isActive) {
         req.user = user;
@@ -57,6 +94,35 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Optional auth for media routes. <audio> elements cannot set headers, so
+// the user arrives as a media token for this very file (see
+// generateMediaToken) in the query; access tokens are not accepted here.
+const mediaAuth = (purpose, param) => async (req, res, next) => {
+  try {
+    const { token } = req.query;
+
+    if (typeof token === 'string') {
+      const decoded = verifyMediaToken(token, purpose, req.params[param]);
+      if (!(await sessionService.getTokenSession(decoded))) {
+        return next();
+      }
+
+      const user = await User.findById(decoded.userId).select('-password');
+      if (user && user.isActive) {
+        req.user = user;
+      }
+    }
+
+    next();
+  } catch (error) {
+    // Continue without user, as for optional auth
+    next();
+  }
+};
+
+const postAudioAuth = mediaAuth(MEDIA_TYPES.POST_AUDIO, 'postId');
+const commentAudioAuth = mediaAuth(MEDIA_TYPES.COMMENT_AUDIO, 'commentId');
+
 const verifyRefreshTokenMiddleware = async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
@@ -92,22 +158,20 @@ const verifyRefreshTokenMiddleware = async (req, res, next) => {
 // Middleware to check if user has Google Drive connected
 const requireGoogleDrive = async (req, res, next) => {
   try {
-    if (!req.user.storage.googleDriveToken) {
-      return res.status(400).json({
-        success: false,
-        message:
-          'Google Drive connection required. Please connect your Google Drive account.',
-      });
-    }
+    if (!req.user.hasGoogleDriveToken()) {
+      const revoked =
+        req.user.storage.googleDriveHealth?.status ===
+        DRIVE_CONNECTION_STATUSES.RECONNECT_REQUIRED;
 
-    // Check if token is expired
-    if (req.user.isGoogleDriveTokenExpired()) {
       return res.status(400).json({
         success: false,
-        message: 'Google Drive token expired. Please reconnect your account.',
+        message: revoked
+          ? 'Google Drive access was revoked. Please reconnect your account.'
+          : 'Google Drive connection required. Please connect your Google Drive account.',
       });
     }
 
+    // Expired tokens are refreshed by the token manager when used
     next();
   } catch (error) {
     logger.error('Google Drive verification failed:', error);
@@ -118,6 +182,19 @@ const requireGoogleDrive = async (req, res, next) => {
   }
 };
 
+// Middleware to keep accounts with an unconfirmed email address from
+// posting
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.isEmailVerified()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before posting.',
+    });
+  }
+
+  next();
+};
+
 // Middleware to check if users are connected
 const requireConnection = async (req, res, next) => {
   try {
@@ -181,11 +258,33 @@ const isResourceOwner = (resourceIdField = 'userId') => {
   };
 };
 
+// Middleware to restrict a route to administrators
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== USER_ROLES.ADMIN) {
+    logSecurityEvent('admin_access_denied', {
+      userId: req.user?._id,
+      path: req.originalUrl,
+      ip: req.ip,
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'Administrator access required.',
+    });
+  }
+
+  next();
+};
+
 export {
   verifyToken,
   optionalAuth,
+  postAudioAuth,
+  commentAudioAuth,
   verifyRefreshTokenMiddleware as verifyRefreshToken,
   requireGoogleDrive,
+  requireVerifiedEmail,
   requireConnection,
   isResourceOwner,
+  requireAdmin,
 };
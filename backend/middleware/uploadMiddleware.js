@@ -68,6 +68,11 @@ export const handleAudioUpload = (req, res, next) => {
     }
 
     if (!req.file) {
+      // Audio sent earlier through a resumable upload (see /api/uploads)
+      if (req.body?.uploadId) {
+        return next();
+      }
+
       return res.status(400).json({
         success: false,
         message: 'No audio file provided',
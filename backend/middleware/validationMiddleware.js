@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { JOB_TYPES, STORAGE_TYPES } from '../utils/constants.js';
 import { logger } from '../utils/logger.js';
 
 // Validation schemas
@@ -56,6 +57,112 @@ const schemas = {
       })
   }),
 
+  // Link token from a verification email
+  verifyEmail: Joi.object({
+    token: Joi.string()
+      .max(2000)
+      .required()
+      .messages({
+        'any.required': 'Verification token is required'
+      })
+  }),
+
+  // Password reset request
+  forgotPassword: Joi.object({
+    email: Joi.string()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Please enter a valid email address',
+        'any.required': 'Email is required'
+      })
+  }),
+
+  // New password from a reset link
+  resetPassword: Joi.object({
+    token: Joi.string()
+      .max(2000)
+      .required()
+      .messages({
+        'any.required': 'Reset token is required'
+      }),
+    password: Joi.string()
+      .min(6)
+      .max(128)
+      .required()
+      .messages({
+        'string.min': 'Password must be at least 6 characters',
+        'string.max': 'Password cannot exceed 128 characters',
+        'any.required': 'Password is required'
+      })
+  }),
+
+  // Second login step: a TOTP code or a recovery code
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string()
+      .max(2000)
+      .required()
+      .messages({
+        'any.required': 'Challenge token is required'
+      }),
+    code: Joi.string()
+      .trim()
+      .max(20)
+      .required()
+      .messages({
+        'any.required': 'Verification code is required'
+      })
+  }),
+
+  // Code from the authenticator app confirming two-factor setup
+  enableTwoFactor: Joi.object({
+    code: Joi.string()
+      .trim()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Verification code must be 6 digits',
+        'any.required': 'Verification code is required'
+      })
+  }),
+
+  // Reauthentication before changing two-factor settings
+  twoFactorReauth: Joi.object({
+    password: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Password is required'
+      }),
+    code: Joi.string()
+      .trim()
+      .max(20)
+      .required()
+      .messages({
+        'any.required': 'Verification code is required'
+      })
+  }),
+
+  // Starting Google sign-in, optionally connecting Drive in the same consent
+  googleAuthUrlQuery: Joi.object({
+    includeDrive: Joi.boolean().optional()
+  }),
+
+  // Code and state Google returned to the callback page
+  googleAuthCallback: Joi.object({
+    code: Joi.string()
+      .max(2000)
+      .required()
+      .messages({
+        'any.required': 'Authorization code is required'
+      }),
+    state: Joi.string()
+      .max(2000)
+      .required()
+      .messages({
+        'any.required': 'State is required'
+      })
+  }),
+
   // User profile update
   updateProfile: Joi.object({
     displayName: Joi.string()
@@ -98,6 +205,53 @@ const schemas = {
 
   // Post creation
   createPost: Joi.object({
+    title: Joi.string()
+      .max(200)
+      .optional()
+      .messages({
+        'string.max': 'Title cannot exceed 200 characters'
+      }),
+    tags: Joi.array()
+      .items(
+        Joi.string()
+          .max(30)
+          .pattern(/^[a-zA-Z0-9_\-]+$/)
+      )
+      .max(10)
+      .optional()
+      .messages({
+        'array.max': 'Maximum 10 tags allowed',
+        'string.max': 'Tags cannot exceed 30 characters',
+        'string.pattern.base': 'Tags can only contain letters, numbers, hyphens, and underscores'
+      }),
+    // Finalized resumable upload to use instead of a multipart file
+    uploadId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid upload ID'
+      }),
+    privacy: Joi.string()
+      .valid('public', 'connections_only', 'private', 'audience')
+      .optional()
+      .messages({
+        'any.only': 'Privacy must be one of: public, connections_only, private, audience'
+      }),
+    audienceId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .when('privacy', {
+        is: 'audience',
+        then: Joi.required(),
+        otherwise: Joi.optional()
+      })
+      .messages({
+        'any.required': 'An audience is required for audience posts',
+        'string.pattern.base': 'Invalid audience ID'
+      })
+  }),
+
+  // Same rules as createPost, for the fields an author can change
+  updatePost: Joi.object({
     title: Joi.string()
       .max(200)
       .optional()
@@ -118,13 +272,73 @@ const schemas = {
         'string.pattern.base': 'Tags can only contain letters, numbers, hyphens, and underscores'
       }),
     privacy: Joi.string()
-      .valid('public', 'connections_only', 'private')
+      .valid('public', 'connections_only', 'private', 'audience')
       .optional()
       .messages({
-        'any.only': 'Privacy must be one of: public, connections_only, private'
+        'any.only': 'Privacy must be one of: public, connections_only, private, audience'
+      }),
+    audienceId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .when('privacy', {
+        is: 'audience',
+        then: Joi.required(),
+        otherwise: Joi.optional()
+      })
+      .messages({
+        'any.required': 'An audience is required for audience posts',
+        'string.pattern.base': 'Invalid audience ID'
       })
   }),
 
+  // Audience lists
+  createAudience: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(50)
+      .required()
+      .messages({
+        'string.empty': 'Audience name is required',
+        'string.max': 'Audience name cannot exceed 50 characters'
+      }),
+    memberIds: Joi.array()
+      .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+      .max(500)
+      .unique()
+      .optional()
+      .messages({
+        'array.max': 'An audience cannot have more than 500 members',
+        'array.unique': 'Duplicate audience members',
+        'string.pattern.base': 'Invalid member ID'
+      })
+  }),
+
+  updateAudience: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(50)
+      .optional()
+      .messages({
+        'string.empty': 'Audience name cannot be empty',
+        'string.max': 'Audience name cannot exceed 50 characters'
+      }),
+    memberIds: Joi.array()
+      .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+      .max(500)
+      .unique()
+      .optional()
+      .messages({
+        'array.max': 'An audience cannot have more than 500 members',
+        'array.unique': 'Duplicate audience members',
+        'string.pattern.base': 'Invalid member ID'
+      })
+  })
+    .min(1)
+    .messages({
+      'object.min': 'Nothing to update'
+    }),
+
   // Comment creation
   createComment: Joi.object({
     parentCommentId: Joi.string()
@@ -132,6 +346,12 @@ const schemas = {
       .optional()
       .messages({
         'string.pattern.base': 'Invalid parent comment ID'
+      }),
+    uploadId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid upload ID'
       })
   }),
 
@@ -196,7 +416,209 @@ const schemas = {
       })
   }),
 
+  // Full-text search
+  search: Joi.object({
+    q: Joi.string()
+      .trim()
+      .min(2)
+      .max(100)
+      .required()
+      .messages({
+        'string.min': 'Search query must be at least 2 characters',
+        'string.max': 'Search query cannot exceed 100 characters',
+        'any.required': 'Search query is required'
+      }),
+    type: Joi.string()
+      .valid('all', 'posts', 'comments', 'users')
+      .default('all')
+      .optional()
+      .messages({
+        'any.only': 'Type must be all, posts, comments or users'
+      }),
+    limit: Joi.number()
+      .min(1)
+      .max(50)
+      .default(20)
+      .optional()
+      .messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 50'
+      }),
+    skip: Joi.number()
+      .min(0)
+      .default(0)
+      .optional()
+      .messages({
+        'number.min': 'Skip must be at least 0'
+      })
+  }),
+
+  // Notification listing
+  notificationQuery: Joi.object({
+    limit: Joi.number()
+      .min(1)
+      .max(100)
+      .default(20)
+      .optional()
+      .messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    cursor: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid cursor'
+      }),
+    unread: Joi.boolean()
+      .optional()
+  }),
+
   // Pagination
+  feedQuery: Joi.object({
+    mode: Joi.string()
+      .valid('latest', 'top')
+      .optional()
+      .messages({
+        'any.only': 'Mode must be one of: latest, top'
+      }),
+    cursor: Joi.string()
+      .max(500)
+      .optional(),
+    limit: Joi.number()
+      .min(1)
+      .max(50)
+      .optional()
+      .messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 50'
+      })
+  }),
+
+  commentTreeQuery: Joi.object({
+    sort: Joi.string()
+      .valid('top', 'new')
+      .optional()
+      .messages({
+        'any.only': 'Sort must be one of: top, new'
+      }),
+    cursor: Joi.string()
+      .max(500)
+      .optional(),
+    limit: Joi.number()
+      .min(1)
+      .max(50)
+      .optional()
+      .messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 50'
+      }),
+    replies: Joi.number()
+      .integer()
+      .min(0)
+      .max(10)
+      .optional()
+      .messages({
+        'number.max': 'Cannot inline more than 10 replies per comment'
+      }),
+    depth: Joi.number()
+      .integer()
+      .min(0)
+      .max(5)
+      .optional()
+      .messages({
+        'number.max': 'Depth cannot exceed 5'
+      })
+  }),
+
+  trendingQuery: Joi.object({
+    window: Joi.string()
+      .valid('1h', '24h', '7d')
+      .optional()
+      .messages({
+        'any.only': 'Window must be one of: 1h, 24h, 7d'
+      }),
+    limit: Joi.number()
+      .min(1)
+      .max(100)
+      .optional()
+      .messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    skip: Joi.number()
+      .min(0)
+      .optional()
+      .messages({
+        'number.min': 'Skip must be at least 0'
+      })
+  }),
+
+  recordListen: Joi.object({
+    completed: Joi.boolean().optional()
+  }),
+
+  storagePreference: Joi.object({
+    preference: Joi.string()
+      .valid(...Object.values(STORAGE_TYPES))
+      .required()
+      .messages({
+        'any.only': 'Invalid storage preference'
+      })
+  }),
+
+  storageMigration: Joi.object({
+    targetType: Joi.string()
+      .valid(...Object.values(STORAGE_TYPES))
+      .optional()
+      .messages({
+        'any.only': 'Invalid storage type'
+      })
+  }),
+
+  createUpload: Joi.object({
+    fileName: Joi.string()
+      .max(255)
+      .pattern(/\.(mp3|wav|webm|ogg)$/i)
+      .required()
+      .messages({
+        'string.pattern.base': 'Unsupported file extension'
+      }),
+    mimeType: Joi.string().required(),
+    size: Joi.number()
+      .integer()
+      .min(1)
+      .required(),
+    checksum: Joi.string()
+      .pattern(/^[0-9a-fA-F]{64}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Checksum must be a SHA-256 hex digest'
+      })
+  }),
+
+  uploadChunkQuery: Joi.object({
+    offset: Joi.number()
+      .integer()
+      .min(0)
+      .required(),
+    checksum: Joi.string()
+      .pattern(/^[0-9a-fA-F]{64}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Checksum must be a SHA-256 hex digest'
+      })
+  }),
+
+  storageDefault: Joi.object({
+    type: Joi.string()
+      .valid(...Object.values(STORAGE_TYPES))
+      .required()
+      .messages({
+        'any.only': 'Invalid storage type'
+      })
+  }),
+
   pagination: Joi.object({
     limit: Joi.number()
       .min(1)
@@ -214,6 +636,32 @@ const schemas = {
       .messages({
         'number.min': 'Skip must be at least 0'
       })
+  }),
+
+  // Dead-lettered job listing
+  jobQuery: Joi.object({
+    limit: Joi.number()
+      .min(1)
+      .max(100)
+      .default(20)
+      .optional()
+      .messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    skip: Joi.number()
+      .min(0)
+      .default(0)
+      .optional()
+      .messages({
+        'number.min': 'Skip must be at least 0'
+      }),
+    type: Joi.string()
+      .valid(...Object.values(JOB_TYPES))
+      .optional()
+      .messages({
+        'any.only': 'Unknown job type'
+      })
   })
 };
 
@@ -288,15 +736,38 @@ const validateQuery = (schema) => {
 // Route-specific validation middleware
 const validateRegister = validate(schemas.register);
 const validateLogin = validate(schemas.login);
+const validateVerifyEmail = validate(schemas.verifyEmail);
+const validateForgotPassword = validate(schemas.forgotPassword);
+const validateResetPassword = validate(schemas.resetPassword);
+const validateTwoFactorLogin = validate(schemas.twoFactorLogin);
+const validateEnableTwoFactor = validate(schemas.enableTwoFactor);
+const validateTwoFactorReauth = validate(schemas.twoFactorReauth);
+const validateGoogleAuthUrl = validateQuery(schemas.googleAuthUrlQuery);
+const validateGoogleAuthCallback = validate(schemas.googleAuthCallback);
 const validateUpdateProfile = validate(schemas.updateProfile);
 const validateConnectionRequest = validate(schemas.connectionRequest);
 const validateCreatePost = validate(schemas.createPost);
+const validateUpdatePost = validate(schemas.updatePost);
 const validateCreateComment = validate(schemas.createComment);
+const validateCreateAudience = validate(schemas.createAudience);
+const validateUpdateAudience = validate(schemas.updateAudience);
 const validateContactRevealRequest = validate(schemas.contactRevealRequest);
 const validateConnectionResponse = validate(schemas.connectionResponse);
 const validateContactRevealResponse = validate(schemas.contactRevealResponse);
 const validateUserSearch = validateQuery(schemas.userSearch);
+const validateSearch = validateQuery(schemas.search);
 const validatePagination = validateQuery(schemas.pagination);
+const validateFeedQuery = validateQuery(schemas.feedQuery);
+const validateTrendingQuery = validateQuery(schemas.trendingQuery);
+const validateCommentTreeQuery = validateQuery(schemas.commentTreeQuery);
+const validateRecordListen = validate(schemas.recordListen);
+const validateStoragePreference = validate(schemas.storagePreference);
+const validateStorageDefault = validate(schemas.storageDefault);
+const validateStorageMigration = validate(schemas.storageMigration);
+const validateCreateUpload = validate(schemas.createUpload);
+const validateUploadChunk = validateQuery(schemas.uploadChunkQuery);
+const validateNotificationQuery = validateQuery(schemas.notificationQuery);
+const validateJobQuery = validateQuery(schemas.jobQuery);
 
 // Object ID validation middleware
 const validateObjectId = (paramName = 'id') => {
@@ -317,15 +788,38 @@ const validateObjectId = (paramName = 'id') => {
 export {
   validateRegister,
   validateLogin,
+  validateVerifyEmail,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorLogin,
+  validateEnableTwoFactor,
+  validateTwoFactorReauth,
+  validateGoogleAuthUrl,
+  validateGoogleAuthCallback,
   validateUpdateProfile,
   validateConnectionRequest,
   validateCreatePost,
+  validateUpdatePost,
   validateCreateComment,
+  validateCreateAudience,
+  validateUpdateAudience,
   validateContactRevealRequest,
   validateConnectionResponse,
   validateContactRevealResponse,
   validateUserSearch,
+  validateSearch,
   validatePagination,
+  validateFeedQuery,
+  validateTrendingQuery,
+  validateCommentTreeQuery,
+  validateRecordListen,
+  validateStoragePreference,
+  validateStorageDefault,
+  validateStorageMigration,
+  validateCreateUpload,
+  validateUploadChunk,
+  validateNotificationQuery,
+  validateJobQuery,
   validateObjectId,
   schemas
 };
\ No newline at end of file
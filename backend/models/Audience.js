@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { AUDIENCE_LIMITS } from '../utils/constants.js';
+
+const audienceSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Audience name is required'],
+      trim: true,
+      maxlength: [50, 'Audience name cannot exceed 50 characters'],
+    },
+    memberIds: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      ],
+      validate: {
+        validator: (members) => members.length <= AUDIENCE_LIMITS.MAX_MEMBERS,
+        message: `An audience cannot have more than ${AUDIENCE_LIMITS.MAX_MEMBERS} members`,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+audienceSchema.index({ ownerId: 1, name: 1 }, { unique: true });
+audienceSchema.index({ memberIds: 1 });
+
+// Method to check if a user is in the audience
+audienceSchema.methods.hasMember = function (userId) {
+  return this.memberIds.some((memberId) => memberId.equals(userId));
+};
+
+// Static method to find the audiences a user belongs to
+audienceSchema.statics.findIdsForMember = function (userId) {
+  return this.distinct('_id', { memberIds: userId });
+};
+
+// Static method to drop two users from each other's audiences
+// (used when a connection is removed or blocked)
+audienceSchema.statics.removeBetween = function (userId1, userId2) {
+  return Promise.all([
+    this.updateMany({ ownerId: userId1 }, { $pull: { memberIds: userId2 } }),
+    this.updateMany({ ownerId: userId2 }, { $pull: { memberIds: userId1 } }),
+  ]);
+};
+
+export default mongoose.model('Audience', audienceSchema);
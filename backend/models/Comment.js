@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import {
+  COMMENT_LIMITS,
+  STORAGE_TYPES,
+  TRANSCRIPTION_STATUSES,
+} from '../utils/constants.js';
 
 const commentSchema = new mongoose.Schema(
   {
@@ -19,7 +24,7 @@ const commentSchema = new mongoose.Schema(
     audio: {
       storageType: {
         type: String,
-        enum: ['google_drive'],
+        enum: Object.values(STORAGE_TYPES),
         required: true,
       },
       fileId: {
@@ -43,9 +48,45 @@ const commentSchema = new mongoose.Schema(
         type: Number,
         required: true,
       },
+      // Transcoded copies, canonical first (matching fileId and format).
+      // Empty for audio uploaded before transcoding was added
+      renditions: [
+        {
+          _id: false,
+          format: String,
+          mimeType: String,
+          fileId: String,
+          fileSize: Number,
+        },
+      ],
+      // Peak and RMS envelopes (0-255) at a few bar counts, so players
+      // can draw the waveform before any audio loads
+      waveforms: [
+        {
+          _id: false,
+          resolution: Number,
+          peaks: [Number],
+          rms: [Number],
+        },
+      ],
     },
     content: {
       transcription: String,
+      transcriptionStatus: {
+        type: String,
+        enum: Object.values(TRANSCRIPTION_STATUSES),
+        default: TRANSCRIPTION_STATUSES.PENDING,
+      },
+      // Word-level timings in seconds, used to highlight along with playback
+      transcriptionWords: [
+        {
+          _id: false,
+          word: String,
+          start: Number,
+          end: Number,
+        },
+      ],
+      language: String,
     },
     depth: {
       type: Number,
@@ -64,6 +105,14 @@ const commentSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    toJSON: {
+      // Storage links are never sent to clients; audio plays through
+      // the authorized /audio endpoint
+      transform: (doc, ret) => {
+        if (ret.audio) delete ret.audio.url;
+        return ret;
+      },
+    },
   }
 );
 
@@ -74,6 +123,12 @@ commentSchema.index({ parentCommentId: 1 });
 commentSchema.index({ depth: 1, createdAt: 1 });
 commentSchema.index({ isActive: 1, createdAt: -1 });
 
+// Full-text search over transcripts
+commentSchema.index(
+  { 'content.transcription': 'text' },
+  { name: 'comment_text_search' }
+);
+
 // Virtual for like count
 commentSchema.virtual('likeCount').get(function () {
   return this.likedBy.length;
@@ -119,10 +174,12 @@ commentSchema.pre('save', async function (next) {
       if (parentComment) {
         this.depth = parentComment.depth + 1;
 
-        // Limit nesting depth to 5 levels
-        if (this.depth > 5) {
+        // Limit nesting depth
+        if (this.depth > COMMENT_LIMITS.MAX_DEPTH) {
           return next(
-            new Error('Comment nesting depth cannot exceed 5 levels')
+            new Error(
+              `Comment nesting depth cannot exceed ${COMMENT_LIMITS.MAX_DEPTH} levels`
+            )
           );
         }
       }
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Per-user feed filters, kept off the User document so it stays small
+const feedPreferenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    hiddenPostIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+      },
+    ],
+    mutedUserIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to get a user's preferences (empty lists when none saved)
+feedPreferenceSchema.statics.findForUser = async function (userId) {
+  const preferences = await this.findOne({ userId });
+
+  return {
+    hiddenPostIds: preferences?.hiddenPostIds || [],
+    mutedUserIds: preferences?.mutedUserIds || [],
+  };
+};
+
+export default mongoose.model('FeedPreference', feedPreferenceSchema);
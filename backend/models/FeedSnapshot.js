@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import config from '../config/environment.js';
+import { TIME } from '../utils/constants.js';
+
+// A viewer's "top" feed as ranked for its first page. Later pages read
+// this order, so engagement in the meantime can't move posts between pages.
+const feedSnapshotSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    asOf: {
+      type: Date,
+      required: true,
+    },
+    posts: [
+      {
+        _id: false,
+        postId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Post',
+        },
+        score: Number,
+      },
+    ],
+    expiresAt: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + config.FEED_SNAPSHOT_TTL_MINUTES * TIME.MINUTE),
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// TTL index - MongoDB removes old snapshots once expiresAt has passed
+feedSnapshotSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('FeedSnapshot', feedSnapshotSchema);
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import config from '../config/environment.js';
+import { JOB_TYPES, JOB_STATUSES } from '../utils/constants.js';
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(JOB_TYPES),
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: Object.values(JOB_STATUSES),
+      default: JOB_STATUSES.PENDING,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: () => config.JOB_MAX_ATTEMPTS,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: Date,
+    lockedBy: String,
+    lastError: String,
+    completedAt: Date,
+    failedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+jobSchema.index({ type: 1, status: 1 });
+
+// Completed jobs are only kept around for a week
+jobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+// Static method to atomically claim the next runnable job
+jobSchema.statics.claimNext = function (workerId, types = null) {
+  const query = {
+    status: { $in: [JOB_STATUSES.PENDING, JOB_STATUSES.FAILED] },
+    runAt: { $lte: new Date() },
+  };
+
+  if (types) {
+    query.type = { $in: types };
+  }
+
+  return this.findOneAndUpdate(
+    query,
+    {
+      $set: {
+        status: JOB_STATUSES.PROCESSING,
+        lockedAt: new Date(),
+        lockedBy: workerId,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Static method to release jobs whose worker died mid-run
+jobSchema.statics.releaseStale = function (lockTimeoutMs) {
+  return this.updateMany(
+    {
+      status: JOB_STATUSES.PROCESSING,
+      lockedAt: { $lt: new Date(Date.now() - lockTimeoutMs) },
+    },
+    {
+      $set: { status: JOB_STATUSES.FAILED, lastError: 'Lock timed out' },
+      $unset: { lockedAt: 1, lockedBy: 1 },
+    }
+  );
+};
+
+export default mongoose.model('Job', jobSchema);
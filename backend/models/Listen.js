@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// One document per listener and post; feeds affinity and completion ranking
+const listenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    postId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    playCount: {
+      type: Number,
+      default: 0,
+    },
+    completed: {
+      type: Boolean,
+      default: false,
+    },
+    completedAt: Date,
+    lastListenedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+listenSchema.index({ userId: 1, postId: 1 }, { unique: true });
+listenSchema.index({ userId: 1, authorId: 1, lastListenedAt: -1 });
+
+// Static method to record a play; resolves to true for a first listen
+listenSchema.statics.recordPlay = async function (userId, post) {
+  const previous = await this.findOneAndUpdate(
+    { userId, postId: post._id },
+    {
+      $inc: { playCount: 1 },
+      $set: { lastListenedAt: new Date() },
+      $setOnInsert: { authorId: post.authorId },
+    },
+    { upsert: true }
+  );
+
+  return !previous;
+};
+
+// Static method to mark a listen as played to the end; resolves to true
+// the first time only
+listenSchema.statics.recordCompletion = async function (userId, postId) {
+  const result = await this.updateOne(
+    { userId, postId, completed: false },
+    { $set: { completed: true, completedAt: new Date() } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+export default mongoose.model('Listen', listenSchema);
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import config from '../config/environment.js';
+import { NOTIFICATION_TYPES, TIME } from '../utils/constants.js';
+
+const notificationSchema = new mongoose.Schema(
+  {
+    recipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(NOTIFICATION_TYPES),
+      required: true,
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    postId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+    },
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+    },
+    title: {
+      type: String,
+      required: true,
+      maxlength: [100, 'Title cannot exceed 100 characters'],
+    },
+    message: {
+      type: String,
+      required: true,
+      maxlength: [500, 'Message cannot exceed 500 characters'],
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: Date,
+    expiresAt: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + config.NOTIFICATION_TTL_DAYS * TIME.DAY),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+notificationSchema.index({ recipientId: 1, _id: -1 });
+notificationSchema.index({ recipientId: 1, read: 1, _id: -1 });
+
+// TTL index - MongoDB removes notifications once expiresAt has passed
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to mark notification as read
+notificationSchema.methods.markAsRead = function () {
+  if (!this.read) {
+    this.read = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Static method to find notifications for a recipient (newest first)
+notificationSchema.statics.findForRecipient = function (
+  recipientId,
+  { limit = 20, cursor = null, unreadOnly = false } = {}
+) {
+  const query = { recipientId };
+
+  if (unreadOnly) {
+    query.read = false;
+  }
+
+  // Cursor is the _id of the last notification on the previous page
+  if (cursor) {
+    query._id = { $lt: cursor };
+  }
+
+  return this.find(query)
+    .populate('actorId', 'username profile.displayName profile.avatar')
+    .sort({ _id: -1 })
+    .limit(limit);
+};
+
+// Static method to count unread notifications for a recipient
+notificationSchema.statics.countUnread = function (recipientId) {
+  return this.countDocuments({ recipientId, read: false });
+};
+
+export default mongoose.model('Notification', notificationSchema);
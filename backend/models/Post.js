@@ -1,4 +1,16 @@
 import mongoose from 'mongoose';
+import helpers from '../utils/helpers.js';
+import {
+  AUDIO_STATUSES,
+  POST_PRIVACY,
+  STORAGE_TYPES,
+  TRANSCRIPTION_STATUSES,
+} from '../utils/constants.js';
+
+// Stored file details only exist once the worker has transcoded the audio
+function isAudioStored() {
+  return this.audio?.status !== AUDIO_STATUSES.PROCESSING;
+}
 
 const postSchema = new mongoose.Schema(
   {
@@ -8,18 +20,23 @@ const postSchema = new mongoose.Schema(
       required: true,
     },
     audio: {
+      status: {
+        type: String,
+        enum: Object.values(AUDIO_STATUSES),
+        default: AUDIO_STATUSES.READY,
+      },
       storageType: {
         type: String,
-        enum: ['google_drive'],
+        enum: Object.values(STORAGE_TYPES),
         required: true,
       },
       fileId: {
         type: String,
-        required: true,
+        required: isAudioStored,
       },
       url: {
         type: String,
-        required: true,
+        required: isAudioStored,
       },
       duration: {
         type: Number,
@@ -33,11 +50,46 @@ const postSchema = new mongoose.Schema(
       },
       fileSize: {
         type: Number,
-        required: true,
+        required: isAudioStored,
       },
+      // Transcoded copies, canonical first (matching fileId and format).
+      // Empty for audio uploaded before transcoding was added
+      renditions: [
+        {
+          _id: false,
+          format: String,
+          mimeType: String,
+          fileId: String,
+          fileSize: Number,
+        },
+      ],
+      // Peak and RMS envelopes (0-255) at a few bar counts, so players
+      // can draw the waveform before any audio loads
+      waveforms: [
+        {
+          _id: false,
+          resolution: Number,
+          peaks: [Number],
+          rms: [Number],
+        },
+      ],
     },
     content: {
       transcription: String,
+      transcriptionStatus: {
+        type: String,
+        enum: Object.values(TRANSCRIPTION_STATUSES),
+        default: TRANSCRIPTION_STATUSES.PENDING,
+      },
+      // Word-level timings in seconds, used to highlight along with playback
+      transcriptionWords: [
+        {
+          _id: false,
+          word: String,
+          start: Number,
+          end: Number,
+        },
+      ],
       title: {
         type: String,
         maxlength: [200, 'Title cannot exceed 200 characters'],
@@ -56,14 +108,25 @@ const postSchema = new mongoose.Schema(
     },
     privacy: {
       type: String,
-      enum: ['public', 'connections_only', 'private'],
+      enum: Object.values(POST_PRIVACY),
       default: 'public',
     },
+    // Audience list that may see the post when privacy is 'audience'
+    audienceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Audience',
+      required: function () {
+        return this.privacy === POST_PRIVACY.AUDIENCE;
+      },
+    },
     engagement: {
       likeCount: { type: Number, default: 0 },
       commentCount: { type: Number, default: 0 },
       shareCount: { type: Number, default: 0 },
       listenCount: { type: Number, default: 0 },
+      // Distinct listeners, and how many of them played to the end
+      listenerCount: { type: Number, default: 0 },
+      completionCount: { type: Number, default: 0 },
     },
     isActive: {
       type: Boolean,
@@ -78,6 +141,14 @@ const postSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    toJSON: {
+      // Storage links are never sent to clients; audio plays through
+      // the authorized /audio endpoint
+      transform: (doc, ret) => {
+        if (ret.audio) delete ret.audio.url;
+        return ret;
+      },
+    },
   }
 );
 
@@ -86,8 +157,26 @@ postSchema.index({ authorId: 1, createdAt: -1 });
 postSchema.index({ createdAt: -1 });
 postSchema.index({ 'content.tags': 1 });
 postSchema.index({ privacy: 1, createdAt: -1 });
+postSchema.index({ audienceId: 1 }, { sparse: true });
 postSchema.index({ isActive: 1, createdAt: -1 });
 
+// Full-text search over titles, tags and transcripts
+postSchema.index(
+  {
+    'content.title': 'text',
+    'content.tags': 'text',
+    'content.transcription': 'text',
+  },
+  {
+    name: 'post_text_search',
+    weights: {
+      'content.title': 10,
+      'content.tags': 5,
+      'content.transcription': 1,
+    },
+  }
+);
+
 // Virtual for total engagement score
 postSchema.virtual('engagementScore').get(function () {
   return (
@@ -98,6 +187,14 @@ postSchema.virtual('engagementScore').get(function () {
   );
 });
 
+// Virtual for the share of listeners who played the post to the end
+// (smoothed so posts with few listeners start near 0.5)
+postSchema.virtual('completionRate').get(function () {
+  return (
+    (this.engagement.completionCount + 1) / (this.engagement.listenerCount + 2)
+  );
+});
+
 // Method to increment listen count
 postSchema.methods.incrementListenCount = function () {
   this.engagement.listenCount += 1;
@@ -126,19 +223,11 @@ postSchema.methods.isLikedBy = function (userId) {
   return this.likedBy.includes(userId);
 };
 
-// Method to check if user can view the post
-postSchema.methods.canView = function (userId) {
-  if (this.privacy === 'public') return true;
-  if (this.privacy === 'private') return this.authorId.equals(userId);
-
-  // For connections_only, check if users are connected
-  if (this.privacy === 'connections_only') {
-    if (this.authorId.equals(userId)) return true;
-    // This would need to check connection status - implemented in controller
-    return true; // Placeholder, actual check in controller
-  }
-
-  return false;
+// Query helper for post lists: keep only the smallest waveform, which
+// generateWaveform stores first. The larger ones are served by
+// GET /api/posts/:postId/waveforms when a player needs them.
+postSchema.query.withPreviewWaveform = function () {
+  return this.slice('audio.waveforms', 1);
 };
 
 // Static method to find public posts
@@ -148,37 +237,42 @@ postSchema.statics.findPublicPosts = function (limit = 20, skip = 0) {
     isActive: true,
   })
     .populate('authorId', 'username profile.displayName profile.avatar')
+    .withPreviewWaveform()
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit);
 };
 
 // Static method to find posts by user
+// visibilityFilter comes from visibilityService.getPostFilter(viewerId)
 postSchema.statics.findByUser = function (
   userId,
-  viewerId = null,
+  visibilityFilter = {},
   limit = 20,
   skip = 0
 ) {
   const query = {
     authorId: userId,
     isActive: true,
+    ...visibilityFilter,
   };
 
-  // If viewer is not the author, only show public posts
-  if (viewerId && !userId.equals(viewerId)) {
-    query.privacy = 'public';
-  }
-
   return this.find(query)
     .populate('authorId', 'username profile.displayName profile.avatar')
+    .withPreviewWaveform()
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit);
 };
 
-// Pre-save middleware to validate tags
+// Pre-save middleware to normalize and validate tags
 postSchema.pre('save', function (next) {
+  if (this.isModified('content.tags') && this.content.tags) {
+    // Stored as slugs so they match Tag.slug
+    this.content.tags = [
+      ...new Set(this.content.tags.map(helpers.generateSlug).filter(Boolean)),
+    ];
+  }
   if (this.content.tags && this.content.tags.length > 10) {
     this.content.tags = this.content.tags.slice(0, 10); // Limit to 10 tags
   }
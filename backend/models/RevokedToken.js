@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Denylist of token IDs (jti). Access tokens are stateless JWTs, so
+// revoking one before it expires means remembering its ID until then; the
+// single-use links in account emails are recorded here once used.
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // When the token would have expired anyway
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// TTL index - MongoDB drops entries once the token has expired
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RevokedToken', revokedTokenSchema);
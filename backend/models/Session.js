@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import { SESSION_REVOKE_REASONS } from '../utils/constants.js';
+
+// A signed-in device. Each refresh rotates the session's refresh token, so
+// one session is one token family: only the latest token is accepted, and
+// an older one coming back revokes the whole session. The exception is the
+// token just replaced, for a few seconds (see sessionService.rotate).
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SHA-256 of the current refresh token; the token itself is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    userAgent: String,
+    ip: String,
+    // Approximate, from the IP; looked up after sign-in when enabled
+    location: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Latest access token issued, denylisted when the session is revoked
+    accessTokenId: String,
+    accessTokenExpiresAt: Date,
+    // ID and issue time of the current pair, so it can be signed again for
+    // a tab that refreshed with the previous token at the same moment
+    refreshTokenId: String,
+    tokensIssuedAt: Date,
+    // The refresh token the current one replaced, and when
+    previousTokenHash: {
+      type: String,
+      select: false,
+    },
+    rotatedAt: Date,
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: Object.values(SESSION_REVOKE_REASONS),
+    },
+    // When the current refresh token expires
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// TTL index - MongoDB removes sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check if the session can still be refreshed
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Instance-wide settings changed by admins at runtime (environment
+// variables supply the defaults)
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to read a setting, falling back when it was never set
+settingSchema.statics.getValue = async function (key, fallback) {
+  const setting = await this.findOne({ key });
+  return setting?.value ?? fallback;
+};
+
+// Static method to write a setting
+settingSchema.statics.setValue = function (key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true }
+  );
+};
+
+export default mongoose.model('Setting', settingSchema);
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import {
+  STORAGE_MIGRATION_STATUSES,
+  STORAGE_TYPES,
+} from '../utils/constants.js';
+
+// One run of moving a user's post and comment audio to another backend
+const storageMigrationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: Object.values(STORAGE_TYPES),
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(STORAGE_MIGRATION_STATUSES),
+      default: STORAGE_MIGRATION_STATUSES.PENDING,
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    migrated: {
+      type: Number,
+      default: 0,
+    },
+    bytesMoved: {
+      type: Number,
+      default: 0,
+    },
+    // Files that could not be moved; skipped for the rest of this run
+    failures: [
+      {
+        _id: false,
+        targetType: {
+          type: String,
+          enum: ['post', 'comment'],
+        },
+        targetId: mongoose.Schema.Types.ObjectId,
+        error: String,
+      },
+    ],
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+    startedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+storageMigrationSchema.index({ userId: 1, createdAt: -1 });
+
+// Static method to get a user's most recent migration
+storageMigrationSchema.statics.findLatest = function (userId) {
+  return this.findOne({ userId }).sort({ createdAt: -1 });
+};
+
+// Static method to get a user's unfinished migration
+storageMigrationSchema.statics.findActive = function (userId) {
+  return this.findOne({
+    userId,
+    status: {
+      $in: [
+        STORAGE_MIGRATION_STATUSES.PENDING,
+        STORAGE_MIGRATION_STATUSES.RUNNING,
+      ],
+    },
+  });
+};
+
+// Static method to record a file that could not be moved
+storageMigrationSchema.statics.recordFailure = function (id, failure) {
+  return this.updateOne(
+    { _id: id },
+    {
+      $push: { failures: failure },
+      $inc: { failedCount: 1 },
+    }
+  );
+};
+
+export default mongoose.model('StorageMigration', storageMigrationSchema);
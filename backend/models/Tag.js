@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const tagSchema = new mongoose.Schema(
+  {
+    // Normalized with helpers.generateSlug; this is what posts store
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      maxlength: [30, 'Tags cannot exceed 30 characters'],
+    },
+    // Spelling the tag was first used with, for display
+    name: {
+      type: String,
+      required: true,
+      maxlength: [30, 'Tags cannot exceed 30 characters'],
+    },
+    postCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    followerCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastUsedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+tagSchema.index({ postCount: -1 });
+
+export default mongoose.model('Tag', tagSchema);
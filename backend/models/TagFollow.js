@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+const tagFollowSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tagId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tag',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+tagFollowSchema.index({ userId: 1, tagId: 1 }, { unique: true });
+tagFollowSchema.index({ tagId: 1 });
+
+export default mongoose.model('TagFollow', tagFollowSchema);
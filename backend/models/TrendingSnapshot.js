@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import config from '../config/environment.js';
+import { TIME, TRENDING_WINDOWS } from '../utils/constants.js';
+
+// Ranked posts and tags for one trending window, as computed by the
+// trending.compute job. Readers always use the newest snapshot.
+const trendingSnapshotSchema = new mongoose.Schema(
+  {
+    window: {
+      type: String,
+      enum: Object.keys(TRENDING_WINDOWS),
+      required: true,
+    },
+    computedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    posts: [
+      {
+        _id: false,
+        postId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Post',
+        },
+        score: Number,
+      },
+    ],
+    tags: [
+      {
+        _id: false,
+        tag: String,
+        score: Number,
+        postCount: Number,
+      },
+    ],
+    expiresAt: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + config.TRENDING_SNAPSHOT_TTL_HOURS * TIME.HOUR),
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// Indexes for performance
+trendingSnapshotSchema.index({ window: 1, computedAt: -1 });
+
+// TTL index - MongoDB removes old snapshots once expiresAt has passed
+trendingSnapshotSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to get the newest snapshot for a window
+trendingSnapshotSchema.statics.findLatest = function (window) {
+  return this.findOne({ window }).sort({ computedAt: -1 });
+};
+
+export default mongoose.model('TrendingSnapshot', trendingSnapshotSchema);
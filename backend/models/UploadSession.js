@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import { UPLOAD_STATUSES } from '../utils/constants.js';
+
+// A resumable audio upload: chunks are appended to a file on disk until
+// it is complete, then it is processed once and attached to a post or
+// comment by ID
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    // Optional SHA-256 (hex) of the whole file, checked when finalizing
+    checksum: String,
+    receivedBytes: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: Object.values(UPLOAD_STATUSES),
+      default: UPLOAD_STATUSES.UPLOADING,
+    },
+    // Processed audio data, ready to be stored on a post or comment
+    audio: mongoose.Schema.Types.Mixed,
+    error: String,
+    // Pushed back on every chunk; abandoned sessions are cleaned up after
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+uploadSessionSchema.index({ userId: 1, createdAt: -1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Static method to find abandoned sessions. Processing and claimed ones
+// are in use by the worker or a post or comment being created.
+uploadSessionSchema.statics.findExpired = function (limit = 100) {
+  return this.find({
+    status: {
+      $in: [
+        UPLOAD_STATUSES.UPLOADING,
+        UPLOAD_STATUSES.FAILED,
+        UPLOAD_STATUSES.READY,
+      ],
+    },
+    expiresAt: { $lt: new Date() },
+  }).limit(limit);
+};
+
+export default mongoose.model('UploadSession', uploadSessionSchema);
@@ -1,5 +1,10 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import {
+  DRIVE_CONNECTION_STATUSES,
+  STORAGE_TYPES,
+  USER_ROLES,
+} from '../utils/constants.js';
 
 const userSchema = new mongoose.Schema(
   {
@@ -24,10 +29,56 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, 'Password is required'],
+      // Accounts created with Google sign in without one
+      required: [
+        function () {
+          return !this.googleAuth?.sub;
+        },
+        'Password is required',
+      ],
       minlength: [6, 'Password must be at least 6 characters'],
       select: false,
     },
+    // Set to false on registration until the address is confirmed. Left
+    // unset on accounts from before verification existed, which count as
+    // verified.
+    emailVerified: Boolean,
+    emailVerifiedAt: Date,
+    // Reset links issued before this no longer work
+    passwordChangedAt: Date,
+    // Google account used to sign in, matched on its stable subject ID
+    googleAuth: {
+      sub: String,
+      email: String,
+      linkedAt: Date,
+    },
+    // TOTP second factor. Secrets are stored encrypted and recovery codes
+    // as hashes; none of it leaves the server.
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Scanned but not yet confirmed with a code
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Time step of the last accepted code, so a code works only once
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
     profile: {
       displayName: {
         type: String,
@@ -49,10 +100,10 @@ const userSchema = new mongoose.Schema(
       },
     },
     storage: {
+      // Unset means the instance default chosen by admins
       preference: {
         type: String,
-        enum: ['google_drive'],
-        default: 'google_drive',
+        enum: Object.values(STORAGE_TYPES),
       },
       googleDriveToken: {
         access_token: String,
@@ -61,6 +112,17 @@ const userSchema = new mongoose.Schema(
         token_type: String,
         expiry_date: Number,
       },
+      // Kept by the token manager; survives the token being revoked
+      googleDriveHealth: {
+        status: {
+          type: String,
+          enum: Object.values(DRIVE_CONNECTION_STATUSES),
+          default: DRIVE_CONNECTION_STATUSES.NOT_CONNECTED,
+        },
+        lastRefreshAt: Date,
+        lastError: String,
+        reconnectRequiredAt: Date,
+      },
       deviceSyncKey: {
         type: String,
         select: false,
@@ -87,6 +149,11 @@ const userSchema = new mongoose.Schema(
       postCount: { type: Number, default: 0 },
       audioMinutes: { type: Number, default: 0 },
     },
+    role: {
+      type: String,
+      enum: Object.values(USER_ROLES),
+      default: USER_ROLES.USER,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -106,6 +173,7 @@ userSchema.virtual('fullName').get(function () {
 // Indexes for performance
 userSchema.index({ username: 1 });
 userSchema.index({ email: 1 });
+userSchema.index({ 'googleAuth.sub': 1 }, { unique: true, sparse: true });
 userSchema.index({ 'stats.connectionCount': -1 });
 userSchema.index({ createdAt: -1 });
 
@@ -124,9 +192,16 @@ userSchema.pre('save', async function (next) {
 
 // Method to compare password
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  // Google-only accounts have no password to match
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check if the account may post (see emailVerified)
+userSchema.methods.isEmailVerified = function () {
+  return this.emailVerified !== false;
+};
+
 // Method to get public profile
 userSchema.methods.getPublicProfile = function () {
   const userObject = this.toObject();
@@ -136,10 +211,23 @@ userSchema.methods.getPublicProfile = function () {
   delete userObject.storage.googleDriveToken;
   delete userObject.storage.deviceSyncKey;
   delete userObject.profile.privateContact;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
 
   return userObject;
 };
 
+// Method to check if Google Drive has been connected. storage.googleDriveToken
+// is a nested path, so Mongoose returns an object for it even when unset.
+userSchema.methods.hasGoogleDriveToken = function () {
+  const token = this.storage.googleDriveToken;
+  return Boolean(token?.refresh_token || token?.access_token);
+};
+
 // Method to check if Google Drive token is expired
 userSchema.methods.isGoogleDriveTokenExpired = function () {
   if (
@@ -0,0 +1,61 @@
+import express from 'express';
+import adminController from '../controllers/adminController.js';
+import { verifyToken, requireAdmin } from '../middleware/authMiddleware.js';
+import {
+  validateJobQuery,
+  validateStorageDefault,
+  validateObjectId,
+} from '../middleware/validationMiddleware.js';
+import { generalLimiter } from '../middleware/rateLimitMiddleware.js';
+
+const router = express.Router();
+
+// GET /api/admin/jobs/stats
+router.get(
+  '/jobs/stats',
+  verifyToken,
+  requireAdmin,
+  generalLimiter,
+  adminController.getQueueStats
+);
+
+// GET /api/admin/jobs/failed
+router.get(
+  '/jobs/failed',
+  verifyToken,
+  requireAdmin,
+  generalLimiter,
+  validateJobQuery,
+  adminController.getFailedJobs
+);
+
+// POST /api/admin/jobs/:jobId/retry
+router.post(
+  '/jobs/:jobId/retry',
+  verifyToken,
+  requireAdmin,
+  generalLimiter,
+  validateObjectId('jobId'),
+  adminController.retryJob
+);
+
+// GET /api/admin/storage
+router.get(
+  '/storage',
+  verifyToken,
+  requireAdmin,
+  generalLimiter,
+  adminController.getStorageSettings
+);
+
+// PUT /api/admin/storage/default
+router.put(
+  '/storage/default',
+  verifyToken,
+  requireAdmin,
+  generalLimiter,
+  validateStorageDefault,
+  adminController.updateDefaultStorage
+);
+
+export default router;
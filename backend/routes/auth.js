@@ -3,8 +3,18 @@ import authController from '../controllers/authController.js';
 import {
   validateRegister,
   validateLogin,
+  validateVerifyEmail,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorLogin,
+  validateEnableTwoFactor,
+  validateTwoFactorReauth,
+  validateGoogleAuthUrl,
+  validateGoogleAuthCallback,
+  validateObjectId,
 } from '../middleware/validationMiddleware.js';
 import { authLimiter } from '../middleware/rateLimitMiddleware.js';
+import { verifyToken } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -19,12 +29,131 @@ router.post(
 // POST /api/auth/login
 router.post('/login', authLimiter, validateLogin, authController.login);
 
+// POST /api/auth/login/2fa
+router.post(
+  '/login/2fa',
+  authLimiter,
+  validateTwoFactorLogin,
+  authController.verifyTwoFactorLogin
+);
+
 // POST /api/auth/logout
-router.post('/logout', authController.logout);
+router.post('/logout', verifyToken, authController.logout);
 
 // POST /api/auth/refresh
 router.post('/refresh', authController.refreshToken);
 
+// POST /api/auth/verify-email
+router.post('/verify-email', validateVerifyEmail, authController.verifyEmail);
+
+// POST /api/auth/verify-email/resend
+router.post(
+  '/verify-email/resend',
+  authLimiter,
+  verifyToken,
+  authController.resendVerification
+);
+
+// POST /api/auth/forgot-password
+router.post(
+  '/forgot-password',
+  authLimiter,
+  validateForgotPassword,
+  authController.forgotPassword
+);
+
+// POST /api/auth/reset-password
+router.post(
+  '/reset-password',
+  authLimiter,
+  validateResetPassword,
+  authController.resetPassword
+);
+
+// GET /api/auth/sessions
+router.get('/sessions', verifyToken, authController.getSessions);
+
+// DELETE /api/auth/sessions (every session except the current one)
+router.delete('/sessions', verifyToken, authController.revokeOtherSessions);
+
+// DELETE /api/auth/sessions/:sessionId
+router.delete(
+  '/sessions/:sessionId',
+  verifyToken,
+  validateObjectId('sessionId'),
+  authController.revokeSession
+);
+
+// GET /api/auth/2fa
+router.get('/2fa', verifyToken, authController.getTwoFactorStatus);
+
+// POST /api/auth/2fa/setup
+router.post('/2fa/setup', verifyToken, authController.setupTwoFactor);
+
+// POST /api/auth/2fa/enable
+router.post(
+  '/2fa/enable',
+  authLimiter,
+  verifyToken,
+  validateEnableTwoFactor,
+  authController.enableTwoFactor
+);
+
+// POST /api/auth/2fa/disable
+router.post(
+  '/2fa/disable',
+  authLimiter,
+  verifyToken,
+  validateTwoFactorReauth,
+  authController.disableTwoFactor
+);
+
+// POST /api/auth/2fa/recovery-codes
+router.post(
+  '/2fa/recovery-codes',
+  authLimiter,
+  verifyToken,
+  validateTwoFactorReauth,
+  authController.regenerateRecoveryCodes
+);
+
+// GET /api/auth/google/signin/url
+router.get(
+  '/google/signin/url',
+  validateGoogleAuthUrl,
+  authController.getGoogleSignInUrl
+);
+
+// POST /api/auth/google/signin
+router.post(
+  '/google/signin',
+  authLimiter,
+  validateGoogleAuthCallback,
+  authController.googleSignIn
+);
+
+// GET /api/auth/google
+router.get('/google', verifyToken, authController.getGoogleStatus);
+
+// GET /api/auth/google/link/url
+router.get(
+  '/google/link/url',
+  verifyToken,
+  validateGoogleAuthUrl,
+  authController.getGoogleLinkUrl
+);
+
+// POST /api/auth/google/link
+router.post(
+  '/google/link',
+  verifyToken,
+  validateGoogleAuthCallback,
+  authController.linkGoogle
+);
+
+// DELETE /api/auth/google/link
+router.delete('/google/link', verifyToken, authController.unlinkGoogle);
+
 // POST /api/auth/google-drive
 router.post('/google-drive', authController.connectGoogleDrive);
 
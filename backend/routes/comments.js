@@ -1,9 +1,16 @@
 import express from 'express';
 import commentController from '../controllers/commentController.js';
-import { verifyToken, optionalAuth } from '../middleware/authMiddleware.js';
+import {
+  verifyToken,
+  optionalAuth,
+  commentAudioAuth,
+  requireVerifiedEmail,
+} from '../middleware/authMiddleware.js';
 import {
   validateCreateComment,
   validatePagination,
+  validateCommentTreeQuery,
+  validateObjectId,
 } from '../middleware/validationMiddleware.js';
 import {
   handleAudioUpload,
@@ -25,10 +32,21 @@ router.get(
   commentController.getPostComments
 );
 
+// GET /api/comments/posts/:postId/comments/tree
+router.get(
+  '/posts/:postId/comments/tree',
+  optionalAuth,
+  generalLimiter,
+  validateObjectId('postId'),
+  validateCommentTreeQuery,
+  commentController.getPostCommentTree
+);
+
 // POST /api/posts/:postId/comments
 router.post(
   '/posts/:postId/comments',
   verifyToken,
+  requireVerifiedEmail,
   socialLimiter,
   handleAudioUpload,
   cleanupTempFiles,
@@ -53,6 +71,34 @@ router.get(
   commentController.getCommentReplies
 );
 
+// GET /api/comments/:commentId/replies/tree
+router.get(
+  '/:commentId/replies/tree',
+  optionalAuth,
+  generalLimiter,
+  validateObjectId('commentId'),
+  validateCommentTreeQuery,
+  commentController.getCommentReplyTree
+);
+
+// GET /api/comments/:commentId/audio
+router.get(
+  '/:commentId/audio',
+  commentAudioAuth,
+  generalLimiter,
+  validateObjectId('commentId'),
+  commentController.streamCommentAudio
+);
+
+// POST /api/comments/:commentId/audio/token
+router.post(
+  '/:commentId/audio/token',
+  verifyToken,
+  generalLimiter,
+  validateObjectId('commentId'),
+  commentController.getAudioToken
+);
+
 // POST /api/comments/:commentId/like
 router.post(
   '/:commentId/like',
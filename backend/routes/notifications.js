@@ -0,0 +1,58 @@
+import express from 'express';
+import notificationController from '../controllers/notificationController.js';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import {
+  validateNotificationQuery,
+  validateObjectId,
+} from '../middleware/validationMiddleware.js';
+import {
+  generalLimiter,
+  socialLimiter,
+} from '../middleware/rateLimitMiddleware.js';
+
+const router = express.Router();
+
+// GET /api/notifications
+router.get(
+  '/',
+  verifyToken,
+  generalLimiter,
+  validateNotificationQuery,
+  notificationController.getNotifications
+);
+
+// GET /api/notifications/unread-count
+router.get(
+  '/unread-count',
+  verifyToken,
+  generalLimiter,
+  notificationController.getUnreadCount
+);
+
+// PUT /api/notifications/read-all
+router.put(
+  '/read-all',
+  verifyToken,
+  socialLimiter,
+  notificationController.markAllAsRead
+);
+
+// PUT /api/notifications/:notificationId/read
+router.put(
+  '/:notificationId/read',
+  verifyToken,
+  socialLimiter,
+  validateObjectId('notificationId'),
+  notificationController.markAsRead
+);
+
+// DELETE /api/notifications/:notificationId
+router.delete(
+  '/:notificationId',
+  verifyToken,
+  socialLimiter,
+  validateObjectId('notificationId'),
+  notificationController.deleteNotification
+);
+
+export default router;
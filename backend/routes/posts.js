@@ -1,9 +1,19 @@
 import express from 'express';
 import postController from '../controllers/postController.js';
-import { verifyToken, optionalAuth } from '../middleware/authMiddleware.js';
+import {
+  verifyToken,
+  optionalAuth,
+  postAudioAuth,
+  requireVerifiedEmail,
+} from '../middleware/authMiddleware.js';
 import {
   validateCreatePost,
+  validateUpdatePost,
   validatePagination,
+  validateFeedQuery,
+  validateTrendingQuery,
+  validateRecordListen,
+  validateObjectId,
 } from '../middleware/validationMiddleware.js';
 import {
   handleAudioUpload,
@@ -22,7 +32,7 @@ router.get(
   '/feed',
   verifyToken,
   generalLimiter,
-  validatePagination,
+  validateFeedQuery,
   postController.getUserFeed
 );
 
@@ -30,6 +40,7 @@ router.get(
 router.post(
   '/',
   verifyToken,
+  requireVerifiedEmail,
   postCreationLimiter,
   handleAudioUpload,
   cleanupTempFiles,
@@ -37,9 +48,54 @@ router.post(
   postController.createPost
 );
 
+// GET /api/posts/trending
+router.get(
+  '/trending',
+  optionalAuth,
+  generalLimiter,
+  validateTrendingQuery,
+  postController.getTrendingPosts
+);
+
+// GET /api/posts/explore
+router.get(
+  '/explore',
+  optionalAuth,
+  generalLimiter,
+  validatePagination,
+  postController.getExplorePosts
+);
+
 // GET /api/posts/:postId
 router.get('/:postId', optionalAuth, generalLimiter, postController.getPost);
 
+// GET /api/posts/:postId/audio
+router.get(
+  '/:postId/audio',
+  postAudioAuth,
+  generalLimiter,
+  validateObjectId('postId'),
+  postController.streamPostAudio
+);
+
+// POST /api/posts/:postId/audio/token
+router.post(
+  '/:postId/audio/token',
+  verifyToken,
+  generalLimiter,
+  validateObjectId('postId'),
+  postController.getAudioToken
+);
+
+// GET /api/posts/:postId/waveforms
+router.get(
+  '/:postId/waveforms',
+  optionalAuth,
+  generalLimiter,
+  validateObjectId('postId'),
+  postController.getWaveforms
+);
+
 // DELETE /api/posts/:postId
 router.delete(
   '/:postId',
@@ -75,24 +131,13 @@ router.get(
 );
 
 // PUT /api/posts/:postId
-router.put('/:postId', verifyToken, socialLimiter, postController.updatePost);
-
-// GET /api/posts/trending
-router.get(
-  '/trending',
-  optionalAuth,
-  generalLimiter,
-  validatePagination,
-  postController.getTrendingPosts
-);
-
-// GET /api/posts/explore
-router.get(
-  '/explore',
-  optionalAuth,
-  generalLimiter,
-  validatePagination,
-  postController.getExplorePosts
+router.put(
+  '/:postId',
+  verifyToken,
+  socialLimiter,
+  validateObjectId('postId'),
+  validateUpdatePost,
+  postController.updatePost
 );
 
 // POST /api/posts/:postId/listen
@@ -100,9 +145,28 @@ router.post(
   '/:postId/listen',
   verifyToken,
   socialLimiter,
+  validateRecordListen,
   postController.recordListen
 );
 
+// POST /api/posts/:postId/hide
+router.post(
+  '/:postId/hide',
+  verifyToken,
+  socialLimiter,
+  validateObjectId('postId'),
+  postController.hidePost
+);
+
+// DELETE /api/posts/:postId/hide
+router.delete(
+  '/:postId/hide',
+  verifyToken,
+  socialLimiter,
+  validateObjectId('postId'),
+  postController.unhidePost
+);
+
 // GET /api/posts/:postId/stats
 router.get(
   '/:postId/stats',
@@ -0,0 +1,18 @@
+import express from 'express';
+import searchController from '../controllers/searchController.js';
+import { optionalAuth } from '../middleware/authMiddleware.js';
+import { validateSearch } from '../middleware/validationMiddleware.js';
+import { searchLimiter } from '../middleware/rateLimitMiddleware.js';
+
+const router = express.Router();
+
+// GET /api/search
+router.get(
+  '/',
+  optionalAuth,
+  searchLimiter,
+  validateSearch,
+  searchController.search
+);
+
+export default router;
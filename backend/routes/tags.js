@@ -0,0 +1,60 @@
+import express from 'express';
+import tagController from '../controllers/tagController.js';
+import { verifyToken, optionalAuth } from '../middleware/authMiddleware.js';
+import {
+  validatePagination,
+  validateTrendingQuery,
+} from '../middleware/validationMiddleware.js';
+import {
+  generalLimiter,
+  socialLimiter,
+} from '../middleware/rateLimitMiddleware.js';
+
+const router = express.Router();
+
+// GET /api/tags/trending
+router.get(
+  '/trending',
+  optionalAuth,
+  generalLimiter,
+  validateTrendingQuery,
+  tagController.getTrendingTags
+);
+
+// GET /api/tags/following
+router.get(
+  '/following',
+  verifyToken,
+  generalLimiter,
+  tagController.getFollowedTags
+);
+
+// GET /api/tags/:slug
+router.get('/:slug', optionalAuth, generalLimiter, tagController.getTag);
+
+// GET /api/tags/:slug/posts
+router.get(
+  '/:slug/posts',
+  optionalAuth,
+  generalLimiter,
+  validatePagination,
+  tagController.getTagPosts
+);
+
+// POST /api/tags/:slug/follow
+router.post(
+  '/:slug/follow',
+  verifyToken,
+  socialLimiter,
+  tagController.followTag
+);
+
+// DELETE /api/tags/:slug/follow
+router.delete(
+  '/:slug/follow',
+  verifyToken,
+  socialLimiter,
+  tagController.unfollowTag
+);
+
+export default router;
@@ -0,0 +1,71 @@
+import express from 'express';
+import uploadController from '../controllers/uploadController.js';
+import {
+  verifyToken,
+  requireVerifiedEmail,
+} from '../middleware/authMiddleware.js';
+import {
+  validateCreateUpload,
+  validateUploadChunk,
+  validateObjectId,
+} from '../middleware/validationMiddleware.js';
+import {
+  generalLimiter,
+  uploadLimiter,
+} from '../middleware/rateLimitMiddleware.js';
+import config from '../config/environment.js';
+
+const router = express.Router();
+
+// POST /api/uploads
+router.post(
+  '/',
+  verifyToken,
+  requireVerifiedEmail,
+  uploadLimiter,
+  validateCreateUpload,
+  uploadController.createUpload
+);
+
+// GET /api/uploads/:uploadId
+router.get(
+  '/:uploadId',
+  verifyToken,
+  generalLimiter,
+  validateObjectId('uploadId'),
+  uploadController.getUpload
+);
+
+// PUT /api/uploads/:uploadId/chunk?offset=&checksum=
+// (only the app-wide limiter applies, so large files are not cut off)
+router.put(
+  '/:uploadId/chunk',
+  verifyToken,
+  validateObjectId('uploadId'),
+  validateUploadChunk,
+  express.raw({
+    type: 'application/octet-stream',
+    limit: config.UPLOAD_CHUNK_SIZE,
+  }),
+  uploadController.appendChunk
+);
+
+// POST /api/uploads/:uploadId/finalize
+router.post(
+  '/:uploadId/finalize',
+  verifyToken,
+  generalLimiter,
+  validateObjectId('uploadId'),
+  uploadController.finalizeUpload
+);
+
+// DELETE /api/uploads/:uploadId
+router.delete(
+  '/:uploadId',
+  verifyToken,
+  generalLimiter,
+  validateObjectId('uploadId'),
+  uploadController.deleteUpload
+);
+
+export default router;
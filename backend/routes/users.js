@@ -1,10 +1,16 @@
 import express from 'express';
 import userController from '../controllers/userController.js';
+import audienceController from '../controllers/audienceController.js';
 import { verifyToken, optionalAuth } from '../middleware/authMiddleware.js';
 import {
   validateUpdateProfile,
   validateUserSearch,
   validatePagination,
+  validateCreateAudience,
+  validateUpdateAudience,
+  validateStoragePreference,
+  validateStorageMigration,
+  validateObjectId,
 } from '../middleware/validationMiddleware.js';
 import {
   generalLimiter,
@@ -72,9 +78,27 @@ router.put(
   '/me/storage/preference',
   verifyToken,
   generalLimiter,
+  validateStoragePreference,
   userController.updateStoragePreference
 );
 
+// GET /api/users/me/storage/migrate
+router.get(
+  '/me/storage/migrate',
+  verifyToken,
+  generalLimiter,
+  userController.getStorageMigration
+);
+
+// POST /api/users/me/storage/migrate
+router.post(
+  '/me/storage/migrate',
+  verifyToken,
+  generalLimiter,
+  validateStorageMigration,
+  userController.startStorageMigration
+);
+
 // POST /api/users/me/avatar
 router.post(
   '/me/avatar',
@@ -91,4 +115,68 @@ router.delete(
   userController.deleteAvatar
 );
 
+// POST /api/users/:userId/mute
+router.post(
+  '/:userId/mute',
+  verifyToken,
+  generalLimiter,
+  validateObjectId('userId'),
+  userController.muteUser
+);
+
+// DELETE /api/users/:userId/mute
+router.delete(
+  '/:userId/mute',
+  verifyToken,
+  generalLimiter,
+  validateObjectId('userId'),
+  userController.unmuteUser
+);
+
+// GET /api/users/me/audiences
+router.get(
+  '/me/audiences',
+  verifyToken,
+  generalLimiter,
+  audienceController.getAudiences
+);
+
+// POST /api/users/me/audiences
+router.post(
+  '/me/audiences',
+  verifyToken,
+  generalLimiter,
+  validateCreateAudience,
+  audienceController.createAudience
+);
+
+// GET /api/users/me/audiences/:audienceId
+router.get(
+  '/me/audiences/:audienceId',
+  verifyToken,
+  generalLimiter,
+  validateObjectId('audienceId'),
+  audienceController.getAudience
+);
+
+// PUT /api/users/me/audiences/:audienceId
+router.put(
+  '/me/audiences/:audienceId',
+  verifyToken,
+  generalLimiter,
+  validateObjectId('audienceId'),
+  validateUpdateAudience,
+  validateStoragePreference,
+  audienceController.updateAudience
+);
+
+// DELETE /api/users/me/audiences/:audienceId
+router.delete(
+  '/me/audiences/:audienceId',
+  verifyToken,
+  generalLimiter,
+  validateObjectId('audienceId'),
+  audienceController.deleteAudience
+);
+
 export default router;
@@ -1,7 +1,11 @@
-const app = require('./app.js');
-const config = require('./config/environment.js');
-const { logger } = require('./utils/logger.js');
-const audioUtils = require('./utils/audioUtils.js');
+import app from './app.js';
+import config from './config/environment.js';
+import { logger } from './utils/logger.js';
+import audioUtils from './utils/audioUtils.js';
+import realtimeService from './services/realtimeService.js';
+import jobQueueService from './services/jobQueueService.js';
+import { registerJobHandlers } from './jobs/index.js';
+import { JOB_TYPES } from './utils/constants.js';
 
 const PORT = config.PORT || 5000;
 
@@ -20,11 +24,20 @@ const server = app.listen(PORT, () => {
     🔐 Google OAuth: ${
       config.GOOGLE_CLIENT_ID ? '✅ Configured' : '❌ Not configured'
     }
+    🔌 Realtime: ws://localhost:${PORT}/ws
     📁 Uploads: ./uploads/
     📝 Logs: ./logs/
   `);
 });
 
+// Attach the authenticated WebSocket channel to the same HTTP server
+realtimeService.attach(server);
+
+// Notifications are delivered from this process so they reach open sockets;
+// the remaining job types run in worker.js
+registerJobHandlers();
+jobQueueService.start({ types: [JOB_TYPES.NOTIFICATION_DELIVER] });
+
 // Handle server errors
 server.on('error', (error) => {
   if (error.code === 'EADDRINUSE') {
@@ -57,6 +70,9 @@ process.on('uncaughtException', (err) => {
 const gracefulShutdown = () => {
   logger.info('Received shutdown signal. Starting graceful shutdown...');
 
+  realtimeService.close();
+  jobQueueService.stop();
+
   server.close(() => {
     logger.info('HTTP server closed');
     process.exit(0);
@@ -109,4 +125,4 @@ const startCleanupTasks = () => {
 startCleanupTasks();
 
 // Export server for testing
-module.exports = server;
+export default server;
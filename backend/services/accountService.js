@@ -0,0 +1,246 @@
+import User from '../models/User.js';
+import RevokedToken from '../models/RevokedToken.js';
+import config from '../config/environment.js';
+import { generateEmailToken, verifyEmailToken } from '../config/auth.js';
+import jobQueueService from './jobQueueService.js';
+import mailerService from './mailerService.js';
+import sessionService from './sessionService.js';
+import {
+  EMAIL_TEMPLATES,
+  JOB_TYPES,
+  SESSION_REVOKE_REASONS,
+} from '../utils/constants.js';
+import { logger, logSecurityEvent } from '../utils/logger.js';
+
+// Account emails and the frontend screens their links open
+const ACCOUNT_EMAILS = {
+  [EMAIL_TEMPLATES.VERIFY_EMAIL]: {
+    path: 'verify-email',
+    ttl: () => config.EMAIL_VERIFICATION_TTL,
+  },
+  [EMAIL_TEMPLATES.PASSWORD_RESET]: {
+    path: 'reset-password',
+    ttl: () => config.PASSWORD_RESET_TTL,
+  },
+};
+
+const DURATION_UNITS = { s: 'second', m: 'minute', h: 'hour', d: 'day' };
+
+/**
+ * Create an error carrying the HTTP status to respond with
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+const accountError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Spell out a token lifetime for an email, e.g. '24h' -> '24 hours'
+ * @param {string} ttl - Lifetime in jsonwebtoken's format
+ * @returns {string} Readable lifetime
+ */
+const describeTtl = (ttl) => {
+  const match = /^(\d+)\s*([smhd])$/.exec(String(ttl));
+  if (!match) return String(ttl);
+
+  const count = parseInt(match[1]);
+  const unit = DURATION_UNITS[match[2]];
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+class AccountService {
+  /**
+   * Queue an account email. Only the user and template are queued; the
+   * link is signed when the email is sent, so job payloads (which admins
+   * can read) never hold a usable token.
+   * @param {string} userId - Recipient
+   * @param {string} template - EMAIL_TEMPLATES.VERIFY_EMAIL or PASSWORD_RESET
+   * @returns {Promise<void>}
+   */
+  async queueEmail(userId, template) {
+    await jobQueueService.enqueue(JOB_TYPES.ACCOUNT_EMAIL, {
+      userId,
+      template,
+    });
+  }
+
+  /**
+   * Sign a link for an account email and send it (job handler)
+   * @param {Object} payload - { userId, template }
+   * @throws {Error} When sending fails, so the job is retried
+   */
+  async sendAccountEmail({ userId, template }) {
+    const email = ACCOUNT_EMAILS[template];
+    if (!email) {
+      throw new Error(`Not an account email: ${template}`);
+    }
+
+    const user = await User.findById(userId).select(
+      'username email emailVerified profile.displayName isActive'
+    );
+
+    if (!user || !user.isActive) {
+      return;
+    }
+
+    // Verified by an earlier email in the meantime
+    if (template === EMAIL_TEMPLATES.VERIFY_EMAIL && user.isEmailVerified()) {
+      return;
+    }
+
+    // A verification link is only good for the address it was sent to
+    const claims =
+      template === EMAIL_TEMPLATES.VERIFY_EMAIL ? { email: user.email } : {};
+    const token = generateEmailToken(user._id, template, email.ttl(), claims);
+
+    await mailerService.sendEmail(user.email, template, {
+      name: user.profile?.displayName || user.username,
+      url: `${config.FRONTEND_URL}/auth/${email.path}?token=${encodeURIComponent(token)}`,
+      expiresIn: describeTtl(email.ttl()),
+    });
+  }
+
+  /**
+   * Check an email link and mark it used, so it works only once
+   * @param {string} token - Token from the link
+   * @param {string} purpose - Template the link was sent with
+   * @returns {Promise<Object>} Decoded token
+   */
+  async consumeToken(token, purpose) {
+    let decoded;
+    try {
+      decoded = verifyEmailToken(token, purpose);
+    } catch (error) {
+      throw accountError(400, error.message);
+    }
+
+    try {
+      await RevokedToken.create({
+        jti: decoded.jti,
+        userId: decoded.userId,
+        expiresAt: new Date(decoded.exp * 1000),
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw accountError(400, 'This link has already been used');
+      }
+      throw error;
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Send a new verification email
+   * @param {Object} user - User document
+   * @returns {Promise<void>}
+   */
+  async resendVerification(user) {
+    if (user.isEmailVerified()) {
+      throw accountError(400, 'Email address is already verified');
+    }
+
+    await this.queueEmail(user._id, EMAIL_TEMPLATES.VERIFY_EMAIL);
+  }
+
+  /**
+   * Confirm an email address from a verification link
+   * @param {string} token - Token from the link
+   * @returns {Promise<Object>} Verified user
+   */
+  async verifyEmail(token) {
+    const decoded = await this.consumeToken(
+      token,
+      EMAIL_TEMPLATES.VERIFY_EMAIL
+    );
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive || user.email !== decoded.email) {
+      throw accountError(400, 'Invalid link');
+    }
+
+    if (!user.isEmailVerified()) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      logger.info('Email verified:', { userId: user._id });
+    }
+
+    return user;
+  }
+
+  /**
+   * Email a password reset link. Says nothing about whether the address
+   * has an account, so callers respond the same either way.
+   * @param {string} email - Address entered on the forgot password screen
+   * @returns {Promise<void>}
+   */
+  async requestPasswordReset(email) {
+    const user = await User.findOne({ email: email.toLowerCase() }).select(
+      'isActive'
+    );
+
+    if (!user || !user.isActive) {
+      logger.info('Password reset requested for unknown email');
+      return;
+    }
+
+    await this.queueEmail(user._id, EMAIL_TEMPLATES.PASSWORD_RESET);
+
+    logger.info('Password reset requested:', { userId: user._id });
+  }
+
+  /**
+   * Set a new password from a reset link, then sign the user out on
+   * every device
+   * @param {string} token - Token from the link
+   * @param {string} password - New password
+   * @returns {Promise<Object>} Updated user
+   */
+  async resetPassword(token, password) {
+    const decoded = await this.consumeToken(
+      token,
+      EMAIL_TEMPLATES.PASSWORD_RESET
+    );
+    const user = await User.findById(decoded.userId);
+
+    // Links sent before the password last changed are void
+    const changedAt = user?.passwordChangedAt
+      ? Math.floor(user.passwordChangedAt.getTime() / 1000)
+      : 0;
+    if (!user || !user.isActive || changedAt > decoded.iat) {
+      throw accountError(400, 'Invalid link');
+    }
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+
+    // Following a link sent to the address proves the user owns it
+    if (!user.isEmailVerified()) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    await user.save();
+
+    const revoked = await sessionService.revokeOtherSessions(
+      user._id,
+      null,
+      SESSION_REVOKE_REASONS.PASSWORD_RESET
+    );
+
+    logSecurityEvent('password_reset', {
+      userId: user._id,
+      sessionsRevoked: revoked,
+    });
+
+    return user;
+  }
+}
+
+export default new AccountService();
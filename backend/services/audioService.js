@@ -1,17 +1,29 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import audioUtils from '../utils/audioUtils.js';
 import storageService from './storageService.js';
+import jobQueueService from './jobQueueService.js';
+import { JOB_TYPES } from '../utils/constants.js';
 import { logger } from '../utils/logger.js';
 
 class AudioService {
   /**
-   * Process audio file for upload
+   * Process audio file for upload: normalize loudness, transcode to the
+   * canonical Opus rendition plus an AAC fallback, store both and compute
+   * the waveform
    * @param {Object} audioFile - Audio file object
    * @param {string} userId - User ID
-   * @param {string} storagePreference - Storage preference (google_drive)
+   * @param {string} storagePreference - Storage type (see STORAGE_TYPES)
    * @param {Object} userToken - User's Google Drive token
    * @returns {Promise<Object>} Processed audio data
    */
   async processAudio(audioFile, userId, storagePreference, userToken = null) {
+    const workDir = await fs.promises.mkdtemp(
+      path.join(os.tmpdir(), 'voiceconnect-transcode-')
+    );
+    const stored = [];
+
     try {
       logger.info('Processing audio file:', {
         userId,
@@ -29,45 +41,55 @@ class AudioService {
       // Get audio duration
       const duration = await audioUtils.getAudioDuration(audioFile.path);
 
-      // Upload to chosen storage
-      const uploadResult = await storageService.uploadAudio(
-        audioFile,
-        userId,
-        storagePreference,
-        userToken
+      const renditions = await audioUtils.createRenditions(
+        audioFile.path,
+        workDir
       );
+      // Drawn from what listeners will hear, after normalization
+      const waveforms = await audioUtils.generateWaveform(renditions[0].path);
+
+      // Upload every rendition to chosen storage
+      for (const rendition of renditions) {
+        const uploadResult = await storageService.uploadAudio(
+          {
+            path: rendition.path,
+            originalname: `${path.parse(audioFile.originalname).name}.${rendition.format}`,
+            mimetype: rendition.mimeType.split(';')[0],
+            size: rendition.size,
+          },
+          userId,
+          storagePreference,
+          userToken
+        );
+        stored.push({ ...rendition, ...uploadResult });
+      }
+
+      const [canonical] = stored;
 
       logger.info('Audio upload completed:', {
         userId,
-        fileId: uploadResult.fileId,
+        fileId: canonical.fileId,
         storageType: storagePreference,
         duration: Math.round(duration),
+        renditions: stored.map(({ format }) => format),
       });
 
-      // Generate transcription (optional - can be async)
-      let transcription = null;
-      try {
-        transcription = await audioUtils.transcribeAudio(audioFile.path);
-        logger.info('Audio transcription completed:', {
-          userId,
-          hasTranscription: !!transcription,
-        });
-      } catch (transcribeError) {
-        logger.warn('Transcription failed:', {
-          userId,
-          error: transcribeError.message,
-        });
-        // Continue without transcription
-      }
+      // Transcription runs afterwards as a background job (see queueProcessing)
 
       return {
         storageType: storagePreference,
-        fileId: uploadResult.fileId,
-        url: uploadResult.url,
+        fileId: canonical.fileId,
+        url: canonical.url,
         duration: Math.round(duration),
-        format: audioFile.mimetype.split('/')[1] || 'webm',
-        fileSize: audioFile.size,
-        transcription,
+        format: canonical.format,
+        fileSize: canonical.size,
+        renditions: stored.map(({ format, mimeType, fileId, size }) => ({
+          format,
+          mimeType,
+          fileId,
+          fileSize: size,
+        })),
+        waveforms,
       };
     } catch (error) {
       logger.error('Audio processing failed:', {
@@ -75,15 +97,80 @@ class AudioService {
         error: error.message,
         fileName: audioFile?.originalName,
       });
+
+      // Don't leave half of an upload behind
+      for (const { fileId } of stored) {
+        await storageService.deleteAudio(
+          { storageType: storagePreference, fileId },
+          userToken
+        );
+      }
       throw new Error(`Audio processing failed: ${error.message}`);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Pick the stored file to play. Audio uploaded before transcoding only
+   * has its original file.
+   * @param {Object} audioData - Audio data object
+   * @param {string} format - Requested rendition format (optional)
+   * @returns {Object} { storageType, fileId } of the file to send
+   */
+  getRendition(audioData, format) {
+    const rendition = audioData.renditions?.find(
+      (candidate) => candidate.format === format
+    );
+
+    return rendition
+      ? { storageType: audioData.storageType, fileId: rendition.fileId }
+      : audioData;
+  }
+
+  /**
+   * List every stored file behind an audio object
+   * @param {Object} audioData - Audio data object
+   * @returns {Array<Object>} { fileId, format }, original first
+   */
+  getStoredFiles(audioData) {
+    const files = [{ fileId: audioData.fileId, format: audioData.format }];
+
+    for (const { fileId, format } of audioData.renditions || []) {
+      if (!files.some((file) => file.fileId === fileId)) {
+        files.push({ fileId, format });
+      }
     }
+
+    return files;
+  }
+
+  /**
+   * Queue background processing for audio attached to a post or comment
+   * @param {string} targetType - 'post' or 'comment'
+   * @param {string} targetId - Post or comment ID
+   * @param {string} filePath - Uploaded file path
+   * @param {Object} file - The upload's { originalname, mimetype, size },
+   *   when the audio still has to be transcoded and stored (optional)
+   * @returns {Promise<void>}
+   */
+  async queueProcessing(targetType, targetId, filePath, file = null) {
+    const spooledPath = await audioUtils.spoolForProcessing(filePath);
+
+    await jobQueueService.enqueue(JOB_TYPES.AUDIO_PROCESS, {
+      targetType,
+      targetId,
+      filePath: spooledPath,
+      ...(file && { file }),
+    });
   }
 
   /**
    * Delete audio file from storage
    * @param {Object} audioData - Audio data object
    * @param {string} userId - User ID
-   * @param {Object} userToken - User's Google Drive token
+   * @param {Object} userToken - Owner's Google Drive token (looked up
+   *   from the owner when omitted)
    * @returns {Promise<void>}
    */
   async deleteAudio(audioData, userId, userToken = null) {
@@ -94,7 +181,16 @@ class AudioService {
         storageType: audioData.storageType,
       });
 
-      await storageService.deleteAudio(audioData, userToken);
+      const token =
+        userToken ||
+        (await storageService.getAccessToken(audioData.storageType, userId));
+
+      for (const { fileId } of this.getStoredFiles(audioData)) {
+        await storageService.deleteAudio(
+          { storageType: audioData.storageType, fileId },
+          token
+        );
+      }
 
       logger.info('Audio deletion completed:', {
         userId,
@@ -111,15 +207,16 @@ class AudioService {
   }
 
   /**
-   * Get audio stream URL
+   * Open a stream over stored audio bytes
    * @param {Object} audioData - Audio data object
    * @param {string} userId - User ID
-   * @param {Object} userToken - User's Google Drive token
-   * @returns {Promise<string>} Audio stream URL
+   * @param {Object} userToken - Owner's Google Drive token
+   * @param {Object} range - Inclusive byte range { start, end } (optional)
+   * @returns {Promise<stream.Readable>} Audio bytes
    */
-  async getAudioStream(audioData, userId, userToken = null) {
+  async getAudioStream(audioData, userId, userToken = null, range = null) {
     try {
-      return await storageService.getAudioStream(audioData, userToken);
+      return await storageService.getAudioStream(audioData, userToken, range);
     } catch (error) {
       logger.error('Failed to get audio stream:', {
         userId,
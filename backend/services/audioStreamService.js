@@ -0,0 +1,137 @@
+import storageService from './storageService.js';
+import { logger } from '../utils/logger.js';
+
+class AudioStreamService {
+  /**
+   * Send stored audio to an already authorized viewer. Supports single
+   * byte ranges (206), If-None-Match (304) and If-Range, so players can
+   * seek without downloading the whole file.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} audioData - Audio data object from a post or comment
+   * @param {string} ownerId - User whose storage holds the file
+   * @returns {Promise<void>}
+   */
+  async sendAudio(req, res, audioData, ownerId) {
+    const userToken = await storageService.getAccessToken(
+      audioData.storageType,
+      ownerId
+    );
+
+    let info;
+    try {
+      info = await storageService.getAudioInfo(audioData, userToken);
+    } catch (error) {
+      if (error.code === 404) {
+        return res.status(404).json({
+          success: false,
+          message: 'Audio not found',
+        });
+      }
+      throw error;
+    }
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      ETag: info.etag,
+      // Access is checked per request, so shared caches must not keep it
+      'Cache-Control': 'private, no-cache',
+    });
+
+    if (this.matchesEtag(req.get('If-None-Match'), info.etag)) {
+      return res.status(304).end();
+    }
+
+    // A stale If-Range means the client's partial copy is outdated
+    const ifRange = req.get('If-Range');
+    const rangeHeader =
+      !ifRange || ifRange === info.etag ? req.get('Range') : undefined;
+    const range = this.parseRange(rangeHeader, info.size);
+
+    if (range === false) {
+      res.set('Content-Range', `bytes */${info.size}`);
+      return res.status(416).end();
+    }
+
+    res.set('Content-Type', info.mimeType || 'application/octet-stream');
+
+    if (range) {
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${info.size}`,
+        'Content-Length': range.end - range.start + 1,
+      });
+    } else {
+      res.status(200).set('Content-Length', info.size);
+    }
+
+    if (req.method === 'HEAD' || info.size === 0) {
+      return res.end();
+    }
+
+    const audioStream = await storageService.getAudioStream(
+      audioData,
+      userToken,
+      range
+    );
+
+    // Stop pulling from storage when the player goes away mid-file
+    res.on('close', () => audioStream.destroy());
+    audioStream.on('error', (error) => {
+      logger.error('Audio stream interrupted:', {
+        fileId: audioData.fileId,
+        error: error.message,
+      });
+      res.destroy(error);
+    });
+
+    audioStream.pipe(res);
+  }
+
+  /**
+   * Parse a Range header against a file size. Only single ranges are
+   * honoured; anything else is served as the full file.
+   * @param {string} header - Range header value
+   * @param {number} size - File size in bytes
+   * @returns {Object|null|false} { start, end }, null to send the whole
+   *   file, or false when the range cannot be satisfied
+   */
+  parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+      // Suffix range: the last N bytes
+      const suffix = parseInt(match[2]);
+      if (suffix === 0) return false;
+      start = Math.max(size - suffix, 0);
+      end = size - 1;
+    } else {
+      start = parseInt(match[1]);
+      end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) return false;
+
+    return { start, end };
+  }
+
+  /**
+   * Check an If-None-Match header against an entity tag
+   * @param {string} header - If-None-Match header value
+   * @param {string} etag - Current entity tag
+   * @returns {boolean} True if the client's copy is current
+   */
+  matchesEtag(header, etag) {
+    if (!header) return false;
+    if (header.trim() === '*') return true;
+
+    return header
+      .split(',')
+      .map((tag) => tag.trim().replace(/^W\//, ''))
+      .includes(etag);
+  }
+}
+
+export default new AudioStreamService();
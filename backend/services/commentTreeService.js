@@ -0,0 +1,366 @@
+import mongoose from 'mongoose';
+import Comment from '../models/Comment.js';
+import config from '../config/environment.js';
+import { COMMENT_SORTS } from '../utils/constants.js';
+
+const AUTHOR_FIELDS = 'username profile.displayName profile.avatar';
+const REPLIES_CURSOR = 'replies';
+
+class CommentTreeService {
+  /**
+   * Get a page of a post's top-level comments, each with its first
+   * replies nested below it
+   * @param {string} postId - Post ID
+   * @param {string} viewerId - Viewing user, if signed in
+   * @param {Object} options - Tree options
+   * @param {string} options.sort - 'top' or 'new'
+   * @param {number} options.limit - Top-level comments per page
+   * @param {number} options.replies - Replies inlined under each comment
+   * @param {number} options.depth - Levels of replies to inline
+   * @param {Object} options.cursor - Decoded cursor from the previous page
+   * @returns {Promise<Object>} { comments, nextCursor, sort }
+   */
+  async getPostTree(
+    postId,
+    viewerId,
+    {
+      sort = COMMENT_SORTS.NEW,
+      limit = 20,
+      replies = config.COMMENT_TREE_REPLIES,
+      depth = config.COMMENT_TREE_DEPTH,
+      cursor = null,
+    } = {}
+  ) {
+    const filter = {
+      postId: new mongoose.Types.ObjectId(postId),
+      parentCommentId: null,
+      isActive: true,
+    };
+
+    const { ids, nextCursor } =
+      sort === COMMENT_SORTS.TOP
+        ? await this.getTopPage(filter, limit, cursor)
+        : await this.getNewPage(filter, limit, cursor);
+
+    return {
+      comments: await this.buildNodes(ids, viewerId, { replies, depth }),
+      nextCursor: nextCursor ? this.encodeCursor(nextCursor) : null,
+      sort,
+    };
+  }
+
+  /**
+   * Get a page of a comment's replies, oldest first, each with its own
+   * first replies nested below it. Continues a node's repliesCursor.
+   * @param {string} commentId - Parent comment ID
+   * @param {string} viewerId - Viewing user, if signed in
+   * @param {Object} options - Same as getPostTree, without sort
+   * @returns {Promise<Object>} { replies, nextCursor }
+   */
+  async getReplyTree(
+    commentId,
+    viewerId,
+    {
+      limit = 20,
+      replies = config.COMMENT_TREE_REPLIES,
+      depth = config.COMMENT_TREE_DEPTH,
+      cursor = null,
+    } = {}
+  ) {
+    const { ids, nextCursor } = await this.getReplyPage(
+      new mongoose.Types.ObjectId(commentId),
+      limit,
+      cursor
+    );
+
+    return {
+      replies: await this.buildNodes(ids, viewerId, { replies, depth }),
+      nextCursor: nextCursor ? this.encodeCursor(nextCursor) : null,
+    };
+  }
+
+  /**
+   * Newest first, paged on (createdAt, _id)
+   */
+  async getNewPage(filter, limit, cursor) {
+    const query = { ...filter };
+
+    if (cursor) {
+      const createdAt = new Date(cursor.createdAt);
+      query.$or = [
+        { createdAt: { $lt: createdAt } },
+        { createdAt, _id: { $lt: new mongoose.Types.ObjectId(cursor.id) } },
+      ];
+    }
+
+    const comments = await Comment.find(query)
+      .select('_id createdAt')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const page = comments.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      ids: page.map(({ _id }) => _id),
+      nextCursor: comments.length > limit && {
+        sort: COMMENT_SORTS.NEW,
+        createdAt: last.createdAt.toISOString(),
+        id: last._id.toString(),
+      },
+    };
+  }
+
+  /**
+   * Most liked first, then newest, paged on (likeCount, createdAt, _id).
+   * Likes arriving between pages can shift a comment across the boundary.
+   */
+  async getTopPage(filter, limit, cursor) {
+    const pipeline = [
+      { $match: filter },
+      { $addFields: { likeCount: { $size: '$likedBy' } } },
+    ];
+
+    if (cursor) {
+      const createdAt = new Date(cursor.createdAt);
+      pipeline.push({
+        $match: {
+          $or: [
+            { likeCount: { $lt: cursor.likeCount } },
+            { likeCount: cursor.likeCount, createdAt: { $lt: createdAt } },
+            {
+              likeCount: cursor.likeCount,
+              createdAt,
+              _id: { $lt: new mongoose.Types.ObjectId(cursor.id) },
+            },
+          ],
+        },
+      });
+    }
+
+    pipeline.push(
+      { $sort: { likeCount: -1, createdAt: -1, _id: -1 } },
+      { $limit: limit + 1 },
+      { $project: { likeCount: 1, createdAt: 1 } }
+    );
+
+    const comments = await Comment.aggregate(pipeline);
+    const page = comments.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      ids: page.map(({ _id }) => _id),
+      nextCursor: comments.length > limit && {
+        sort: COMMENT_SORTS.TOP,
+        likeCount: last.likeCount,
+        createdAt: last.createdAt.toISOString(),
+        id: last._id.toString(),
+      },
+    };
+  }
+
+  /**
+   * Oldest first, paged on (createdAt, _id)
+   */
+  async getReplyPage(parentCommentId, limit, cursor) {
+    const query = { parentCommentId, isActive: true };
+
+    if (cursor) {
+      const createdAt = new Date(cursor.createdAt);
+      query.$or = [
+        { createdAt: { $gt: createdAt } },
+        { createdAt, _id: { $gt: new mongoose.Types.ObjectId(cursor.id) } },
+      ];
+    }
+
+    const replies = await Comment.find(query)
+      .select('_id createdAt')
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1);
+
+    const page = replies.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      ids: page.map(({ _id }) => _id),
+      nextCursor: replies.length > limit && this.getRepliesCursor(last),
+    };
+  }
+
+  /**
+   * Load comments as tree nodes, in the given order, then fill in their
+   * replies one level at a time (one query per level, not per node)
+   * @param {Array} ids - Comment IDs in display order
+   * @param {string} viewerId - Viewing user, if signed in
+   * @param {Object} options - { replies, depth }
+   * @returns {Promise<Array>} Tree nodes
+   */
+  async buildNodes(ids, viewerId, { replies, depth }) {
+    const roots = await this.loadNodes(ids, viewerId);
+    let level = roots;
+
+    for (let levelDepth = 0; level.length > 0; levelDepth++) {
+      const groups = await this.getFirstReplies(
+        level.map(({ _id }) => _id),
+        replies
+      );
+      const inline = levelDepth < depth && replies > 0;
+
+      level.forEach((node) => {
+        node.replyCount = groups.get(node._id.toString())?.count || 0;
+      });
+      if (!inline) break;
+
+      const children = await this.loadNodes(
+        [...groups.values()].flatMap((group) => group.ids),
+        viewerId
+      );
+      const byId = new Map(children.map((child) => [child._id.toString(), child]));
+
+      level.forEach((node) => {
+        const group = groups.get(node._id.toString());
+        if (!group) return;
+
+        node.replies = group.ids
+          .map((id) => byId.get(id.toString()))
+          .filter(Boolean);
+
+        const last = node.replies[node.replies.length - 1];
+        node.repliesCursor =
+          last && group.count > node.replies.length
+            ? this.encodeCursor(this.getRepliesCursor(last))
+            : null;
+      });
+
+      level = children;
+    }
+
+    return roots;
+  }
+
+  /**
+   * Count each parent's replies and take the IDs of its oldest few
+   * @param {Array} parentIds - Parent comment IDs
+   * @param {number} limit - Reply IDs to take per parent
+   * @returns {Promise<Map>} Parent ID -> { ids, count }
+   */
+  async getFirstReplies(parentIds, limit) {
+    const groups = await Comment.aggregate([
+      { $match: { parentCommentId: { $in: parentIds }, isActive: true } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: '$parentCommentId',
+          ids: { $push: '$_id' },
+          count: { $sum: 1 },
+        },
+      },
+      { $project: { ids: { $slice: ['$ids', Math.max(limit, 1)] }, count: 1 } },
+    ]);
+
+    return new Map(
+      groups.map(({ _id, ids, count }) => [
+        _id.toString(),
+        { ids: ids.slice(0, limit), count },
+      ])
+    );
+  }
+
+  /**
+   * Load comments in the given order as tree nodes for a viewer
+   * @param {Array} ids - Comment IDs
+   * @param {string} viewerId - Viewing user, if signed in
+   * @returns {Promise<Array>} Nodes without replies filled in
+   */
+  async loadNodes(ids, viewerId) {
+    if (ids.length === 0) return [];
+
+    const comments = await Comment.find({ _id: { $in: ids } }).populate(
+      'authorId',
+      AUTHOR_FIELDS
+    );
+    const byId = new Map(
+      comments.map((comment) => [comment._id.toString(), comment])
+    );
+
+    return ids
+      .map((id) => byId.get(id.toString()))
+      .filter(Boolean)
+      .map((comment) => this.toNode(comment, viewerId));
+  }
+
+  /**
+   * Shape a comment for the tree. The likers list is replaced by a count
+   * and whether the viewer is among them.
+   * @param {Object} comment - Comment document with author populated
+   * @param {string} viewerId - Viewing user, if signed in
+   * @returns {Object} Tree node
+   */
+  toNode(comment, viewerId) {
+    const { likedBy, ...node } = comment.toJSON();
+
+    return {
+      ...node,
+      likeCount: likedBy.length,
+      isLiked: viewerId ? comment.isLikedBy(viewerId) : false,
+      replyCount: 0,
+      replies: [],
+      repliesCursor: null,
+    };
+  }
+
+  /**
+   * Cursor continuing a reply list after the given reply
+   * @param {Object} reply - Last reply shown
+   * @returns {Object} Cursor fields
+   */
+  getRepliesCursor(reply) {
+    return {
+      sort: REPLIES_CURSOR,
+      createdAt: new Date(reply.createdAt).toISOString(),
+      id: reply._id.toString(),
+    };
+  }
+
+  /**
+   * Encode a cursor as an opaque URL-safe string
+   * @param {Object} cursor - Cursor fields
+   * @returns {string} Encoded cursor
+   */
+  encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  }
+
+  /**
+   * Decode a repliesCursor from the client
+   * @param {string} encoded - Encoded cursor
+   * @returns {Object|null} Cursor fields, or null when malformed
+   */
+  decodeRepliesCursor(encoded) {
+    return this.decodeCursor(encoded, REPLIES_CURSOR);
+  }
+
+  /**
+   * Decode a cursor from the client
+   * @param {string} encoded - Encoded cursor
+   * @param {string} sort - 'top', 'new' or 'replies', which the cursor
+   *   must belong to
+   * @returns {Object|null} Cursor fields, or null when malformed
+   */
+  decodeCursor(encoded, sort) {
+    try {
+      const cursor = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+      const isValid =
+        cursor.sort === sort &&
+        /^[0-9a-f]{24}$/.test(cursor.id) &&
+        !isNaN(Date.parse(cursor.createdAt)) &&
+        (sort !== COMMENT_SORTS.TOP || Number.isInteger(cursor.likeCount));
+
+      return isValid ? cursor : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+export default new CommentTreeService();
@@ -0,0 +1,285 @@
+import { google } from 'googleapis';
+import User from '../models/User.js';
+import notificationService from './notificationService.js';
+import config from '../config/environment.js';
+import {
+  DRIVE_CONNECTION_STATUSES,
+  NOTIFICATION_TYPES,
+} from '../utils/constants.js';
+import { logger } from '../utils/logger.js';
+
+const TOKEN_FIELDS = [
+  'access_token',
+  'refresh_token',
+  'scope',
+  'token_type',
+  'expiry_date',
+];
+
+class DriveTokenManager {
+  constructor() {
+    // Refreshes in flight, by user, so concurrent requests share one
+    this.refreshing = new Map();
+  }
+
+  /**
+   * Get a user's Drive token, refreshing it first when it is about to
+   * expire. The returned token carries the user ID so later refreshes
+   * can be saved back.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Token, or null when the user has no
+   *   usable connection
+   */
+  async getToken(userId) {
+    const user = await User.findById(userId)
+      .select('storage.googleDriveToken')
+      .lean();
+    const stored = user?.storage?.googleDriveToken;
+
+    if (!stored?.access_token && !stored?.refresh_token) {
+      return null;
+    }
+
+    return this.ensureFresh({ ...stored, userId: String(userId) });
+  }
+
+  /**
+   * Refresh a token if it expires within the configured skew
+   * @param {Object} token - Drive token, optionally with userId
+   * @returns {Promise<Object|null>} Usable token, or null once revoked
+   */
+  async ensureFresh(token) {
+    if (!token.refresh_token || !this.needsRefresh(token)) {
+      return token;
+    }
+
+    const key = token.userId || token.refresh_token;
+    if (!this.refreshing.has(key)) {
+      this.refreshing.set(
+        key,
+        this.refresh(token).finally(() => this.refreshing.delete(key))
+      );
+    }
+
+    return this.refreshing.get(key);
+  }
+
+  /**
+   * Check whether a token should be refreshed now
+   * @param {Object} token - Drive token
+   * @returns {boolean} True if expired or expiring soon
+   */
+  needsRefresh(token) {
+    if (!token.expiry_date) return true;
+    return token.expiry_date - config.DRIVE_TOKEN_REFRESH_SKEW_MS <= Date.now();
+  }
+
+  /**
+   * Exchange the refresh token for a new access token and save it
+   * @param {Object} token - Drive token, optionally with userId
+   * @returns {Promise<Object|null>} Refreshed token, or null once revoked
+   */
+  async refresh(token) {
+    try {
+      const client = this.createOAuthClient();
+      client.setCredentials({ refresh_token: token.refresh_token });
+      const { credentials } = await client.refreshAccessToken();
+
+      // Google omits the refresh token on refresh, so keep the stored one
+      const refreshed = {
+        ...token,
+        ...credentials,
+        refresh_token: credentials.refresh_token || token.refresh_token,
+      };
+
+      if (token.userId) {
+        await this.saveToken(token.userId, refreshed);
+        logger.info('Refreshed Google Drive token:', { userId: token.userId });
+      }
+
+      return refreshed;
+    } catch (error) {
+      if (this.isRevoked(error)) {
+        if (token.userId) {
+          await this.markReconnectRequired(token, error);
+        }
+        return null;
+      }
+
+      logger.warn('Failed to refresh Google Drive token:', {
+        userId: token.userId,
+        error: error.message,
+      });
+
+      if (token.userId) {
+        await User.updateOne(
+          { _id: token.userId },
+          { 'storage.googleDriveHealth.lastError': error.message }
+        );
+      }
+
+      // A token that has not expired yet still works until it does
+      if (token.access_token && token.expiry_date > Date.now()) {
+        return token;
+      }
+      throw new Error(`Google Drive token refresh failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build an OAuth client for a token. Should the client refresh on its
+   * own mid-request, the new token is saved too.
+   * @param {Object} token - Drive token, optionally with userId
+   * @returns {Promise<Object>} Authenticated OAuth2 client
+   */
+  async getClient(token) {
+    const fresh = token ? await this.ensureFresh(token) : null;
+    if (!fresh?.access_token) {
+      const error = new Error(
+        'Google Drive is not connected. Please reconnect your account.'
+      );
+      error.code = 401;
+      throw error;
+    }
+
+    const client = this.createOAuthClient();
+    client.setCredentials({
+      access_token: fresh.access_token,
+      refresh_token: fresh.refresh_token,
+      expiry_date: fresh.expiry_date,
+    });
+
+    if (fresh.userId) {
+      client.on('tokens', (credentials) => {
+        this.saveToken(fresh.userId, {
+          ...fresh,
+          ...credentials,
+          refresh_token: credentials.refresh_token || fresh.refresh_token,
+        }).catch((error) =>
+          logger.error('Failed to save refreshed Google Drive token:', {
+            userId: fresh.userId,
+            error: error.message,
+          })
+        );
+      });
+    }
+
+    return client;
+  }
+
+  /**
+   * Persist a refreshed token and record the healthy refresh
+   * @param {string} userId - User ID
+   * @param {Object} token - Refreshed token
+   * @returns {Promise<void>}
+   */
+  async saveToken(userId, token) {
+    const googleDriveToken = {};
+    for (const field of TOKEN_FIELDS) {
+      if (token[field] !== undefined) googleDriveToken[field] = token[field];
+    }
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          'storage.googleDriveToken': googleDriveToken,
+          'storage.googleDriveHealth.status':
+            DRIVE_CONNECTION_STATUSES.CONNECTED,
+          'storage.googleDriveHealth.lastRefreshAt': new Date(),
+        },
+        $unset: { 'storage.googleDriveHealth.lastError': '' },
+      }
+    );
+  }
+
+  /**
+   * Check whether a refresh failed because the user revoked access
+   * (or the grant otherwise became unusable)
+   * @param {Object} error - Error from the token endpoint
+   * @returns {boolean} True if the user has to connect again
+   */
+  isRevoked(error) {
+    return (
+      error.response?.data?.error === 'invalid_grant' ||
+      /invalid_grant/.test(error.message)
+    );
+  }
+
+  /**
+   * Drop a revoked token, flag the account for reconnection and tell the
+   * user. Only the first request to notice a revocation notifies.
+   * @param {Object} token - Revoked token with userId
+   * @param {Object} error - Error from the token endpoint
+   * @returns {Promise<void>}
+   */
+  async markReconnectRequired(token, error) {
+    // Skip if the user already reconnected with a different grant
+    const result = await User.updateOne(
+      {
+        _id: token.userId,
+        'storage.googleDriveToken.refresh_token': token.refresh_token,
+      },
+      {
+        $set: {
+          'storage.googleDriveHealth.status':
+            DRIVE_CONNECTION_STATUSES.RECONNECT_REQUIRED,
+          'storage.googleDriveHealth.lastError': error.message,
+          'storage.googleDriveHealth.reconnectRequiredAt': new Date(),
+        },
+        $unset: { 'storage.googleDriveToken': '' },
+      }
+    );
+
+    if (result.modifiedCount === 0) return;
+
+    logger.warn('Google Drive access revoked:', { userId: token.userId });
+
+    await notificationService.sendNotification(
+      token.userId,
+      NOTIFICATION_TYPES.STORAGE_RECONNECT,
+      { storageType: 'google_drive' }
+    );
+  }
+
+  /**
+   * Describe a user's Drive connection for the settings screen
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { status, expiresAt, lastRefreshAt, lastError }
+   */
+  async getHealth(userId) {
+    const user = await User.findById(userId)
+      .select('storage.googleDriveToken storage.googleDriveHealth')
+      .lean();
+    const token = user?.storage?.googleDriveToken;
+    const health = user?.storage?.googleDriveHealth || {};
+
+    let status = health.status || DRIVE_CONNECTION_STATUSES.NOT_CONNECTED;
+    if (token?.refresh_token || token?.access_token) {
+      status = DRIVE_CONNECTION_STATUSES.CONNECTED;
+    } else if (status === DRIVE_CONNECTION_STATUSES.CONNECTED) {
+      status = DRIVE_CONNECTION_STATUSES.NOT_CONNECTED;
+    }
+
+    return {
+      status,
+      expiresAt: token?.expiry_date ? new Date(token.expiry_date) : null,
+      lastRefreshAt: health.lastRefreshAt || null,
+      lastError: health.lastError || null,
+    };
+  }
+
+  /**
+   * Create an OAuth client with the app's credentials
+   * @returns {Object} OAuth2 client
+   */
+  createOAuthClient() {
+    return new google.auth.OAuth2(
+      config.GOOGLE_CLIENT_ID,
+      config.GOOGLE_CLIENT_SECRET,
+      config.GOOGLE_REDIRECT_URI
+    );
+  }
+}
+
+export default new DriveTokenManager();
@@ -0,0 +1,387 @@
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import Listen from '../models/Listen.js';
+import FeedPreference from '../models/FeedPreference.js';
+import FeedSnapshot from '../models/FeedSnapshot.js';
+import visibilityService from './visibilityService.js';
+import tagService from './tagService.js';
+import config from '../config/environment.js';
+import { FEED_MODES, TIME } from '../utils/constants.js';
+
+const AUTHOR_FIELDS = 'username profile.displayName profile.avatar';
+const AFFINITY_SATURATION = 10; // Interactions at which affinity reaches 0.5
+
+class FeedService {
+  /**
+   * Get a page of the viewer's home feed
+   * @param {string} viewerId - Viewing user
+   * @param {Object} options - Feed options
+   * @param {string} options.mode - 'latest' or 'top'
+   * @param {number} options.limit - Posts per page
+   * @param {Object} options.cursor - Decoded cursor from the previous page
+   * @returns {Promise<Object>} { posts, nextCursor, mode }
+   */
+  async getFeed(
+    viewerId,
+    { mode = FEED_MODES.LATEST, limit = 20, cursor = null } = {}
+  ) {
+    const filter = await this.getCandidateFilter(viewerId);
+
+    const { posts, nextCursor } =
+      mode === FEED_MODES.TOP
+        ? await this.getTopPage(viewerId, filter, limit, cursor)
+        : await this.getLatestPage(filter, limit, cursor);
+
+    return {
+      posts,
+      nextCursor: nextCursor ? this.encodeCursor(nextCursor) : null,
+      mode,
+    };
+  }
+
+  /**
+   * Build the filter for posts that may appear in a viewer's feed:
+   * visible posts by the viewer and their connections or tagged with a
+   * followed tag, minus anything the viewer has hidden or muted
+   * @param {string} viewerId - Viewing user
+   * @returns {Promise<Object>} Mongo filter
+   */
+  async getCandidateFilter(viewerId) {
+    const [{ connectionIds }, preferences, followedTags, visibility] =
+      await Promise.all([
+        visibilityService.getRelatedUserIds(viewerId),
+        FeedPreference.findForUser(viewerId),
+        tagService.getFollowedSlugs(viewerId),
+        visibilityService.getPostFilter(viewerId),
+      ]);
+
+    return {
+      authorId: { $nin: preferences.mutedUserIds },
+      _id: { $nin: preferences.hiddenPostIds },
+      isActive: true,
+      ...visibility,
+      $and: [
+        {
+          $or: [
+            { authorId: { $in: [viewerId, ...connectionIds] } },
+            { 'content.tags': { $in: followedTags } },
+          ],
+        },
+      ],
+    };
+  }
+
+  /**
+   * Newest first, paged on (createdAt, _id) so new posts never shift pages
+   */
+  async getLatestPage(filter, limit, cursor) {
+    const query = { ...filter };
+
+    if (cursor) {
+      const createdAt = new Date(cursor.createdAt);
+      query.$and = [
+        ...filter.$and,
+        {
+          $or: [
+            { createdAt: { $lt: createdAt } },
+            { createdAt, _id: { $lt: cursor.id } },
+          ],
+        },
+      ];
+    }
+
+    const posts = await Post.find(query)
+      .populate('authorId', AUTHOR_FIELDS)
+      .withPreviewWaveform()
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = posts.length > limit;
+    const page = posts.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      posts: page,
+      nextCursor: hasMore && {
+        mode: FEED_MODES.LATEST,
+        createdAt: last.createdAt.toISOString(),
+        id: last._id.toString(),
+      },
+    };
+  }
+
+  /**
+   * Highest ranked first. The first page ranks the candidates and keeps
+   * the order in a FeedSnapshot; later pages read that snapshot (named in
+   * the cursor) and continue after the last (score, _id) seen, so likes and
+   * listens in between can't shuffle posts across pages. Should the
+   * snapshot have expired, candidates are ranked again as of its time.
+   */
+  async getTopPage(viewerId, filter, limit, cursor) {
+    const asOf = cursor ? new Date(cursor.asOf) : new Date();
+
+    let ranked = null;
+    if (cursor) {
+      const snapshot = await FeedSnapshot.findOne({
+        _id: cursor.snapshotId,
+        userId: viewerId,
+      });
+      ranked = snapshot?.posts.map(({ postId, score }) => ({
+        id: postId.toString(),
+        score,
+      }));
+    }
+
+    let snapshotId = cursor?.snapshotId;
+    if (!ranked) {
+      ranked = await this.rankCandidates(viewerId, filter, asOf);
+      const snapshot = await FeedSnapshot.create({
+        userId: viewerId,
+        asOf,
+        posts: ranked.map(({ id, score }) => ({ postId: id, score })),
+      });
+      snapshotId = snapshot._id.toString();
+    }
+
+    const remaining = ranked.filter(
+      ({ id, score }) =>
+        !cursor ||
+        score < cursor.score ||
+        (score === cursor.score && id < cursor.id)
+    );
+
+    const page = remaining.slice(0, limit);
+    // Posts deleted, hidden or muted since the ranking drop out
+    const posts = await Post.find({
+      ...filter,
+      $and: [...filter.$and, { _id: { $in: page.map(({ id }) => id) } }],
+    })
+      .populate('authorId', AUTHOR_FIELDS)
+      .withPreviewWaveform();
+
+    const byId = new Map(posts.map((post) => [post._id.toString(), post]));
+    const last = page[page.length - 1];
+
+    return {
+      posts: page.map(({ id }) => byId.get(id)).filter(Boolean),
+      nextCursor: remaining.length > limit && {
+        mode: FEED_MODES.TOP,
+        snapshotId,
+        asOf: asOf.toISOString(),
+        score: last.score,
+        id: last.id,
+      },
+    };
+  }
+
+  /**
+   * Rank the viewer's recent candidate posts
+   * @param {string} viewerId - Viewing user
+   * @param {Object} filter - Candidate filter
+   * @param {Date} asOf - Time the ranking is computed as of
+   * @returns {Promise<Array<Object>>} { id, score }, best first
+   */
+  async rankCandidates(viewerId, filter, asOf) {
+    const candidates = await Post.find({
+      ...filter,
+      createdAt: {
+        $gte: new Date(asOf.getTime() - config.FEED_TOP_WINDOW_DAYS * TIME.DAY),
+        $lte: asOf,
+      },
+    })
+      .select('authorId createdAt engagement')
+      .sort({ createdAt: -1 })
+      .limit(config.FEED_CANDIDATE_LIMIT);
+
+    const affinity = await this.getAuthorAffinity(viewerId, [
+      ...new Set(candidates.map((post) => post.authorId.toString())),
+    ]);
+
+    return this.rankPosts(candidates, affinity, asOf);
+  }
+
+  /**
+   * Score posts and sort them best first (ties broken by newest _id)
+   * @param {Array} posts - Post documents (authorId, createdAt, engagement)
+   * @param {Map} affinity - Author ID -> affinity in [0, 1)
+   * @param {Date} asOf - Time recency is measured from
+   * @returns {Array<Object>} { id, score }
+   */
+  rankPosts(posts, affinity, asOf) {
+    const maxEngagement = Math.max(
+      0,
+      ...posts.map((post) => post.engagementScore)
+    );
+
+    return posts
+      .map((post) => {
+        const ageHours = (asOf - post.createdAt) / TIME.HOUR;
+        const signals = {
+          recency: 0.5 ** (ageHours / config.FEED_RECENCY_HALF_LIFE_HOURS),
+          engagement:
+            maxEngagement > 0
+              ? Math.log1p(post.engagementScore) / Math.log1p(maxEngagement)
+              : 0,
+          affinity: affinity.get(post.authorId.toString()) || 0,
+          completion: post.completionRate,
+        };
+
+        const score =
+          config.FEED_WEIGHT_RECENCY * signals.recency +
+          config.FEED_WEIGHT_ENGAGEMENT * signals.engagement +
+          config.FEED_WEIGHT_AFFINITY * signals.affinity +
+          config.FEED_WEIGHT_COMPLETION * signals.completion;
+
+        // Rounded so the value survives the round trip through the cursor
+        return { id: post._id.toString(), score: Number(score.toFixed(8)) };
+      })
+      .sort((a, b) => b.score - a.score || (a.id < b.id ? 1 : -1));
+  }
+
+  /**
+   * How much the viewer has recently engaged with each author, from
+   * listens, likes and comments
+   * @param {string} viewerId - Viewing user
+   * @param {Array<string>} authorIds - Authors to score
+   * @returns {Promise<Map>} Author ID -> affinity in [0, 1)
+   */
+  async getAuthorAffinity(viewerId, authorIds) {
+    const since = new Date(
+      Date.now() - config.FEED_AFFINITY_WINDOW_DAYS * TIME.DAY
+    );
+    const authors = authorIds
+      .filter((id) => id !== viewerId.toString())
+      .map((id) => new mongoose.Types.ObjectId(id));
+
+    if (authors.length === 0) return new Map();
+
+    const [listens, likes, comments] = await Promise.all([
+      Listen.aggregate([
+        {
+          $match: {
+            userId: viewerId,
+            authorId: { $in: authors },
+            lastListenedAt: { $gte: since },
+          },
+        },
+        { $group: { _id: '$authorId', count: { $sum: 1 } } },
+      ]),
+      Post.aggregate([
+        {
+          $match: {
+            likedBy: viewerId,
+            authorId: { $in: authors },
+            createdAt: { $gte: since },
+          },
+        },
+        { $group: { _id: '$authorId', count: { $sum: 1 } } },
+      ]),
+      Comment.aggregate([
+        {
+          $match: {
+            authorId: viewerId,
+            isActive: true,
+            createdAt: { $gte: since },
+          },
+        },
+        {
+          $lookup: {
+            from: 'posts',
+            localField: 'postId',
+            foreignField: '_id',
+            as: 'post',
+          },
+        },
+        { $unwind: '$post' },
+        { $match: { 'post.authorId': { $in: authors } } },
+        { $group: { _id: '$post.authorId', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    // Comments take more effort than likes, likes more than listens
+    const interactions = new Map();
+    const add = (groups, weight) =>
+      groups.forEach(({ _id, count }) => {
+        const key = _id.toString();
+        interactions.set(key, (interactions.get(key) || 0) + count * weight);
+      });
+    add(listens, 1);
+    add(likes, 2);
+    add(comments, 3);
+
+    const affinity = new Map();
+    interactions.forEach((count, authorId) => {
+      affinity.set(authorId, count / (count + AFFINITY_SATURATION));
+    });
+
+    return affinity;
+  }
+
+  /**
+   * Hide a post from a user's feed, or show it again
+   * @param {string} userId - User ID
+   * @param {string} postId - Post ID
+   * @param {boolean} hidden - Whether the post should be hidden
+   */
+  async setPostHidden(userId, postId, hidden) {
+    await FeedPreference.updateOne(
+      { userId },
+      hidden
+        ? { $addToSet: { hiddenPostIds: postId } }
+        : { $pull: { hiddenPostIds: postId } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Mute an author in a user's feed, or unmute them
+   * @param {string} userId - User ID
+   * @param {string} mutedUserId - Author to mute
+   * @param {boolean} muted - Whether the author should be muted
+   */
+  async setUserMuted(userId, mutedUserId, muted) {
+    await FeedPreference.updateOne(
+      { userId },
+      muted
+        ? { $addToSet: { mutedUserIds: mutedUserId } }
+        : { $pull: { mutedUserIds: mutedUserId } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Encode a cursor as an opaque URL-safe string
+   * @param {Object} cursor - Cursor fields
+   * @returns {string} Encoded cursor
+   */
+  encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor from the client
+   * @param {string} encoded - Encoded cursor
+   * @param {string} mode - Feed mode the cursor must belong to
+   * @returns {Object|null} Cursor fields, or null when malformed
+   */
+  decodeCursor(encoded, mode) {
+    try {
+      const cursor = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+      const isValid =
+        cursor.mode === mode &&
+        /^[0-9a-f]{24}$/.test(cursor.id) &&
+        (mode === FEED_MODES.TOP
+          ? typeof cursor.score === 'number' &&
+            !isNaN(Date.parse(cursor.asOf)) &&
+            /^[0-9a-f]{24}$/.test(cursor.snapshotId)
+          : !isNaN(Date.parse(cursor.createdAt)));
+
+      return isValid ? cursor : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+export default new FeedService();
@@ -0,0 +1,57 @@
+import net from 'net';
+import config from '../config/environment.js';
+import { logger } from '../utils/logger.js';
+
+// Loopback, private and link-local ranges mean nothing to a lookup service
+const PRIVATE_IP =
+  /^(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|169\.254\.|::1$|f[cd]|fe80:)/i;
+
+class GeoipService {
+  /**
+   * Check whether locations can be looked up at all
+   * @returns {boolean} True if a lookup URL is configured
+   */
+  isEnabled() {
+    return Boolean(config.GEOIP_LOOKUP_URL);
+  }
+
+  /**
+   * Approximate where an IP address is, e.g. "Berlin, Germany"
+   * @param {string} ip - IP address
+   * @returns {Promise<string|null>} Location, or null when unknown
+   */
+  async lookup(ip) {
+    // Express reports IPv4 clients of a dual-stack server as ::ffff:a.b.c.d
+    const address = ip?.replace(/^::ffff:/, '');
+
+    if (!this.isEnabled() || !net.isIP(address) || PRIVATE_IP.test(address)) {
+      return null;
+    }
+
+    try {
+      const response = await fetch(
+        config.GEOIP_LOOKUP_URL.replace('{ip}', encodeURIComponent(address)),
+        { signal: AbortSignal.timeout(config.GEOIP_TIMEOUT_MS) }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Lookup failed with status ${response.status}`);
+      }
+
+      const result = await response.json();
+      const parts = [
+        result.city,
+        result.region || result.regionName,
+        result.country_name || result.country,
+      ].filter((part) => typeof part === 'string' && part);
+
+      // Drop repeats such as a city-state's region
+      return [...new Set(parts)].join(', ') || null;
+    } catch (error) {
+      logger.warn('IP location lookup failed:', { error: error.message });
+      return null;
+    }
+  }
+}
+
+export default new GeoipService();
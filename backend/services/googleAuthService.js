@@ -0,0 +1,369 @@
+import crypto from 'crypto';
+import { google } from 'googleapis';
+import User from '../models/User.js';
+import config from '../config/environment.js';
+import { DRIVE_SCOPES } from '../config/cloudStorage.js';
+import {
+  generateOAuthStateToken,
+  verifyOAuthStateToken,
+} from '../config/auth.js';
+import driveTokenManager from './driveTokenManager.js';
+import { GOOGLE_AUTH_INTENTS, STORAGE_TYPES } from '../utils/constants.js';
+import { logger, logSecurityEvent } from '../utils/logger.js';
+
+const SIGN_IN_SCOPES = ['openid', 'email', 'profile'];
+const MAX_USERNAME_LENGTH = 30;
+
+/**
+ * Create an error carrying the HTTP status to respond with
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+const googleAuthError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class GoogleAuthService {
+  /**
+   * Create an OAuth client that returns to the frontend's callback page
+   * @returns {Object} OAuth2 client
+   */
+  createOAuthClient() {
+    return new google.auth.OAuth2(
+      config.GOOGLE_CLIENT_ID,
+      config.GOOGLE_CLIENT_SECRET,
+      config.GOOGLE_SIGNIN_REDIRECT_URI
+    );
+  }
+
+  /**
+   * Build the Google consent URL
+   * @param {Object} options - { intent, userId, includeDrive }; userId is
+   *   the account to link to when intent is 'link'
+   * @returns {Object} { authUrl, state } - the frontend keeps the state to
+   *   check the callback is the one it started
+   */
+  getAuthUrl({ intent, userId, includeDrive }) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const state = generateOAuthStateToken({
+      intent,
+      nonce,
+      includeDrive,
+      ...(userId && { userId: String(userId) }),
+    });
+
+    const authUrl = this.createOAuthClient().generateAuthUrl({
+      scope: includeDrive ? [...SIGN_IN_SCOPES, ...DRIVE_SCOPES] : SIGN_IN_SCOPES,
+      state,
+      nonce,
+      include_granted_scopes: true,
+      // Drive needs a refresh token, which Google only sends with consent
+      ...(includeDrive
+        ? { access_type: 'offline', prompt: 'consent' }
+        : { prompt: 'select_account' }),
+    });
+
+    return { authUrl, state };
+  }
+
+  /**
+   * Exchange the code Google returned for the signed-in Google identity
+   * @param {string} code - Authorization code
+   * @param {string} stateToken - State from the consent URL
+   * @param {string} intent - Expected intent
+   * @returns {Promise<Object>} { state, identity, tokens }
+   */
+  async exchangeCode(code, stateToken, intent) {
+    let state;
+    try {
+      state = verifyOAuthStateToken(stateToken);
+    } catch (error) {
+      throw googleAuthError(400, error.message);
+    }
+
+    if (state.intent !== intent) {
+      throw googleAuthError(400, 'Invalid Google sign-in attempt');
+    }
+
+    const client = this.createOAuthClient();
+    let tokens;
+    try {
+      ({ tokens } = await client.getToken(code));
+    } catch (error) {
+      throw googleAuthError(400, 'Google sign-in failed, please try again');
+    }
+
+    const ticket = await client.verifyIdToken({
+      idToken: tokens.id_token,
+      audience: config.GOOGLE_CLIENT_ID,
+    });
+    const payload = ticket.getPayload();
+
+    // The ID token must answer this very consent request
+    if (payload.nonce !== state.nonce) {
+      logSecurityEvent('google_nonce_mismatch', { sub: payload.sub });
+      throw googleAuthError(400, 'Invalid Google sign-in attempt');
+    }
+
+    return {
+      state,
+      tokens,
+      identity: {
+        sub: payload.sub,
+        email: payload.email?.toLowerCase(),
+        emailVerified: payload.email_verified === true,
+        name: payload.name,
+        picture: payload.picture,
+      },
+    };
+  }
+
+  /**
+   * Sign in with Google: find the account linked to the Google identity,
+   * link one that has verified the same email, or create a new one
+   * @param {string} code - Authorization code
+   * @param {string} stateToken - State from the consent URL
+   * @param {Object} req - Express request, for logging
+   * @returns {Promise<Object>} { user, created, driveConnected }
+   */
+  async signIn(code, stateToken, req) {
+    const { state, tokens, identity } = await this.exchangeCode(
+      code,
+      stateToken,
+      GOOGLE_AUTH_INTENTS.SIGN_IN
+    );
+
+    let user = await User.findOne({ 'googleAuth.sub': identity.sub });
+    let created = false;
+
+    if (!user) {
+      // Only an address Google has verified may claim an account
+      if (!identity.email || !identity.emailVerified) {
+        throw googleAuthError(
+          400,
+          'Your Google account email is not verified'
+        );
+      }
+
+      user = await User.findOne({ email: identity.email });
+
+      // Anyone can register an address they do not own. Linking to such an
+      // account would let whoever set its password into the Google user's
+      // account, so only accounts that proved the address are linked here.
+      if (user && user.emailVerified !== true) {
+        logSecurityEvent('google_link_refused_unverified', {
+          userId: user._id,
+          ip: req.ip,
+        });
+        throw googleAuthError(
+          409,
+          'An account with this email already exists. Log in with your password and link Google from Settings.'
+        );
+      }
+
+      if (user) {
+        this.applyIdentity(user, identity);
+        await user.save();
+
+        logSecurityEvent('google_account_linked', {
+          userId: user._id,
+          via: 'sign_in',
+          ip: req.ip,
+        });
+      } else {
+        user = await this.createUser(identity);
+        created = true;
+      }
+    }
+
+    if (!user.isActive) {
+      throw googleAuthError(401, 'Account is deactivated');
+    }
+
+    const driveConnected = state.includeDrive
+      ? await this.connectDrive(user._id, tokens)
+      : false;
+
+    logger.info('Google sign-in:', { userId: user._id, created, driveConnected });
+
+    return { user, created, driveConnected };
+  }
+
+  /**
+   * Link a Google identity to a signed-in account
+   * @param {string} userId - Signed-in user
+   * @param {string} code - Authorization code
+   * @param {string} stateToken - State from the consent URL
+   * @param {Object} req - Express request, for logging
+   * @returns {Promise<Object>} { user, driveConnected }
+   */
+  async link(userId, code, stateToken, req) {
+    const { state, tokens, identity } = await this.exchangeCode(
+      code,
+      stateToken,
+      GOOGLE_AUTH_INTENTS.LINK
+    );
+
+    // The consent was started by this account, not someone else's
+    if (state.userId !== String(userId)) {
+      throw googleAuthError(400, 'Invalid Google sign-in attempt');
+    }
+
+    const owner = await User.findOne({ 'googleAuth.sub': identity.sub }).select('_id');
+    if (owner && !owner._id.equals(userId)) {
+      throw googleAuthError(
+        409,
+        'This Google account is already linked to another account'
+      );
+    }
+
+    const user = await User.findById(userId);
+    this.applyIdentity(user, identity);
+    await user.save();
+
+    const driveConnected = state.includeDrive
+      ? await this.connectDrive(user._id, tokens)
+      : false;
+
+    logSecurityEvent('google_account_linked', {
+      userId,
+      via: 'settings',
+      ip: req.ip,
+    });
+
+    return { user, driveConnected };
+  }
+
+  /**
+   * Remove the Google identity from an account. Accounts without a
+   * password would have no way left to sign in, so they must set one first.
+   * @param {string} userId - User ID
+   * @param {Object} req - Express request, for logging
+   */
+  async unlink(userId, req) {
+    const user = await User.findById(userId).select('+password');
+
+    if (!user.googleAuth?.sub) {
+      throw googleAuthError(400, 'No Google account is linked');
+    }
+    if (!user.password) {
+      throw googleAuthError(
+        400,
+        'Set a password before unlinking Google, or you will not be able to sign in'
+      );
+    }
+
+    await User.updateOne({ _id: userId }, { $unset: { googleAuth: '' } });
+
+    logSecurityEvent('google_account_unlinked', { userId, ip: req.ip });
+  }
+
+  /**
+   * Describe the linked Google identity for the settings screen
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { linked, email, linkedAt, hasPassword }
+   */
+  async getStatus(userId) {
+    const user = await User.findById(userId).select('+password googleAuth');
+
+    return {
+      linked: Boolean(user.googleAuth?.sub),
+      email: user.googleAuth?.email || null,
+      linkedAt: user.googleAuth?.linkedAt || null,
+      hasPassword: Boolean(user.password),
+    };
+  }
+
+  /**
+   * Record a Google identity on a user document (not saved)
+   * @param {Object} user - User document
+   * @param {Object} identity - Google identity
+   */
+  applyIdentity(user, identity) {
+    user.googleAuth = {
+      sub: identity.sub,
+      email: identity.email,
+      linkedAt: new Date(),
+    };
+
+    // Google vouches for the address when it matches the account's
+    if (identity.emailVerified && identity.email === user.email && !user.isEmailVerified()) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+  }
+
+  /**
+   * Create a passwordless account for a new Google user
+   * @param {Object} identity - Google identity
+   * @returns {Promise<Object>} New user
+   */
+  async createUser(identity) {
+    const user = new User({
+      username: await this.generateUsername(identity),
+      email: identity.email,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      profile: {
+        displayName: identity.name?.slice(0, 50),
+        avatar: identity.picture,
+      },
+    });
+    this.applyIdentity(user, identity);
+    await user.save();
+
+    logger.info('User registered with Google:', {
+      userId: user._id,
+      username: user.username,
+    });
+
+    return user;
+  }
+
+  /**
+   * Pick a free username based on the Google profile, e.g. jane_doe or
+   * jane_doe_4821
+   * @param {Object} identity - Google identity
+   * @returns {Promise<string>} Available username
+   */
+  async generateUsername(identity) {
+    const source = identity.email?.split('@')[0] || identity.name || 'user';
+    let base = source.replace(/[^a-zA-Z0-9_]/g, '_').replace(/_+/g, '_');
+    base = base.slice(0, MAX_USERNAME_LENGTH - 5).padEnd(3, '_');
+
+    let username = base;
+    while (await User.exists({ username })) {
+      username = `${base}_${crypto.randomInt(1000, 10000)}`;
+    }
+
+    return username;
+  }
+
+  /**
+   * Store Drive access granted in the same consent and make Drive the
+   * user's storage
+   * @param {string} userId - User ID
+   * @param {Object} tokens - Tokens from the code exchange
+   * @returns {Promise<boolean>} Whether Drive was connected; the user may
+   *   have unticked the Drive permissions
+   */
+  async connectDrive(userId, tokens) {
+    const granted = tokens.scope?.split(' ') || [];
+    if (!DRIVE_SCOPES.every((scope) => granted.includes(scope))) {
+      return false;
+    }
+
+    await driveTokenManager.saveToken(userId, tokens);
+    await User.updateOne(
+      { _id: userId },
+      { $set: { 'storage.preference': STORAGE_TYPES.GOOGLE_DRIVE } }
+    );
+
+    return true;
+  }
+}
+
+export default new GoogleAuthService();
@@ -1,7 +1,7 @@
 import { google } from 'googleapis';
 import fs from 'fs';
 import stream from 'stream';
-import { refreshAccessToken } from '../config/cloudStorage.js';
+import driveTokenManager from './driveTokenManager.js';
 import { logger } from '../utils/logger.js';
 
 class GoogleDriveService {
@@ -10,25 +10,14 @@ class GoogleDriveService {
   }
 
   /**
-   * Get authenticated Google Drive client
+   * Get authenticated Google Drive client. The token manager refreshes
+   * tokens close to expiry and saves them for the owner.
    * @param {Object} userToken - User's Google Drive token
    * @returns {Object} Authenticated Google Drive client
    */
   async getDriveClient(userToken) {
     try {
-      // Check if token needs refresh
-      if (this.isTokenExpired(userToken)) {
-        logger.info('Refreshing Google Drive token');
-        const newTokens = await refreshAccessToken(userToken.refresh_token);
-        userToken = { ...userToken, ...newTokens };
-      }
-
-      const auth = new google.auth.OAuth2();
-      auth.setCredentials({
-        access_token: userToken.access_token,
-        refresh_token: userToken.refresh_token,
-        expiry_date: userToken.expiry_date,
-      });
+      const auth = await driveTokenManager.getClient(userToken);
 
       return google.drive({ version: 'v3', auth });
     } catch (error) {
@@ -37,16 +26,6 @@ class GoogleDriveService {
     }
   }
 
-  /**
-   * Check if token is expired
-   * @param {Object} token - Token object
-   * @returns {boolean} True if token is expired
-   */
-  isTokenExpired(token) {
-    if (!token || !token.expiry_date) return true;
-    return token.expiry_date < Date.now();
-  }
-
   /**
    * Upload audio file to Google Drive
    * @param {Object} audioFile - Audio file object
@@ -87,26 +66,8 @@ class GoogleDriveService {
         fileName: response.data.name,
       });
 
-      // Make file publicly readable
-      try {
-        await drive.permissions.create({
-          fileId: response.data.id,
-          requestBody: {
-            role: 'reader',
-            type: 'anyone',
-          },
-        });
-        logger.info('File permissions set to public:', {
-          fileId: response.data.id,
-        });
-      } catch (permError) {
-        logger.warn('Failed to set file permissions:', {
-          fileId: response.data.id,
-          error: permError.message,
-        });
-        // Continue even if permission setting fails
-      }
-
+      // Files stay private to the owner's Drive; listeners are served
+      // through the authorized /audio endpoints instead of a shared link
       return {
         fileId: response.data.id,
         url: `https://www.googleapis.com/drive/v3/files/${response.data.id}?alt=media`,
@@ -163,7 +124,7 @@ class GoogleDriveService {
       const response = await drive.files.get({
         fileId: fileId,
         fields:
-          'id, name, mimeType, size, webViewLink, webContentLink, createdTime, modifiedTime',
+          'id, name, mimeType, size, md5Checksum, webViewLink, webContentLink, createdTime, modifiedTime',
       });
 
       return response.data;
@@ -172,7 +133,38 @@ class GoogleDriveService {
         fileId,
         error: error.message,
       });
-      throw new Error(`Failed to get file metadata: ${error.message}`);
+      const wrapped = new Error(`Failed to get file metadata: ${error.message}`);
+      wrapped.code = error.code; // Lets callers tell a missing file apart
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Open a read stream over a file's contents
+   * @param {string} fileId - Google Drive file ID
+   * @param {Object} userToken - File owner's Google Drive token
+   * @param {Object} range - Byte range { start, end } (optional)
+   * @returns {Promise<stream.Readable>} File contents
+   */
+  async getFileStream(fileId, userToken, range = null) {
+    try {
+      const drive = await this.getDriveClient(userToken);
+
+      const response = await drive.files.get(
+        { fileId, alt: 'media' },
+        {
+          responseType: 'stream',
+          headers: range ? { Range: `bytes=${range.start}-${range.end}` } : {},
+        }
+      );
+
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to open file stream:', {
+        fileId,
+        error: error.message,
+      });
+      throw error;
     }
   }
 
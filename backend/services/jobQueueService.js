@@ -0,0 +1,335 @@
+import os from 'os';
+import Job from '../models/Job.js';
+import config from '../config/environment.js';
+import { JOB_STATUSES } from '../utils/constants.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_BACKOFF_MS = 60 * 60 * 1000; // 1 hour
+
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.types = null;
+    this.isRunning = false;
+    this.isPolling = false;
+    this.pollTimer = null;
+    this.staleTimer = null;
+    this.activeJob = null;
+  }
+
+  /**
+   * Register the function that runs jobs of a given type
+   * @param {string} type - Job type
+   * @param {Function} handler - Async handler receiving (payload, job)
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - Additional options
+   * @param {number} options.delay - Milliseconds to wait before running
+   * @param {number} options.maxAttempts - Attempts before dead-lettering
+   * @returns {Promise<Object>} Created job
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const job = await Job.create({
+      type,
+      payload,
+      runAt: new Date(Date.now() + (options.delay || 0)),
+      ...(options.maxAttempts && { maxAttempts: options.maxAttempts }),
+    });
+
+    logger.info('Job enqueued:', { jobId: job._id, type });
+
+    return job;
+  }
+
+  /**
+   * Add a job unless an identical one is already waiting or running
+   * @param {string} type - Job type
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - Same options as enqueue
+   * @returns {Promise<Object|null>} Created job, or null if one exists
+   */
+  async enqueueUnique(type, payload = {}, options = {}) {
+    const existing = await Job.exists({
+      type,
+      payload,
+      status: {
+        $in: [
+          JOB_STATUSES.PENDING,
+          JOB_STATUSES.PROCESSING,
+          JOB_STATUSES.FAILED,
+        ],
+      },
+    });
+
+    if (existing) return null;
+
+    return this.enqueue(type, payload, options);
+  }
+
+  /**
+   * Add several jobs of the same type in one write
+   * @param {string} type - Job type
+   * @param {Array<Object>} payloads - One payload per job
+   * @returns {Promise<Array>} Created jobs
+   */
+  async enqueueMany(type, payloads) {
+    if (payloads.length === 0) return [];
+
+    const jobs = await Job.insertMany(
+      payloads.map((payload) => ({ type, payload }))
+    );
+
+    logger.info('Jobs enqueued:', { type, count: jobs.length });
+
+    return jobs;
+  }
+
+  /**
+   * Start polling for jobs
+   * @param {Object} options - Worker options
+   * @param {Array<string>} options.types - Only run these job types
+   */
+  start({ types = null } = {}) {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.types = types;
+
+    this.pollTimer = setInterval(
+      () => this.poll(),
+      config.JOB_POLL_INTERVAL_MS
+    );
+    this.staleTimer = setInterval(
+      () => this.releaseStaleJobs(),
+      config.JOB_LOCK_TIMEOUT_MS
+    );
+
+    logger.info('Job worker started:', {
+      workerId: this.workerId,
+      types: types || 'all',
+    });
+  }
+
+  /**
+   * Stop polling and wait for the running job to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.isRunning = false;
+    clearInterval(this.pollTimer);
+    clearInterval(this.staleTimer);
+
+    if (this.activeJob) {
+      await this.activeJob;
+    }
+
+    logger.info('Job worker stopped:', { workerId: this.workerId });
+  }
+
+  /**
+   * Drain every runnable job, one at a time
+   */
+  async poll() {
+    if (this.isPolling || !this.isRunning) return;
+
+    this.isPolling = true;
+
+    try {
+      while (this.isRunning) {
+        const job = await Job.claimNext(this.workerId, this.types);
+        if (!job) break;
+
+        this.activeJob = this.runJob(job);
+        await this.activeJob;
+        this.activeJob = null;
+      }
+    } catch (error) {
+      logger.error('Error polling job queue:', error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {Object} job - Claimed job document
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      if (job.attempts > job.maxAttempts) {
+        throw new Error(job.lastError || 'Maximum attempts exceeded');
+      }
+
+      await handler(job.payload, job);
+
+      job.status = JOB_STATUSES.COMPLETED;
+      job.completedAt = new Date();
+      job.lockedAt = undefined;
+      job.lockedBy = undefined;
+      await job.save();
+
+      logger.info('Job completed:', {
+        jobId: job._id,
+        type: job.type,
+        attempts: job.attempts,
+      });
+    } catch (error) {
+      await this.failJob(job, error);
+    }
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or dead-letter the job
+   * @param {Object} job - Job document
+   * @param {Error} error - Failure reason
+   */
+  async failJob(job, error) {
+    job.lastError = error.message;
+    job.failedAt = new Date();
+    job.lockedAt = undefined;
+    job.lockedBy = undefined;
+
+    if (job.attempts >= job.maxAttempts) {
+      job.status = JOB_STATUSES.DEAD;
+
+      logger.error('Job moved to dead letter:', {
+        jobId: job._id,
+        type: job.type,
+        attempts: job.attempts,
+        error: error.message,
+      });
+    } else {
+      const backoff = Math.min(
+        config.JOB_BACKOFF_BASE_MS * 2 ** (job.attempts - 1),
+        MAX_BACKOFF_MS
+      );
+
+      job.status = JOB_STATUSES.FAILED;
+      job.runAt = new Date(Date.now() + backoff);
+
+      logger.warn('Job failed, retry scheduled:', {
+        jobId: job._id,
+        type: job.type,
+        attempts: job.attempts,
+        retryInMs: backoff,
+        error: error.message,
+      });
+    }
+
+    await job.save();
+  }
+
+  /**
+   * Put jobs locked by a crashed worker back on the queue
+   */
+  async releaseStaleJobs() {
+    try {
+      const result = await Job.releaseStale(config.JOB_LOCK_TIMEOUT_MS);
+
+      if (result.modifiedCount > 0) {
+        logger.warn('Released stale jobs:', { count: result.modifiedCount });
+      }
+    } catch (error) {
+      logger.error('Failed to release stale jobs:', error);
+    }
+  }
+
+  /**
+   * Get queue depth grouped by job type and status
+   * @returns {Promise<Object>} Queue statistics
+   */
+  async getStats() {
+    const groups = await Job.aggregate([
+      {
+        $group: {
+          _id: { type: '$type', status: '$status' },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const byType = {};
+    const totals = Object.fromEntries(
+      Object.values(JOB_STATUSES).map((status) => [status, 0])
+    );
+
+    for (const { _id, count } of groups) {
+      byType[_id.type] = byType[_id.type] || {};
+      byType[_id.type][_id.status] = count;
+      totals[_id.status] += count;
+    }
+
+    const oldestPending = await Job.findOne({
+      status: { $in: [JOB_STATUSES.PENDING, JOB_STATUSES.FAILED] },
+    })
+      .sort({ runAt: 1 })
+      .select('runAt');
+
+    return {
+      depth: totals[JOB_STATUSES.PENDING] + totals[JOB_STATUSES.FAILED],
+      totals,
+      byType,
+      oldestPendingAt: oldestPending?.runAt || null,
+    };
+  }
+
+  /**
+   * Get dead-lettered jobs (newest first)
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Jobs and total count
+   */
+  async getFailedJobs({ limit = 20, skip = 0, type } = {}) {
+    const query = { status: JOB_STATUSES.DEAD };
+    if (type) {
+      query.type = type;
+    }
+
+    const [jobs, total] = await Promise.all([
+      Job.find(query)
+        .sort({ failedAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      Job.countDocuments(query),
+    ]);
+
+    return {
+      jobs,
+      total,
+    };
+  }
+
+  /**
+   * Move a dead-lettered job back onto the queue
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Requeued job, or null if not dead
+   */
+  async retryJob(jobId) {
+    return Job.findOneAndUpdate(
+      { _id: jobId, status: JOB_STATUSES.DEAD },
+      {
+        $set: {
+          status: JOB_STATUSES.PENDING,
+          attempts: 0,
+          runAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+  }
+}
+
+export default new JobQueueService();
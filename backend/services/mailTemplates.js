@@ -0,0 +1,93 @@
+import { EMAIL_TEMPLATES } from '../utils/constants.js';
+
+const APP_NAME = 'VoiceConnect';
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Wrap a message body in the shared HTML layout: a greeting, paragraphs,
+ * one call-to-action button and a footer note
+ * @param {Object} content - { greeting, paragraphs, action: { label, url }, note }
+ * @returns {string} HTML document
+ */
+const renderHtml = ({ greeting, paragraphs, action, note }) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,sans-serif;color:#18181b;">
+    <div style="max-width:480px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <h1 style="margin:0 0 24px;font-size:20px;">${APP_NAME}</h1>
+      <p>${escapeHtml(greeting)}</p>
+      ${paragraphs.map((text) => `<p>${escapeHtml(text)}</p>`).join('\n      ')}
+      <p style="margin:32px 0;">
+        <a href="${escapeHtml(action.url)}" style="background:#18181b;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;">${escapeHtml(action.label)}</a>
+      </p>
+      <p style="font-size:12px;color:#71717a;">If the button doesn't work, paste this link into your browser:<br>${escapeHtml(action.url)}</p>
+      <p style="font-size:12px;color:#71717a;">${escapeHtml(note)}</p>
+    </div>
+  </body>
+</html>`;
+
+/**
+ * The same content as plain text
+ * @param {Object} content - As for renderHtml
+ * @returns {string} Text body
+ */
+const renderText = ({ greeting, paragraphs, action, note }) =>
+  [greeting, ...paragraphs, `${action.label}: ${action.url}`, note].join(
+    '\n\n'
+  );
+
+// Template name -> (data) -> { subject, content }
+const templates = {
+  [EMAIL_TEMPLATES.VERIFY_EMAIL]: ({ name, url, expiresIn }) => ({
+    subject: `Verify your ${APP_NAME} email address`,
+    content: {
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `Confirm this is your email address to start posting on ${APP_NAME}.`,
+      ],
+      action: { label: 'Verify email', url },
+      note: `This link expires in ${expiresIn}. If you didn't create an account, you can ignore this email.`,
+    },
+  }),
+
+  [EMAIL_TEMPLATES.PASSWORD_RESET]: ({ name, url, expiresIn }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    content: {
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        'Someone asked to reset the password for your account. Choose a new one with the link below; it signs you out on every device.',
+      ],
+      action: { label: 'Reset password', url },
+      note: `This link expires in ${expiresIn} and works once. If you didn't ask for it, your password has not been changed and you can ignore this email.`,
+    },
+  }),
+};
+
+/**
+ * Render an email from a template
+ * @param {string} template - One of EMAIL_TEMPLATES
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, text, html }
+ */
+const renderTemplate = (template, data) => {
+  const build = templates[template];
+  if (!build) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const { subject, content } = build(data);
+
+  return {
+    subject,
+    text: renderText(content),
+    html: renderHtml(content),
+  };
+};
+
+export default renderTemplate;
@@ -0,0 +1,29 @@
+import crypto from 'crypto';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Logs each message's plain text instead of sending it, for local
+ * development: links in account emails can be copied from the log.
+ */
+class ConsoleMailTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send({ from, to, subject, text }) {
+    const messageId = crypto.randomUUID();
+
+    logger.info(`Email (not sent):\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}`, {
+      messageId,
+    });
+
+    return { messageId };
+  }
+}
+
+export default ConsoleMailTransport;
@@ -0,0 +1,45 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Writes each message to disk instead of sending it, for local
+ * development: a .json file with the headers and text, and an .html file
+ * to open in a browser.
+ */
+class FileMailTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.directory - Where messages are written
+   */
+  constructor({ directory }) {
+    this.name = 'file';
+    this.directory = directory;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomUUID()}`;
+    const { html, ...rest } = message;
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(this.directory, `${messageId}.json`),
+      JSON.stringify({ ...rest, date: new Date().toISOString() }, null, 2)
+    );
+    if (html) {
+      await fs.promises.writeFile(
+        path.join(this.directory, `${messageId}.html`),
+        html
+      );
+    }
+
+    return { messageId };
+  }
+}
+
+export default FileMailTransport;
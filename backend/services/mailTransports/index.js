@@ -0,0 +1,30 @@
+import config from '../../config/environment.js';
+import SmtpMailTransport from './smtpTransport.js';
+import FileMailTransport from './fileTransport.js';
+import ConsoleMailTransport from './consoleTransport.js';
+
+/**
+ * Build the mail transport selected by MAIL_TRANSPORT. Every transport
+ * has the same interface: send({ from, to, subject, text, html }).
+ * @returns {Object} Transport instance
+ */
+const createMailTransport = () => {
+  switch (config.MAIL_TRANSPORT) {
+    case 'smtp':
+      return new SmtpMailTransport({
+        host: config.SMTP_HOST,
+        port: config.SMTP_PORT,
+        secure: config.SMTP_SECURE,
+        user: config.SMTP_USER,
+        pass: config.SMTP_PASS,
+      });
+    case 'file':
+      return new FileMailTransport({ directory: config.MAIL_FILE_PATH });
+    case 'console':
+      return new ConsoleMailTransport();
+    default:
+      throw new Error(`Unsupported mail transport: ${config.MAIL_TRANSPORT}`);
+  }
+};
+
+export default createMailTransport;
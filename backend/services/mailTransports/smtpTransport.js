@@ -0,0 +1,38 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Delivers mail through an SMTP server (a provider's relay, or a local
+ * catcher such as MailHog).
+ */
+class SmtpMailTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.host - SMTP host
+   * @param {number} options.port - SMTP port
+   * @param {boolean} options.secure - Use TLS from the start (port 465);
+   *   otherwise STARTTLS is used when the server offers it
+   * @param {string} options.user - Username (optional)
+   * @param {string} options.pass - Password (optional)
+   */
+  constructor({ host, port, secure, user, pass }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+export default SmtpMailTransport;
@@ -0,0 +1,51 @@
+import config from '../config/environment.js';
+import createMailTransport from './mailTransports/index.js';
+import renderTemplate from './mailTemplates.js';
+import { logger } from '../utils/logger.js';
+
+class MailerService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Get the configured transport, created on first use
+   * @returns {Object} Mail transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createMailTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Render a template and send it
+   * @param {string} to - Recipient address
+   * @param {string} template - One of EMAIL_TEMPLATES
+   * @param {Object} data - Template data
+   * @returns {Promise<Object>} { messageId }
+   */
+  async sendEmail(to, template, data) {
+    const { subject, text, html } = renderTemplate(template, data);
+    const transport = this.getTransport();
+
+    const { messageId } = await transport.send({
+      from: config.MAIL_FROM,
+      to,
+      subject,
+      text,
+      html,
+    });
+
+    logger.info('Email sent:', {
+      template,
+      transport: transport.name,
+      messageId,
+    });
+
+    return { messageId };
+  }
+}
+
+export default new MailerService();
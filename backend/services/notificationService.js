@@ -1,11 +1,13 @@
+import Notification from '../models/Notification.js';
+import Connection from '../models/Connection.js';
+import Post from '../models/Post.js';
+import Audience from '../models/Audience.js';
+import jobQueueService from './jobQueueService.js';
+import realtimeService from './realtimeService.js';
+import { JOB_TYPES, POST_PRIVACY, REALTIME_EVENTS } from '../utils/constants.js';
 import { logger } from '../utils/logger.js';
 
 class NotificationService {
-  constructor() {
-    this.notificationQueue = [];
-    this.isProcessing = false;
-  }
-
   /**
    * Send notification to user
    * @param {string} userId - User ID to notify
@@ -16,22 +18,13 @@ class NotificationService {
    */
   async sendNotification(userId, type, data, options = {}) {
     try {
-      const notification = {
+      // Delivery runs as a job so queued notifications survive a crash
+      await jobQueueService.enqueue(JOB_TYPES.NOTIFICATION_DELIVER, {
         userId,
         type,
         data,
         options,
-        createdAt: new Date(),
-        status: 'pending',
-      };
-
-      // Add to queue
-      this.notificationQueue.push(notification);
-
-      // Process queue if not already processing
-      if (!this.isProcessing) {
-        this.processQueue();
-      }
+      });
 
       logger.info('Notification queued:', {
         userId,
@@ -48,89 +41,101 @@ class NotificationService {
   }
 
   /**
-   * Process notification queue
+   * Queue new_post notifications for every connection of the author who
+   * can see the post
+   * @param {Object} data - New post data (authorId, postId, ...)
+   * @returns {Promise<number>} Number of notifications queued
    */
-  async processQueue() {
-    if (this.isProcessing || this.notificationQueue.length === 0) {
-      return;
+  async fanOutNewPost(data) {
+    const post = await Post.findById(data.postId).select('privacy audienceId');
+    if (!post || post.privacy === POST_PRIVACY.PRIVATE) return 0;
+
+    const connections = await Connection.find({
+      status: 'accepted',
+      $or: [{ requesterId: data.authorId }, { recipientId: data.authorId }],
+    }).select('requesterId recipientId');
+
+    let connectionIds = connections
+      .map((conn) =>
+        conn.requesterId.equals(data.authorId)
+          ? conn.recipientId
+          : conn.requesterId
+      )
+      .filter((id) => !id.equals(data.authorId));
+
+    if (post.privacy === POST_PRIVACY.AUDIENCE) {
+      const audience = await Audience.findById(post.audienceId);
+      connectionIds = connectionIds.filter(
+        (id) => audience && audience.hasMember(id)
+      );
     }
 
-    this.isProcessing = true;
+    await jobQueueService.enqueueMany(
+      JOB_TYPES.NOTIFICATION_DELIVER,
+      connectionIds.map((userId) => ({
+        userId,
+        type: 'new_post',
+        data,
+      }))
+    );
 
-    try {
-      while (this.notificationQueue.length > 0) {
-        const notification = this.notificationQueue.shift();
-        await this.processNotification(notification);
-      }
-    } catch (error) {
-      logger.error('Error processing notification queue:', error);
-    } finally {
-      this.isProcessing = false;
-    }
+    logger.info('New post fan-out queued:', {
+      postId: data.postId,
+      recipients: connectionIds.length,
+    });
+
+    return connectionIds.length;
   }
 
   /**
-   * Process individual notification
-   * @param {Object} notification - Notification object
+   * Process individual notification (job handler)
+   * @param {Object} notification - Queued notification payload
+   * @throws {Error} When delivery fails, so the job is retried
    */
   async processNotification(notification) {
-    try {
-      const { userId, type, data, options } = notification;
-
-      // Check if user wants this type of notification
-      const userPreferences = await this.getUserNotificationPreferences(userId);
-      if (!this.shouldSendNotification(type, userPreferences)) {
-        logger.info('Notification skipped due to user preferences:', {
-          userId,
-          type,
-        });
-        return;
-      }
+    const { userId, type, data } = notification;
 
-      // Send notification based on type
-      switch (type) {
-        case 'connection_request':
-          await this.sendConnectionRequestNotification(userId, data);
-          break;
-        case 'connection_accepted':
-          await this.sendConnectionAcceptedNotification(userId, data);
-          break;
-        case 'contact_reveal_request':
-          await this.sendContactRevealRequestNotification(userId, data);
-          break;
-        case 'contact_reveal_accepted':
-          await this.sendContactRevealAcceptedNotification(userId, data);
-          break;
-        case 'new_post':
-          await this.sendNewPostNotification(userId, data);
-          break;
-        case 'post_comment':
-          await this.sendPostCommentNotification(userId, data);
-          break;
-        case 'post_like':
-          await this.sendPostLikeNotification(userId, data);
-          break;
-        default:
-          logger.warn('Unknown notification type:', { type });
-      }
-
-      notification.status = 'sent';
-      notification.sentAt = new Date();
-
-      logger.info('Notification sent successfully:', {
+    // Check if user wants this type of notification
+    const userPreferences = await this.getUserNotificationPreferences(userId);
+    if (!this.shouldSendNotification(type, userPreferences)) {
+      logger.info('Notification skipped due to user preferences:', {
         userId,
         type,
-        notificationId: notification._id,
       });
-    } catch (error) {
-      notification.status = 'failed';
-      notification.error = error.message;
+      return;
+    }
 
-      logger.error('Failed to send notification:', {
-        userId: notification.userId,
-        type: notification.type,
-        error: error.message,
-      });
+    // Send notification based on type
+    switch (type) {
+      case 'connection_request':
+        await this.sendConnectionRequestNotification(userId, data);
+        break;
+      case 'connection_accepted':
+        await this.sendConnectionAcceptedNotification(userId, data);
+        break;
+      case 'contact_reveal_request':
+        await this.sendContactRevealRequestNotification(userId, data);
+        break;
+      case 'contact_reveal_accepted':
+        await this.sendContactRevealAcceptedNotification(userId, data);
+        break;
+      case 'new_post':
+        await this.sendNewPostNotification(userId, data);
+        break;
+      case 'post_comment':
+        await this.sendPostCommentNotification(userId, data);
+        break;
+      case 'post_like':
+        await this.sendPostLikeNotification(userId, data);
+        break;
+      case 'storage_reconnect':
+        await this.sendStorageReconnectNotification(userId, data);
+        break;
+      case 'new_login':
+        await this.sendNewLoginNotification(userId, data);
+        break;
+      default:
+        logger.warn('Unknown notification type:', { type });
     }
   }
 
@@ -196,6 +201,7 @@ class NotificationService {
         ? `${data.requesterName} sent you a connection request: "${message}"`
         : `${data.requesterName} sent you a connection request`,
       type: 'connection_request',
+      actorId: requesterId,
       data: {
         requesterId,
         message,
@@ -217,6 +223,7 @@ class NotificationService {
       title: 'Connection Accepted',
       message: `${data.accepterName} accepted your connection request`,
       type: 'connection_accepted',
+      actorId: accepterId,
       data: {
         accepterId,
       },
@@ -239,6 +246,7 @@ class NotificationService {
         ? `${data.requesterName} wants to reveal contact information: "${message}"`
         : `${data.requesterName} wants to reveal contact information`,
       type: 'contact_reveal_request',
+      actorId: requesterId,
       data: {
         requesterId,
         message,
@@ -260,6 +268,7 @@ class NotificationService {
       title: 'Contact Information Revealed',
       message: `${data.accepterName} shared their contact information with you`,
       type: 'contact_reveal_accepted',
+      actorId: accepterId,
       data: {
         accepterId,
       },
@@ -282,6 +291,8 @@ class NotificationService {
         ? `${data.authorName} posted: "${postTitle}"`
         : `${data.authorName} shared a new audio post`,
       type: 'new_post',
+      actorId: authorId,
+      postId: data.postId,
       data: {
         authorId,
         postId: data.postId,
@@ -305,6 +316,9 @@ class NotificationService {
         ? `${data.commenterName} commented on: "${postTitle}"`
         : `${data.commenterName} commented on your post`,
       type: 'post_comment',
+      actorId: commenterId,
+      postId: data.postId,
+      commentId: data.commentId,
       data: {
         commenterId,
         postId: data.postId,
@@ -329,9 +343,54 @@ class NotificationService {
         ? `${data.likerName} liked your post: "${postTitle}"`
         : `${data.likerName} liked your post`,
       type: 'post_like',
+      actorId: likerId,
+      postId: data.postId,
+      commentId: data.commentId,
       data: {
         likerId,
         postId: data.postId,
+        commentId: data.commentId,
+      },
+    };
+
+    await this.deliverNotification(userId, notification);
+  }
+
+  /**
+   * Send storage reconnect notification (Drive access was revoked)
+   * @param {string} userId - User ID
+   * @param {Object} data - Notification data
+   */
+  async sendStorageReconnectNotification(userId, data) {
+    const notification = {
+      title: 'Reconnect Google Drive',
+      message:
+        'We can no longer reach your Google Drive. Reconnect it in settings so your audio keeps playing.',
+      type: 'storage_reconnect',
+      data: {
+        storageType: data.storageType,
+      },
+    };
+
+    await this.deliverNotification(userId, notification);
+  }
+
+  /**
+   * Send new sign-in notification (a device the user has not used before)
+   * @param {string} userId - User ID
+   * @param {Object} data - Notification data
+   */
+  async sendNewLoginNotification(userId, data) {
+    const { sessionId, device, location } = data;
+
+    const notification = {
+      title: 'New Sign-in',
+      message: `New sign-in on ${device}${location ? ` near ${location}` : ''}. If this wasn't you, sign it out in settings and change your password.`,
+      type: 'new_login',
+      data: {
+        sessionId,
+        device,
+        location,
       },
     };
 
@@ -342,55 +401,132 @@ class NotificationService {
    * Deliver notification to user
    * @param {string} userId - User ID
    * @param {Object} notification - Notification object
+   * @returns {Promise<Object>} Saved notification document
    */
   async deliverNotification(userId, notification) {
-    // This is a placeholder for actual notification delivery
-    // In a real implementation, this would:
-    // 1. Save notification to database
-    // 2. Send push notification if user has device tokens
-    // 3. Send email if user has email notifications enabled
-    // 4. Send WebSocket message if user is online
-
-    logger.info('Delivering notification:', {
+    const saved = await Notification.create({
+      recipientId: userId,
+      type: notification.type,
+      actorId: notification.actorId,
+      postId: notification.postId,
+      commentId: notification.commentId,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data,
+    });
+
+    // Push to any open sockets; offline users pick it up from the list
+    const sockets = realtimeService.emitToUser(
       userId,
-      notification: JSON.stringify(notification),
+      REALTIME_EVENTS.NOTIFICATION,
+      { notification: saved }
+    );
+
+    logger.info('Notification delivered:', {
+      userId,
+      notificationId: saved._id,
+      type: saved.type,
+      realtime: sockets > 0,
     });
 
-    // For now, just log the notification
-    // In production, implement actual delivery mechanisms
+    return saved;
   }
 
   /**
    * Get user notifications
    * @param {string} userId - User ID
    * @param {Object} options - Query options
-   * @returns {Promise<Array>} List of notifications
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - ID of the last notification already seen
+   * @param {boolean} options.unreadOnly - Only return unread notifications
+   * @returns {Promise<Object>} Notifications page and next cursor
    */
   async getUserNotifications(userId, options = {}) {
-    // This would typically query a notifications collection
-    // For now, return empty array
-    return [];
+    const limit = parseInt(options.limit) || 20;
+
+    // Fetch one extra document to know whether another page exists
+    const notifications = await Notification.findForRecipient(userId, {
+      limit: limit + 1,
+      cursor: options.cursor,
+      unreadOnly: options.unreadOnly,
+    });
+
+    const hasMore = notifications.length > limit;
+    const page = hasMore ? notifications.slice(0, limit) : notifications;
+
+    return {
+      notifications: page,
+      nextCursor: hasMore ? page[page.length - 1]._id : null,
+      hasMore,
+    };
+  }
+
+  /**
+   * Get unread notification count
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Unread count
+   */
+  async getUnreadCount(userId) {
+    return await Notification.countUnread(userId);
   }
 
   /**
    * Mark notification as read
    * @param {string} userId - User ID
    * @param {string} notificationId - Notification ID
-   * @returns {Promise<void>}
+   * @returns {Promise<Object|null>} Updated notification, or null if not found
    */
   async markAsRead(userId, notificationId) {
-    // This would typically update the notification in database
-    logger.info('Marking notification as read:', { userId, notificationId });
+    const notification = await Notification.findOne({
+      _id: notificationId,
+      recipientId: userId,
+    });
+
+    if (!notification) {
+      return null;
+    }
+
+    await notification.markAsRead();
+
+    logger.info('Notification marked as read:', { userId, notificationId });
+
+    return notification;
   }
 
   /**
    * Mark all notifications as read
    * @param {string} userId - User ID
-   * @returns {Promise<void>}
+   * @returns {Promise<number>} Number of notifications updated
    */
   async markAllAsRead(userId) {
-    // This would typically update all notifications for user in database
-    logger.info('Marking all notifications as read:', { userId });
+    const result = await Notification.updateMany(
+      { recipientId: userId, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    logger.info('All notifications marked as read:', {
+      userId,
+      updated: result.modifiedCount,
+    });
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Delete notification
+   * @param {string} userId - User ID
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<boolean>} True if a notification was deleted
+   */
+  async deleteNotification(userId, notificationId) {
+    const result = await Notification.deleteOne({
+      _id: notificationId,
+      recipientId: userId,
+    });
+
+    logger.info('Notification deleted:', { userId, notificationId });
+
+    return result.deletedCount > 0;
   }
 }
 
@@ -0,0 +1,301 @@
+import { WebSocketServer } from 'ws';
+import { verifyAccessToken } from '../config/auth.js';
+import User from '../models/User.js';
+import sessionService from './sessionService.js';
+import Connection from '../models/Connection.js';
+import { REALTIME_EVENTS } from '../utils/constants.js';
+import { logger, logSecurityEvent } from '../utils/logger.js';
+
+const HEARTBEAT_INTERVAL = 30 * 1000; // 30 seconds
+// Application close code (4000-4999) for a socket whose session was revoked
+const SESSION_ENDED_CLOSE_CODE = 4001;
+
+class RealtimeService {
+  constructor() {
+    this.wss = null;
+    this.heartbeatTimer = null;
+    // userId -> Set of open sockets (one per tab/device)
+    this.clients = new Map();
+  }
+
+  /**
+   * Attach the WebSocket endpoint to an HTTP server
+   * @param {Object} server - Node HTTP server
+   * @param {string} path - Upgrade path clients connect to
+   */
+  attach(server, path = '/ws') {
+    this.wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      this.handleUpgrade(req, socket, head, path);
+    });
+
+    this.wss.on('connection', (ws, req, user, sessionId) => {
+      this.handleConnection(ws, user, sessionId);
+    });
+
+    this.heartbeatTimer = setInterval(
+      () => this.checkHeartbeats(),
+      HEARTBEAT_INTERVAL
+    );
+
+    logger.info('Realtime channel attached:', { path });
+  }
+
+  /**
+   * Authenticate an upgrade request before accepting the socket
+   * @param {Object} req - HTTP upgrade request
+   * @param {Object} socket - Network socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   * @param {string} path - Expected upgrade path
+   */
+  async handleUpgrade(req, socket, head, path) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== path) {
+      socket.destroy();
+      return;
+    }
+
+    try {
+      // Browsers cannot set headers on WebSocket requests, so the access
+      // token travels as a query parameter
+      const token = url.searchParams.get('token');
+      if (!token) {
+        throw new Error('No token provided');
+      }
+
+      const decoded = verifyAccessToken(token);
+      if (!(await sessionService.getTokenSession(decoded))) {
+        throw new Error('Token revoked');
+      }
+
+      const user = await User.findById(decoded.userId).select(
+        'username isActive'
+      );
+
+      if (!user || !user.isActive) {
+        throw new Error('User not found');
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        this.wss.emit('connection', ws, req, user, decoded.sid);
+      });
+    } catch (error) {
+      logSecurityEvent('realtime_auth_failed', {
+        ip: req.socket.remoteAddress,
+        error: error.message,
+      });
+
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+    }
+  }
+
+  /**
+   * Register an authenticated socket
+   * @param {Object} ws - WebSocket
+   * @param {Object} user - Authenticated user
+   * @param {string} sessionId - Sign-in session the socket's token is from
+   */
+  handleConnection(ws, user, sessionId) {
+    const userId = user._id.toString();
+    const wasOnline = this.isOnline(userId);
+
+    if (!this.clients.has(userId)) {
+      this.clients.set(userId, new Set());
+    }
+    this.clients.get(userId).add(ws);
+
+    // Kept so signing the device out closes its socket (closeSession)
+    ws.sessionId = sessionId;
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('close', () => this.handleDisconnect(ws, userId));
+    ws.on('error', (error) => {
+      logger.warn('Realtime socket error:', { userId, error: error.message });
+    });
+
+    this.send(ws, REALTIME_EVENTS.CONNECTED, { userId });
+
+    logger.info('Realtime client connected:', {
+      userId,
+      sockets: this.clients.get(userId).size,
+    });
+
+    if (!wasOnline) {
+      this.broadcastPresence(userId, true);
+    }
+  }
+
+  /**
+   * Remove a closed socket and update presence
+   * @param {Object} ws - WebSocket
+   * @param {string} userId - Socket owner
+   */
+  handleDisconnect(ws, userId) {
+    const sockets = this.clients.get(userId);
+    if (!sockets) return;
+
+    sockets.delete(ws);
+
+    if (sockets.size === 0) {
+      this.clients.delete(userId);
+      this.broadcastPresence(userId, false);
+    }
+
+    logger.info('Realtime client disconnected:', { userId });
+  }
+
+  /**
+   * Close the sockets opened with a session's tokens once it has ended
+   * @param {string} userId - Session owner
+   * @param {string} sessionId - Ended session
+   * @returns {number} Number of sockets closed
+   */
+  closeSession(userId, sessionId) {
+    const sockets = this.clients.get(userId.toString());
+    if (!sockets) return 0;
+
+    let closed = 0;
+    sockets.forEach((ws) => {
+      if (ws.sessionId === sessionId.toString()) {
+        ws.close(SESSION_ENDED_CLOSE_CODE, 'Session ended');
+        closed += 1;
+      }
+    });
+    return closed;
+  }
+
+  /**
+   * Check if user has at least one open socket
+   * @param {string} userId - User ID
+   * @returns {boolean} True if user is online
+   */
+  isOnline(userId) {
+    return this.clients.has(userId.toString());
+  }
+
+  /**
+   * Filter a list of users down to those currently online
+   * @param {Array} userIds - User IDs
+   * @returns {Array<string>} Online user IDs
+   */
+  getOnlineUserIds(userIds) {
+    return userIds.map((id) => id.toString()).filter((id) => this.isOnline(id));
+  }
+
+  /**
+   * Send an event to a single socket
+   * @param {Object} ws - WebSocket
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  send(ws, event, data) {
+    if (ws.readyState !== ws.OPEN) return;
+
+    ws.send(
+      JSON.stringify({
+        event,
+        data,
+        timestamp: new Date().toISOString(),
+      })
+    );
+  }
+
+  /**
+   * Push an event to every socket of a user
+   * @param {string} userId - User ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   * @returns {number} Number of sockets the event was sent to
+   */
+  emitToUser(userId, event, data = {}) {
+    const sockets = this.clients.get(userId.toString());
+    if (!sockets) return 0;
+
+    sockets.forEach((ws) => this.send(ws, event, data));
+    return sockets.size;
+  }
+
+  /**
+   * Push an event to several users
+   * @param {Array} userIds - User IDs
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  emitToUsers(userIds, event, data = {}) {
+    new Set(userIds.map((id) => id.toString())).forEach((userId) => {
+      this.emitToUser(userId, event, data);
+    });
+  }
+
+  /**
+   * Tell a user's connections that they came online or went offline
+   * @param {string} userId - User ID
+   * @param {boolean} isOnline - New presence state
+   */
+  async broadcastPresence(userId, isOnline) {
+    try {
+      const connections = await Connection.find({
+        status: 'accepted',
+        $or: [{ requesterId: userId }, { recipientId: userId }],
+      }).select('requesterId recipientId');
+
+      const connectionIds = connections.map((conn) =>
+        conn.requesterId.equals(userId) ? conn.recipientId : conn.requesterId
+      );
+
+      this.emitToUsers(
+        this.getOnlineUserIds(connectionIds),
+        REALTIME_EVENTS.PRESENCE,
+        { userId, isOnline }
+      );
+    } catch (error) {
+      logger.warn('Failed to broadcast presence:', {
+        userId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Terminate sockets that stopped answering pings
+   */
+  checkHeartbeats() {
+    this.clients.forEach((sockets) => {
+      sockets.forEach((ws) => {
+        if (!ws.isAlive) {
+          ws.terminate();
+          return;
+        }
+
+        ws.isAlive = false;
+        ws.ping();
+      });
+    });
+  }
+
+  /**
+   * Close all sockets and stop the heartbeat
+   */
+  close() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    if (this.wss) {
+      this.clients.forEach((sockets) => {
+        sockets.forEach((ws) => ws.close(1001, 'Server shutting down'));
+      });
+      this.clients.clear();
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+}
+
+export default new RealtimeService();
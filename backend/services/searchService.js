@@ -0,0 +1,313 @@
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import visibilityService from './visibilityService.js';
+import helpers from '../utils/helpers.js';
+
+const SEARCH_TYPES = ['posts', 'comments', 'users'];
+const SNIPPET_RADIUS = 6; // Words of context on each side of a match
+const MAX_SNIPPETS = 3; // Transcript snippets per result
+
+class SearchService {
+  /**
+   * Search posts, comments and users
+   * @param {Object} options - Search options
+   * @param {string} options.query - Search text
+   * @param {string} options.type - 'all', 'posts', 'comments' or 'users'
+   * @param {string} options.userId - Requesting user (optional)
+   * @param {number} options.limit - Results per type
+   * @param {number} options.skip - Results to skip per type
+   * @returns {Promise<Object>} Grouped results and per-type facets
+   */
+  async search({ query, type = 'all', userId = null, limit = 20, skip = 0 }) {
+    const terms = this.extractTerms(query);
+    const visibility = await visibilityService.getPostFilter(userId);
+    const types = type === 'all' ? SEARCH_TYPES : [type];
+
+    const runners = {
+      posts: () => this.searchPosts(query, terms, visibility, limit, skip),
+      comments: () =>
+        this.searchComments(query, terms, visibility, limit, skip),
+      users: () => this.searchUsers(query, userId, limit, skip),
+    };
+
+    const searches = await Promise.all(
+      SEARCH_TYPES.map((searchType) =>
+        types.includes(searchType)
+          ? runners[searchType]()
+          : this.countOnly(searchType, query, visibility, userId)
+      )
+    );
+
+    const results = {};
+    const facets = {};
+    SEARCH_TYPES.forEach((searchType, index) => {
+      if (types.includes(searchType)) {
+        results[searchType] = searches[index].items;
+      }
+      facets[searchType] = searches[index].total;
+    });
+
+    return {
+      query,
+      type,
+      results,
+      facets,
+    };
+  }
+
+  /**
+   * Search posts by title, tags and transcript
+   */
+  async searchPosts(query, terms, visibility, limit, skip) {
+    const filter = {
+      $text: { $search: query },
+      isActive: true,
+      ...visibility,
+    };
+
+    const [posts, total] = await Promise.all([
+      Post.find(filter, { score: { $meta: 'textScore' } })
+        .populate('authorId', 'username profile.displayName profile.avatar')
+        .withPreviewWaveform()
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .skip(skip)
+        .lean(),
+      Post.countDocuments(filter),
+    ]);
+
+    const items = posts.map((post) => {
+      const highlights = this.buildHighlights(post.content, terms);
+      delete post.content.transcriptionWords;
+      delete post.audio.url;
+
+      return { ...post, highlights };
+    });
+
+    return { items, total };
+  }
+
+  /**
+   * Search comment transcripts, keeping only comments on visible posts
+   */
+  async searchComments(query, terms, visibility, limit, skip) {
+    const [result] = await Comment.aggregate([
+      ...this.commentPipeline(query, visibility),
+      {
+        $facet: {
+          items: [
+            { $sort: { score: -1 } },
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $project: {
+                authorId: 1,
+                postId: 1,
+                parentCommentId: 1,
+                audio: 1,
+                content: 1,
+                createdAt: 1,
+                score: 1,
+                post: {
+                  _id: '$post._id',
+                  title: '$post.content.title',
+                  authorId: '$post.authorId',
+                },
+              },
+            },
+          ],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+
+    await Comment.populate(result.items, {
+      path: 'authorId',
+      select: 'username profile.displayName profile.avatar',
+    });
+
+    const items = result.items.map((comment) => {
+      const highlights = this.buildHighlights(comment.content, terms);
+      delete comment.content.transcriptionWords;
+      delete comment.audio.url;
+
+      return { ...comment, highlights };
+    });
+
+    return { items, total: result.total[0]?.count || 0 };
+  }
+
+  /**
+   * Search users by username or display name prefix
+   */
+  async searchUsers(query, userId, limit, skip) {
+    const filter = this.userFilter(query, userId);
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('username profile.displayName profile.avatar profile.bio stats')
+        .sort({ 'stats.connectionCount': -1 })
+        .limit(limit)
+        .skip(skip),
+      User.countDocuments(filter),
+    ]);
+
+    return { items: users, total };
+  }
+
+  /**
+   * Count matches for a type whose results were not requested
+   */
+  async countOnly(searchType, query, visibility, userId) {
+    let total = 0;
+
+    if (searchType === 'posts') {
+      total = await Post.countDocuments({
+        $text: { $search: query },
+        isActive: true,
+        ...visibility,
+      });
+    } else if (searchType === 'comments') {
+      const [result] = await Comment.aggregate([
+        ...this.commentPipeline(query, visibility),
+        { $count: 'count' },
+      ]);
+      total = result?.count || 0;
+    } else {
+      total = await User.countDocuments(this.userFilter(query, userId));
+    }
+
+    return { items: [], total };
+  }
+
+  /**
+   * Pipeline stages matching comments whose post the user may see
+   */
+  commentPipeline(query, visibility) {
+    // Visibility filters only use top-level $or / $nor clause lists
+    const postVisibility = {};
+    for (const [operator, clauses] of Object.entries(visibility)) {
+      postVisibility[operator] = clauses.map((clause) =>
+        this.prefixKeys(clause, 'post.')
+      );
+    }
+
+    return [
+      { $match: { $text: { $search: query }, isActive: true } },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      {
+        $lookup: {
+          from: 'posts',
+          localField: 'postId',
+          foreignField: '_id',
+          as: 'post',
+        },
+      },
+      { $unwind: '$post' },
+      { $match: { 'post.isActive': true, ...postVisibility } },
+    ];
+  }
+
+  /**
+   * Prefix the field names of a filter (operators are left alone)
+   */
+  prefixKeys(filter, prefix) {
+    const prefixed = {};
+    for (const [key, value] of Object.entries(filter)) {
+      prefixed[key.startsWith('$') ? key : `${prefix}${key}`] = value;
+    }
+    return prefixed;
+  }
+
+  /**
+   * Anchored, escaped prefix match on username and display name
+   */
+  userFilter(query, userId) {
+    const pattern = new RegExp(`^${helpers.escapeRegex(query.trim())}`, 'i');
+
+    return {
+      $or: [{ username: pattern }, { 'profile.displayName': pattern }],
+      isActive: true,
+      ...(userId && { _id: { $ne: userId } }),
+    };
+  }
+
+  /**
+   * Split a search string into lowercase terms, ignoring negated words
+   * @param {string} query - Search text
+   * @returns {Array<string>} Terms
+   */
+  extractTerms(query) {
+    return query
+      .toLowerCase()
+      .split(/\s+/)
+      .filter((term) => term && !term.startsWith('-'))
+      .map((term) => this.normalizeWord(term))
+      .filter((term) => term.length > 1);
+  }
+
+  /**
+   * Lowercase a word and strip punctuation
+   */
+  normalizeWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  }
+
+  /**
+   * Build highlight snippets for a post or comment
+   * @param {Object} content - Document content
+   * @param {Array<string>} terms - Search terms
+   * @returns {Array<Object>} { field, snippet, start?, end? }
+   */
+  buildHighlights(content = {}, terms) {
+    const highlights = [];
+    const matches = (word) => {
+      const normalized = this.normalizeWord(word);
+      return terms.some((term) => normalized.startsWith(term));
+    };
+
+    if (content.title && content.title.split(/\s+/).some(matches)) {
+      highlights.push({ field: 'title', snippet: content.title });
+    }
+
+    (content.tags || [])
+      .filter((tag) => matches(tag))
+      .forEach((tag) => highlights.push({ field: 'tags', snippet: tag }));
+
+    // Prefer word timings so the client can seek to the match
+    const words = content.transcriptionWords?.length
+      ? content.transcriptionWords
+      : (content.transcription || '')
+          .split(/\s+/)
+          .filter(Boolean)
+          .map((word) => ({ word }));
+
+    let lastEnd = -1;
+    let snippets = 0;
+    for (let i = 0; i < words.length && snippets < MAX_SNIPPETS; i++) {
+      if (i <= lastEnd || !matches(words[i].word)) continue;
+
+      const from = Math.max(0, i - SNIPPET_RADIUS);
+      const to = Math.min(words.length - 1, i + SNIPPET_RADIUS);
+      lastEnd = to;
+      snippets += 1;
+
+      highlights.push({
+        field: 'transcription',
+        snippet: `${from > 0 ? '… ' : ''}${words
+          .slice(from, to + 1)
+          .map((w) => w.word)
+          .join(' ')}${to < words.length - 1 ? ' …' : ''}`,
+        ...(typeof words[i].start === 'number' && {
+          start: words[i].start,
+          end: words[i].end,
+        }),
+      });
+    }
+
+    return highlights;
+  }
+}
+
+export default new SearchService();
@@ -0,0 +1,450 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import RevokedToken from '../models/RevokedToken.js';
+import geoipService from './geoipService.js';
+import notificationService from './notificationService.js';
+import realtimeService from './realtimeService.js';
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+} from '../config/auth.js';
+import helpers from '../utils/helpers.js';
+import {
+  NOTIFICATION_TYPES,
+  SESSION_REVOKE_REASONS,
+} from '../utils/constants.js';
+import { logger, logSecurityEvent } from '../utils/logger.js';
+
+const MAX_USER_AGENT_LENGTH = 500;
+// How stale a session's lastUsedAt may get before a request updates it
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+// How long a rotated-out refresh token still gets the pair that replaced
+// it. Every open tab sees the shared access token expire at once and
+// refreshes with the same refresh token; only one of them can win.
+const REUSE_GRACE_MS = 30 * 1000;
+
+/**
+ * Create an error carrying the HTTP status to respond with
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+const sessionError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const getExpiry = (decoded) => new Date(decoded.exp * 1000);
+
+class SessionService {
+  /**
+   * Get the device details recorded on a session
+   * @param {Object} req - Express request
+   * @returns {Object} { userAgent, ip }
+   */
+  getClientInfo(req) {
+    return {
+      userAgent: req.get('User-Agent')?.slice(0, MAX_USER_AGENT_LENGTH),
+      ip: req.ip,
+    };
+  }
+
+  /**
+   * Sign a new token pair for a session
+   * @param {string} userId - Session owner
+   * @param {string} sessionId - Session ID
+   * @returns {Object} { tokens, fields } - the pair, and the session fields
+   *   that record it
+   */
+  issueTokens(userId, sessionId) {
+    // One issue time for both, so reissueTokens can reproduce them
+    const iat = Math.floor(Date.now() / 1000);
+    const accessToken = generateAccessToken(userId, sessionId, { iat });
+    const refreshToken = generateRefreshToken(userId, sessionId, { iat });
+    const access = jwt.decode(accessToken);
+    const refresh = jwt.decode(refreshToken);
+
+    return {
+      tokens: { accessToken, refreshToken },
+      fields: {
+        tokenHash: hashToken(refreshToken),
+        expiresAt: getExpiry(refresh),
+        accessTokenId: access.jti,
+        accessTokenExpiresAt: getExpiry(access),
+        refreshTokenId: refresh.jti,
+        tokensIssuedAt: new Date(iat * 1000),
+      },
+    };
+  }
+
+  /**
+   * Sign a session's current token pair again, identical to when it was
+   * issued
+   * @param {Object} session - Session with the fields from issueTokens
+   * @returns {Object} { accessToken, refreshToken }
+   */
+  reissueTokens(session) {
+    const userId = session.userId.toString();
+    const sessionId = session._id.toString();
+    const iat = Math.floor(session.tokensIssuedAt.getTime() / 1000);
+
+    return {
+      accessToken: generateAccessToken(userId, sessionId, {
+        jti: session.accessTokenId,
+        iat,
+      }),
+      refreshToken: generateRefreshToken(userId, sessionId, {
+        jti: session.refreshTokenId,
+        iat,
+      }),
+    };
+  }
+
+  /**
+   * Start a session for a user who just signed in
+   * @param {string} userId - User ID
+   * @param {Object} req - Express request, for device details
+   * @returns {Promise<Object>} { accessToken, refreshToken }
+   */
+  async createSession(userId, req) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const { tokens, fields } = this.issueTokens(userId, sessionId);
+
+    const session = await Session.create({
+      _id: sessionId,
+      userId,
+      ...fields,
+      ...this.getClientInfo(req),
+      lastUsedAt: new Date(),
+    });
+
+    // Nothing here should hold up signing in
+    this.recordSignIn(session).catch((error) => {
+      logger.error('Failed to record sign-in:', {
+        sessionId,
+        error: error.message,
+      });
+    });
+
+    return tokens;
+  }
+
+  /**
+   * Fill in a new session's location and, when it is from a device the
+   * user has not signed in on before, tell them about it
+   * @param {Object} session - Newly created session
+   */
+  async recordSignIn(session) {
+    const location = await this.updateLocation(session._id, session.ip);
+
+    // A first ever session (registration) has nobody to warn
+    const [hasOtherSessions, isKnownDevice] = await Promise.all([
+      Session.exists({ userId: session.userId, _id: { $ne: session._id } }),
+      Session.exists({
+        userId: session.userId,
+        userAgent: session.userAgent,
+        _id: { $ne: session._id },
+      }),
+    ]);
+
+    if (!hasOtherSessions || isKnownDevice) {
+      return;
+    }
+
+    await notificationService.sendNotification(
+      session.userId,
+      NOTIFICATION_TYPES.NEW_LOGIN,
+      {
+        sessionId: session._id,
+        device: helpers.describeUserAgent(session.userAgent),
+        location,
+        ip: session.ip,
+      }
+    );
+  }
+
+  /**
+   * Look up and store where a session's IP is
+   * @param {string} sessionId - Session ID
+   * @param {string} ip - IP address
+   * @returns {Promise<string|null>} Location, or null when unknown
+   */
+  async updateLocation(sessionId, ip) {
+    if (!geoipService.isEnabled()) {
+      return null;
+    }
+
+    // Clear it when unknown rather than keep the previous IP's location
+    const location = await geoipService.lookup(ip);
+    await Session.updateOne(
+      { _id: sessionId },
+      location ? { $set: { location } } : { $unset: { location: '' } }
+    );
+
+    return location;
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. The old refresh token stops
+   * working; presenting it again is treated as theft and revokes the
+   * session, logging out both the thief and the rightful owner. Within
+   * REUSE_GRACE_MS of the rotation it gets the same new pair instead.
+   * @param {string} refreshToken - Current refresh token
+   * @param {Object} req - Express request, for device details
+   * @returns {Promise<Object>} { accessToken, refreshToken, userId }
+   */
+  async rotate(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw sessionError(401, 'Invalid refresh token');
+    }
+
+    // Tokens from before sessions existed cannot be rotated
+    if (!mongoose.isValidObjectId(decoded.sid)) {
+      throw sessionError(401, 'Invalid refresh token');
+    }
+
+    const { tokens, fields } = this.issueTokens(decoded.userId, decoded.sid);
+    const tokenHash = hashToken(refreshToken);
+
+    // Matching on the hash makes concurrent refreshes with the same token
+    // race for it: exactly one wins
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: decoded.sid,
+        userId: decoded.userId,
+        tokenHash,
+        revokedAt: null,
+      },
+      {
+        $set: {
+          ...fields,
+          ...this.getClientInfo(req),
+          previousTokenHash: tokenHash,
+          rotatedAt: new Date(),
+          lastUsedAt: new Date(),
+        },
+      }
+    );
+
+    if (!session) {
+      // The losers of that race get what the winner got
+      const rotated = await Session.findOne({
+        _id: decoded.sid,
+        userId: decoded.userId,
+        previousTokenHash: tokenHash,
+        rotatedAt: { $gt: new Date(Date.now() - REUSE_GRACE_MS) },
+        revokedAt: null,
+      });
+      if (rotated) {
+        return { ...this.reissueTokens(rotated), userId: decoded.userId };
+      }
+
+      await this.handleStaleToken(decoded, req);
+      throw sessionError(401, 'Invalid refresh token');
+    }
+
+    // The update returned the session as it was, before this refresh
+    if (session.ip !== req.ip) {
+      this.updateLocation(session._id, req.ip).catch((error) => {
+        logger.error('Failed to update session location:', {
+          sessionId: session._id,
+          error: error.message,
+        });
+      });
+    }
+
+    return { ...tokens, userId: decoded.userId };
+  }
+
+  /**
+   * A validly signed refresh token that is no longer the session's
+   * current one has already been rotated out, so someone else has it
+   * @param {Object} decoded - Decoded refresh token
+   * @param {Object} req - Express request
+   */
+  async handleStaleToken(decoded, req) {
+    const revoked = await this.revokeSession(
+      decoded.sid,
+      SESSION_REVOKE_REASONS.TOKEN_REUSE
+    );
+
+    if (revoked) {
+      logSecurityEvent('refresh_token_reuse', {
+        userId: decoded.userId,
+        sessionId: decoded.sid,
+        ip: req.ip,
+      });
+    }
+  }
+
+  /**
+   * Record that a session was just used, at most once per TOUCH_INTERVAL_MS
+   * so requests do not each write to it
+   * @param {Object} session - Session from getTokenSession
+   * @returns {Promise<void>}
+   */
+  async touch(session) {
+    const staleBefore = new Date(Date.now() - TOUCH_INTERVAL_MS);
+    if (session.lastUsedAt > staleBefore) {
+      return;
+    }
+
+    await Session.updateOne(
+      { _id: session._id, lastUsedAt: { $lte: staleBefore } },
+      { $set: { lastUsedAt: new Date() } }
+    );
+  }
+
+  /**
+   * List the devices a user is signed in on, most recently used first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Active sessions
+   */
+  async getActiveSessions(userId) {
+    return Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * End a session: its refresh token and every access token it issued
+   * stop working (see getTokenSession), and its realtime sockets close
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - One of SESSION_REVOKE_REASONS
+   * @param {string} userId - Only revoke the session if it is this user's
+   * @returns {Promise<Object|null>} The revoked session, or null if it was
+   *   already revoked or does not exist
+   */
+  async revokeSession(sessionId, reason, userId) {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null, ...(userId && { userId }) },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+
+    if (!session) {
+      return null;
+    }
+
+    if (session.accessTokenId) {
+      await this.revokeAccessToken(
+        session.accessTokenId,
+        session.userId,
+        session.accessTokenExpiresAt
+      );
+    }
+
+    // Its realtime socket was authorized once, on connecting
+    realtimeService.closeSession(session.userId, session._id);
+
+    logger.info('Session revoked:', {
+      sessionId: session._id,
+      userId: session.userId,
+      reason,
+    });
+
+    return session;
+  }
+
+  /**
+   * Sign a user out everywhere except the current device
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session to keep; null revokes all
+   * @param {string} reason - One of SESSION_REVOKE_REASONS
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeOtherSessions(
+    userId,
+    currentSessionId,
+    reason = SESSION_REVOKE_REASONS.REMOTE_LOGOUT
+  ) {
+    const sessions = await Session.find({
+      userId,
+      _id: { $ne: currentSessionId },
+      revokedAt: null,
+    }).select('_id');
+
+    const revoked = await Promise.all(
+      sessions.map(({ _id }) =>
+        this.revokeSession(_id, reason, userId)
+      )
+    );
+
+    return revoked.filter(Boolean).length;
+  }
+
+  /**
+   * Shape a session for its owner's device list
+   * @param {Object} session - Session document
+   * @param {string} currentSessionId - Session making the request
+   * @returns {Object} Public session fields
+   */
+  formatSession(session, currentSessionId) {
+    return {
+      id: session._id,
+      device: helpers.describeUserAgent(session.userAgent),
+      userAgent: session.userAgent,
+      ip: session.ip,
+      location: session.location || null,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session._id.equals(currentSessionId),
+    };
+  }
+
+  /**
+   * Denylist an access token until it expires
+   * @param {string} jti - Token ID
+   * @param {string} userId - Token owner
+   * @param {Date} expiresAt - Token expiry
+   */
+  async revokeAccessToken(jti, userId, expiresAt) {
+    await RevokedToken.updateOne(
+      { jti },
+      { $setOnInsert: { jti, userId, expiresAt } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Find the session an access token belongs to, provided the token may
+   * still be used: its session has not been ended and the token itself
+   * was not revoked. Ending a session thereby cuts off every access token
+   * it ever issued, not just the latest.
+   * @param {Object} decoded - Decoded access token
+   * @returns {Promise<Object|null>} The session, or null to refuse the
+   *   token
+   */
+  async getTokenSession(decoded) {
+    // Tokens issued before sessions carry no IDs and could never be
+    // revoked, so they are refused outright
+    if (!decoded.jti || !mongoose.isValidObjectId(decoded.sid)) {
+      return null;
+    }
+
+    const [session, revoked] = await Promise.all([
+      Session.findOne({
+        _id: decoded.sid,
+        userId: decoded.userId,
+        revokedAt: null,
+      }),
+      RevokedToken.exists({ jti: decoded.jti }),
+    ]);
+
+    return session && !revoked ? session : null;
+  }
+}
+
+export default new SessionService();
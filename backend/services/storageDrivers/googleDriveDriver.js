@@ -0,0 +1,92 @@
+import googleDriveService from '../googleDriveService.js';
+
+/**
+ * Stores audio in the owner's own Google Drive app folder. Every call
+ * needs the owner's OAuth token.
+ */
+class GoogleDriveStorageDriver {
+  constructor() {
+    this.name = 'google_drive';
+    this.requiresUserToken = true;
+  }
+
+  /**
+   * Upload a file
+   * @param {Object} audioFile - Uploaded file (path, originalname, mimetype)
+   * @param {Object} context - { userId, userToken }
+   * @returns {Promise<Object>} { fileId, url, size }
+   */
+  async upload(audioFile, { userToken }) {
+    const result = await googleDriveService.uploadAudio(audioFile, userToken);
+
+    return {
+      fileId: result.fileId,
+      url: result.url,
+      size: parseInt(result.size) || audioFile.size,
+    };
+  }
+
+  /**
+   * Delete a file
+   * @param {string} fileId - Drive file ID
+   * @param {Object} context - { userToken }
+   */
+  async delete(fileId, { userToken }) {
+    await googleDriveService.deleteAudio(fileId, userToken);
+  }
+
+  /**
+   * Get size, type and entity tag of a file
+   * @param {string} fileId - Drive file ID
+   * @param {Object} context - { userToken }
+   * @returns {Promise<Object>} { size, mimeType, etag }
+   */
+  async stat(fileId, { userToken }) {
+    const metadata = await googleDriveService.getFileMetadata(
+      fileId,
+      userToken
+    );
+
+    return {
+      size: parseInt(metadata.size),
+      mimeType: metadata.mimeType,
+      etag: `"${metadata.md5Checksum || `${metadata.id}-${metadata.modifiedTime}`}"`,
+    };
+  }
+
+  /**
+   * Open a read stream over a file
+   * @param {string} fileId - Drive file ID
+   * @param {Object} context - { userToken, range }
+   * @returns {Promise<stream.Readable>} File contents
+   */
+  async createReadStream(fileId, { userToken, range }) {
+    return googleDriveService.getFileStream(fileId, userToken, range);
+  }
+
+  /**
+   * Check whether a file exists
+   * @param {string} fileId - Drive file ID
+   * @param {Object} context - { userToken }
+   * @returns {Promise<boolean>} True if the file exists
+   */
+  async exists(fileId, { userToken }) {
+    return googleDriveService.fileExists(fileId, userToken);
+  }
+
+  /**
+   * Get the owner's Drive quota
+   * @param {Object} context - { userToken }
+   * @returns {Promise<Object>} { used, total }
+   */
+  async getQuota({ userToken }) {
+    const quota = await googleDriveService.getStorageQuota(userToken);
+
+    return {
+      used: parseInt(quota.usage) || 0,
+      total: parseInt(quota.limit) || 0,
+    };
+  }
+}
+
+export default GoogleDriveStorageDriver;
@@ -0,0 +1,42 @@
+import config from '../../config/environment.js';
+import { STORAGE_TYPES } from '../../utils/constants.js';
+import GoogleDriveStorageDriver from './googleDriveDriver.js';
+import LocalStorageDriver from './localDriver.js';
+import S3StorageDriver from './s3Driver.js';
+
+/**
+ * Build the storage drivers enabled by configuration. Every driver has
+ * the same interface: upload, delete, stat, createReadStream, exists and
+ * getQuota, plus a requiresUserToken flag for per-user credentials.
+ * @returns {Map<string, Object>} Storage type -> driver
+ */
+const createStorageDrivers = () => {
+  const drivers = new Map();
+
+  drivers.set(STORAGE_TYPES.GOOGLE_DRIVE, new GoogleDriveStorageDriver());
+
+  if (config.STORAGE_LOCAL_ENABLED) {
+    drivers.set(
+      STORAGE_TYPES.LOCAL,
+      new LocalStorageDriver({ root: config.STORAGE_LOCAL_PATH })
+    );
+  }
+
+  if (config.S3_BUCKET) {
+    drivers.set(
+      STORAGE_TYPES.S3,
+      new S3StorageDriver({
+        bucket: config.S3_BUCKET,
+        endpoint: config.S3_ENDPOINT,
+        region: config.S3_REGION,
+        accessKeyId: config.S3_ACCESS_KEY_ID,
+        secretAccessKey: config.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: config.S3_FORCE_PATH_STYLE,
+      })
+    );
+  }
+
+  return drivers;
+};
+
+export default createStorageDrivers;
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const MIME_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.mpeg': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.webm': 'audio/webm',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+};
+
+/**
+ * Stores audio on the server's own disk. Suited to single-instance
+ * deployments and development; the directory must be persistent.
+ */
+class LocalStorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.root - Directory files are stored under
+   */
+  constructor({ root }) {
+    this.name = 'local';
+    this.requiresUserToken = false;
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Resolve a file ID to a path, refusing anything outside the root
+   * @param {string} fileId - Path relative to the root
+   * @returns {string} Absolute path
+   */
+  resolvePath(fileId) {
+    const filePath = path.resolve(this.root, fileId);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid file ID: ${fileId}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Copy an uploaded file into storage
+   * @param {Object} audioFile - Uploaded file (path, originalname)
+   * @param {Object} context - { userId }
+   * @returns {Promise<Object>} { fileId, url, size }
+   */
+  async upload(audioFile, { userId }) {
+    const extension = path.extname(audioFile.originalname || '').toLowerCase();
+    const fileId = path.posix.join(
+      String(userId),
+      `${crypto.randomUUID()}${extension}`
+    );
+    const filePath = this.resolvePath(fileId);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // Copied rather than moved: the temp file is still needed for processing
+    await fs.promises.copyFile(audioFile.path, filePath);
+    const { size } = await fs.promises.stat(filePath);
+
+    return { fileId, url: `local://${fileId}`, size };
+  }
+
+  /**
+   * Delete a file (missing files are ignored)
+   * @param {string} fileId - Path relative to the root
+   */
+  async delete(fileId) {
+    await fs.promises.rm(this.resolvePath(fileId), { force: true });
+  }
+
+  /**
+   * Get size, type and entity tag of a file
+   * @param {string} fileId - Path relative to the root
+   * @returns {Promise<Object>} { size, mimeType, etag }
+   */
+  async stat(fileId) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(fileId));
+
+      return {
+        size: stats.size,
+        mimeType:
+          MIME_TYPES[path.extname(fileId).toLowerCase()] ||
+          'application/octet-stream',
+        etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') error.code = 404;
+      throw error;
+    }
+  }
+
+  /**
+   * Open a read stream over a file
+   * @param {string} fileId - Path relative to the root
+   * @param {Object} context - { range }
+   * @returns {Promise<stream.Readable>} File contents
+   */
+  async createReadStream(fileId, { range } = {}) {
+    return fs.createReadStream(
+      this.resolvePath(fileId),
+      range ? { start: range.start, end: range.end } : {}
+    );
+  }
+
+  /**
+   * Check whether a file exists
+   * @param {string} fileId - Path relative to the root
+   * @returns {Promise<boolean>} True if the file exists
+   */
+  async exists(fileId) {
+    try {
+      await fs.promises.access(this.resolvePath(fileId));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Local disk has no per-user quota
+   * @returns {Promise<null>}
+   */
+  async getQuota() {
+    return null;
+  }
+}
+
+export default LocalStorageDriver;
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} from '@aws-sdk/client-s3';
+
+/**
+ * Stores audio in an S3-compatible bucket: AWS S3, or MinIO and similar
+ * stand-ins through a custom endpoint with path-style addressing.
+ */
+class S3StorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.endpoint - Custom endpoint (optional, e.g. MinIO)
+   * @param {string} options.region - Region
+   * @param {string} options.accessKeyId - Access key
+   * @param {string} options.secretAccessKey - Secret key
+   * @param {boolean} options.forcePathStyle - Use bucket-in-path URLs
+   */
+  constructor({
+    bucket,
+    endpoint,
+    region,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle,
+  }) {
+    this.name = 's3';
+    this.requiresUserToken = false;
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      credentials:
+        accessKeyId && secretAccessKey
+          ? { accessKeyId, secretAccessKey }
+          : undefined,
+    });
+  }
+
+  /**
+   * Upload a file
+   * @param {Object} audioFile - Uploaded file (path, originalname, mimetype, size)
+   * @param {Object} context - { userId }
+   * @returns {Promise<Object>} { fileId, url, size }
+   */
+  async upload(audioFile, { userId }) {
+    const extension = path.extname(audioFile.originalname || '').toLowerCase();
+    const key = `audio/${userId}/${crypto.randomUUID()}${extension}`;
+    const { size } = await fs.promises.stat(audioFile.path);
+
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: fs.createReadStream(audioFile.path),
+        ContentLength: size,
+        ContentType: audioFile.mimetype,
+      })
+    );
+
+    return { fileId: key, url: `s3://${this.bucket}/${key}`, size };
+  }
+
+  /**
+   * Delete an object
+   * @param {string} fileId - Object key
+   */
+  async delete(fileId) {
+    await this.client.send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: fileId })
+    );
+  }
+
+  /**
+   * Get size, type and entity tag of an object
+   * @param {string} fileId - Object key
+   * @returns {Promise<Object>} { size, mimeType, etag }
+   */
+  async stat(fileId) {
+    try {
+      const head = await this.client.send(
+        new HeadObjectCommand({ Bucket: this.bucket, Key: fileId })
+      );
+
+      return {
+        size: head.ContentLength,
+        mimeType: head.ContentType,
+        etag: head.ETag,
+      };
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Open a read stream over an object
+   * @param {string} fileId - Object key
+   * @param {Object} context - { range }
+   * @returns {Promise<stream.Readable>} Object contents
+   */
+  async createReadStream(fileId, { range } = {}) {
+    try {
+      const object = await this.client.send(
+        new GetObjectCommand({
+          Bucket: this.bucket,
+          Key: fileId,
+          Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+        })
+      );
+
+      return object.Body;
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Check whether an object exists
+   * @param {string} fileId - Object key
+   * @returns {Promise<boolean>} True if the object exists
+   */
+  async exists(fileId) {
+    try {
+      await this.stat(fileId);
+      return true;
+    } catch (error) {
+      if (error.code === 404) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Buckets have no per-user quota
+   * @returns {Promise<null>}
+   */
+  async getQuota() {
+    return null;
+  }
+
+  /**
+   * Give missing objects the same 404 code the other drivers use
+   * @param {Error} error - SDK error
+   * @returns {Error} The same error
+   */
+  normalizeError(error) {
+    if (error.$metadata?.httpStatusCode === 404) {
+      error.code = 404;
+    }
+    return error;
+  }
+}
+
+export default S3StorageDriver;
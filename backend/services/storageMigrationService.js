@@ -0,0 +1,394 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import StorageMigration from '../models/StorageMigration.js';
+import storageService from './storageService.js';
+import audioService from './audioService.js';
+import jobQueueService from './jobQueueService.js';
+import config from '../config/environment.js';
+import {
+  AUDIO_STATUSES,
+  JOB_TYPES,
+  STORAGE_MIGRATION_STATUSES,
+} from '../utils/constants.js';
+import { logger } from '../utils/logger.js';
+
+const TARGET_MODELS = {
+  post: Post,
+  comment: Comment,
+};
+
+class StorageMigrationService {
+  /**
+   * Start moving a user's audio to another backend. Anything already on
+   * the target is left alone, so starting again after a failure resumes
+   * where the last run stopped.
+   * @param {string} userId - User ID
+   * @param {string} targetType - Storage type to move to
+   * @returns {Promise<Object>} Created migration
+   */
+  async startMigration(userId, targetType) {
+    const pendingFilter = this.getPendingFilter(userId, targetType);
+    const [posts, comments] = await Promise.all([
+      Post.countDocuments(pendingFilter),
+      Comment.countDocuments(pendingFilter),
+    ]);
+
+    const migration = await StorageMigration.create({
+      userId,
+      targetType,
+      total: posts + comments,
+    });
+
+    try {
+      await jobQueueService.enqueue(JOB_TYPES.STORAGE_MIGRATE, {
+        migrationId: migration._id,
+      });
+    } catch (error) {
+      // Nothing will run it, so don't let it block the next attempt
+      await StorageMigration.updateOne(
+        { _id: migration._id },
+        {
+          $set: {
+            status: STORAGE_MIGRATION_STATUSES.FAILED,
+            lastError: error.message,
+          },
+        }
+      );
+      throw error;
+    }
+
+    logger.info('Storage migration started:', {
+      migrationId: migration._id,
+      userId,
+      targetType,
+      total: migration.total,
+    });
+
+    return migration;
+  }
+
+  /**
+   * Filter for a user's active audio not yet on the target backend
+   * @param {string} userId - User ID
+   * @param {string} targetType - Storage type being moved to
+   * @param {Array} excludeIds - Documents to skip
+   * @returns {Object} Mongo filter
+   */
+  getPendingFilter(userId, targetType, excludeIds = []) {
+    return {
+      authorId: userId,
+      isActive: true,
+      'audio.storageType': { $ne: targetType },
+      // Audio still being transcoded is stored straight to the new backend
+      'audio.status': { $ne: AUDIO_STATUSES.PROCESSING },
+      ...(excludeIds.length > 0 && { _id: { $nin: excludeIds } }),
+    };
+  }
+
+  /**
+   * Move the next batch of files, then queue another job for the rest.
+   * Batches keep each job well inside the queue's lock timeout.
+   * @param {Object} payload - Job payload { migrationId }
+   * @param {Object} job - Job document
+   */
+  async runBatch({ migrationId }, job) {
+    const migration = await StorageMigration.findById(migrationId);
+    if (
+      !migration ||
+      ![
+        STORAGE_MIGRATION_STATUSES.PENDING,
+        STORAGE_MIGRATION_STATUSES.RUNNING,
+      ].includes(migration.status)
+    ) {
+      return;
+    }
+
+    try {
+      if (migration.status === STORAGE_MIGRATION_STATUSES.PENDING) {
+        migration.status = STORAGE_MIGRATION_STATUSES.RUNNING;
+        migration.startedAt = new Date();
+        await migration.save();
+      }
+
+      const batch = await this.findBatch(
+        migration,
+        config.STORAGE_MIGRATION_BATCH_SIZE + 1
+      );
+      const hasMore = batch.length > config.STORAGE_MIGRATION_BATCH_SIZE;
+      const targetToken = await storageService.getAccessToken(
+        migration.targetType,
+        migration.userId
+      );
+
+      for (const item of batch.slice(0, config.STORAGE_MIGRATION_BATCH_SIZE)) {
+        await this.migrateItem(migration, item, targetToken);
+      }
+
+      if (hasMore) {
+        await jobQueueService.enqueue(JOB_TYPES.STORAGE_MIGRATE, {
+          migrationId,
+        });
+        return;
+      }
+
+      await StorageMigration.updateOne(
+        { _id: migrationId },
+        {
+          $set: {
+            status: STORAGE_MIGRATION_STATUSES.COMPLETED,
+            completedAt: new Date(),
+          },
+        }
+      );
+
+      logger.info('Storage migration completed:', { migrationId });
+    } catch (error) {
+      // Only give up on the migration once the queue stops retrying
+      if (job.attempts >= job.maxAttempts) {
+        await StorageMigration.updateOne(
+          { _id: migrationId },
+          {
+            $set: {
+              status: STORAGE_MIGRATION_STATUSES.FAILED,
+              lastError: error.message,
+            },
+          }
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find the next posts and comments to move, skipping earlier failures
+   * @param {Object} migration - Migration document
+   * @param {number} limit - Maximum items
+   * @returns {Promise<Array>} { targetType, doc }
+   */
+  async findBatch(migration, limit) {
+    const failedIds = migration.failures.map(({ targetId }) => targetId);
+    const filter = this.getPendingFilter(
+      migration.userId,
+      migration.targetType,
+      failedIds
+    );
+
+    const posts = await Post.find(filter).select('audio').limit(limit);
+    const comments =
+      posts.length < limit
+        ? await Comment.find(filter)
+            .select('audio')
+            .limit(limit - posts.length)
+        : [];
+
+    return [
+      ...posts.map((doc) => ({ targetType: 'post', doc })),
+      ...comments.map((doc) => ({ targetType: 'comment', doc })),
+    ];
+  }
+
+  /**
+   * Move one post or comment's audio: copy every stored file (original
+   * and renditions), verify the copies, point the document at them, then
+   * delete the originals. A failure leaves the document untouched.
+   * @param {Object} migration - Migration document
+   * @param {Object} item - { targetType, doc }
+   * @param {Object} targetToken - Credentials for the target backend
+   */
+  async migrateItem(migration, { targetType, doc }, targetToken) {
+    const source = doc.audio;
+    const copies = new Map();
+    let sourceToken = null;
+    let bytesMoved = 0;
+
+    try {
+      sourceToken = await storageService.getAccessToken(
+        source.storageType,
+        migration.userId
+      );
+
+      for (const file of audioService.getStoredFiles(source)) {
+        const copy = await this.copyFile(
+          migration,
+          doc,
+          { storageType: source.storageType, ...file },
+          sourceToken,
+          targetToken,
+          (uploaded) => copies.set(file.fileId, uploaded)
+        );
+        bytesMoved += copy.size;
+      }
+
+      const canonical = copies.get(source.fileId);
+
+      // Only switch if nothing else changed the audio in the meantime
+      const result = await TARGET_MODELS[targetType].updateOne(
+        {
+          _id: doc._id,
+          'audio.storageType': source.storageType,
+          'audio.fileId': source.fileId,
+        },
+        {
+          $set: {
+            'audio.storageType': migration.targetType,
+            'audio.fileId': canonical.fileId,
+            'audio.url': canonical.url,
+            'audio.renditions': (source.renditions || []).map(
+              (rendition) => ({
+                format: rendition.format,
+                mimeType: rendition.mimeType,
+                fileId: copies.get(rendition.fileId).fileId,
+                fileSize: rendition.fileSize,
+              })
+            ),
+          },
+        }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new Error('Audio changed during migration');
+      }
+
+      copies.clear();
+      await audioService.deleteAudio(
+        source,
+        migration.userId,
+        sourceToken
+      );
+      await StorageMigration.updateOne(
+        { _id: migration._id },
+        { $inc: { migrated: 1, bytesMoved } }
+      );
+    } catch (error) {
+      logger.warn('Failed to migrate audio file:', {
+        migrationId: migration._id,
+        targetType,
+        targetId: doc._id,
+        error: error.message,
+      });
+
+      for (const copy of copies.values()) {
+        await storageService.deleteAudio(
+          { storageType: migration.targetType, fileId: copy.fileId },
+          targetToken
+        );
+      }
+      await StorageMigration.recordFailure(migration._id, {
+        targetType,
+        targetId: doc._id,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Copy one stored file to the target backend and verify the copy
+   * @param {Object} migration - Migration document
+   * @param {Object} doc - Post or comment being moved
+   * @param {Object} file - { storageType, fileId, format }
+   * @param {Object} sourceToken - Credentials for the source backend
+   * @param {Object} targetToken - Credentials for the target backend
+   * @param {Function} onUploaded - Called with the copy once it exists,
+   *   so it can be cleaned up if verification fails
+   * @returns {Promise<Object>} { size }
+   */
+  async copyFile(migration, doc, file, sourceToken, targetToken, onUploaded) {
+    const tempPath = path.join(
+      os.tmpdir(),
+      `voiceconnect-migrate-${doc._id}-${Date.now()}`
+    );
+
+    try {
+      const info = await storageService.getAudioInfo(file, sourceToken);
+      const original = await this.downloadToFile(file, sourceToken, tempPath);
+
+      if (original.size !== info.size) {
+        throw new Error(
+          `Read ${original.size} of ${info.size} bytes from the original`
+        );
+      }
+
+      const uploaded = await storageService.uploadAudio(
+        {
+          path: tempPath,
+          originalname: `${doc._id}.${file.format || 'webm'}`,
+          mimetype: info.mimeType,
+          size: original.size,
+        },
+        migration.userId,
+        migration.targetType,
+        targetToken
+      );
+      onUploaded(uploaded);
+
+      const stored = await this.checksum(
+        { storageType: migration.targetType, fileId: uploaded.fileId },
+        targetToken
+      );
+      if (
+        stored.size !== original.size ||
+        stored.checksum !== original.checksum
+      ) {
+        throw new Error('Copy does not match the original');
+      }
+
+      return { size: original.size };
+    } finally {
+      await fs.promises.rm(tempPath, { force: true });
+    }
+  }
+
+  /**
+   * Download stored audio to a file, hashing it on the way
+   * @param {Object} audioData - Audio data object
+   * @param {Object} userToken - Credentials for its backend
+   * @param {string} filePath - Destination path
+   * @returns {Promise<Object>} { size, checksum }
+   */
+  async downloadToFile(audioData, userToken, filePath) {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const audioStream = await storageService.getAudioStream(
+      audioData,
+      userToken
+    );
+    audioStream.on('data', (chunk) => {
+      hash.update(chunk);
+      size += chunk.length;
+    });
+
+    await pipeline(audioStream, fs.createWriteStream(filePath));
+
+    return { size, checksum: hash.digest('hex') };
+  }
+
+  /**
+   * Read stored audio back and hash it
+   * @param {Object} audioData - Audio data object
+   * @param {Object} userToken - Credentials for its backend
+   * @returns {Promise<Object>} { size, checksum }
+   */
+  async checksum(audioData, userToken) {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const audioStream = await storageService.getAudioStream(
+      audioData,
+      userToken
+    );
+    for await (const chunk of audioStream) {
+      hash.update(chunk);
+      size += chunk.length;
+    }
+
+    return { size, checksum: hash.digest('hex') };
+  }
+}
+
+export default new StorageMigrationService();
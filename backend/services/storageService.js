@@ -1,14 +1,128 @@
+import Setting from '../models/Setting.js';
 import googleDriveService from './googleDriveService.js';
+import driveTokenManager from './driveTokenManager.js';
+import createStorageDrivers from './storageDrivers/index.js';
+import config from '../config/environment.js';
+import { STORAGE_TYPES } from '../utils/constants.js';
 import { logger } from '../utils/logger.js';
 
+const DEFAULT_TYPE_SETTING = 'storage.defaultType';
+
 class StorageService {
+  constructor() {
+    this.drivers = null;
+  }
+
+  /**
+   * Get the configured drivers, creating them on first use
+   * @returns {Map<string, Object>} Storage type -> driver
+   */
+  getDrivers() {
+    if (!this.drivers) {
+      this.drivers = createStorageDrivers();
+    }
+    return this.drivers;
+  }
+
+  /**
+   * Get the driver for a storage type
+   * @param {string} storageType - Storage type
+   * @returns {Object} Driver
+   */
+  getDriver(storageType) {
+    const driver = this.getDrivers().get(storageType);
+    if (!driver) {
+      throw new Error(`Unsupported storage type: ${storageType}`);
+    }
+    return driver;
+  }
+
+  /**
+   * Get the storage types this instance has drivers for
+   * @returns {Array<string>} Storage types
+   */
+  getAvailableTypes() {
+    return [...this.getDrivers().keys()];
+  }
+
+  /**
+   * Get the storage type used when a user has no preference
+   * @returns {Promise<string>} Storage type
+   */
+  async getDefaultType() {
+    const available = this.getAvailableTypes();
+    const type = await Setting.getValue(
+      DEFAULT_TYPE_SETTING,
+      config.STORAGE_DEFAULT_TYPE
+    );
+
+    return available.includes(type) ? type : available[0];
+  }
+
+  /**
+   * Change the instance default storage type
+   * @param {string} storageType - Storage type
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<void>}
+   */
+  async setDefaultType(storageType, adminId) {
+    this.getDriver(storageType);
+    await Setting.setValue(DEFAULT_TYPE_SETTING, storageType, adminId);
+  }
+
+  /**
+   * Get the storage type new uploads by a user go to
+   * @param {Object} user - User document
+   * @returns {Promise<string>} Storage type
+   */
+  async getUserStorageType(user) {
+    const preference = user.storage?.preference;
+
+    return preference && this.getDrivers().has(preference)
+      ? preference
+      : this.getDefaultType();
+  }
+
+  /**
+   * Resolve where a user's next upload goes and the credentials it needs
+   * @param {Object} user - User document
+   * @returns {Promise<Object|null>} { storageType, userToken }, or null
+   *   when the chosen backend needs an account the user hasn't connected
+   */
+  async getUploadTarget(user) {
+    const storageType = await this.getUserStorageType(user);
+    const userToken = await this.getAccessToken(storageType, user._id);
+
+    if (this.getDriver(storageType).requiresUserToken && !userToken) {
+      return null;
+    }
+
+    return { storageType, userToken };
+  }
+
+  /**
+   * Get the credentials needed to reach an owner's files. Google Drive
+   * tokens close to expiry are refreshed and saved first.
+   * @param {string} storageType - Storage type the files live in
+   * @param {string} ownerId - User who owns the files
+   * @returns {Promise<Object|null>} Token, or null when none is needed
+   *   or the owner has no working connection
+   */
+  async getAccessToken(storageType, ownerId) {
+    if (!this.getDriver(storageType).requiresUserToken) {
+      return null;
+    }
+
+    return driveTokenManager.getToken(ownerId);
+  }
+
   /**
    * Upload audio file to storage
    * @param {Object} audioFile - Audio file object
    * @param {string} userId - User ID
-   * @param {string} storagePreference - Storage preference (google_drive)
+   * @param {string} storagePreference - Storage type to upload to
    * @param {Object} userToken - User's Google Drive token
-   * @returns {Promise<Object>} Upload result
+   * @returns {Promise<Object>} Upload result { fileId, url, size }
    */
   async uploadAudio(audioFile, userId, storagePreference, userToken = null) {
     try {
@@ -18,18 +132,12 @@ class StorageService {
         storagePreference,
       });
 
-      switch (storagePreference) {
-        case 'google_drive':
-          if (!userToken) {
-            throw new Error('Google Drive token required for upload');
-          }
-          return await googleDriveService.uploadAudio(audioFile, userToken);
-
-        default:
-          throw new Error(
-            `Unsupported storage preference: ${storagePreference}`
-          );
+      const driver = this.getDriver(storagePreference);
+      if (driver.requiresUserToken && !userToken) {
+        throw new Error(`${storagePreference} token required for upload`);
       }
+
+      return await driver.upload(audioFile, { userId, userToken });
     } catch (error) {
       logger.error('Storage upload failed:', {
         userId,
@@ -54,20 +162,13 @@ class StorageService {
         storageType: audioData.storageType,
       });
 
-      switch (audioData.storageType) {
-        case 'google_drive':
-          if (!userToken) {
-            logger.warn('No Google Drive token provided for deletion');
-            return;
-          }
-          await googleDriveService.deleteAudio(audioData.fileId, userToken);
-          break;
-
-        default:
-          logger.warn(
-            `Unsupported storage type for deletion: ${audioData.storageType}`
-          );
+      const driver = this.getDriver(audioData.storageType);
+      if (driver.requiresUserToken && !userToken) {
+        logger.warn(`No ${audioData.storageType} token provided for deletion`);
+        return;
       }
+
+      await driver.delete(audioData.fileId, { userToken });
     } catch (error) {
       logger.error('Storage deletion failed:', {
         fileId: audioData.fileId,
@@ -79,21 +180,30 @@ class StorageService {
   }
 
   /**
-   * Get audio stream URL
+   * Get the size, type and entity tag of a stored audio file
    * @param {Object} audioData - Audio data object
-   * @param {Object} userToken - User's Google Drive token
-   * @returns {Promise<string>} Audio stream URL
+   * @param {Object} userToken - Owner's Google Drive token
+   * @returns {Promise<Object>} { size, mimeType, etag }
    */
-  async getAudioStream(audioData, userToken = null) {
-    try {
-      switch (audioData.storageType) {
-        case 'google_drive':
-          // Return Google Drive stream URL
-          return audioData.url;
+  async getAudioInfo(audioData, userToken = null) {
+    return this.getDriver(audioData.storageType).stat(audioData.fileId, {
+      userToken,
+    });
+  }
 
-        default:
-          throw new Error(`Unsupported storage type: ${audioData.storageType}`);
-      }
+  /**
+   * Open a stream over stored audio bytes
+   * @param {Object} audioData - Audio data object
+   * @param {Object} userToken - Owner's Google Drive token
+   * @param {Object} range - Inclusive byte range { start, end } (optional)
+   * @returns {Promise<stream.Readable>} Audio bytes
+   */
+  async getAudioStream(audioData, userToken = null, range = null) {
+    try {
+      return await this.getDriver(audioData.storageType).createReadStream(
+        audioData.fileId,
+        { userToken, range }
+      );
     } catch (error) {
       logger.error('Failed to get audio stream:', {
         fileId: audioData.fileId,
@@ -112,19 +222,11 @@ class StorageService {
    */
   async audioExists(audioData, userToken = null) {
     try {
-      switch (audioData.storageType) {
-        case 'google_drive':
-          if (!userToken) {
-            return false;
-          }
-          return await googleDriveService.fileExists(
-            audioData.fileId,
-            userToken
-          );
-
-        default:
-          return false;
+      const driver = this.getDriver(audioData.storageType);
+      if (driver.requiresUserToken && !userToken) {
+        return false;
       }
+      return await driver.exists(audioData.fileId, { userToken });
     } catch (error) {
       logger.error('Failed to check audio existence:', {
         fileId: audioData.fileId,
@@ -139,23 +241,11 @@ class StorageService {
    * Get file metadata from storage
    * @param {Object} audioData - Audio data object
    * @param {Object} userToken - User's Google Drive token
-   * @returns {Promise<Object>} File metadata
+   * @returns {Promise<Object>} File metadata { size, mimeType, etag }
    */
   async getFileMetadata(audioData, userToken = null) {
     try {
-      switch (audioData.storageType) {
-        case 'google_drive':
-          if (!userToken) {
-            throw new Error('Google Drive token required for metadata');
-          }
-          return await googleDriveService.getFileMetadata(
-            audioData.fileId,
-            userToken
-          );
-
-        default:
-          throw new Error(`Unsupported storage type: ${audioData.storageType}`);
-      }
+      return await this.getAudioInfo(audioData, userToken);
     } catch (error) {
       logger.error('Failed to get file metadata:', {
         fileId: audioData.fileId,
@@ -168,22 +258,18 @@ class StorageService {
 
   /**
    * Get user's storage quota
-   * @param {string} storagePreference - Storage preference
+   * @param {string} storagePreference - Storage type
    * @param {Object} userToken - User's Google Drive token
-   * @returns {Promise<Object>} Storage quota information
+   * @returns {Promise<Object|null>} { used, total }, or null when the
+   *   backend has no per-user quota
    */
   async getStorageQuota(storagePreference, userToken = null) {
     try {
-      switch (storagePreference) {
-        case 'google_drive':
-          if (!userToken) {
-            throw new Error('Google Drive token required for quota');
-          }
-          return await googleDriveService.getStorageQuota(userToken);
-
-        default:
-          throw new Error(`Unsupported storage type: ${storagePreference}`);
+      const driver = this.getDriver(storagePreference);
+      if (driver.requiresUserToken && !userToken) {
+        throw new Error(`${storagePreference} token required for quota`);
       }
+      return await driver.getQuota({ userToken });
     } catch (error) {
       logger.error('Failed to get storage quota:', {
         storagePreference,
@@ -203,7 +289,7 @@ class StorageService {
   async listUserFiles(storagePreference, userToken = null, pageSize = 50) {
     try {
       switch (storagePreference) {
-        case 'google_drive':
+        case STORAGE_TYPES.GOOGLE_DRIVE:
           if (!userToken) {
             throw new Error('Google Drive token required for file listing');
           }
@@ -230,7 +316,7 @@ class StorageService {
   async getOrCreateAppFolder(storagePreference, userToken = null) {
     try {
       switch (storagePreference) {
-        case 'google_drive':
+        case STORAGE_TYPES.GOOGLE_DRIVE:
           if (!userToken) {
             throw new Error('Google Drive token required for folder creation');
           }
@@ -256,18 +342,9 @@ class StorageService {
    */
   async validateStorage(storagePreference, userToken = null) {
     try {
-      switch (storagePreference) {
-        case 'google_drive':
-          if (!userToken) {
-            return false;
-          }
-          // Try to get storage quota to validate token
-          await this.getStorageQuota(storagePreference, userToken);
-          return true;
-
-        default:
-          return false;
-      }
+      // Fetching the quota proves the backend and credentials work
+      await this.getStorageQuota(storagePreference, userToken);
+      return true;
     } catch (error) {
       logger.error('Storage validation failed:', {
         storagePreference,
@@ -0,0 +1,189 @@
+import Tag from '../models/Tag.js';
+import TagFollow from '../models/TagFollow.js';
+import Post from '../models/Post.js';
+import trendingService from './trendingService.js';
+import visibilityService from './visibilityService.js';
+import helpers from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+const AUTHOR_FIELDS = 'username profile.displayName profile.avatar';
+
+class TagService {
+  /**
+   * Update usage counters after a post's tags changed
+   * @param {Array<string>} added - Tags now on the post
+   * @param {Array<string>} removed - Tags no longer on the post
+   * @returns {Promise<void>}
+   */
+  async recordUsage(added = [], removed = []) {
+    try {
+      const now = new Date();
+      // Keyed by slug so 'Music' and 'music' count once
+      const bySlug = (tags) =>
+        new Map(tags.map((name) => [helpers.generateSlug(name), name]));
+      const addedTags = bySlug(added);
+      const removedTags = bySlug(removed);
+
+      const operations = [
+        ...[...addedTags].map(([slug, name]) => ({
+          updateOne: {
+            filter: { slug },
+            update: {
+              $inc: { postCount: 1 },
+              $set: { lastUsedAt: now },
+              $setOnInsert: { name },
+            },
+            upsert: true,
+          },
+        })),
+        ...[...removedTags.keys()].map((slug) => ({
+          updateOne: {
+            filter: { slug, postCount: { $gt: 0 } },
+            update: { $inc: { postCount: -1 } },
+          },
+        })),
+      ];
+
+      if (operations.length > 0) {
+        await Tag.bulkWrite(operations, { ordered: false });
+      }
+    } catch (error) {
+      // Counters are informational; never fail the post write over them
+      logger.error('Failed to update tag usage:', error);
+    }
+  }
+
+  /**
+   * Get a tag with the viewer's follow state
+   * @param {string} slug - Tag slug
+   * @param {string} viewerId - Viewing user (optional)
+   * @returns {Promise<Object|null>} { tag, isFollowing }, or null if unknown
+   */
+  async getTag(slug, viewerId) {
+    const tag = await Tag.findOne({ slug: helpers.generateSlug(slug) });
+    if (!tag) return null;
+
+    const isFollowing = viewerId
+      ? !!(await TagFollow.exists({ userId: viewerId, tagId: tag._id }))
+      : false;
+
+    return { tag, isFollowing };
+  }
+
+  /**
+   * Get visible posts with a tag, newest first
+   * @param {string} slug - Tag slug
+   * @param {string} viewerId - Viewing user (optional)
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} { posts, total }
+   */
+  async getTagPosts(slug, viewerId, { limit = 20, skip = 0 } = {}) {
+    const query = {
+      'content.tags': helpers.generateSlug(slug),
+      isActive: true,
+      ...(await visibilityService.getPostFilter(viewerId)),
+    };
+
+    const [posts, total] = await Promise.all([
+      Post.find(query)
+        .populate('authorId', AUTHOR_FIELDS)
+        .withPreviewWaveform()
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      Post.countDocuments(query),
+    ]);
+
+    return { posts, total };
+  }
+
+  /**
+   * Get trending tags from the newest trending snapshot
+   * @param {string} window - '1h', '24h' or '7d'
+   * @param {number} limit - Maximum tags
+   * @returns {Promise<Object>} { window, computedAt, tags }
+   */
+  async getTrendingTags(window, limit = 10) {
+    const snapshot = await trendingService.getSnapshot(window);
+    const trending = snapshot.tags.slice(0, limit);
+
+    const tags = await Tag.find({
+      slug: { $in: trending.map(({ tag }) => tag) },
+    });
+    const bySlug = new Map(tags.map((tag) => [tag.slug, tag]));
+
+    return {
+      window,
+      computedAt: snapshot.computedAt,
+      tags: trending
+        .filter(({ tag }) => bySlug.has(tag))
+        .map(({ tag, score, postCount }) => ({
+          ...bySlug.get(tag).toObject(),
+          score,
+          recentPostCount: postCount,
+        })),
+    };
+  }
+
+  /**
+   * Get the tags a user follows
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Tags, most recently followed first
+   */
+  async getFollowedTags(userId) {
+    const follows = await TagFollow.find({ userId })
+      .populate('tagId')
+      .sort({ createdAt: -1 });
+
+    return follows.map((follow) => follow.tagId).filter(Boolean);
+  }
+
+  /**
+   * Get the slugs of the tags a user follows
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Slugs
+   */
+  async getFollowedSlugs(userId) {
+    const tagIds = await TagFollow.distinct('tagId', { userId });
+    return Tag.distinct('slug', { _id: { $in: tagIds } });
+  }
+
+  /**
+   * Follow a tag
+   * @param {string} userId - User ID
+   * @param {Object} tag - Tag document
+   * @returns {Promise<boolean>} False if already following
+   */
+  async followTag(userId, tag) {
+    const result = await TagFollow.updateOne(
+      { userId, tagId: tag._id },
+      { $setOnInsert: { userId, tagId: tag._id } },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount === 0) return false;
+
+    await Tag.updateOne({ _id: tag._id }, { $inc: { followerCount: 1 } });
+    return true;
+  }
+
+  /**
+   * Unfollow a tag
+   * @param {string} userId - User ID
+   * @param {Object} tag - Tag document
+   * @returns {Promise<boolean>} False if not following
+   */
+  async unfollowTag(userId, tag) {
+    const result = await TagFollow.deleteOne({ userId, tagId: tag._id });
+
+    if (result.deletedCount === 0) return false;
+
+    await Tag.updateOne(
+      { _id: tag._id, followerCount: { $gt: 0 } },
+      { $inc: { followerCount: -1 } }
+    );
+    return true;
+  }
+}
+
+export default new TagService();
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+import normalizeResult from './normalizeResult.js';
+
+/**
+ * Posts audio to an OpenAI-compatible `/v1/audio/transcriptions` endpoint.
+ * Works against the hosted API or a local stand-in such as
+ * faster-whisper-server.
+ */
+class HttpTranscriptionEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {string} options.url - Base URL of the server
+   * @param {string} options.apiKey - Optional bearer token
+   * @param {string} options.model - Model name sent with the request
+   * @param {number} options.timeoutMs - Abort the request after this long
+   */
+  constructor({ url, apiKey, model, timeoutMs }) {
+    this.name = 'http';
+    this.url = url.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {string} filePath - Path to audio file
+   * @param {Object} options - Transcription options
+   * @param {string} options.language - Language hint (ISO 639-1)
+   * @returns {Promise<Object>} { text, language, words }
+   */
+  async transcribe(filePath, { language } = {}) {
+    const audio = await fs.promises.readFile(filePath);
+
+    const form = new FormData();
+    form.append('file', new Blob([audio]), path.basename(filePath));
+    form.append('model', this.model);
+    form.append('response_format', 'verbose_json');
+    form.append('timestamp_granularities[]', 'word');
+    if (language) {
+      form.append('language', language);
+    }
+
+    const response = await fetch(`${this.url}/v1/audio/transcriptions`, {
+      method: 'POST',
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      body: form,
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      const body = (await response.text()).slice(0, 200);
+      throw new Error(
+        `Transcription server responded ${response.status}: ${body}`
+      );
+    }
+
+    return normalizeResult(await response.json());
+  }
+}
+
+export default HttpTranscriptionEngine;
@@ -0,0 +1,33 @@
+import config from '../../config/environment.js';
+import LocalTranscriptionEngine from './localEngine.js';
+import HttpTranscriptionEngine from './httpEngine.js';
+
+/**
+ * Build the transcription engine selected by TRANSCRIPTION_ENGINE
+ * @returns {Object|null} Engine instance, or null when transcription is off
+ */
+const createTranscriptionEngine = () => {
+  switch (config.TRANSCRIPTION_ENGINE) {
+    case 'local':
+      return new LocalTranscriptionEngine({
+        command: config.TRANSCRIPTION_LOCAL_COMMAND,
+        args: config.TRANSCRIPTION_LOCAL_ARGS,
+        timeoutMs: config.TRANSCRIPTION_TIMEOUT_MS,
+      });
+    case 'http':
+      return new HttpTranscriptionEngine({
+        url: config.TRANSCRIPTION_HTTP_URL,
+        apiKey: config.TRANSCRIPTION_HTTP_API_KEY,
+        model: config.TRANSCRIPTION_HTTP_MODEL,
+        timeoutMs: config.TRANSCRIPTION_TIMEOUT_MS,
+      });
+    case 'none':
+      return null;
+    default:
+      throw new Error(
+        `Unsupported transcription engine: ${config.TRANSCRIPTION_ENGINE}`
+      );
+  }
+};
+
+export default createTranscriptionEngine;
@@ -0,0 +1,84 @@
+import { spawn } from 'child_process';
+import normalizeResult from './normalizeResult.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Runs an offline speech-to-text binary (e.g. a faster-whisper or Vosk
+ * wrapper) as a child process. The command receives the audio path and
+ * optional language as arguments and must print verbose_json to stdout.
+ */
+class LocalTranscriptionEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {string} options.command - Binary to run
+   * @param {Array<string>} options.args - Extra arguments before the file path
+   * @param {number} options.timeoutMs - Kill the process after this long
+   */
+  constructor({ command, args = [], timeoutMs }) {
+    this.name = 'local';
+    this.command = command;
+    this.args = args;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {string} filePath - Path to audio file
+   * @param {Object} options - Transcription options
+   * @param {string} options.language - Language hint (ISO 639-1)
+   * @returns {Promise<Object>} { text, language, words }
+   */
+  transcribe(filePath, { language } = {}) {
+    const args = [...this.args, filePath];
+    if (language) {
+      args.push('--language', language);
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, args, {
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+      let stdout = '';
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`Transcription timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+
+      child.stdout.on('data', (chunk) => {
+        stdout += chunk;
+      });
+      child.stderr.on('data', (chunk) => {
+        stderr += chunk;
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Failed to start ${this.command}: ${error.message}`));
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+
+        if (code !== 0) {
+          logger.warn('Local transcription engine failed:', {
+            command: this.command,
+            code,
+            stderr: stderr.slice(-500),
+          });
+          reject(new Error(`${this.command} exited with code ${code}`));
+          return;
+        }
+
+        try {
+          resolve(normalizeResult(JSON.parse(stdout)));
+        } catch (error) {
+          reject(new Error(`Invalid engine output: ${error.message}`));
+        }
+      });
+    });
+  }
+}
+
+export default LocalTranscriptionEngine;
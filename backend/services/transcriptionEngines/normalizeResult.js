@@ -0,0 +1,32 @@
+/**
+ * Normalize engine output to { text, language, words }
+ *
+ * Both engines speak the OpenAI `verbose_json` shape: top-level `text` and
+ * `language`, plus word timings either in `words` or nested in `segments`.
+ * @param {Object} raw - Parsed engine output
+ * @returns {Object} Normalized transcription result
+ */
+const normalizeResult = (raw) => {
+  if (!raw || typeof raw.text !== 'string') {
+    throw new Error('Engine returned no transcription text');
+  }
+
+  const rawWords =
+    raw.words || (raw.segments || []).flatMap((segment) => segment.words || []);
+
+  const words = rawWords
+    .filter((word) => typeof word.start === 'number')
+    .map((word) => ({
+      word: String(word.word).trim(),
+      start: word.start,
+      end: word.end,
+    }));
+
+  return {
+    text: raw.text.trim(),
+    language: raw.language || null,
+    words,
+  };
+};
+
+export default normalizeResult;
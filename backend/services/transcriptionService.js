@@ -1,58 +1,76 @@
+import fs from 'fs';
+import config from '../config/environment.js';
+import createTranscriptionEngine from './transcriptionEngines/index.js';
 import { logger } from '../utils/logger.js';
 
 class TranscriptionService {
   constructor() {
-    this.supportedFormats = [
-      'audio/wav',
-      'audio/mp3',
-      'audio/webm',
-      'audio/ogg',
-    ];
-    this.maxFileSize = 25 * 1024 * 1024; // 25MB
-    this.maxDuration = 300; // 5 minutes
+    this.maxFileSize = config.MAX_AUDIO_SIZE;
+    this.engine = null;
+  }
+
+  /**
+   * Get the configured engine, creating it on first use
+   * @returns {Object|null} Engine, or null when transcription is disabled
+   */
+  getEngine() {
+    if (!this.isEnabled()) return null;
+
+    if (!this.engine) {
+      this.engine = createTranscriptionEngine();
+    }
+    return this.engine;
+  }
+
+  /**
+   * Check whether an engine is configured
+   * @returns {boolean} True if transcription is enabled
+   */
+  isEnabled() {
+    return config.TRANSCRIPTION_ENGINE !== 'none';
   }
 
   /**
    * Transcribe audio file
    * @param {string} filePath - Path to audio file
    * @param {Object} options - Transcription options
-   * @returns {Promise<string>} Transcription text
+   * @param {string} options.language - Language hint (ISO 639-1)
+   * @returns {Promise<Object>} { text, language, words, engine }
    */
   async transcribeAudio(filePath, options = {}) {
+    const engine = this.getEngine();
+    if (!engine) {
+      throw new Error('Transcription is disabled');
+    }
+
     try {
-      logger.info('Starting audio transcription:', { filePath, options });
+      logger.info('Starting audio transcription:', {
+        filePath,
+        engine: engine.name,
+        options,
+      });
 
       // Validate audio file
       await this.validateAudioFile(filePath);
 
-      // Get audio duration
-      const duration = await this.getAudioDuration(filePath);
-
-      if (duration > this.maxDuration) {
-        throw new Error(
-          `Audio duration exceeds limit of ${this.maxDuration} seconds`
-        );
-      }
-
-      // For now, return a placeholder transcription
-      // In a real implementation, this would use:
-      // - Google Speech-to-Text API
-      // - AWS Transcribe
-      // - OpenAI Whisper
-      // - Or other speech recognition services
-
-      const transcription = await this.mockTranscription(filePath, options);
+      const result = await engine.transcribe(filePath, options);
 
       logger.info('Audio transcription completed:', {
         filePath,
-        duration,
-        transcriptionLength: transcription.length,
+        engine: engine.name,
+        language: result.language,
+        transcriptionLength: result.text.length,
+        wordCount: result.words.length,
       });
 
-      return transcription;
+      return {
+        ...result,
+        engine: engine.name,
+      };
     } catch (error) {
       logger.error('Audio transcription failed:', {
         filePath,
+        engine: engine.name,
         error: error.message,
       });
       throw new Error(`Transcription failed: ${error.message}`);
@@ -65,153 +83,17 @@ class TranscriptionService {
    * @returns {Promise<void>}
    */
   async validateAudioFile(filePath) {
-    const fs = require('fs');
-    const path = require('path');
-
     if (!fs.existsSync(filePath)) {
       throw new Error('Audio file not found');
     }
 
-    const stats = fs.statSync(filePath);
+    const stats = await fs.promises.stat(filePath);
 
     if (stats.size > this.maxFileSize) {
       throw new Error(
         `File size exceeds limit of ${this.maxFileSize / 1024 / 1024}MB`
       );
     }
-
-    const extension = path.extname(filePath).toLowerCase();
-    const supportedExtensions = ['.wav', '.mp3', '.webm', '.ogg'];
-
-    if (!supportedExtensions.includes(extension)) {
-      throw new Error(`Unsupported file format: ${extension}`);
-    }
-  }
-
-  /**
-   * Get audio duration
-   * @param {string} filePath - Path to audio file
-   * @returns {Promise<number>} Duration in seconds
-   */
-  async getAudioDuration(filePath) {
-    try {
-      // For now, return a mock duration
-      // In a real implementation, this would use:
-      // - ffprobe
-      // - music-metadata library
-      // - Or other audio analysis tools
-
-      return Math.floor(Math.random() * 240) + 30; // Random duration between 30-270 seconds
-    } catch (error) {
-      logger.error('Failed to get audio duration:', {
-        filePath,
-        error: error.message,
-      });
-      throw new Error(`Failed to get audio duration: ${error.message}`);
-    }
-  }
-
-  /**
-   * Mock transcription (placeholder implementation)
-   * @param {string} filePath - Path to audio file
-   * @param {Object} options - Transcription options
-   * @returns {Promise<string>} Mock transcription text
-   */
-  async mockTranscription(filePath, options = {}) {
-    // This is a placeholder for actual transcription service
-    // In production, replace with actual speech-to-text API calls
-
-    const mockTranscriptions = [
-      "Hello everyone, this is my first audio post on VoiceConnect. I'm really excited to be part of this community and share my thoughts through voice. Looking forward to connecting with you all!",
-      "Good morning! Today I wanted to talk about the importance of audio communication in our digital age. There's something special about hearing someone's voice that text just can't capture.",
-      "Hey there! Just wanted to share a quick update about what's been happening in my life lately. Things have been busy but good, and I'm grateful for this platform to express myself.",
-      "Welcome to my audio journal! Today I'm reflecting on the power of voice-based social media. It feels more personal and authentic than traditional text-based platforms.",
-      "Hi friends! I wanted to discuss an interesting topic that's been on my mind lately. How has audio communication changed the way we connect with others online?",
-    ];
-
-    // Select a random mock transcription
-    const randomIndex = Math.floor(Math.random() * mockTranscriptions.length);
-    let transcription = mockTranscriptions[randomIndex];
-
-    // Add some randomness to make it more realistic
-    if (options.language === 'es') {
-      transcription =
-        'Hola a todos, esta es mi primera publicación de audio en VoiceConnect. Estoy muy emocionado de ser parte de esta comunidad y compartir mis pensamientos a través de la voz.';
-    }
-
-    // Simulate processing delay
-    await new Promise((resolve) =>
-      setTimeout(resolve, 1000 + Math.random() * 2000)
-    );
-
-    return transcription;
-  }
-
-  /**
-   * Transcribe audio with specific service
-   * @param {string} filePath - Path to audio file
-   * @param {string} service - Transcription service to use
-   * @param {Object} options - Service-specific options
-   * @returns {Promise<string>} Transcription text
-   */
-  async transcribeWithService(filePath, service, options = {}) {
-    try {
-      logger.info('Transcribing with service:', { filePath, service, options });
-
-      switch (service) {
-        case 'google':
-          return await this.transcribeWithGoogle(filePath, options);
-        case 'aws':
-          return await this.transcribeWithAWS(filePath, options);
-        case 'openai':
-          return await this.transcribeWithOpenAI(filePath, options);
-        default:
-          throw new Error(`Unsupported transcription service: ${service}`);
-      }
-    } catch (error) {
-      logger.error('Service transcription failed:', {
-        filePath,
-        service,
-        error: error.message,
-      });
-      throw new Error(`${service} transcription failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Transcribe with Google Speech-to-Text
-   * @param {string} filePath - Path to audio file
-   * @param {Object} options - Google-specific options
-   * @returns {Promise<string>} Transcription text
-   */
-  async transcribeWithGoogle(filePath, options = {}) {
-    // Placeholder for Google Speech-to-Text API integration
-    logger.warn('Google Speech-to-Text integration not implemented');
-    return await this.mockTranscription(filePath, options);
-  }
-
-  /**
-   * Transcribe with AWS Transcribe
-   * @param {string} filePath - Path to audio file
-   * @param {Object} options - AWS-specific options
-   * @returns {Promise<string>} Transcription text
-   */
-  async transcribeWithAWS(filePath, options = {}) {
-    // Placeholder for AWS Transcribe integration
-    logger.warn('AWS Transcribe integration not implemented');
-    return await this.mockTranscription(filePath, options);
-  }
-
-  /**
-   * Transcribe with OpenAI Whisper
-   * @param {string} filePath - Path to audio file
-   * @param {Object} options - OpenAI-specific options
-   * @returns {Promise<string>} Transcription text
-   */
-  async transcribeWithOpenAI(filePath, options = {}) {
-    // Placeholder for OpenAI Whisper integration
-    logger.warn('OpenAI Whisper integration not implemented');
-    return await this.mockTranscription(filePath, options);
   }
 
   /**
@@ -259,24 +141,6 @@ class TranscriptionService {
     }
   }
 
-  /**
-   * Get transcription status
-   * @param {string} transcriptionId - Transcription ID
-   * @returns {Promise<Object>} Transcription status
-   */
-  async getTranscriptionStatus(transcriptionId) {
-    // Placeholder for transcription status tracking
-    // In a real implementation, this would check the status of async transcription jobs
-
-    return {
-      id: transcriptionId,
-      status: 'completed',
-      progress: 100,
-      createdAt: new Date(),
-      completedAt: new Date(),
-    };
-  }
-
   /**
    * Get supported languages
    * @returns {Array<Array>} Array of [code, name] pairs
@@ -295,28 +159,6 @@ class TranscriptionService {
       ['zh', 'Chinese'],
     ];
   }
-
-  /**
-   * Get transcription cost estimate
-   * @param {number} duration - Audio duration in seconds
-   * @param {string} service - Transcription service
-   * @returns {Promise<number>} Estimated cost in USD
-   */
-  async getCostEstimate(duration, service = 'google') {
-    // Placeholder for cost estimation
-    // In a real implementation, this would calculate based on service pricing
-
-    const rates = {
-      google: 0.006, // $0.006 per minute
-      aws: 0.024, // $0.024 per minute
-      openai: 0.006, // $0.006 per minute
-    };
-
-    const minutes = Math.ceil(duration / 60);
-    const rate = rates[service] || rates.google;
-
-    return minutes * rate;
-  }
 }
 
 export default new TranscriptionService();
@@ -0,0 +1,239 @@
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import Listen from '../models/Listen.js';
+import TrendingSnapshot from '../models/TrendingSnapshot.js';
+import jobQueueService from './jobQueueService.js';
+import visibilityService from './visibilityService.js';
+import config from '../config/environment.js';
+import helpers from '../utils/helpers.js';
+import {
+  JOB_TYPES,
+  POST_PRIVACY,
+  TIME,
+  TRENDING_WINDOWS,
+} from '../utils/constants.js';
+import { logger } from '../utils/logger.js';
+
+const AUTHOR_FIELDS = 'username profile.displayName profile.avatar';
+
+class TrendingService {
+  /**
+   * Queue a recompute for every window (skipped while one is still queued)
+   * @returns {Promise<void>}
+   */
+  async scheduleRefresh() {
+    try {
+      await Promise.all(
+        Object.keys(TRENDING_WINDOWS).map((window) =>
+          jobQueueService.enqueueUnique(JOB_TYPES.TRENDING_COMPUTE, { window })
+        )
+      );
+    } catch (error) {
+      logger.error('Failed to schedule trending refresh:', error);
+    }
+  }
+
+  /**
+   * Score public posts and tags for a window and store a snapshot
+   * @param {string} window - '1h', '24h' or '7d'
+   * @returns {Promise<Object>} Saved snapshot
+   */
+  async computeSnapshot(window) {
+    const now = new Date();
+    const since = new Date(now.getTime() - TRENDING_WINDOWS[window]);
+
+    const activity = await this.getRecentActivity(since);
+
+    // Anything new in the window, plus older posts that are picking up now
+    const posts = await Post.find({
+      isActive: true,
+      privacy: POST_PRIVACY.PUBLIC,
+      $or: [
+        { createdAt: { $gte: since } },
+        { _id: { $in: [...activity.keys()] } },
+      ],
+    })
+      .select('authorId createdAt engagement content.tags')
+      .lean();
+
+    const scored = posts
+      .map((post) => ({
+        post,
+        score: this.scorePost(post, activity.get(post._id.toString()), now),
+      }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const snapshot = await TrendingSnapshot.create({
+      window,
+      computedAt: now,
+      posts: scored
+        .slice(0, config.TRENDING_MAX_POSTS)
+        .map(({ post, score }) => ({ postId: post._id, score })),
+      tags: this.scoreTags(scored),
+    });
+
+    logger.info('Trending snapshot computed:', {
+      window,
+      candidates: posts.length,
+      trendingPosts: snapshot.posts.length,
+      trendingTags: snapshot.tags.length,
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Count distinct listeners and commenters per post since a date. Only
+   * distinct users count, so replaying or comment-spamming a post does
+   * not push it up.
+   * @param {Date} since - Start of the window
+   * @returns {Promise<Map>} Post ID -> weighted recent activity
+   */
+  async getRecentActivity(since) {
+    const [listeners, commenters] = await Promise.all([
+      Listen.aggregate([
+        { $match: { lastListenedAt: { $gte: since } } },
+        { $group: { _id: '$postId', count: { $sum: 1 } } },
+      ]),
+      Comment.aggregate([
+        { $match: { createdAt: { $gte: since }, isActive: true } },
+        { $group: { _id: '$postId', users: { $addToSet: '$authorId' } } },
+        { $project: { count: { $size: '$users' } } },
+      ]),
+    ]);
+
+    const activity = new Map();
+    const add = (groups, weight) =>
+      groups.forEach(({ _id, count }) => {
+        const key = _id.toString();
+        activity.set(key, (activity.get(key) || 0) + count * weight);
+      });
+    add(listeners, 1);
+    add(commenters, 3);
+
+    return activity;
+  }
+
+  /**
+   * Hacker News style score: engagement plus recent velocity, divided by
+   * a power of the post's age so older posts sink
+   * @param {Object} post - Lean post (createdAt, engagement)
+   * @param {number} recentActivity - Weighted activity inside the window
+   * @param {Date} now - Time age is measured from
+   * @returns {number} Score (0 when the post has no engagement)
+   */
+  scorePost(post, recentActivity = 0, now) {
+    const engagement = post.engagement || {};
+    // Distinct listeners rather than raw plays, which are easy to inflate
+    const points =
+      (engagement.listenerCount || 0) +
+      (engagement.likeCount || 0) * 2 +
+      (engagement.commentCount || 0) * 3 +
+      (engagement.shareCount || 0) * 4;
+
+    const ageHours = (now - post.createdAt) / TIME.HOUR;
+    const score =
+      (points + config.TRENDING_VELOCITY_WEIGHT * recentActivity) /
+      (ageHours + 2) ** config.TRENDING_GRAVITY;
+
+    return Number(score.toFixed(6));
+  }
+
+  /**
+   * Score tags from the scored posts. Each author only contributes their
+   * best post per tag, so one account can't carry a tag on its own.
+   * @param {Array<Object>} scored - { post, score } sorted best first
+   * @returns {Array<Object>} { tag, score, postCount }
+   */
+  scoreTags(scored) {
+    const tags = new Map();
+
+    scored.forEach(({ post, score }) => {
+      const postTags = new Set(
+        (post.content?.tags || []).map(helpers.generateSlug)
+      );
+
+      postTags.forEach((tag) => {
+        const entry = tags.get(tag) || { bestByAuthor: new Map(), postCount: 0 };
+        const authorId = post.authorId.toString();
+
+        entry.postCount += 1;
+        entry.bestByAuthor.set(
+          authorId,
+          Math.max(entry.bestByAuthor.get(authorId) || 0, score)
+        );
+        tags.set(tag, entry);
+      });
+    });
+
+    return [...tags.entries()]
+      .map(([tag, { bestByAuthor, postCount }]) => ({
+        tag,
+        score: Number(
+          [...bestByAuthor.values()].reduce((sum, s) => sum + s, 0).toFixed(6)
+        ),
+        postCount,
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, config.TRENDING_MAX_TAGS);
+  }
+
+  /**
+   * Get the newest snapshot for a window. Before the worker has computed
+   * one (e.g. right after a deploy) the computation is queued and an empty
+   * snapshot returned, rather than scoring every post inside the request.
+   * @param {string} window - '1h', '24h' or '7d'
+   * @returns {Promise<Object>} Snapshot (computedAt is null when empty)
+   */
+  async getSnapshot(window) {
+    const snapshot = await TrendingSnapshot.findLatest(window);
+    if (snapshot) return snapshot;
+
+    try {
+      await jobQueueService.enqueueUnique(JOB_TYPES.TRENDING_COMPUTE, {
+        window,
+      });
+    } catch (error) {
+      logger.error('Failed to queue trending computation:', error);
+    }
+
+    return { window, computedAt: null, posts: [], tags: [] };
+  }
+
+  /**
+   * Get trending posts and tags for a window from the newest snapshot
+   * @param {string} window - '1h', '24h' or '7d'
+   * @param {string} viewerId - Viewing user (optional)
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} { window, computedAt, posts, tags, total }
+   */
+  async getTrending(window, viewerId, { limit = 20, skip = 0 } = {}) {
+    const snapshot = await this.getSnapshot(window);
+
+    const visiblePosts = await Post.find({
+      _id: { $in: snapshot.posts.map(({ postId }) => postId) },
+      isActive: true,
+      ...(await visibilityService.getPostFilter(viewerId)),
+    })
+      .populate('authorId', AUTHOR_FIELDS)
+      .withPreviewWaveform();
+
+    const byId = new Map(
+      visiblePosts.map((post) => [post._id.toString(), post])
+    );
+    const ranked = snapshot.posts
+      .map(({ postId }) => byId.get(postId.toString()))
+      .filter(Boolean);
+
+    return {
+      window,
+      computedAt: snapshot.computedAt,
+      posts: ranked.slice(skip, skip + limit),
+      tags: snapshot.tags,
+      total: ranked.length,
+    };
+  }
+}
+
+export default new TrendingService();
@@ -0,0 +1,434 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import User from '../models/User.js';
+import RevokedToken from '../models/RevokedToken.js';
+import config from '../config/environment.js';
+import {
+  JWT_SECRET,
+  generateChallengeToken,
+  verifyChallengeToken,
+} from '../config/auth.js';
+import { logger, logSecurityEvent } from '../utils/logger.js';
+
+// RFC 6238 defaults, which every authenticator app supports
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Accept the neighbouring time steps to allow for clock drift
+const TOTP_WINDOW = 1;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+
+/**
+ * Create an error carrying the HTTP status to respond with
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+const twoFactorError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const getEncryptionKey = () =>
+  crypto
+    .createHash('sha256')
+    .update(config.TWO_FACTOR_ENCRYPTION_KEY || `${JWT_SECRET}:two-factor`)
+    .digest();
+
+// AES-256-GCM, stored as iv:tag:ciphertext in base64
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString('base64'))
+    .join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored
+    .split(':')
+    .map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    'utf8'
+  );
+};
+
+/**
+ * Compute the code for one time step (RFC 4226 HOTP)
+ * @param {Buffer} key - Decoded secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (key, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Find the time step a code is valid for
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user entered
+ * @returns {number|null} Matching time step, or null if the code is wrong
+ */
+const findCodeStep = (secret, code) => {
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const step = currentStep + drift;
+    const expected = generateCode(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Recovery codes are random, so a plain hash is enough to store them
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(code.replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+class TwoFactorService {
+  /**
+   * Start enrollment: generate a secret for the user's authenticator app.
+   * It only takes effect once confirmed with a code.
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode }
+   */
+  async beginEnrollment(user) {
+    if (user.twoFactor?.enabled) {
+      throw twoFactorError(400, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = base32Encode(crypto.randomBytes(SECRET_BYTES));
+    const issuer = config.TWO_FACTOR_ISSUER;
+    const label = encodeURIComponent(`${issuer}:${user.email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS),
+    });
+    const otpauthUrl = `otpauth://totp/${label}?${params}`;
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } }
+    );
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl),
+    };
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @param {Object} req - Express request, for logging
+   * @returns {Promise<string[]>} Recovery codes, shown to the user once
+   */
+  async confirmEnrollment(userId, code, req) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+
+    if (user.twoFactor?.enabled) {
+      throw twoFactorError(400, 'Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      throw twoFactorError(400, 'Start two-factor setup first');
+    }
+
+    const step = findCodeStep(decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      logSecurityEvent('two_factor_setup_failed', { userId, ip: req.ip });
+      throw twoFactorError(400, 'Invalid verification code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+          'twoFactor.lastUsedStep': step,
+        },
+        $unset: { 'twoFactor.pendingSecret': '' },
+      }
+    );
+
+    logSecurityEvent('two_factor_enabled', { userId, ip: req.ip });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a second factor: a TOTP code, or failing that a recovery code,
+   * which is used up. Either is accepted only once.
+   * @param {Object} user - User document with the secret fields selected
+   * @param {string} code - Code the user entered
+   * @returns {Promise<string|null>} 'totp' or 'recovery_code', or null if
+   *   the code was not accepted
+   */
+  async checkCode(user, code) {
+    const normalized = String(code).trim();
+    const step = findCodeStep(decryptSecret(user.twoFactor.secret), normalized);
+
+    if (step !== null) {
+      // Claiming the step atomically stops the same code being replayed
+      const { modifiedCount } = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $lt: step } },
+            { 'twoFactor.lastUsedStep': { $exists: false } },
+          ],
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return modifiedCount ? 'totp' : null;
+    }
+
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hashRecoveryCode(normalized) },
+      { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(normalized) } }
+    );
+    return modifiedCount ? 'recovery_code' : null;
+  }
+
+  /**
+   * Confirm the user is who they say before changing their second factor:
+   * their password and a current code
+   * @param {string} userId - User ID
+   * @param {Object} credentials - { password, code }
+   * @param {Object} req - Express request, for logging
+   * @returns {Promise<Object>} User document with the secret fields selected
+   */
+  async reauthenticate(userId, { password, code }, req) {
+    const user = await User.findById(userId).select(`+password ${SECRET_FIELDS}`);
+
+    if (!user.twoFactor?.enabled) {
+      throw twoFactorError(400, 'Two-factor authentication is not enabled');
+    }
+
+    if (!user.password) {
+      throw twoFactorError(
+        400,
+        'Set a password first; you can do so with Forgot password on the login screen'
+      );
+    }
+
+    if (!(await user.comparePassword(password))) {
+      logSecurityEvent('two_factor_reauth_failed', {
+        userId,
+        reason: 'password',
+        ip: req.ip,
+      });
+      throw twoFactorError(401, 'Incorrect password');
+    }
+
+    if (!(await this.checkCode(user, code))) {
+      logSecurityEvent('two_factor_reauth_failed', {
+        userId,
+        reason: 'code',
+        ip: req.ip,
+      });
+      throw twoFactorError(401, 'Invalid verification code');
+    }
+
+    return user;
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * @param {string} userId - User ID
+   * @param {Object} credentials - { password, code }
+   * @param {Object} req - Express request, for logging
+   */
+  async disable(userId, credentials, req) {
+    await this.reauthenticate(userId, credentials, req);
+
+    await User.updateOne(
+      { _id: userId },
+      { $set: { twoFactor: { enabled: false } } }
+    );
+
+    logSecurityEvent('two_factor_disabled', { userId, ip: req.ip });
+  }
+
+  /**
+   * Replace the recovery codes, voiding the old ones
+   * @param {string} userId - User ID
+   * @param {Object} credentials - { password, code }
+   * @param {Object} req - Express request, for logging
+   * @returns {Promise<string[]>} New recovery codes
+   */
+  async regenerateRecoveryCodes(userId, credentials, req) {
+    await this.reauthenticate(userId, credentials, req);
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+        },
+      }
+    );
+
+    logSecurityEvent('two_factor_recovery_codes_regenerated', {
+      userId,
+      ip: req.ip,
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Count the recovery codes a user has left
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Unused recovery codes
+   */
+  async countRecoveryCodes(userId) {
+    const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+    return user?.twoFactor?.recoveryCodes?.length || 0;
+  }
+
+  /**
+   * Issue the token a user with two-factor authentication gets after
+   * entering the right password
+   * @param {Object} user - User document
+   * @returns {string} Challenge token
+   */
+  createChallenge(user) {
+    return generateChallengeToken(user._id, config.TWO_FACTOR_CHALLENGE_TTL);
+  }
+
+  /**
+   * Finish a two-step login
+   * @param {string} challengeToken - Token from the password step
+   * @param {string} code - TOTP or recovery code
+   * @param {Object} req - Express request, for logging
+   * @returns {Promise<Object>} The signed-in user
+   */
+  async completeChallenge(challengeToken, code, req) {
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      throw twoFactorError(401, error.message);
+    }
+
+    const user = await User.findById(decoded.userId).select(SECRET_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      throw twoFactorError(401, 'Invalid sign-in attempt');
+    }
+
+    const method = await this.checkCode(user, code);
+    if (!method) {
+      logSecurityEvent('two_factor_login_failed', {
+        userId: user._id,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
+      throw twoFactorError(401, 'Invalid verification code');
+    }
+
+    // A challenge signs in once; a retry after a typo keeps the same one
+    try {
+      await RevokedToken.create({
+        jti: decoded.jti,
+        userId: user._id,
+        expiresAt: new Date(decoded.exp * 1000),
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw twoFactorError(401, 'Invalid sign-in attempt');
+      }
+      throw error;
+    }
+
+    if (method === 'recovery_code') {
+      logSecurityEvent('two_factor_recovery_code_used', {
+        userId: user._id,
+        remaining: user.twoFactor.recoveryCodes.length - 1,
+        ip: req.ip,
+      });
+    }
+
+    logger.info('Two-factor login completed:', { userId: user._id, method });
+
+    return user;
+  }
+}
+
+// The TOTP building blocks on their own, for checking against the RFC
+// test vectors
+export { base32Encode, base32Decode, generateCode, findCodeStep };
+
+export default new TwoFactorService();
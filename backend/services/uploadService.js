@@ -0,0 +1,425 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import UploadSession from '../models/UploadSession.js';
+import User from '../models/User.js';
+import audioService from './audioService.js';
+import jobQueueService from './jobQueueService.js';
+import storageService from './storageService.js';
+import audioUtils from '../utils/audioUtils.js';
+import config from '../config/environment.js';
+import { JOB_TYPES, UPLOAD_STATUSES } from '../utils/constants.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Create an error carrying the HTTP status to respond with
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+const uploadError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class UploadService {
+  /**
+   * Get the path a session's bytes are assembled in
+   * @param {Object} session - Upload session
+   * @returns {string} File path
+   */
+  getFilePath(session) {
+    return path.join(
+      config.UPLOAD_SESSION_PATH,
+      `${session._id}${path.extname(session.fileName).toLowerCase()}`
+    );
+  }
+
+  /**
+   * Get when a session touched now should expire
+   * @returns {Date} Expiry
+   */
+  getExpiry() {
+    return new Date(
+      Date.now() + config.UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000
+    );
+  }
+
+  /**
+   * Start a resumable upload
+   * @param {string} userId - Uploading user
+   * @param {Object} file - { fileName, mimeType, size, checksum }
+   * @returns {Promise<Object>} Created session
+   */
+  async createSession(userId, { fileName, mimeType, size, checksum }) {
+    if (!config.SUPPORTED_AUDIO_FORMATS.includes(mimeType)) {
+      throw uploadError(400, `Unsupported audio format: ${mimeType}`);
+    }
+
+    if (size > config.MAX_AUDIO_SIZE) {
+      throw uploadError(
+        400,
+        `File size exceeds limit of ${config.MAX_AUDIO_SIZE / 1024 / 1024}MB`
+      );
+    }
+
+    const session = await UploadSession.create({
+      userId,
+      fileName,
+      mimeType,
+      size,
+      checksum,
+      expiresAt: this.getExpiry(),
+    });
+
+    await fs.promises.mkdir(config.UPLOAD_SESSION_PATH, { recursive: true });
+    await fs.promises.writeFile(this.getFilePath(session), '');
+
+    logger.info('Upload session created:', {
+      uploadId: session._id,
+      userId,
+      size,
+    });
+
+    return session;
+  }
+
+  /**
+   * Find a session belonging to a user
+   * @param {string} uploadId - Session ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Session
+   * @throws {Error} 404 when missing or someone else's
+   */
+  async getSession(uploadId, userId) {
+    const session = await UploadSession.findOne({ _id: uploadId, userId });
+    if (!session) {
+      throw uploadError(404, 'Upload not found');
+    }
+    return session;
+  }
+
+  /**
+   * Write a chunk at the session's current offset. Chunks must arrive in
+   * order; a client that lost track reads receivedBytes and resumes there.
+   * @param {Object} session - Upload session
+   * @param {number} offset - Byte offset the chunk starts at
+   * @param {Buffer} data - Chunk bytes
+   * @param {string} checksum - SHA-256 (hex) of the chunk
+   * @returns {Promise<Object>} Updated session
+   */
+  async appendChunk(session, offset, data, checksum) {
+    if (session.status !== UPLOAD_STATUSES.UPLOADING) {
+      throw uploadError(409, 'Upload is no longer accepting data');
+    }
+
+    if (offset !== session.receivedBytes) {
+      throw uploadError(
+        409,
+        `Expected offset ${session.receivedBytes}, got ${offset}`
+      );
+    }
+
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      throw uploadError(400, 'Chunk is empty');
+    }
+
+    if (offset + data.length > session.size) {
+      throw uploadError(400, 'Chunk runs past the declared file size');
+    }
+
+    const actual = crypto.createHash('sha256').update(data).digest('hex');
+    if (actual !== checksum.toLowerCase()) {
+      throw uploadError(400, 'Chunk checksum mismatch');
+    }
+
+    // Positional write, so a retried chunk overwrites rather than appends
+    const handle = await fs.promises.open(this.getFilePath(session), 'r+');
+    try {
+      await handle.write(data, 0, data.length, offset);
+    } finally {
+      await handle.close();
+    }
+
+    const updated = await UploadSession.findOneAndUpdate(
+      {
+        _id: session._id,
+        status: UPLOAD_STATUSES.UPLOADING,
+        receivedBytes: offset,
+      },
+      {
+        $set: {
+          receivedBytes: offset + data.length,
+          expiresAt: this.getExpiry(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw uploadError(409, 'Upload changed while writing the chunk');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Check the complete file and queue it for audio processing in the
+   * worker; the session is ready once that is done. Safe to call again
+   * after a failure or a dropped response.
+   * @param {Object} session - Upload session
+   * @param {Object} user - Uploading user document
+   * @returns {Promise<Object>} Session, processing or already processed
+   */
+  async finalize(session, user) {
+    if (
+      [
+        UPLOAD_STATUSES.PROCESSING,
+        UPLOAD_STATUSES.READY,
+        UPLOAD_STATUSES.CLAIMED,
+      ].includes(session.status)
+    ) {
+      return session;
+    }
+
+    if (session.receivedBytes !== session.size) {
+      throw uploadError(
+        400,
+        `Upload is incomplete (${session.receivedBytes} of ${session.size} bytes)`
+      );
+    }
+
+    const claimed = await UploadSession.findOneAndUpdate(
+      {
+        _id: session._id,
+        status: { $in: [UPLOAD_STATUSES.UPLOADING, UPLOAD_STATUSES.FAILED] },
+      },
+      {
+        $set: { status: UPLOAD_STATUSES.PROCESSING, expiresAt: this.getExpiry() },
+        $unset: { error: '' },
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw uploadError(409, 'Upload is already being processed');
+    }
+
+    const filePath = this.getFilePath(claimed);
+
+    try {
+      if (
+        claimed.checksum &&
+        (await this.hashFile(filePath)) !== claimed.checksum.toLowerCase()
+      ) {
+        throw uploadError(400, 'File checksum mismatch');
+      }
+
+      const audioFile = {
+        path: filePath,
+        originalname: claimed.fileName,
+        mimetype: claimed.mimeType,
+        size: claimed.size,
+      };
+
+      const validation = await audioUtils.validateAudioFile(audioFile);
+      if (!validation.isValid) {
+        throw uploadError(400, `Invalid audio file: ${validation.error}`);
+      }
+
+      const duration = await audioUtils.getAudioDuration(filePath);
+      if (duration > config.MAX_AUDIO_DURATION) {
+        throw uploadError(
+          400,
+          `Audio duration exceeds limit of ${config.MAX_AUDIO_DURATION} seconds`
+        );
+      }
+
+      if (!(await storageService.getUploadTarget(user))) {
+        throw uploadError(
+          400,
+          'Connect Google Drive or choose another storage location in settings'
+        );
+      }
+
+      // Transcoding and storing take too long to hold the request open
+      await jobQueueService.enqueue(JOB_TYPES.UPLOAD_PROCESS, {
+        uploadId: claimed._id,
+      });
+
+      return claimed;
+    } catch (error) {
+      await UploadSession.updateOne(
+        { _id: claimed._id },
+        { $set: { status: UPLOAD_STATUSES.FAILED, error: error.message } }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Transcode and store a finalized upload (job handler)
+   * @param {Object} payload - { uploadId }
+   * @param {Object} job - Job document
+   */
+  async processUpload({ uploadId }, job) {
+    const session = await UploadSession.findOne({
+      _id: uploadId,
+      status: UPLOAD_STATUSES.PROCESSING,
+    });
+    if (!session) return;
+
+    const filePath = this.getFilePath(session);
+
+    let audio;
+    let userToken;
+    try {
+      const user = await User.findById(session.userId);
+      const storageTarget = user && (await storageService.getUploadTarget(user));
+      if (!storageTarget) {
+        throw new Error('Uploader has no storage to upload to');
+      }
+      userToken = storageTarget.userToken;
+
+      audio = await audioService.processAudio(
+        {
+          path: filePath,
+          originalname: session.fileName,
+          mimetype: session.mimeType,
+          size: session.size,
+        },
+        session.userId,
+        storageTarget.storageType,
+        userToken
+      );
+    } catch (error) {
+      // The client polls the session, so tell it once retrying stops
+      if (job.attempts >= job.maxAttempts) {
+        await UploadSession.updateOne(
+          { _id: session._id, status: UPLOAD_STATUSES.PROCESSING },
+          { $set: { status: UPLOAD_STATUSES.FAILED, error: error.message } }
+        );
+      }
+      throw error;
+    }
+
+    const { modifiedCount } = await UploadSession.updateOne(
+      { _id: session._id, status: UPLOAD_STATUSES.PROCESSING },
+      { $set: { status: UPLOAD_STATUSES.READY, audio } }
+    );
+
+    // Cancelled while transcoding
+    if (modifiedCount === 0) {
+      await audioService.deleteAudio(audio, session.userId, userToken);
+      return;
+    }
+
+    logger.info('Upload processed:', {
+      uploadId: session._id,
+      duration: audio.duration,
+    });
+  }
+
+  /**
+   * Take a finalized upload for a new post or comment
+   * @param {string} uploadId - Session ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { session, audio, filePath }, or null
+   *   when the upload is not finalized or was already used
+   */
+  async claim(uploadId, userId) {
+    const session = await UploadSession.findOneAndUpdate(
+      { _id: uploadId, userId, status: UPLOAD_STATUSES.READY },
+      { $set: { status: UPLOAD_STATUSES.CLAIMED } },
+      { new: true }
+    );
+
+    if (!session) return null;
+
+    return {
+      session,
+      audio: session.audio,
+      filePath: this.getFilePath(session),
+    };
+  }
+
+  /**
+   * Hand a claimed upload back when its post or comment could not be
+   * saved, so the audio can still be attached
+   * @param {Object} upload - Result of claim
+   * @returns {Promise<void>}
+   */
+  async release(upload) {
+    await UploadSession.updateOne(
+      { _id: upload.session._id, status: UPLOAD_STATUSES.CLAIMED },
+      { $set: { status: UPLOAD_STATUSES.READY } }
+    );
+  }
+
+  /**
+   * Forget a claimed upload once its post or comment exists
+   * @param {Object} upload - Result of claim
+   * @returns {Promise<void>}
+   */
+  async complete(upload) {
+    await UploadSession.deleteOne({ _id: upload.session._id });
+    await fs.promises.rm(upload.filePath, { force: true });
+  }
+
+  /**
+   * Cancel an upload, removing whatever it stored
+   * @param {Object} session - Upload session
+   * @returns {Promise<void>}
+   */
+  async discard(session) {
+    // Processed audio was never attached to anything, so delete it too.
+    // A claimed session may already back a post, so its audio is kept.
+    if (session.audio && session.status !== UPLOAD_STATUSES.CLAIMED) {
+      await audioService.deleteAudio(session.audio, session.userId);
+    }
+
+    await UploadSession.deleteOne({ _id: session._id });
+    await fs.promises.rm(this.getFilePath(session), { force: true });
+  }
+
+  /**
+   * Remove abandoned sessions
+   * @returns {Promise<number>} Sessions removed
+   */
+  async cleanupExpired() {
+    const sessions = await UploadSession.findExpired();
+
+    for (const session of sessions) {
+      try {
+        await this.discard(session);
+      } catch (error) {
+        logger.error('Failed to remove expired upload:', {
+          uploadId: session._id,
+          error: error.message,
+        });
+      }
+    }
+
+    if (sessions.length > 0) {
+      logger.info('Expired uploads removed:', { count: sessions.length });
+    }
+
+    return sessions.length;
+  }
+
+  /**
+   * Hash a file
+   * @param {string} filePath - File path
+   * @returns {Promise<string>} SHA-256 (hex)
+   */
+  async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+}
+
+export default new UploadService();
@@ -0,0 +1,163 @@
+import Post from '../models/Post.js';
+import Connection from '../models/Connection.js';
+import Audience from '../models/Audience.js';
+import { CONNECTION_STATUSES, POST_PRIVACY } from '../utils/constants.js';
+
+/**
+ * Single source of truth for who may read which posts (and, through their
+ * post, which comments). Blocks hide content in both directions.
+ */
+class VisibilityService {
+  /**
+   * Describe how a viewer relates to an author
+   * @param {string} viewerId - Viewing user (optional)
+   * @param {string} authorId - Content author
+   * @returns {Promise<Object>} { isSelf, isConnected, isBlocked }
+   */
+  async getRelationship(viewerId, authorId) {
+    if (!viewerId) {
+      return { isSelf: false, isConnected: false, isBlocked: false };
+    }
+
+    if (authorId.equals(viewerId)) {
+      return { isSelf: true, isConnected: false, isBlocked: false };
+    }
+
+    const [connection, block] = await Promise.all([
+      Connection.areConnected(viewerId, authorId),
+      Connection.findOne({
+        status: CONNECTION_STATUSES.BLOCKED,
+        $or: [
+          { requesterId: viewerId, recipientId: authorId },
+          { requesterId: authorId, recipientId: viewerId },
+        ],
+      }),
+    ]);
+
+    return {
+      isSelf: false,
+      isConnected: !!connection,
+      isBlocked: !!block,
+    };
+  }
+
+  /**
+   * Check if a viewer may read a post
+   * @param {Object} post - Post document
+   * @param {string} viewerId - Viewing user (optional)
+   * @returns {Promise<boolean>} True if the post is visible
+   */
+  async canViewPost(post, viewerId) {
+    if (!post || !post.isActive) return false;
+
+    // Populated authors still carry their _id
+    const authorId = post.authorId._id || post.authorId;
+    const relationship = await this.getRelationship(viewerId, authorId);
+
+    if (relationship.isSelf) return true;
+    if (relationship.isBlocked) return false;
+
+    switch (post.privacy) {
+      case POST_PRIVACY.PUBLIC:
+        return true;
+      case POST_PRIVACY.CONNECTIONS_ONLY:
+        return relationship.isConnected;
+      case POST_PRIVACY.AUDIENCE:
+        return this.isAudienceMember(post.audienceId, viewerId);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check if a viewer is on an audience list
+   * @param {string} audienceId - Audience ID (optional)
+   * @param {string} viewerId - Viewing user (optional)
+   * @returns {Promise<boolean>} True if the viewer is a member
+   */
+  async isAudienceMember(audienceId, viewerId) {
+    if (!audienceId || !viewerId) return false;
+
+    return !!(await Audience.exists({ _id: audienceId, memberIds: viewerId }));
+  }
+
+  /**
+   * Get the IDs of a user's accepted connections and blocked users
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { connectionIds, blockedIds }
+   */
+  async getRelatedUserIds(userId) {
+    const connections = await Connection.find({
+      status: {
+        $in: [CONNECTION_STATUSES.ACCEPTED, CONNECTION_STATUSES.BLOCKED],
+      },
+      $or: [{ requesterId: userId }, { recipientId: userId }],
+    }).select('requesterId recipientId status');
+
+    const connectionIds = [];
+    const blockedIds = [];
+
+    connections.forEach((conn) => {
+      const otherId = conn.requesterId.equals(userId)
+        ? conn.recipientId
+        : conn.requesterId;
+
+      if (conn.status === CONNECTION_STATUSES.BLOCKED) {
+        blockedIds.push(otherId);
+      } else {
+        connectionIds.push(otherId);
+      }
+    });
+
+    return { connectionIds, blockedIds };
+  }
+
+  /**
+   * Build a Mongo filter matching the posts a viewer may read. Uses only
+   * `$or` and `$nor` so it can be spread into queries keyed on authorId.
+   * @param {string} viewerId - Viewing user (optional)
+   * @returns {Promise<Object>} Mongo filter
+   */
+  async getPostFilter(viewerId) {
+    if (!viewerId) {
+      return { $or: [{ privacy: POST_PRIVACY.PUBLIC }] };
+    }
+
+    const [{ connectionIds, blockedIds }, audienceIds] = await Promise.all([
+      this.getRelatedUserIds(viewerId),
+      Audience.findIdsForMember(viewerId),
+    ]);
+
+    return {
+      $or: [
+        { authorId: viewerId },
+        { privacy: POST_PRIVACY.PUBLIC },
+        {
+          privacy: POST_PRIVACY.CONNECTIONS_ONLY,
+          authorId: { $in: connectionIds },
+        },
+        {
+          privacy: POST_PRIVACY.AUDIENCE,
+          audienceId: { $in: audienceIds },
+        },
+      ],
+      $nor: [{ authorId: { $in: blockedIds } }],
+    };
+  }
+
+  /**
+   * Filter a list of post IDs down to the ones a viewer may read
+   * @param {Array} postIds - Post IDs
+   * @param {string} viewerId - Viewing user (optional)
+   * @returns {Promise<Array>} Visible post IDs
+   */
+  async filterVisiblePostIds(postIds, viewerId) {
+    return Post.distinct('_id', {
+      _id: { $in: postIds },
+      isActive: true,
+      ...(await this.getPostFilter(viewerId)),
+    });
+  }
+}
+
+export default new VisibilityService();
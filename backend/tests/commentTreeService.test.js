@@ -0,0 +1,249 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import commentTreeService from '../services/commentTreeService.js';
+import Comment from '../models/Comment.js';
+import { COMMENT_SORTS } from '../utils/constants.js';
+
+const { ObjectId } = mongoose.Types;
+
+const objectId = (n) => new ObjectId(n.toString(16).padStart(24, '0'));
+const at = (minute) => new Date(Date.UTC(2026, 0, 1, 0, minute));
+
+const postId = objectId(0xa00);
+const parentId = objectId(0xb00);
+
+// Timestamps and like counts deliberately tie, so pages have to break
+// ties on the later sort keys to neither skip nor repeat a comment
+let comments;
+
+// Query evaluation for the few operators the service uses
+const compare = (a, b) => {
+  const key = (value) =>
+    value instanceof Date
+      ? value.getTime()
+      : value instanceof ObjectId
+        ? value.toHexString()
+        : value;
+  const [x, y] = [key(a), key(b)];
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+const matchesValue = (value, condition) => {
+  if (condition === null) return value == null;
+  if (condition?.$lt !== undefined) return compare(value, condition.$lt) < 0;
+  if (condition?.$gt !== undefined) return compare(value, condition.$gt) > 0;
+  return compare(value, condition) === 0;
+};
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) =>
+    key === '$or'
+      ? condition.some((branch) => matches(doc, branch))
+      : matchesValue(doc[key], condition)
+  );
+
+const sortBy = (docs, spec) =>
+  [...docs].sort((a, b) => {
+    for (const [key, direction] of Object.entries(spec)) {
+      const order = compare(a[key], b[key]) * direction;
+      if (order) return order;
+    }
+    return 0;
+  });
+
+beforeEach(() => {
+  const rows = [
+    // [id, minute, likes, parent]
+    [1, 0, 0, null],
+    [2, 1, 2, null],
+    [3, 1, 2, null],
+    [4, 1, 1, null],
+    [5, 2, 2, null],
+    [6, 3, 0, null],
+    [7, 3, 2, null],
+    [8, 3, 5, null],
+    [11, 5, 0, parentId],
+    [12, 5, 0, parentId],
+    [13, 4, 0, parentId],
+    [14, 6, 0, parentId],
+    [15, 6, 0, parentId],
+  ];
+  comments = rows.map(([id, minute, likes, parent]) => ({
+    _id: objectId(id),
+    postId,
+    parentCommentId: parent,
+    isActive: true,
+    createdAt: at(minute),
+    likedBy: Array.from({ length: likes }, (_, i) => objectId(0xc00 + i)),
+  }));
+  // A removed comment never shows up on any page
+  comments.push({ ...comments[1], _id: objectId(9), isActive: false });
+
+  jest.spyOn(Comment, 'find').mockImplementation((query) => {
+    let sort = {};
+    let limit = Infinity;
+    const chain = {
+      select: () => chain,
+      sort: (spec) => {
+        sort = spec;
+        return chain;
+      },
+      limit: (n) => {
+        limit = n;
+        return chain;
+      },
+      then: (resolve, reject) =>
+        Promise.resolve(
+          sortBy(
+            comments.filter((doc) => matches(doc, query)),
+            sort
+          ).slice(0, limit)
+        ).then(resolve, reject),
+    };
+    return chain;
+  });
+
+  jest.spyOn(Comment, 'aggregate').mockImplementation(async (pipeline) =>
+    pipeline.reduce((docs, stage) => {
+      if (stage.$match) return docs.filter((doc) => matches(doc, stage.$match));
+      if (stage.$addFields) {
+        return docs.map((doc) => ({ ...doc, likeCount: doc.likedBy.length }));
+      }
+      if (stage.$sort) return sortBy(docs, stage.$sort);
+      if (stage.$limit) return docs.slice(0, stage.$limit);
+      return docs;
+    }, comments)
+  );
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Follow nextCursor through every page the way the client does, passing
+// it through encoding and the controller's decoding each time
+const readAllPages = async (getPage, sort, limit) => {
+  const ids = [];
+  let cursor = null;
+
+  for (let pages = 0; pages < 20; pages++) {
+    const page = await getPage(limit, cursor);
+    ids.push(...page.ids.map((id) => id.toString()));
+    if (!page.nextCursor) return ids;
+
+    cursor = commentTreeService.decodeCursor(
+      commentTreeService.encodeCursor(page.nextCursor),
+      sort
+    );
+    expect(cursor).not.toBeNull();
+  }
+  throw new Error('Paging did not finish');
+};
+
+const expectedIds = (filter, sort) =>
+  sortBy(
+    comments
+      .filter((doc) => matches(doc, { ...filter, isActive: true }))
+      .map((doc) => ({ ...doc, likeCount: doc.likedBy.length })),
+    sort
+  ).map(({ _id }) => _id.toString());
+
+const topLevel = { postId, parentCommentId: null, isActive: true };
+
+describe('commentTreeService paging', () => {
+  test.each([1, 2, 3, 8, 20])(
+    'pages new comments %i at a time without gaps or repeats',
+    async (limit) => {
+      const ids = await readAllPages(
+        (n, cursor) => commentTreeService.getNewPage(topLevel, n, cursor),
+        COMMENT_SORTS.NEW,
+        limit
+      );
+
+      expect(ids).toEqual(expectedIds(topLevel, { createdAt: -1, _id: -1 }));
+    }
+  );
+
+  test.each([1, 2, 3, 8, 20])(
+    'pages top comments %i at a time without gaps or repeats',
+    async (limit) => {
+      const ids = await readAllPages(
+        (n, cursor) => commentTreeService.getTopPage(topLevel, n, cursor),
+        COMMENT_SORTS.TOP,
+        limit
+      );
+
+      expect(ids).toEqual(
+        expectedIds(topLevel, { likeCount: -1, createdAt: -1, _id: -1 })
+      );
+    }
+  );
+
+  test.each([1, 2, 5])(
+    'pages replies %i at a time, oldest first',
+    async (limit) => {
+      const ids = await readAllPages(
+        (n, cursor) => commentTreeService.getReplyPage(parentId, n, cursor),
+        'replies',
+        limit
+      );
+
+      expect(ids).toEqual(
+        expectedIds({ parentCommentId: parentId }, { createdAt: 1, _id: 1 })
+      );
+    }
+  );
+
+  test('gives no cursor after the last page', async () => {
+    const page = await commentTreeService.getNewPage(topLevel, 8, null);
+
+    expect(page.ids).toHaveLength(8);
+    expect(page.nextCursor).toBe(false);
+  });
+});
+
+describe('commentTreeService.decodeCursor', () => {
+  const cursor = {
+    sort: COMMENT_SORTS.TOP,
+    likeCount: 2,
+    createdAt: at(1).toISOString(),
+    id: objectId(3).toString(),
+  };
+  const encode = (fields) => commentTreeService.encodeCursor(fields);
+
+  test('round-trips a cursor', () => {
+    expect(
+      commentTreeService.decodeCursor(encode(cursor), COMMENT_SORTS.TOP)
+    ).toEqual(cursor);
+  });
+
+  test('refuses a cursor from another sort', () => {
+    expect(
+      commentTreeService.decodeCursor(encode(cursor), COMMENT_SORTS.NEW)
+    ).toBeNull();
+    expect(commentTreeService.decodeRepliesCursor(encode(cursor))).toBeNull();
+  });
+
+  test.each([
+    ['a bad id', { id: 'not-an-id' }],
+    ['a bad date', { createdAt: 'yesterday' }],
+    ['a missing like count', { likeCount: undefined }],
+    ['a fractional like count', { likeCount: 1.5 }],
+  ])('refuses a cursor with %s', (_, change) => {
+    expect(
+      commentTreeService.decodeCursor(
+        encode({ ...cursor, ...change }),
+        COMMENT_SORTS.TOP
+      )
+    ).toBeNull();
+  });
+
+  test.each(['', 'not base64 json', encode('a string'), encode(null)])(
+    'refuses the malformed cursor %j',
+    (encoded) => {
+      expect(
+        commentTreeService.decodeCursor(encoded, COMMENT_SORTS.NEW)
+      ).toBeNull();
+    }
+  );
+});
@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import sessionService from '../services/sessionService.js';
+import Session from '../models/Session.js';
+import RevokedToken from '../models/RevokedToken.js';
+import { verifyAccessToken, verifyRefreshToken } from '../config/auth.js';
+import { SESSION_REVOKE_REASONS } from '../utils/constants.js';
+
+const req = {
+  ip: '203.0.113.7',
+  get: () => 'Mozilla/5.0 (X11; Linux x86_64) Firefox/118.0',
+};
+
+// One session document, updated the way MongoDB would: each update is
+// atomic, so of two refreshes with the same token only one matches
+let stored;
+
+const matches = (filter) =>
+  String(filter._id) === String(stored._id) &&
+  (!filter.userId || String(filter.userId) === String(stored.userId)) &&
+  (!filter.tokenHash || filter.tokenHash === stored.tokenHash) &&
+  (!filter.previousTokenHash ||
+    filter.previousTokenHash === stored.previousTokenHash) &&
+  (!filter.rotatedAt || stored.rotatedAt > filter.rotatedAt.$gt) &&
+  !stored.revokedAt;
+
+const startSession = () => {
+  const userId = new mongoose.Types.ObjectId();
+  const sessionId = new mongoose.Types.ObjectId();
+  const { tokens, fields } = sessionService.issueTokens(userId, sessionId);
+  stored = { _id: sessionId, userId, ...fields, ip: req.ip };
+  return tokens;
+};
+
+beforeEach(() => {
+  jest
+    .spyOn(Session, 'findOneAndUpdate')
+    .mockImplementation(async (filter, update) => {
+      if (!matches(filter)) return null;
+      const before = { ...stored };
+      Object.assign(stored, update.$set);
+      return before;
+    });
+  jest
+    .spyOn(Session, 'findOne')
+    .mockImplementation(async (filter) =>
+      matches(filter) ? { ...stored } : null
+    );
+  jest.spyOn(RevokedToken, 'updateOne').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('sessionService.rotate', () => {
+  test('issues a new pair and stops accepting the old refresh token', async () => {
+    const { refreshToken } = startSession();
+
+    const rotated = await sessionService.rotate(refreshToken, req);
+
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(verifyRefreshToken(rotated.refreshToken).sid).toBe(
+      String(stored._id)
+    );
+    expect(verifyAccessToken(rotated.accessToken).jti).toBe(
+      stored.accessTokenId
+    );
+
+    // The rotated pair is the session's current one
+    await expect(
+      sessionService.rotate(rotated.refreshToken, req)
+    ).resolves.toHaveProperty('accessToken');
+  });
+
+  test('gives parallel refreshes with the same token the same new pair', async () => {
+    const { refreshToken } = startSession();
+
+    const [first, second] = await Promise.all([
+      sessionService.rotate(refreshToken, req),
+      sessionService.rotate(refreshToken, req),
+    ]);
+
+    expect(second.accessToken).toBe(first.accessToken);
+    expect(second.refreshToken).toBe(first.refreshToken);
+    expect(stored.revokedAt).toBeUndefined();
+
+    // Whichever tab stored it last, the next refresh still works
+    await expect(
+      sessionService.rotate(second.refreshToken, req)
+    ).resolves.toHaveProperty('refreshToken');
+  });
+
+  test('revokes the session when an old token comes back after the grace window', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const { refreshToken } = startSession();
+    await sessionService.rotate(refreshToken, req);
+
+    jest.setSystemTime(new Date('2026-01-01T00:05:00Z'));
+
+    await expect(sessionService.rotate(refreshToken, req)).rejects.toThrow(
+      'Invalid refresh token'
+    );
+    expect(stored.revokedReason).toBe(SESSION_REVOKE_REASONS.TOKEN_REUSE);
+  });
+
+  test('revokes the session when a token two rotations old comes back', async () => {
+    const { refreshToken } = startSession();
+    const rotated = await sessionService.rotate(refreshToken, req);
+    await sessionService.rotate(rotated.refreshToken, req);
+
+    await expect(sessionService.rotate(refreshToken, req)).rejects.toThrow(
+      'Invalid refresh token'
+    );
+    expect(stored.revokedReason).toBe(SESSION_REVOKE_REASONS.TOKEN_REUSE);
+  });
+
+  test('refuses refresh tokens that were not signed by the server', async () => {
+    startSession();
+
+    await expect(sessionService.rotate('not-a-token', req)).rejects.toThrow(
+      'Invalid refresh token'
+    );
+    expect(stored.revokedAt).toBeUndefined();
+  });
+});
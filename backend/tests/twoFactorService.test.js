@@ -0,0 +1,297 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import twoFactorService, {
+  base32Encode,
+  base32Decode,
+  generateCode,
+  findCodeStep,
+} from '../services/twoFactorService.js';
+import User from '../models/User.js';
+import RevokedToken from '../models/RevokedToken.js';
+
+// The shared secret of the RFC 4226 and RFC 6238 (SHA-1) test vectors
+const RFC_SECRET = Buffer.from('12345678901234567890', 'ascii');
+const RFC_SECRET_BASE32 = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 4226 appendix D: HOTP values for counters 0-9
+const HOTP_VECTORS = [
+  '755224', '287082', '359152', '969429', '338314',
+  '254676', '287922', '162583', '399871', '520489',
+];
+
+// RFC 6238 appendix B (SHA-1), cut to the 6 digits used here: the last
+// 6 digits of each 8-digit value
+const TOTP_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+const req = {
+  ip: '203.0.113.7',
+  get: () => 'Mozilla/5.0 (X11; Linux x86_64) Firefox/118.0',
+};
+
+const getPath = (doc, path) =>
+  path.split('.').reduce((value, key) => value?.[key], doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((value, key) => (value[key] ??= {}), doc);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+};
+
+// One user document, queried and updated the way MongoDB would for the
+// filters and operators the service uses
+let stored;
+
+const matches = (filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === '_id') return String(condition) === String(stored._id);
+    if (key === '$or') return condition.some(matches);
+
+    const value = getPath(stored, key);
+    if (condition?.$lt !== undefined) return value < condition.$lt;
+    if (condition?.$exists === false) return value === undefined;
+    return Array.isArray(value) ? value.includes(condition) : value === condition;
+  });
+
+const applyUpdate = (update) => {
+  for (const [path, value] of Object.entries(update.$set || {})) {
+    setPath(stored, path, value);
+  }
+  for (const path of Object.keys(update.$unset || {})) {
+    setPath(stored, path, undefined);
+  }
+  for (const [path, value] of Object.entries(update.$pull || {})) {
+    setPath(stored, path, getPath(stored, path).filter((item) => item !== value));
+  }
+};
+
+const loadUser = () => structuredClone(stored);
+
+let now;
+
+const setTime = (seconds) => {
+  now = seconds * 1000;
+};
+
+const currentCode = (secret, offsetSteps = 0) =>
+  generateCode(base32Decode(secret), Math.floor(now / 1000 / 30) + offsetSteps);
+
+// Enroll the stored user, returning the secret and recovery codes
+const enroll = async () => {
+  const { secret } = await twoFactorService.beginEnrollment(loadUser());
+  const recoveryCodes = await twoFactorService.confirmEnrollment(
+    stored._id,
+    currentCode(secret),
+    req
+  );
+  return { secret, recoveryCodes };
+};
+
+beforeEach(() => {
+  stored = {
+    _id: new mongoose.Types.ObjectId().toString(),
+    email: 'listener@example.com',
+    isActive: true,
+    twoFactor: { enabled: false },
+  };
+  setTime(1700000000);
+
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(User, 'findById').mockImplementation(() => ({
+    select: async () => loadUser(),
+  }));
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    if (!matches(filter)) return { modifiedCount: 0 };
+    applyUpdate(update);
+    return { modifiedCount: 1 };
+  });
+
+  const usedChallenges = new Set();
+  jest.spyOn(RevokedToken, 'create').mockImplementation(async ({ jti }) => {
+    if (usedChallenges.has(jti)) {
+      throw Object.assign(new Error('Duplicate key'), { code: 11000 });
+    }
+    usedChallenges.add(jti);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('base32', () => {
+  test('encodes the RFC test secret', () => {
+    expect(base32Encode(RFC_SECRET)).toBe(RFC_SECRET_BASE32);
+  });
+
+  test.each([
+    ['', ''],
+    ['f', 'MY'],
+    ['fo', 'MZXQ'],
+    ['foo', 'MZXW6'],
+    ['foob', 'MZXW6YQ'],
+    ['fooba', 'MZXW6YTB'],
+    ['foobar', 'MZXW6YTBOI'],
+  ])('round-trips %j as the RFC 4648 vector %s', (text, encoded) => {
+    expect(base32Encode(Buffer.from(text))).toBe(encoded);
+    expect(base32Decode(encoded).toString()).toBe(text);
+  });
+
+  test('decodes lowercase and padded input', () => {
+    expect(base32Decode('mzxw6ytboi======').toString()).toBe('foobar');
+  });
+
+  test('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 secret');
+  });
+});
+
+describe('generateCode', () => {
+  test.each(HOTP_VECTORS.map((code, counter) => [counter, code]))(
+    'matches the RFC 4226 HOTP value for counter %i',
+    (counter, code) => {
+      expect(generateCode(RFC_SECRET, counter)).toBe(code);
+    }
+  );
+
+  test.each(TOTP_VECTORS)(
+    'matches the RFC 6238 TOTP value at %i seconds',
+    (seconds, code) => {
+      expect(generateCode(RFC_SECRET, Math.floor(seconds / 30))).toBe(code);
+    }
+  );
+});
+
+describe('findCodeStep', () => {
+  test.each(TOTP_VECTORS)('accepts the RFC 6238 code at %i seconds', (seconds, code) => {
+    setTime(seconds);
+    expect(findCodeStep(RFC_SECRET_BASE32, code)).toBe(Math.floor(seconds / 30));
+  });
+
+  test('allows one step of clock drift either way', () => {
+    setTime(1111111111);
+    const step = Math.floor(1111111111 / 30);
+    const key = base32Decode(RFC_SECRET_BASE32);
+
+    expect(findCodeStep(RFC_SECRET_BASE32, generateCode(key, step - 1))).toBe(step - 1);
+    expect(findCodeStep(RFC_SECRET_BASE32, generateCode(key, step + 1))).toBe(step + 1);
+    expect(findCodeStep(RFC_SECRET_BASE32, generateCode(key, step - 2))).toBeNull();
+    expect(findCodeStep(RFC_SECRET_BASE32, generateCode(key, step + 2))).toBeNull();
+  });
+
+  test('rejects codes that are not six digits', () => {
+    setTime(59);
+    expect(findCodeStep(RFC_SECRET_BASE32, '28708')).toBeNull();
+    expect(findCodeStep(RFC_SECRET_BASE32, '2870822')).toBeNull();
+    expect(findCodeStep(RFC_SECRET_BASE32, 'abcdef')).toBeNull();
+  });
+});
+
+describe('twoFactorService.checkCode', () => {
+  test('accepts a current code once', async () => {
+    const { secret } = await enroll();
+    setTime(1700000100);
+    const code = currentCode(secret);
+
+    await expect(twoFactorService.checkCode(loadUser(), code)).resolves.toBe('totp');
+    // Replayed within the same time step
+    await expect(twoFactorService.checkCode(loadUser(), code)).resolves.toBeNull();
+  });
+
+  test('refuses a code from before the last one used', async () => {
+    const { secret } = await enroll();
+    setTime(1700000100);
+    const previous = currentCode(secret, -1);
+
+    await expect(
+      twoFactorService.checkCode(loadUser(), currentCode(secret))
+    ).resolves.toBe('totp');
+    await expect(twoFactorService.checkCode(loadUser(), previous)).resolves.toBeNull();
+  });
+
+  test('refuses the code enrollment was confirmed with', async () => {
+    const { secret } = await enroll();
+
+    await expect(
+      twoFactorService.checkCode(loadUser(), currentCode(secret))
+    ).resolves.toBeNull();
+  });
+
+  test('uses up a recovery code, whatever its case and spacing', async () => {
+    const { recoveryCodes } = await enroll();
+    const [code] = recoveryCodes;
+
+    await expect(
+      twoFactorService.checkCode(loadUser(), ` ${code.toUpperCase()} `)
+    ).resolves.toBe('recovery_code');
+    expect(stored.twoFactor.recoveryCodes).toHaveLength(recoveryCodes.length - 1);
+
+    await expect(twoFactorService.checkCode(loadUser(), code)).resolves.toBeNull();
+  });
+
+  test('stores only hashes of the recovery codes', async () => {
+    const { recoveryCodes } = await enroll();
+
+    expect(recoveryCodes).toHaveLength(10);
+    for (const code of recoveryCodes) {
+      expect(stored.twoFactor.recoveryCodes).not.toContain(code);
+    }
+  });
+
+  test('refuses a wrong code', async () => {
+    await enroll();
+
+    await expect(twoFactorService.checkCode(loadUser(), '000000')).resolves.toBeNull();
+    await expect(twoFactorService.checkCode(loadUser(), 'nope')).resolves.toBeNull();
+  });
+});
+
+describe('twoFactorService.completeChallenge', () => {
+  test('signs in with a challenge only once', async () => {
+    const { secret, recoveryCodes } = await enroll();
+    setTime(1700000100);
+    const challenge = twoFactorService.createChallenge(loadUser());
+
+    const user = await twoFactorService.completeChallenge(
+      challenge,
+      currentCode(secret),
+      req
+    );
+    expect(String(user._id)).toBe(String(stored._id));
+
+    await expect(
+      twoFactorService.completeChallenge(challenge, recoveryCodes[0], req)
+    ).rejects.toThrow('Invalid sign-in attempt');
+  });
+
+  test('keeps the challenge usable after a wrong code', async () => {
+    const { secret } = await enroll();
+    setTime(1700000100);
+    const challenge = twoFactorService.createChallenge(loadUser());
+
+    await expect(
+      twoFactorService.completeChallenge(challenge, '000000', req)
+    ).rejects.toThrow('Invalid verification code');
+    await expect(
+      twoFactorService.completeChallenge(challenge, currentCode(secret), req)
+    ).resolves.toHaveProperty('_id');
+  });
+
+  test('refuses an expired challenge', async () => {
+    const { secret } = await enroll();
+    const challenge = twoFactorService.createChallenge(loadUser());
+    setTime(1700000000 + 10 * 60);
+
+    await expect(
+      twoFactorService.completeChallenge(challenge, currentCode(secret), req)
+    ).rejects.toThrow('Sign-in has expired, please log in again');
+  });
+});
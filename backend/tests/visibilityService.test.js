@@ -0,0 +1,144 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import visibilityService from '../services/visibilityService.js';
+import Connection from '../models/Connection.js';
+import Audience from '../models/Audience.js';
+import { POST_PRIVACY } from '../utils/constants.js';
+
+const authorId = new mongoose.Types.ObjectId();
+const audienceId = new mongoose.Types.ObjectId();
+
+// How each viewer relates to the author. A follower is someone whose
+// connection request has not been accepted; there is no follow model.
+const RELATIONSHIPS = {
+  owner: { viewerId: authorId },
+  connection: { viewerId: new mongoose.Types.ObjectId(), connected: true },
+  follower: { viewerId: new mongoose.Types.ObjectId() },
+  audienceMember: { viewerId: new mongoose.Types.ObjectId(), member: true },
+  // On the audience list too, to show the block still wins
+  blocked: { viewerId: new mongoose.Types.ObjectId(), blocked: true, member: true },
+  stranger: { viewerId: new mongoose.Types.ObjectId() },
+  anonymous: { viewerId: undefined },
+};
+
+// Expected visibility: rows are post privacy, columns are relationships
+const EXPECTED = {
+  [POST_PRIVACY.PUBLIC]: {
+    owner: true,
+    connection: true,
+    follower: true,
+    audienceMember: true,
+    blocked: false,
+    stranger: true,
+    anonymous: true,
+  },
+  [POST_PRIVACY.CONNECTIONS_ONLY]: {
+    owner: true,
+    connection: true,
+    follower: false,
+    audienceMember: false,
+    blocked: false,
+    stranger: false,
+    anonymous: false,
+  },
+  [POST_PRIVACY.AUDIENCE]: {
+    owner: true,
+    connection: false,
+    follower: false,
+    audienceMember: true,
+    blocked: false,
+    stranger: false,
+    anonymous: false,
+  },
+  [POST_PRIVACY.PRIVATE]: {
+    owner: true,
+    connection: false,
+    follower: false,
+    audienceMember: false,
+    blocked: false,
+    stranger: false,
+    anonymous: false,
+  },
+};
+
+const cases = Object.entries(EXPECTED).flatMap(([privacy, row]) =>
+  Object.entries(row).map(([relationship, visible]) => [
+    privacy,
+    relationship,
+    visible,
+  ])
+);
+
+const buildPost = (privacy, overrides = {}) => ({
+  authorId,
+  privacy,
+  audienceId: privacy === POST_PRIVACY.AUDIENCE ? audienceId : undefined,
+  isActive: true,
+  ...overrides,
+});
+
+describe('visibilityService.canViewPost', () => {
+  beforeEach(() => {
+    const find = (viewerId) =>
+      Object.values(RELATIONSHIPS).find(
+        (relationship) => relationship.viewerId?.equals(viewerId)
+      ) || {};
+
+    jest
+      .spyOn(Connection, 'areConnected')
+      .mockImplementation(async (viewerId) =>
+        find(viewerId).connected ? { status: 'accepted' } : null
+      );
+    jest
+      .spyOn(Connection, 'findOne')
+      .mockImplementation(async (query) =>
+        find(query.$or[0].requesterId).blocked ? { status: 'blocked' } : null
+      );
+    jest
+      .spyOn(Audience, 'exists')
+      .mockImplementation(async (query) =>
+        query._id.equals(audienceId) && find(query.memberIds).member
+          ? { _id: audienceId }
+          : null
+      );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(cases)(
+    '%s post seen by %s: %s',
+    async (privacy, relationship, visible) => {
+      const { viewerId } = RELATIONSHIPS[relationship];
+
+      await expect(
+        visibilityService.canViewPost(buildPost(privacy), viewerId)
+      ).resolves.toBe(visible);
+    }
+  );
+
+  test('populated authors are matched by their _id', async () => {
+    const post = buildPost(POST_PRIVACY.PRIVATE, {
+      authorId: { _id: authorId, username: 'author' },
+    });
+
+    await expect(visibilityService.canViewPost(post, authorId)).resolves.toBe(
+      true
+    );
+  });
+
+  test('inactive posts are hidden, even from their author', async () => {
+    const post = buildPost(POST_PRIVACY.PUBLIC, { isActive: false });
+
+    await expect(visibilityService.canViewPost(post, authorId)).resolves.toBe(
+      false
+    );
+  });
+
+  test('missing posts are hidden', async () => {
+    await expect(visibilityService.canViewPost(null, authorId)).resolves.toBe(
+      false
+    );
+  });
+});
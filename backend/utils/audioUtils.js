@@ -1,8 +1,37 @@
 import fs from 'fs';
 import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
 import config from '../config/environment.js';
 import { logger } from './logger.js';
 
+// Renditions every upload is transcoded to. Opus is canonical; AAC in MP4
+// covers Safari and older iOS, which cannot play Ogg Opus
+const RENDITIONS = [
+  {
+    format: 'opus',
+    container: 'ogg',
+    codec: 'libopus',
+    bitrate: config.AUDIO_OPUS_BITRATE,
+    mimeType: 'audio/ogg; codecs="opus"',
+    outputOptions: ['-application', 'audio'],
+  },
+  {
+    format: 'm4a',
+    container: 'mp4',
+    codec: 'aac',
+    bitrate: config.AUDIO_AAC_BITRATE,
+    mimeType: 'audio/mp4; codecs="mp4a.40.2"',
+    // Index up front so playback can start before the whole file arrives
+    outputOptions: ['-movflags', '+faststart'],
+  },
+];
+
+// Waveforms are computed from 8kHz mono PCM in 10ms blocks, then
+// bucketed into each resolution (number of bars)
+const WAVEFORM_SAMPLE_RATE = 8000;
+const WAVEFORM_BLOCK_SAMPLES = 80;
+const WAVEFORM_RESOLUTIONS = [50, 200, 800];
+
 class AudioUtils {
   /**
    * Validate audio file
@@ -134,49 +163,6 @@ class AudioUtils {
     });
   }
 
-  /**
-   * Transcribe audio file (placeholder)
-   * @param {string} filePath - Path to audio file
-   * @returns {Promise<string>} Transcription text
-   */
-  async transcribeAudio(filePath) {
-    try {
-      // This is a placeholder for actual transcription service
-      // In a real implementation, this would use:
-      // - Google Speech-to-Text API
-      // - AWS Transcribe
-      // - OpenAI Whisper
-      // - Or other speech recognition services
-
-      logger.info('Starting audio transcription:', { filePath });
-
-      // Simulate processing time
-      await new Promise((resolve) => setTimeout(resolve, 2000));
-
-      // Return mock transcription
-      const mockTranscriptions = [
-        'This is a sample transcription of the audio content. The user is sharing their thoughts and experiences through voice.',
-        "Hello everyone! I'm excited to be using this audio platform to connect with others and share my ideas.",
-        'Today I wanted to talk about the importance of voice communication in our digital world. It feels more personal and authentic.',
-      ];
-
-      const transcription =
-        mockTranscriptions[
-          Math.floor(Math.random() * mockTranscriptions.length)
-        ];
-
-      logger.info('Audio transcription completed:', {
-        filePath,
-        transcriptionLength: transcription.length,
-      });
-
-      return transcription;
-    } catch (error) {
-      logger.error('Audio transcription failed:', error);
-      throw new Error(`Transcription failed: ${error.message}`);
-    }
-  }
-
   /**
    * Convert audio to different format
    * @param {string} inputPath - Input file path
@@ -231,6 +217,128 @@ class AudioUtils {
     });
   }
 
+  /**
+   * Measure loudness with a first loudnorm pass
+   * @param {string} inputPath - Input file path
+   * @returns {Promise<Object|null>} loudnorm measurements, or null when the
+   *   input is silent and cannot be measured
+   */
+  async measureLoudness(inputPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .noVideo()
+        .audioFilters(`${this.getLoudnormFilter()}:print_format=json`)
+        .format('null')
+        .on('end', (stdout, stderr) => {
+          const json = /\{[^{}]*"input_i"[^{}]*\}/.exec(stderr || '');
+          const measured = json ? JSON.parse(json[0]) : null;
+
+          resolve(
+            measured && Number.isFinite(parseFloat(measured.input_i))
+              ? measured
+              : null
+          );
+        })
+        .on('error', (err) => {
+          logger.error('Loudness measurement failed:', err);
+          reject(new Error(`Loudness measurement failed: ${err.message}`));
+        })
+        .output('-')
+        .run();
+    });
+  }
+
+  /**
+   * Build the EBU R128 loudnorm filter. With first-pass measurements the
+   * gain is applied linearly, which avoids pumping on speech.
+   * @param {Object} measured - Output of measureLoudness (optional)
+   * @returns {string} ffmpeg audio filter
+   */
+  getLoudnormFilter(measured = null) {
+    const filter = `loudnorm=I=${config.AUDIO_LOUDNESS_TARGET}:TP=${config.AUDIO_TRUE_PEAK}:LRA=${config.AUDIO_LOUDNESS_RANGE}`;
+    if (!measured) return filter;
+
+    return (
+      `${filter}:measured_I=${measured.input_i}` +
+      `:measured_TP=${measured.input_tp}` +
+      `:measured_LRA=${measured.input_lra}` +
+      `:measured_thresh=${measured.input_thresh}` +
+      `:offset=${measured.target_offset}:linear=true`
+    );
+  }
+
+  /**
+   * Normalize and transcode into one rendition, dropping tags, chapters,
+   * cover art and any other non-audio streams
+   * @param {string} inputPath - Input file path
+   * @param {string} outputPath - Output file path
+   * @param {Object} rendition - Entry of RENDITIONS
+   * @param {Object} measured - Output of measureLoudness (optional)
+   * @returns {Promise<void>}
+   */
+  async transcodeRendition(inputPath, outputPath, rendition, measured = null) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .outputOptions([
+          '-map',
+          '0:a:0',
+          '-map_metadata',
+          '-1',
+          '-map_chapters',
+          '-1',
+          '-fflags',
+          '+bitexact',
+          ...rendition.outputOptions,
+        ])
+        .noVideo()
+        .audioFilters(this.getLoudnormFilter(measured))
+        // loudnorm upsamples to 192kHz; Opus needs 48kHz anyway
+        .audioFrequency(48000)
+        .audioCodec(rendition.codec)
+        .audioBitrate(rendition.bitrate)
+        .format(rendition.container)
+        .on('end', () => {
+          logger.info('Audio rendition created:', {
+            inputPath,
+            outputPath,
+            format: rendition.format,
+          });
+          resolve();
+        })
+        .on('error', (err) => {
+          logger.error('Audio transcoding failed:', err);
+          reject(new Error(`Audio transcoding failed: ${err.message}`));
+        })
+        .save(outputPath);
+    });
+  }
+
+  /**
+   * Normalize loudness and transcode into every rendition
+   * @param {string} inputPath - Input file path
+   * @param {string} directory - Directory to write renditions to
+   * @returns {Promise<Array>} { format, mimeType, path, size }, canonical first
+   */
+  async createRenditions(inputPath, directory) {
+    const measured = await this.measureLoudness(inputPath);
+    const renditions = [];
+
+    for (const rendition of RENDITIONS) {
+      const outputPath = path.join(directory, `audio.${rendition.format}`);
+      await this.transcodeRendition(inputPath, outputPath, rendition, measured);
+      const { size } = await fs.promises.stat(outputPath);
+
+      renditions.push({
+        format: rendition.format,
+        mimeType: rendition.mimeType,
+        path: outputPath,
+        size,
+      });
+    }
+
+    return renditions;
+  }
+
   /**
    * Trim audio file
    * @param {string} inputPath - Input file path
@@ -262,29 +370,94 @@ class AudioUtils {
   }
 
   /**
-   * Generate audio waveform data
+   * Compute peak and RMS waveforms from decoded PCM. Values are scaled to
+   * 0-255 relative to the loudest sample so quiet recordings still fill
+   * the player.
+   * @param {string} filePath - Path to audio file
+   * @param {Array<number>} resolutions - Bucket counts to compute
+   * @returns {Promise<Array>} { resolution, peaks, rms } per resolution
+   */
+  async generateWaveform(filePath, resolutions = WAVEFORM_RESOLUTIONS) {
+    const blocks = await this.readWaveformBlocks(filePath);
+    const maxPeak = blocks.reduce((max, block) => Math.max(max, block.peak), 0);
+    const scale = (value) =>
+      maxPeak > 0 ? Math.round((Math.min(value, maxPeak) / maxPeak) * 255) : 0;
+
+    return resolutions.map((resolution) => {
+      const peaks = [];
+      const rms = [];
+
+      for (let i = 0; i < resolution; i++) {
+        const start = Math.floor((i * blocks.length) / resolution);
+        const end = Math.max(
+          Math.floor(((i + 1) * blocks.length) / resolution),
+          start + 1
+        );
+        const bucket = blocks.slice(start, end);
+
+        let peak = 0;
+        let sumSquares = 0;
+        let samples = 0;
+        for (const block of bucket) {
+          peak = Math.max(peak, block.peak);
+          sumSquares += block.sumSquares;
+          samples += block.samples;
+        }
+
+        peaks.push(scale(peak));
+        rms.push(scale(samples > 0 ? Math.sqrt(sumSquares / samples) : 0));
+      }
+
+      return { resolution, peaks, rms };
+    });
+  }
+
+  /**
+   * Decode audio to mono PCM and summarize it in short fixed-size blocks,
+   * without buffering the whole file
    * @param {string} filePath - Path to audio file
-   * @param {number} samples - Number of samples to generate
-   * @returns {Promise<Array>} Waveform data array
+   * @returns {Promise<Array>} { peak, sumSquares, samples } per block
    */
-  async generateWaveform(filePath, samples = 100) {
+  async readWaveformBlocks(filePath) {
     return new Promise((resolve, reject) => {
-      ffmpeg(filePath)
+      const blocks = [];
+      let current = { peak: 0, sumSquares: 0, samples: 0 };
+      let remainder = Buffer.alloc(0);
+
+      const command = ffmpeg(filePath)
         .noVideo()
         .audioChannels(1)
-        .audioFrequency(44100)
+        .audioFrequency(WAVEFORM_SAMPLE_RATE)
         .format('f32le')
-        .on('end', () => {
-          // This is a simplified waveform generation
-          // In a real implementation, you would process the audio data
-          const waveform = Array.from({ length: samples }, () => Math.random());
-          resolve(waveform);
-        })
         .on('error', (err) => {
           logger.error('Waveform generation failed:', err);
           reject(new Error(`Waveform generation failed: ${err.message}`));
-        })
-        .pipe(fs.createWriteStream('/tmp/temp_audio.raw'));
+        });
+
+      const pcm = command.pipe();
+      pcm.on('data', (chunk) => {
+        // Samples can straddle chunk boundaries
+        const data = Buffer.concat([remainder, chunk]);
+        const usable = data.length - (data.length % 4);
+
+        for (let offset = 0; offset < usable; offset += 4) {
+          const sample = Math.abs(data.readFloatLE(offset));
+          current.peak = Math.max(current.peak, sample);
+          current.sumSquares += sample * sample;
+          current.samples += 1;
+
+          if (current.samples === WAVEFORM_BLOCK_SAMPLES) {
+            blocks.push(current);
+            current = { peak: 0, sumSquares: 0, samples: 0 };
+          }
+        }
+
+        remainder = data.subarray(usable);
+      });
+      pcm.on('end', () => {
+        if (current.samples > 0) blocks.push(current);
+        resolve(blocks);
+      });
     });
   }
 
@@ -315,6 +488,42 @@ class AudioUtils {
     }
   }
 
+  /**
+   * Copy an uploaded file somewhere background jobs can read it after the
+   * request's own temp file is cleaned up
+   * @param {string} filePath - Uploaded file path
+   * @returns {Promise<string>} Spooled file path
+   */
+  async spoolForProcessing(filePath) {
+    await fs.promises.mkdir(config.JOB_SPOOL_PATH, { recursive: true });
+
+    const spooledPath = path.join(
+      config.JOB_SPOOL_PATH,
+      `${Date.now()}-${path.basename(filePath)}`
+    );
+    await fs.promises.copyFile(filePath, spooledPath);
+
+    return spooledPath;
+  }
+
+  /**
+   * Remove a spooled file once background processing is done with it
+   * @param {string} filePath - Spooled file path
+   * @returns {Promise<void>}
+   */
+  async removeSpooledFile(filePath) {
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to remove spooled file:', {
+          filePath,
+          error: error.message,
+        });
+      }
+    }
+  }
+
   /**
    * Clean up temporary audio files
    * @param {string} directory - Directory to clean
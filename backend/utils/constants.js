@@ -20,6 +20,38 @@ const POST_PRIVACY = {
   PUBLIC: 'public',
   CONNECTIONS_ONLY: 'connections_only',
   PRIVATE: 'private',
+  AUDIENCE: 'audience',
+};
+
+// Audience list limits
+const AUDIENCE_LIMITS = {
+  MAX_LISTS: 20,
+  MAX_MEMBERS: 500,
+};
+
+// Home feed ordering
+const FEED_MODES = {
+  LATEST: 'latest',
+  TOP: 'top',
+};
+
+// Comment reply nesting limit (top-level comments are depth 0)
+const COMMENT_LIMITS = {
+  MAX_DEPTH: 5,
+};
+
+// Comment tree ordering for top-level comments; replies are always
+// oldest first so conversations read in order
+const COMMENT_SORTS = {
+  TOP: 'top',
+  NEW: 'new',
+};
+
+// Trending windows and their length in milliseconds
+const TRENDING_WINDOWS = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
 };
 
 // Contact reveal statuses
@@ -29,10 +61,62 @@ const CONTACT_REVEAL_STATUSES = {
   REJECTED: 'rejected',
 };
 
-// Storage types
+// Storage backends for audio files (see services/storageDrivers)
 const STORAGE_TYPES = {
   GOOGLE_DRIVE: 'google_drive',
-  DEVICE: 'device',
+  LOCAL: 'local',
+  S3: 's3',
+};
+
+// Storage migration statuses
+const STORAGE_MIGRATION_STATUSES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed', // Finished, possibly with some files left behind
+  FAILED: 'failed', // Stopped by an error; starting again resumes it
+};
+
+// Resumable upload session statuses
+const UPLOAD_STATUSES = {
+  UPLOADING: 'uploading', // Receiving chunks
+  PROCESSING: 'processing', // Finalized; the worker is transcoding and storing it
+  READY: 'ready', // Processed audio waiting to be attached
+  CLAIMED: 'claimed', // Being attached to a post or comment
+  FAILED: 'failed', // Finalize failed; it can be retried
+};
+
+// Why a sign-in session was ended
+const SESSION_REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  REMOTE_LOGOUT: 'remote_logout', // Signed out from another device
+  PASSWORD_RESET: 'password_reset',
+  TOKEN_REUSE: 'token_reuse', // A rotated-out refresh token came back
+};
+
+// Why a Google consent screen was opened
+const GOOGLE_AUTH_INTENTS = {
+  SIGN_IN: 'signin',
+  LINK: 'link', // Adding Google to a signed-in account
+};
+
+// Health of a user's Google Drive connection
+const DRIVE_CONNECTION_STATUSES = {
+  NOT_CONNECTED: 'not_connected',
+  CONNECTED: 'connected',
+  RECONNECT_REQUIRED: 'reconnect_required', // Access was revoked
+};
+
+// Post audio statuses
+const AUDIO_STATUSES = {
+  PROCESSING: 'processing', // Uploaded; waiting for the worker to transcode it
+  READY: 'ready',
+  FAILED: 'failed', // Transcoding gave up; the post is hidden
+};
+
+// What a media token unlocks, one file of this kind
+const MEDIA_TYPES = {
+  POST_AUDIO: 'post_audio',
+  COMMENT_AUDIO: 'comment_audio',
 };
 
 // Audio formats
@@ -114,6 +198,49 @@ const NOTIFICATION_TYPES = {
   NEW_POST: 'new_post',
   POST_COMMENT: 'post_comment',
   POST_LIKE: 'post_like',
+  STORAGE_RECONNECT: 'storage_reconnect',
+  NEW_LOGIN: 'new_login',
+};
+
+// Realtime channel events
+const REALTIME_EVENTS = {
+  CONNECTED: 'connected',
+  PRESENCE: 'presence',
+  NOTIFICATION: 'notification',
+  POST_LIKE: 'post:like',
+  COMMENT_NEW: 'comment:new',
+  CONNECTION_REQUEST: 'connection:request',
+  CONNECTION_UPDATED: 'connection:updated',
+};
+
+// Transcription statuses
+const TRANSCRIPTION_STATUSES = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped', // No engine configured
+};
+
+// Background job types
+const JOB_TYPES = {
+  NOTIFICATION_DELIVER: 'notification.deliver',
+  NEW_POST_FANOUT: 'notification.new_post_fanout',
+  AUDIO_PROCESS: 'audio.process',
+  AUDIO_TRANSCRIBE: 'audio.transcribe',
+  UPLOAD_PROCESS: 'upload.process',
+  TRENDING_COMPUTE: 'trending.compute',
+  STORAGE_MIGRATE: 'storage.migrate',
+  ACCOUNT_EMAIL: 'email.account',
+};
+
+// Background job statuses
+const JOB_STATUSES = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed', // Waiting for a retry
+  DEAD: 'dead', // Out of attempts
 };
 
 // HTTP status codes
@@ -282,6 +409,7 @@ const GOOGLE_OAUTH = {
 // Email templates
 const EMAIL_TEMPLATES = {
   WELCOME: 'welcome',
+  VERIFY_EMAIL: 'verify_email',
   CONNECTION_REQUEST: 'connection_request',
   CONNECTION_ACCEPTED: 'connection_accepted',
   CONTACT_REVEAL_REQUEST: 'contact_reveal_request',
@@ -318,8 +446,20 @@ export {
   USER_ROLES,
   CONNECTION_STATUSES,
   POST_PRIVACY,
+  AUDIENCE_LIMITS,
+  FEED_MODES,
+  COMMENT_LIMITS,
+  COMMENT_SORTS,
+  TRENDING_WINDOWS,
   CONTACT_REVEAL_STATUSES,
   STORAGE_TYPES,
+  STORAGE_MIGRATION_STATUSES,
+  DRIVE_CONNECTION_STATUSES,
+  GOOGLE_AUTH_INTENTS,
+  UPLOAD_STATUSES,
+  SESSION_REVOKE_REASONS,
+  AUDIO_STATUSES,
+  MEDIA_TYPES,
   AUDIO_FORMATS,
   SUPPORTED_AUDIO_FORMATS,
   FILE_SIZE_LIMITS,
@@ -327,6 +467,10 @@ export {
   RATE_LIMITS,
   PAGINATION,
   NOTIFICATION_TYPES,
+  REALTIME_EVENTS,
+  TRANSCRIPTION_STATUSES,
+  JOB_TYPES,
+  JOB_STATUSES,
   HTTP_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
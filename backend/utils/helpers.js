@@ -86,6 +86,15 @@ class Helpers {
       .trim();
   }
 
+  /**
+   * Escape a string for literal use inside a regular expression
+   * @param {string} input - Input to escape
+   * @returns {string} Escaped string
+   */
+  escapeRegex(input) {
+    return String(input).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
   /**
    * Validate email format
    * @param {string} email - Email to validate
@@ -381,6 +390,40 @@ class Helpers {
       .replace(/-+/g, '-') // Replace multiple hyphens with single hyphen
       .trim();
   }
+
+  /**
+   * Describe the browser and OS in a user agent, e.g. "Chrome on Windows"
+   * @param {string} userAgent - User-Agent header
+   * @returns {string} Short device description
+   */
+  describeUserAgent(userAgent = '') {
+    // Order matters: Edge and Opera also claim to be Chrome, Chrome claims
+    // to be Safari, and iOS claims to be macOS
+    const browsers = [
+      ['Edge', /Edg\//],
+      ['Opera', /OPR\//],
+      ['Firefox', /Firefox\//],
+      ['Chrome', /Chrome\//],
+      ['Safari', /Safari\//],
+    ];
+    const systems = [
+      ['Android', /Android/],
+      ['iOS', /iPhone|iPad|iPod/],
+      ['Windows', /Windows/],
+      ['macOS', /Mac OS X/],
+      ['ChromeOS', /CrOS/],
+      ['Linux', /Linux/],
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) {
+      return 'Unknown device';
+    }
+
+    return [browser?.[0], system?.[0]].filter(Boolean).join(' on ');
+  }
 }
 
 export default new Helpers();
@@ -0,0 +1,75 @@
+import connectDB from './config/database.js';
+import config from './config/environment.js';
+import { logger } from './utils/logger.js';
+import audioUtils from './utils/audioUtils.js';
+import jobQueueService from './services/jobQueueService.js';
+import trendingService from './services/trendingService.js';
+import uploadService from './services/uploadService.js';
+import { registerJobHandlers } from './jobs/index.js';
+import { JOB_TYPES } from './utils/constants.js';
+
+// Notification delivery stays in the API process, which owns the realtime
+// sockets; the worker takes everything else
+const WORKER_JOB_TYPES = Object.values(JOB_TYPES).filter(
+  (type) => type !== JOB_TYPES.NOTIFICATION_DELIVER
+);
+
+// Connect to MongoDB
+connectDB();
+
+registerJobHandlers();
+jobQueueService.start({ types: WORKER_JOB_TYPES });
+
+logger.info(`
+    ⚙️  VoiceConnect Job Worker started successfully!
+    📍 Environment: ${config.NODE_ENV}
+    📋 Job types: ${WORKER_JOB_TYPES.join(', ')}
+    ⏰ Started at: ${new Date().toISOString()}
+  `);
+
+// Recompute trending snapshots on a schedule
+trendingService.scheduleRefresh();
+setInterval(
+  () => trendingService.scheduleRefresh(),
+  config.TRENDING_REFRESH_INTERVAL_MS
+);
+
+// Remove spooled audio left behind by dead-lettered jobs every hour
+setInterval(async () => {
+  try {
+    await audioUtils.cleanupTempFiles(config.JOB_SPOOL_PATH);
+  } catch (error) {
+    logger.error('Job spool cleanup failed:', error);
+  }
+}, 60 * 60 * 1000); // Every hour
+
+// Remove abandoned resumable uploads every hour
+setInterval(async () => {
+  try {
+    await uploadService.cleanupExpired();
+  } catch (error) {
+    logger.error('Upload session cleanup failed:', error);
+  }
+}, 60 * 60 * 1000); // Every hour
+
+// Graceful shutdown
+const gracefulShutdown = async () => {
+  logger.info('Received shutdown signal. Waiting for running job...');
+
+  // Force close after timeout
+  setTimeout(() => {
+    logger.error('Forced worker shutdown due to timeout');
+    process.exit(1);
+  }, 30000); // 30 seconds timeout
+
+  await jobQueueService.stop();
+  process.exit(0);
+};
+
+// Handle shutdown signals
+process.on('SIGTERM', gracefulShutdown);
+process.on('SIGINT', gracefulShutdown);
+
+process.on('unhandledRejection', (err) => {
+  logger.error('Unhandled Rejection in worker:', err);
+});
@@ -0,0 +1,61 @@
+// Offline fallback for post audio saved from the app (see
+// src/lib/offlineAudio.ts). Loaded into the generated service worker via
+// workbox importScripts.
+(() => {
+  const AUDIO_CACHE = 'echo-offline-audio';
+  const POST_AUDIO = /\/api\/posts\/([0-9a-f]{24})\/audio(?:\?|$)/;
+
+  // <audio> asks for byte ranges to seek, so answer them the way the
+  // server's audio endpoint does: 206 with the requested slice
+  const respondWithRange = async (cached, rangeHeader) => {
+    const match = rangeHeader && /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+    if (!match || (!match[1] && !match[2])) return cached;
+
+    const blob = await cached.blob();
+    const size = blob.size;
+    let start;
+    let end;
+    if (match[1]) {
+      start = Number(match[1]);
+      end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    } else {
+      // Suffix range: the last N bytes
+      start = Math.max(size - Number(match[2]), 0);
+      end = size - 1;
+    }
+
+    if (start >= size || start > end) {
+      return new Response(null, {
+        status: 416,
+        headers: { 'Content-Range': `bytes */${size}` }
+      });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+      status: 206,
+      headers: {
+        'Content-Type': cached.headers.get('Content-Type') || blob.type,
+        'Content-Length': String(end - start + 1),
+        'Content-Range': `bytes ${start}-${end}/${size}`,
+        'Accept-Ranges': 'bytes'
+      }
+    });
+  };
+
+  self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const match = request.method === 'GET' && POST_AUDIO.exec(request.url);
+    if (!match) return;
+
+    // Network first so unsaved audio streams (and seeks) as usual; a saved
+    // copy only steps in when the request fails
+    event.respondWith(
+      fetch(request).catch(async () => {
+        const cache = await caches.open(AUDIO_CACHE);
+        const cached = await cache.match(`/offline-audio/${match[1]}`);
+        if (!cached) return Response.error();
+        return respondWithRange(cached, request.headers.get('Range'));
+      })
+    );
+  });
+})();
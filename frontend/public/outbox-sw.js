@@ -0,0 +1,197 @@
+// Background Sync for the recording outbox (see src/lib/outbox.ts, which
+// owns the IndexedDB layout). Loaded into the generated service worker via
+// workbox importScripts.
+(() => {
+  const DB_NAME = 'echo-outbox';
+  const DB_VERSION = 1;
+  const POSTS_STORE = 'posts';
+  const META_STORE = 'meta';
+  const SYNC_TAG = 'outbox-sync';
+  const CHANNEL_NAME = 'echo-outbox';
+  const UPLOAD_LOCK_MS = 2 * 60 * 1000;
+  const PROCESSING_POLL_MS = 2000;
+
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+
+  const promisify = (request) =>
+    new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+  const openDatabase = () =>
+    new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(POSTS_STORE)) {
+          db.createObjectStore(POSTS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+  const getStore = (db, name, mode = 'readonly') =>
+    db.transaction(name, mode).objectStore(name);
+
+  const updateEntry = async (db, id, changes) => {
+    const store = getStore(db, POSTS_STORE, 'readwrite');
+    const entry = await promisify(store.get(id));
+    if (!entry) return;
+    await promisify(store.put({ ...entry, ...changes, updatedAt: Date.now() }));
+    channel.postMessage({ type: 'changed' });
+  };
+
+  // Same locking rule as the app, so the two never upload one entry twice
+  const claimEntry = async (db, id) => {
+    const store = getStore(db, POSTS_STORE, 'readwrite');
+    const entry = await promisify(store.get(id));
+    if (!entry || entry.status === 'failed') return null;
+    if (entry.status === 'uploading' && Date.now() - entry.updatedAt < UPLOAD_LOCK_MS) {
+      return null;
+    }
+
+    const claimed = { ...entry, status: 'uploading', error: undefined, updatedAt: Date.now() };
+    await promisify(store.put(claimed));
+    channel.postMessage({ type: 'changed' });
+    return claimed;
+  };
+
+  const sha256 = async (blob) => {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  };
+
+  // Errors carrying an HTTP status; fetch itself rejects when offline
+  const request = async (auth, path, options = {}) => {
+    const response = await fetch(`${auth.apiUrl}${path}`, {
+      ...options,
+      headers: { Authorization: `Bearer ${auth.token}`, ...options.headers }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(body.message || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return body.data;
+  };
+
+  const json = (body) => ({
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const openSession = async (db, auth, entry) => {
+    if (entry.uploadId) {
+      try {
+        const { upload } = await request(auth, `/uploads/${entry.uploadId}`);
+        if (upload.status !== 'claimed' && upload.size === entry.audio.size) return upload;
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+    }
+
+    const { upload } = await request(auth, '/uploads', json({
+      fileName: entry.fileName,
+      mimeType: entry.audio.type.split(';')[0],
+      size: entry.audio.size,
+      checksum: await sha256(entry.audio)
+    }));
+    await updateEntry(db, entry.id, { uploadId: upload.uploadId });
+    return upload;
+  };
+
+  // Chunked upload, resuming from the server's offset; mirrors
+  // uploadResumable but leaves retrying to the browser's sync scheduling
+  const upload = async (db, auth, entry) => {
+    let upload = await openSession(db, auth, entry);
+
+    while (upload.status !== 'ready') {
+      if (upload.status === 'uploading' && upload.receivedBytes < upload.size) {
+        const offset = upload.receivedBytes;
+        const chunk = entry.audio.slice(offset, offset + upload.chunkSize);
+        const params = new URLSearchParams({ offset, checksum: await sha256(chunk) });
+        ({ upload } = await request(auth, `/uploads/${upload.uploadId}/chunk?${params}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/octet-stream' },
+          body: chunk
+        }));
+        await updateEntry(db, entry.id, { progress: upload.receivedBytes / upload.size });
+      } else if (upload.status === 'processing') {
+        await new Promise((resolve) => setTimeout(resolve, PROCESSING_POLL_MS));
+        ({ upload } = await request(auth, `/uploads/${upload.uploadId}`));
+      } else {
+        ({ upload } = await request(auth, `/uploads/${upload.uploadId}/finalize`, { method: 'POST' }));
+      }
+    }
+
+    return upload.uploadId;
+  };
+
+  const postEntry = async (db, auth, entry) => {
+    const uploadId = await upload(db, auth, entry);
+
+    await request(auth, '/posts', json({
+      uploadId,
+      ...(entry.title.trim() && { title: entry.title }),
+      tags: entry.tags,
+      privacy: entry.privacy,
+      ...(entry.audienceId && { audienceId: entry.audienceId })
+    }));
+
+    await promisify(getStore(db, POSTS_STORE, 'readwrite').delete(entry.id));
+    channel.postMessage({ type: 'posted', id: entry.id });
+  };
+
+  const flushOutbox = async () => {
+    // An open tab can refresh an expired token, so let it do the work
+    const windows = await self.clients.matchAll({ type: 'window' });
+    if (windows.length > 0) {
+      windows.forEach((client) => client.postMessage({ type: 'outbox:flush' }));
+      return;
+    }
+
+    const db = await openDatabase();
+    const auth = await promisify(getStore(db, META_STORE).get('auth'));
+    if (!auth) return;
+
+    const entries = await promisify(getStore(db, POSTS_STORE).getAll());
+    let retryLater = false;
+
+    for (const { id } of entries.sort((a, b) => a.createdAt - b.createdAt)) {
+      const entry = await claimEntry(db, id);
+      if (!entry) continue;
+
+      try {
+        await postEntry(db, auth, entry);
+      } catch (error) {
+        // Offline, server trouble or an expired token: try again later.
+        // Anything else needs the user to look at it.
+        if (!error.status || error.status === 401 || error.status === 409 || error.status >= 500) {
+          await updateEntry(db, id, { status: 'pending' });
+          if (error.status === 401) return;
+          retryLater = true;
+        } else {
+          await updateEntry(db, id, { status: 'failed', error: error.message });
+        }
+      }
+    }
+
+    // Rejecting makes the browser schedule another sync attempt
+    if (retryLater) {
+      throw new Error('Outbox sync incomplete');
+    }
+  };
+
+  self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+      event.waitUntil(flushOutbox());
+    }
+  });
+})();
@@ -7,7 +7,9 @@ import ExplorePage from '@/pages/ExplorePage';
 import ProfilePage from '@/pages/ProfilePage';
 import ConnectionsPage from '@/pages/ConnectionsPage';
 import NotificationsPage from '@/pages/NotificationsPage';
+import TagPage from '@/pages/TagPage';
 import SettingsPage from '@/pages/SettingsPage';
+import DownloadsPage from '@/pages/DownloadsPage';
 import AuthPage from '@/pages/AuthPage';
 import NotFoundPage from '@/pages/NotFoundPage';
 import InstallPrompt from '@/components/pwa/InstallPrompt';
@@ -30,16 +32,26 @@ function App() {
         <Route path="/auth" element={
           isAuthenticated ? <Navigate to="/" replace /> : <AuthPage />
         } />
+        <Route path="/auth/forgot-password" element={
+          isAuthenticated ? <Navigate to="/" replace /> : <AuthPage screen="forgot-password" />
+        } />
+        {/* Email links work whether or not this browser is signed in */}
+        <Route path="/auth/verify-email" element={<AuthPage screen="verify-email" />} />
+        <Route path="/auth/reset-password" element={<AuthPage screen="reset-password" />} />
+        {/* Google returns here both to sign in and to link from settings */}
+        <Route path="/auth/google/callback" element={<AuthPage screen="google-callback" />} />
         
         <Route element={
           isAuthenticated ? <Layout /> : <Navigate to="/auth" replace />
         }>
           <Route path="/" element={<HomePage />} />
           <Route path="/explore" element={<ExplorePage />} />
+          <Route path="/tags/:slug" element={<TagPage />} />
           <Route path="/connections" element={<ConnectionsPage />} />
           <Route path="/notifications" element={<NotificationsPage />} />
           <Route path="/profile/:userId?" element={<ProfilePage />} />
           <Route path="/settings" element={<SettingsPage />} />
+          <Route path="/downloads" element={<DownloadsPage />} />
         </Route>
 
         <Route path="*" element={<NotFoundPage />} />
@@ -3,9 +3,19 @@ import { Play, Pause, Volume2, VolumeX, RotateCcw } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Slider } from '@/components/ui/slider';
 import { Progress } from '@/components/ui/progress';
+import Waveform, { type WaveformData } from '@/components/audio/Waveform';
+import { getMediaUrl, pickRendition, type AudioRendition } from '@/lib/api';
+import { getOfflineAudioUrl } from '@/lib/offlineAudio';
 
 interface AudioPlayerProps {
+  /** API path of the audio endpoint, e.g. `/posts/:postId/audio` */
   src: string;
+  /** Transcoded versions on offer, canonical first */
+  renditions?: AudioRendition[];
+  /** Precomputed waveforms; replaces the seek slider when present */
+  waveforms?: WaveformData[];
+  /** Post ID to play the saved offline copy of, when there is one */
+  offlineId?: string;
   title?: string;
   duration?: number;
   onPlay?: () => void;
@@ -15,8 +25,13 @@ interface AudioPlayerProps {
   compact?: boolean;
 }
 
+const SOURCE_EXPIRY_MARGIN_MS = 30 * 1000;
+
 export default function AudioPlayer({
   src,
+  renditions,
+  waveforms,
+  offlineId,
   title,
   duration,
   onPlay,
@@ -31,8 +46,51 @@ export default function AudioPlayer({
   const [volume, setVolume] = useState(1);
   const [isMuted, setIsMuted] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [offlineUrl, setOfflineUrl] = useState<string | null>(null);
   
   const audioRef = useRef<HTMLAudioElement | null>(null);
+  // Streaming URLs carry a short-lived token, so one is only fetched when
+  // playback starts, and again once it has expired
+  const sourceExpiresAt = useRef(0);
+
+  useEffect(() => {
+    sourceExpiresAt.current = 0;
+  }, [src, renditions, offlineUrl]);
+
+  const loadSource = async (audio: HTMLAudioElement) => {
+    if (offlineUrl || Date.now() < sourceExpiresAt.current) return;
+
+    const rendition = pickRendition(renditions);
+    const { url, expiresAt } = await getMediaUrl(src, rendition ? { format: rendition.format } : {});
+    const resumeAt = audio.currentTime;
+    audio.src = url;
+    audio.currentTime = resumeAt;
+    // Leave time for the requests a seek near the end makes
+    sourceExpiresAt.current = expiresAt - SOURCE_EXPIRY_MARGIN_MS;
+  };
+
+  // A saved copy plays without the network, on the subway as much as on wifi
+  useEffect(() => {
+    if (!offlineId) return;
+
+    let url: string | null = null;
+    let active = true;
+    getOfflineAudioUrl(offlineId)
+      .then((cachedUrl) => {
+        url = cachedUrl;
+        if (active) setOfflineUrl(cachedUrl);
+        else if (cachedUrl) URL.revokeObjectURL(cachedUrl);
+      })
+      .catch(() => {
+        // No Cache Storage (e.g. private browsing); stream as usual
+      });
+
+    return () => {
+      active = false;
+      setOfflineUrl(null);
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [offlineId]);
 
   useEffect(() => {
     const audio = audioRef.current;
@@ -86,6 +144,7 @@ export default function AudioPlayer({
         setIsPlaying(false);
         onPause?.();
       } else {
+        await loadSource(audio);
         await audio.play();
         setIsPlaying(true);
         onPlay?.();
@@ -96,6 +155,21 @@ export default function AudioPlayer({
     }
   };
 
+  // Seeking past what was buffered once the token has expired fails, so
+  // fetch a fresh URL and carry on from the same spot
+  const handleError = async () => {
+    const audio = audioRef.current;
+    if (!audio || offlineUrl || Date.now() < sourceExpiresAt.current) return;
+
+    try {
+      await loadSource(audio);
+      if (isPlaying) await audio.play();
+    } catch (error) {
+      console.error('Error reloading audio:', error);
+      setIsPlaying(false);
+    }
+  };
+
   const handleSeek = (value: number[]) => {
     const audio = audioRef.current;
     if (!audio) return;
@@ -172,7 +246,7 @@ export default function AudioPlayer({
           {formatTime(currentTime)}
         </span>
         
-        <audio ref={audioRef} src={src} preload="metadata" />
+        <audio ref={audioRef} src={offlineUrl || undefined} preload="metadata" onError={handleError} />
       </div>
     );
   }
@@ -189,13 +263,21 @@ export default function AudioPlayer({
           <span>{formatTime(totalDuration)}</span>
         </div>
         
-        <Slider
-          value={[progressPercentage]}
-          onValueChange={handleSeek}
-          max={100}
-          step={0.1}
-          className="w-full"
-        />
+        {waveforms?.length ? (
+          <Waveform
+            waveforms={waveforms}
+            progress={progressPercentage / 100}
+            onSeek={(fraction) => handleSeek([fraction * 100])}
+          />
+        ) : (
+          <Slider
+            value={[progressPercentage]}
+            onValueChange={handleSeek}
+            max={100}
+            step={0.1}
+            className="w-full"
+          />
+        )}
       </div>
       
       <div className="flex items-center justify-between">
@@ -249,7 +331,7 @@ export default function AudioPlayer({
         </div>
       </div>
       
-      <audio ref={audioRef} src={src} preload="metadata" />
+      <audio ref={audioRef} src={offlineUrl || undefined} preload="metadata" onError={handleError} />
     </div>
   );
 }
\ No newline at end of file
@@ -2,6 +2,8 @@ import { useEffect, useRef, useState } from 'react';
 
 interface AudioVisualizerProps {
   audioSrc?: string;
+  /** Stored waveform peaks (0-255) drawn while idle */
+  peaks?: number[];
   isRecording?: boolean;
   className?: string;
   height?: number;
@@ -11,6 +13,7 @@ interface AudioVisualizerProps {
 
 export default function AudioVisualizer({
   audioSrc,
+  peaks,
   isRecording = false,
   className = '',
   height = 60,
@@ -162,7 +165,7 @@ export default function AudioVisualizer({
     };
   }, [isRecording, barCount]);
 
-  // Static bars when not playing
+  // Static bars from the stored waveform when not playing
   useEffect(() => {
     if (audioSrc || isRecording) return;
 
@@ -176,14 +179,17 @@ export default function AudioVisualizer({
     let x = 0;
 
     for (let i = 0; i < barCount; i++) {
-      const barHeight = Math.random() * canvas.height * 0.3;
+      const start = Math.floor((i * (peaks?.length || 0)) / barCount);
+      const end = Math.floor(((i + 1) * (peaks?.length || 0)) / barCount);
+      const peak = peaks?.length ? Math.max(...peaks.slice(start, Math.max(end, start + 1))) / 255 : 0;
+      const barHeight = Math.max(peak * canvas.height, 1);
       
       ctx.fillStyle = color + '20'; // Very transparent
       ctx.fillRect(x, canvas.height - barHeight, barWidth - 1, barHeight);
       
       x += barWidth;
     }
-  }, [audioSrc, isRecording, barCount, color]);
+  }, [audioSrc, peaks, isRecording, barCount, color]);
 
   return (
     <canvas
@@ -0,0 +1,112 @@
+import { useEffect, useRef, type KeyboardEvent, type PointerEvent } from 'react';
+
+export interface WaveformData {
+  resolution: number;
+  peaks: number[];
+  rms: number[];
+}
+
+interface WaveformProps {
+  /** Precomputed waveforms at several resolutions (values 0-255) */
+  waveforms: WaveformData[];
+  /** Played fraction, 0-1 */
+  progress: number;
+  /** Called with the fraction to jump to */
+  onSeek?: (fraction: number) => void;
+  height?: number;
+  className?: string;
+  color?: string;
+}
+
+const BAR_WIDTH = 3;
+const BAR_GAP = 1;
+
+// Canvas can't read CSS variables, so resolve theme colors by hand
+const resolveColor = (element: Element, value: string) => {
+  const styles = getComputedStyle(element);
+  return value.replace(/var\((--[\w-]+)\)/g, (_, name: string) => styles.getPropertyValue(name).trim());
+};
+
+// Smallest stored resolution with at least one value per bar
+const pickWaveform = (waveforms: WaveformData[], bars: number) => {
+  const sorted = [...waveforms].sort((a, b) => a.resolution - b.resolution);
+  return sorted.find(({ resolution }) => resolution >= bars) || sorted[sorted.length - 1];
+};
+
+export default function Waveform({
+  waveforms,
+  progress,
+  onSeek,
+  height = 64,
+  className = '',
+  color = 'hsl(var(--primary))'
+}: WaveformProps) {
+  const canvasRef = useRef<HTMLCanvasElement | null>(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext('2d');
+    if (!canvas || !ctx || waveforms.length === 0) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    ctx.scale(ratio, ratio);
+    ctx.clearRect(0, 0, width, height);
+
+    const bars = Math.max(1, Math.floor(width / (BAR_WIDTH + BAR_GAP)));
+    const { peaks, rms } = pickWaveform(waveforms, bars);
+    const playedBars = progress * bars;
+    const playedColor = resolveColor(canvas, color);
+    const pendingColor = resolveColor(canvas, 'hsl(var(--muted-foreground))');
+
+    for (let i = 0; i < bars; i++) {
+      const start = Math.floor((i * peaks.length) / bars);
+      const end = Math.max(Math.floor(((i + 1) * peaks.length) / bars), start + 1);
+      const peak = Math.max(...peaks.slice(start, end)) / 255;
+      const body = Math.max(...rms.slice(start, end)) / 255;
+      const x = i * (BAR_WIDTH + BAR_GAP);
+      const played = i < playedBars;
+
+      // Peaks as a faint outline, RMS as the solid body of each bar
+      ctx.fillStyle = played ? playedColor : pendingColor;
+      ctx.globalAlpha = 0.35;
+      const peakHeight = Math.max(2, peak * height);
+      ctx.fillRect(x, (height - peakHeight) / 2, BAR_WIDTH, peakHeight);
+
+      ctx.globalAlpha = played ? 1 : 0.6;
+      const bodyHeight = Math.max(2, body * height);
+      ctx.fillRect(x, (height - bodyHeight) / 2, BAR_WIDTH, bodyHeight);
+    }
+    ctx.globalAlpha = 1;
+  }, [waveforms, progress, height, color]);
+
+  const handlePointerDown = (event: PointerEvent<HTMLCanvasElement>) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    onSeek?.(Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1));
+  };
+
+  const handleKeyDown = (event: KeyboardEvent<HTMLCanvasElement>) => {
+    const step = event.key === 'ArrowRight' ? 0.05 : event.key === 'ArrowLeft' ? -0.05 : 0;
+    if (!step) return;
+    event.preventDefault();
+    onSeek?.(Math.min(Math.max(progress + step, 0), 1));
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      role="slider"
+      tabIndex={0}
+      aria-label="Seek"
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={Math.round(progress * 100)}
+      onPointerDown={handlePointerDown}
+      onKeyDown={handleKeyDown}
+      className={`w-full cursor-pointer ${className}`}
+      style={{ height: `${height}px` }}
+    />
+  );
+}
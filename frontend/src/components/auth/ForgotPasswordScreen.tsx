@@ -0,0 +1,76 @@
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import * as z from 'zod';
+import { useMutation } from '@tanstack/react-query';
+import type { AxiosError } from 'axios';
+import { authAPI } from '@/lib/api';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { toast } from '@/hooks/use-toast';
+
+const forgotPasswordSchema = z.object({
+  email: z.string().email('Invalid email address')
+});
+
+export default function ForgotPasswordScreen() {
+  const form = useForm<z.infer<typeof forgotPasswordSchema>>({
+    resolver: zodResolver(forgotPasswordSchema)
+  });
+
+  const requestReset = useMutation({
+    mutationFn: ({ email }: z.infer<typeof forgotPasswordSchema>) => authAPI.forgotPassword(email),
+    onError: (error: AxiosError<{ message?: string }>) => {
+      toast({ title: error.response?.data?.message || 'Failed to request password reset', variant: 'destructive' });
+    }
+  });
+
+  if (requestReset.isSuccess) {
+    return (
+      <div className="text-center space-y-4">
+        <h2 className="text-xl font-semibold">Check your email</h2>
+        <p className="text-muted-foreground">
+          If an account exists for {requestReset.variables.email}, we've sent it a link to reset
+          your password. The link expires soon, so use it right away.
+        </p>
+        <Button asChild variant="outline" className="w-full">
+          <Link to="/auth">Back to login</Link>
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={form.handleSubmit((data) => requestReset.mutate(data))} className="space-y-4">
+      <div className="space-y-1">
+        <h2 className="text-xl font-semibold">Forgot your password?</h2>
+        <p className="text-sm text-muted-foreground">
+          Enter your account's email and we'll send you a link to choose a new one.
+        </p>
+      </div>
+
+      <div>
+        <Label htmlFor="forgot-email">Email</Label>
+        <Input
+          id="forgot-email"
+          type="email"
+          {...form.register('email')}
+        />
+        {form.formState.errors.email && (
+          <p className="text-sm text-destructive mt-1">
+            {form.formState.errors.email.message}
+          </p>
+        )}
+      </div>
+
+      <Button type="submit" className="w-full" disabled={requestReset.isPending}>
+        {requestReset.isPending ? 'Sending...' : 'Send reset link'}
+      </Button>
+
+      <p className="text-center text-sm">
+        <Link to="/auth" className="text-primary hover:underline">Back to login</Link>
+      </p>
+    </form>
+  );
+}
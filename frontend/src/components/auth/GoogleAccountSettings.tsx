@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import type { AxiosError } from 'axios';
+import { authAPI } from '@/lib/api';
+import { startGoogleAuth } from '@/lib/googleAuth';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { toast } from '@/hooks/use-toast';
+
+interface GoogleAccountStatus {
+  linked: boolean;
+  email: string | null;
+  linkedAt: string | null;
+  hasPassword: boolean;
+}
+
+export default function GoogleAccountSettings() {
+  const queryClient = useQueryClient();
+  const [includeDrive, setIncludeDrive] = useState(false);
+
+  const { data: status } = useQuery<GoogleAccountStatus>({
+    queryKey: ['google-account'],
+    queryFn: () => authAPI.getGoogleStatus().then(res => res.data.data)
+  });
+
+  const linkMutation = useMutation({
+    mutationFn: () => startGoogleAuth('link', includeDrive),
+    onError: (error: AxiosError<{ message?: string }>) => {
+      toast({ title: error.response?.data?.message || 'Failed to start linking Google', variant: 'destructive' });
+    }
+  });
+
+  const unlinkMutation = useMutation({
+    mutationFn: () => authAPI.unlinkGoogle(),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['google-account'] });
+      toast({ title: 'Google account unlinked' });
+    },
+    onError: (error: AxiosError<{ message?: string }>) => {
+      toast({ title: error.response?.data?.message || 'Failed to unlink Google account', variant: 'destructive' });
+    }
+  });
+
+  return (
+    <div className="bg-card rounded-lg border p-4 space-y-3">
+      <h3 className="font-semibold">Sign in with Google</h3>
+
+      {status?.linked ? (
+        <>
+          <p className="text-sm text-muted-foreground">
+            You can sign in with {status.email || 'your Google account'}.
+            {status.linkedAt && ` Linked ${new Date(status.linkedAt).toLocaleDateString()}.`}
+          </p>
+          {!status.hasPassword && (
+            <p className="text-sm text-muted-foreground">
+              Your account has no password yet. Set one with Forgot password on the login
+              screen before unlinking Google.
+            </p>
+          )}
+          <Button
+            variant="outline"
+            className="w-full"
+            onClick={() => unlinkMutation.mutate()}
+            disabled={!status.hasPassword || unlinkMutation.isPending}
+          >
+            {unlinkMutation.isPending ? 'Unlinking...' : 'Unlink Google account'}
+          </Button>
+        </>
+      ) : (
+        <>
+          <p className="text-sm text-muted-foreground">
+            Link your Google account to sign in without your password.
+          </p>
+          <div className="flex items-center justify-between">
+            <Label htmlFor="link-include-drive" className="text-sm font-normal">
+              Also connect Google Drive for storage
+            </Label>
+            <Switch
+              id="link-include-drive"
+              checked={includeDrive}
+              onCheckedChange={setIncludeDrive}
+            />
+          </div>
+          <Button
+            variant="outline"
+            className="w-full"
+            onClick={() => linkMutation.mutate()}
+            disabled={!status || linkMutation.isPending}
+          >
+            {linkMutation.isPending ? 'Redirecting...' : 'Link Google account'}
+          </Button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import type { AxiosError } from 'axios';
+import { AlertTriangle } from 'lucide-react';
+import { authAPI } from '@/lib/api';
+import { takeGoogleAuth } from '@/lib/googleAuth';
+import { useAuth } from '@/hooks/useAuth';
+import { Button } from '@/components/ui/button';
+import TwoFactorChallenge from '@/components/auth/TwoFactorChallenge';
+import { toast } from '@/hooks/use-toast';
+
+export default function GoogleCallbackScreen() {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { isAuthenticated, completeGoogleSignIn } = useAuth();
+  const [error, setError] = useState<string | null>(null);
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  // Google's code works once, so never send it twice (e.g. StrictMode)
+  const handledRef = useRef(false);
+
+  useEffect(() => {
+    if (handledRef.current) return;
+    handledRef.current = true;
+
+    const pending = takeGoogleAuth(searchParams.get('state'));
+    const code = searchParams.get('code');
+
+    if (searchParams.get('error')) {
+      setError('Google sign-in was cancelled.');
+      return;
+    }
+    if (!pending || !code) {
+      setError('This Google sign-in link is invalid or has already been used.');
+      return;
+    }
+
+    const finish = async () => {
+      try {
+        if (pending.intent === 'link') {
+          const res = await authAPI.linkGoogle(code, pending.state);
+          queryClient.invalidateQueries({ queryKey: ['google-account'] });
+          toast({ title: res.data.data.driveConnected
+            ? 'Google account linked and Google Drive connected'
+            : 'Google account linked' });
+          navigate('/settings', { replace: true });
+          return;
+        }
+
+        const result = await completeGoogleSignIn(code, pending.state);
+        if (result.challengeToken) {
+          setChallengeToken(result.challengeToken);
+        } else {
+          navigate('/', { replace: true });
+        }
+      } catch (err) {
+        setError((err as AxiosError<{ message?: string }>).response?.data?.message || 'Google sign-in failed.');
+      }
+    };
+
+    finish();
+  }, [searchParams, navigate, queryClient, completeGoogleSignIn]);
+
+  if (challengeToken) {
+    return (
+      <TwoFactorChallenge
+        challengeToken={challengeToken}
+        onCancel={() => navigate('/auth', { replace: true })}
+      />
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center space-y-4">
+        <AlertTriangle className="w-12 h-12 mx-auto text-destructive" />
+        <h2 className="text-xl font-semibold">Couldn't sign in with Google</h2>
+        <p className="text-muted-foreground">{error}</p>
+        <Button asChild variant="outline" className="w-full">
+          <Link to={isAuthenticated ? '/settings' : '/auth'}>
+            {isAuthenticated ? 'Back to settings' : 'Back to login'}
+          </Link>
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <p className="text-center text-muted-foreground">Signing in with Google...</p>
+  );
+}
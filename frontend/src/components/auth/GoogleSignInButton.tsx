@@ -0,0 +1,47 @@
+import { useState } from 'react';
+import type { AxiosError } from 'axios';
+import { startGoogleAuth } from '@/lib/googleAuth';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { toast } from '@/hooks/use-toast';
+
+export default function GoogleSignInButton() {
+  const [includeDrive, setIncludeDrive] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleClick = async () => {
+    setIsLoading(true);
+    try {
+      await startGoogleAuth('signin', includeDrive);
+    } catch (error) {
+      toast({ title: (error as AxiosError<{ message?: string }>).response?.data?.message || 'Failed to start Google sign-in', variant: 'destructive' });
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-3 text-xs text-muted-foreground">
+        <div className="h-px flex-1 bg-border" />
+        or
+        <div className="h-px flex-1 bg-border" />
+      </div>
+
+      <Button variant="outline" className="w-full" onClick={handleClick} disabled={isLoading}>
+        {isLoading ? 'Redirecting...' : 'Continue with Google'}
+      </Button>
+
+      <div className="flex items-center justify-between">
+        <Label htmlFor="google-include-drive" className="text-sm font-normal text-muted-foreground">
+          Also store my recordings in Google Drive
+        </Label>
+        <Switch
+          id="google-include-drive"
+          checked={includeDrive}
+          onCheckedChange={setIncludeDrive}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import * as z from 'zod';
+import { useMutation } from '@tanstack/react-query';
+import type { AxiosError } from 'axios';
+import { authAPI } from '@/lib/api';
+import { useAuth } from '@/hooks/useAuth';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { toast } from '@/hooks/use-toast';
+
+const resetPasswordSchema = z
+  .object({
+    password: z.string().min(6, 'Password must be at least 6 characters'),
+    confirmPassword: z.string()
+  })
+  .refine((data) => data.password === data.confirmPassword, {
+    message: 'Passwords do not match',
+    path: ['confirmPassword']
+  });
+
+export default function ResetPasswordScreen() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+  const { isAuthenticated, logout } = useAuth();
+
+  const form = useForm<z.infer<typeof resetPasswordSchema>>({
+    resolver: zodResolver(resetPasswordSchema)
+  });
+
+  const resetPassword = useMutation({
+    mutationFn: ({ password }: z.infer<typeof resetPasswordSchema>) =>
+      authAPI.resetPassword(token || '', password),
+    onSuccess: async () => {
+      // The reset signed out every device, this one included
+      if (isAuthenticated) await logout();
+      toast({ title: 'Password changed. Log in with your new password.' });
+      navigate('/auth', { replace: true });
+    },
+    onError: (error: AxiosError<{ message?: string }>) => {
+      toast({ title: error.response?.data?.message || 'Failed to reset password', variant: 'destructive' });
+    }
+  });
+
+  if (!token) {
+    return (
+      <div className="text-center space-y-4">
+        <h2 className="text-xl font-semibold">Invalid reset link</h2>
+        <p className="text-muted-foreground">Request a new link to reset your password.</p>
+        <Button asChild className="w-full">
+          <Link to="/auth/forgot-password">Request a new link</Link>
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={form.handleSubmit((data) => resetPassword.mutate(data))} className="space-y-4">
+      <div className="space-y-1">
+        <h2 className="text-xl font-semibold">Choose a new password</h2>
+        <p className="text-sm text-muted-foreground">
+          You'll be signed out on every device and can log in again with it.
+        </p>
+      </div>
+
+      <div>
+        <Label htmlFor="reset-password">New password</Label>
+        <Input
+          id="reset-password"
+          type="password"
+          autoComplete="new-password"
+          {...form.register('password')}
+        />
+        {form.formState.errors.password && (
+          <p className="text-sm text-destructive mt-1">
+            {form.formState.errors.password.message}
+          </p>
+        )}
+      </div>
+
+      <div>
+        <Label htmlFor="reset-confirm-password">Confirm new password</Label>
+        <Input
+          id="reset-confirm-password"
+          type="password"
+          autoComplete="new-password"
+          {...form.register('confirmPassword')}
+        />
+        {form.formState.errors.confirmPassword && (
+          <p className="text-sm text-destructive mt-1">
+            {form.formState.errors.confirmPassword.message}
+          </p>
+        )}
+      </div>
+
+      <Button type="submit" className="w-full" disabled={resetPassword.isPending}>
+        {resetPassword.isPending ? 'Saving...' : 'Reset password'}
+      </Button>
+
+      {resetPassword.isError && (
+        <p className="text-center text-sm">
+          <Link to="/auth/forgot-password" className="text-primary hover:underline">
+            Request a new link
+          </Link>
+        </p>
+      )}
+    </form>
+  );
+}
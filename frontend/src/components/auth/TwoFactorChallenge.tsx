@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { useAuth } from '@/hooks/useAuth';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '@/components/ui/input-otp';
+
+interface TwoFactorChallengeProps {
+  challengeToken: string;
+  onCancel: () => void;
+}
+
+export default function TwoFactorChallenge({ challengeToken, onCancel }: TwoFactorChallengeProps) {
+  const { completeTwoFactorLogin } = useAuth();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const submit = async (value: string) => {
+    if (!value.trim() || isLoading) return;
+
+    setIsLoading(true);
+    try {
+      await completeTwoFactorLogin(challengeToken, value.trim());
+    } catch {
+      // Let them try again; the error has been shown
+      setCode('');
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        submit(code);
+      }}
+      className="space-y-4"
+    >
+      <div className="text-center space-y-2">
+        <ShieldCheck className="w-10 h-10 mx-auto text-primary" />
+        <h2 className="text-xl font-semibold">Two-factor authentication</h2>
+        <p className="text-sm text-muted-foreground">
+          {useRecoveryCode
+            ? 'Enter one of your recovery codes. Each code works once.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      </div>
+
+      {useRecoveryCode ? (
+        <div>
+          <Label htmlFor="recovery-code">Recovery code</Label>
+          <Input
+            id="recovery-code"
+            autoComplete="off"
+            autoFocus
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="xxxxx-xxxxx"
+          />
+        </div>
+      ) : (
+        <div className="flex justify-center">
+          <InputOTP
+            maxLength={6}
+            value={code}
+            onChange={setCode}
+            onComplete={submit}
+            disabled={isLoading}
+            autoFocus
+          >
+            <InputOTPGroup>
+              {Array.from({ length: 6 }, (_, index) => (
+                <InputOTPSlot key={index} index={index} />
+              ))}
+            </InputOTPGroup>
+          </InputOTP>
+        </div>
+      )}
+
+      <Button type="submit" className="w-full" disabled={isLoading || !code.trim()}>
+        {isLoading ? 'Verifying...' : 'Verify'}
+      </Button>
+
+      <div className="flex justify-between text-sm">
+        <button
+          type="button"
+          className="text-primary hover:underline"
+          onClick={() => {
+            setUseRecoveryCode(!useRecoveryCode);
+            setCode('');
+          }}
+        >
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <button type="button" className="text-muted-foreground hover:underline" onClick={onCancel}>
+          Back to login
+        </button>
+      </div>
+    </form>
+  );
+}
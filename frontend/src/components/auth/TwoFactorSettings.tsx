@@ -0,0 +1,296 @@
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import type { AxiosError } from 'axios';
+import { Copy, ShieldCheck, ShieldOff } from 'lucide-react';
+import { authAPI } from '@/lib/api';
+import { useAuth } from '@/hooks/useAuth';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '@/components/ui/input-otp';
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { toast } from '@/hooks/use-toast';
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+}
+
+interface Enrollment {
+  secret: string;
+  otpauthUrl: string;
+  qrCode: string;
+}
+
+// Changes that need the password and a current code first
+type ReauthAction = 'disable' | 'regenerate';
+
+const errorMessage = (error: AxiosError<{ message?: string }>, fallback: string) =>
+  error.response?.data?.message || fallback;
+
+export default function TwoFactorSettings() {
+  const { user, updateUser } = useAuth();
+  const queryClient = useQueryClient();
+  const [enrollment, setEnrollment] = useState<Enrollment | null>(null);
+  const [setupCode, setSetupCode] = useState('');
+  // Shown once, right after they are generated
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [reauthAction, setReauthAction] = useState<ReauthAction | null>(null);
+  const [password, setPassword] = useState('');
+  const [reauthCode, setReauthCode] = useState('');
+
+  const { data: status } = useQuery<TwoFactorStatus>({
+    queryKey: ['two-factor'],
+    queryFn: () => authAPI.getTwoFactorStatus().then(res => res.data.data)
+  });
+
+  const setTwoFactorEnabled = (enabled: boolean) => {
+    queryClient.invalidateQueries({ queryKey: ['two-factor'] });
+    if (user) updateUser({ ...user, twoFactor: { enabled } });
+  };
+
+  const closeReauth = () => {
+    setReauthAction(null);
+    setPassword('');
+    setReauthCode('');
+  };
+
+  const setupMutation = useMutation({
+    mutationFn: () => authAPI.setupTwoFactor(),
+    onSuccess: (res) => {
+      setEnrollment(res.data.data);
+      setSetupCode('');
+    },
+    onError: (error: AxiosError<{ message?: string }>) => {
+      toast({ title: errorMessage(error, 'Failed to start two-factor setup'), variant: 'destructive' });
+    }
+  });
+
+  const enableMutation = useMutation({
+    mutationFn: (code: string) => authAPI.enableTwoFactor(code),
+    onSuccess: (res) => {
+      setEnrollment(null);
+      setRecoveryCodes(res.data.data.recoveryCodes);
+      setTwoFactorEnabled(true);
+      toast({ title: 'Two-factor authentication enabled' });
+    },
+    onError: (error: AxiosError<{ message?: string }>) => {
+      setSetupCode('');
+      toast({ title: errorMessage(error, 'Failed to enable two-factor authentication'), variant: 'destructive' });
+    }
+  });
+
+  const reauthMutation = useMutation({
+    mutationFn: (action: ReauthAction) =>
+      action === 'disable'
+        ? authAPI.disableTwoFactor(password, reauthCode.trim())
+        : authAPI.regenerateRecoveryCodes(password, reauthCode.trim()),
+    onSuccess: (res, action) => {
+      closeReauth();
+      if (action === 'disable') {
+        setRecoveryCodes(null);
+        setTwoFactorEnabled(false);
+        toast({ title: 'Two-factor authentication disabled' });
+      } else {
+        setRecoveryCodes(res.data.data.recoveryCodes);
+        queryClient.invalidateQueries({ queryKey: ['two-factor'] });
+        toast({ title: 'New recovery codes generated' });
+      }
+    },
+    onError: (error: AxiosError<{ message?: string }>) => {
+      setReauthCode('');
+      toast({ title: errorMessage(error, 'Verification failed'), variant: 'destructive' });
+    }
+  });
+
+  const copyRecoveryCodes = async () => {
+    if (!recoveryCodes) return;
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      toast({ title: 'Recovery codes copied' });
+    } catch {
+      toast({ title: 'Failed to copy recovery codes', variant: 'destructive' });
+    }
+  };
+
+  return (
+    <div className="bg-card rounded-lg border p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">Two-Factor Authentication</h3>
+        {status?.enabled ? (
+          <span className="flex items-center text-sm text-green-600">
+            <ShieldCheck className="w-4 h-4 mr-1" />
+            On
+          </span>
+        ) : (
+          <span className="flex items-center text-sm text-muted-foreground">
+            <ShieldOff className="w-4 h-4 mr-1" />
+            Off
+          </span>
+        )}
+      </div>
+
+      {recoveryCodes && (
+        <div className="rounded-lg border border-yellow-500/50 bg-yellow-500/10 p-3 space-y-3">
+          <p className="text-sm">
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose
+            your authenticator app. You won't be able to see them again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+            {recoveryCodes.map((code) => (
+              <span key={code}>{code}</span>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={copyRecoveryCodes}>
+              <Copy className="w-4 h-4 mr-1" />
+              Copy
+            </Button>
+            <Button size="sm" onClick={() => setRecoveryCodes(null)}>
+              I've saved them
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {status?.enabled ? (
+        <>
+          <p className="text-sm text-muted-foreground">
+            Signing in asks for a code from your authenticator app.
+            {status.enabledAt && ` On since ${new Date(status.enabledAt).toLocaleDateString()}.`}
+            {' '}{status.recoveryCodesRemaining} recovery {status.recoveryCodesRemaining === 1 ? 'code' : 'codes'} left.
+          </p>
+          <div className="flex gap-2">
+            <Button variant="outline" className="flex-1" onClick={() => setReauthAction('regenerate')}>
+              New recovery codes
+            </Button>
+            <Button
+              variant="outline"
+              className="flex-1 text-destructive"
+              onClick={() => setReauthAction('disable')}
+            >
+              Turn off
+            </Button>
+          </div>
+        </>
+      ) : enrollment ? (
+        <div className="space-y-3">
+          <p className="text-sm text-muted-foreground">
+            Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img
+            src={enrollment.qrCode}
+            alt="QR code for your authenticator app"
+            className="w-48 h-48 mx-auto rounded bg-white p-2"
+          />
+          <p className="text-xs text-muted-foreground text-center">
+            Can't scan it? Enter this key instead:
+            <span className="block font-mono break-all text-foreground">{enrollment.secret}</span>
+          </p>
+          <div className="flex justify-center">
+            <InputOTP
+              maxLength={6}
+              value={setupCode}
+              onChange={setSetupCode}
+              onComplete={(code) => enableMutation.mutate(code)}
+              disabled={enableMutation.isPending}
+            >
+              <InputOTPGroup>
+                {Array.from({ length: 6 }, (_, index) => (
+                  <InputOTPSlot key={index} index={index} />
+                ))}
+              </InputOTPGroup>
+            </InputOTP>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" className="flex-1" onClick={() => setEnrollment(null)}>
+              Cancel
+            </Button>
+            <Button
+              className="flex-1"
+              onClick={() => enableMutation.mutate(setupCode)}
+              disabled={setupCode.length !== 6 || enableMutation.isPending}
+            >
+              {enableMutation.isPending ? 'Verifying...' : 'Turn on'}
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <>
+          <p className="text-sm text-muted-foreground">
+            Ask for a code from an authenticator app as well as your password when signing in.
+          </p>
+          <Button
+            className="w-full"
+            onClick={() => setupMutation.mutate()}
+            disabled={!status || setupMutation.isPending}
+          >
+            <ShieldCheck className="w-4 h-4 mr-2" />
+            {setupMutation.isPending ? 'Starting...' : 'Set up two-factor authentication'}
+          </Button>
+        </>
+      )}
+
+      <Dialog open={reauthAction !== null} onOpenChange={(open) => !open && closeReauth()}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>
+              {reauthAction === 'disable' ? 'Turn off two-factor authentication' : 'Generate new recovery codes'}
+            </DialogTitle>
+          </DialogHeader>
+
+          <form
+            id="two-factor-reauth"
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (reauthAction) reauthMutation.mutate(reauthAction);
+            }}
+            className="space-y-4"
+          >
+            <p className="text-sm text-muted-foreground">
+              {reauthAction === 'disable'
+                ? 'Confirm it\'s you. Your account will be protected by your password alone.'
+                : 'Confirm it\'s you. Your current recovery codes will stop working.'}
+            </p>
+            <div>
+              <Label htmlFor="reauth-password">Password</Label>
+              <Input
+                id="reauth-password"
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </div>
+            <div>
+              <Label htmlFor="reauth-code">Authenticator or recovery code</Label>
+              <Input
+                id="reauth-code"
+                autoComplete="one-time-code"
+                value={reauthCode}
+                onChange={(e) => setReauthCode(e.target.value)}
+              />
+            </div>
+          </form>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={closeReauth}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              form="two-factor-reauth"
+              variant={reauthAction === 'disable' ? 'destructive' : 'default'}
+              disabled={!password || !reauthCode.trim() || reauthMutation.isPending}
+            >
+              {reauthMutation.isPending
+                ? 'Verifying...'
+                : reauthAction === 'disable' ? 'Turn off' : 'Generate codes'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
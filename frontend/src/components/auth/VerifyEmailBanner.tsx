@@ -0,0 +1,42 @@
+import { useMutation } from '@tanstack/react-query';
+import type { AxiosError } from 'axios';
+import { MailWarning } from 'lucide-react';
+import { authAPI } from '@/lib/api';
+import { Button } from '@/components/ui/button';
+import { toast } from '@/hooks/use-toast';
+
+interface VerifyEmailBannerProps {
+  email?: string;
+}
+
+export default function VerifyEmailBanner({ email }: VerifyEmailBannerProps) {
+  const resendVerification = useMutation({
+    mutationFn: () => authAPI.resendVerification(),
+    onSuccess: () => {
+      toast({ title: 'Verification email sent' });
+    },
+    onError: (error: AxiosError<{ message?: string }>) => {
+      toast({ title: error.response?.data?.message || 'Failed to send verification email', variant: 'destructive' });
+    }
+  });
+
+  return (
+    <div className="flex items-start gap-3 rounded-lg border border-yellow-500/50 bg-yellow-500/10 p-3">
+      <MailWarning className="w-5 h-5 mt-0.5 shrink-0 text-yellow-600" />
+      <div className="flex-1 space-y-2">
+        <p className="text-sm">
+          Verify your email address to start posting. We sent a link to{' '}
+          {email ? <span className="font-medium">{email}</span> : 'your inbox'}.
+        </p>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => resendVerification.mutate()}
+          disabled={resendVerification.isPending || resendVerification.isSuccess}
+        >
+          {resendVerification.isSuccess ? 'Email sent' : 'Resend verification email'}
+        </Button>
+      </div>
+    </div>
+  );
+}
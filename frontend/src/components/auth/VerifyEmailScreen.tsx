@@ -0,0 +1,86 @@
+import { useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useMutation } from '@tanstack/react-query';
+import type { AxiosError } from 'axios';
+import { CheckCircle2, MailWarning } from 'lucide-react';
+import { authAPI } from '@/lib/api';
+import { useAuth } from '@/hooks/useAuth';
+import { Button } from '@/components/ui/button';
+import { toast } from '@/hooks/use-toast';
+
+export default function VerifyEmailScreen() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+  const { user, isAuthenticated, updateUser } = useAuth();
+  // Links are single use, so never send the token twice (e.g. StrictMode)
+  const sentRef = useRef(false);
+
+  const verifyEmail = useMutation({
+    mutationFn: (verificationToken: string) => authAPI.verifyEmail(verificationToken),
+    onSuccess: () => {
+      if (user) updateUser({ ...user, emailVerified: true });
+    }
+  });
+
+  const resendVerification = useMutation({
+    mutationFn: () => authAPI.resendVerification(),
+    onSuccess: () => {
+      toast({ title: 'Verification email sent' });
+    },
+    onError: (error: AxiosError<{ message?: string }>) => {
+      toast({ title: error.response?.data?.message || 'Failed to send verification email', variant: 'destructive' });
+    }
+  });
+
+  useEffect(() => {
+    if (token && !sentRef.current) {
+      sentRef.current = true;
+      verifyEmail.mutate(token);
+    }
+  }, [token, verifyEmail]);
+
+  const error = verifyEmail.error as AxiosError<{ message?: string }> | null;
+
+  if (verifyEmail.isSuccess) {
+    return (
+      <div className="text-center space-y-4">
+        <CheckCircle2 className="w-12 h-12 mx-auto text-green-600" />
+        <h2 className="text-xl font-semibold">Email verified</h2>
+        <p className="text-muted-foreground">You can now post on ECHO.</p>
+        <Button className="w-full" onClick={() => navigate(isAuthenticated ? '/' : '/auth')}>
+          {isAuthenticated ? 'Start posting' : 'Log in'}
+        </Button>
+      </div>
+    );
+  }
+
+  if (!token || verifyEmail.isError) {
+    return (
+      <div className="text-center space-y-4">
+        <MailWarning className="w-12 h-12 mx-auto text-destructive" />
+        <h2 className="text-xl font-semibold">We couldn't verify your email</h2>
+        <p className="text-muted-foreground">
+          {error?.response?.data?.message || 'This verification link is invalid.'}
+        </p>
+        {isAuthenticated && user?.emailVerified === false ? (
+          <Button
+            className="w-full"
+            onClick={() => resendVerification.mutate()}
+            disabled={resendVerification.isPending || resendVerification.isSuccess}
+          >
+            {resendVerification.isSuccess ? 'Check your inbox' : 'Send a new link'}
+          </Button>
+        ) : (
+          <Button asChild variant="outline" className="w-full">
+            <Link to={isAuthenticated ? '/' : '/auth'}>Back</Link>
+          </Button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <p className="text-center text-muted-foreground">Verifying your email...</p>
+  );
+}
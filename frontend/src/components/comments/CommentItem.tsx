@@ -0,0 +1,208 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { Heart, Reply, Trash2 } from 'lucide-react';
+import { commentsAPI, type AudioRendition } from '@/lib/api';
+import { useAuth } from '@/hooks/useAuth';
+import AudioPlayer from '@/components/audio/AudioPlayer';
+import type { WaveformData } from '@/components/audio/Waveform';
+import VoiceCommentComposer from '@/components/comments/VoiceCommentComposer';
+import { Button } from '@/components/ui/button';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { toast } from '@/hooks/use-toast';
+
+export interface CommentNode {
+  _id: string;
+  postId: string;
+  depth: number;
+  authorId: {
+    _id: string;
+    username: string;
+    profile: {
+      displayName?: string;
+      avatar?: string;
+    };
+  };
+  audio: {
+    duration: number;
+    renditions?: AudioRendition[];
+    waveforms?: WaveformData[];
+  };
+  content: {
+    transcription?: string;
+  };
+  createdAt: string;
+  likeCount: number;
+  isLiked: boolean;
+  replyCount: number;
+  replies: CommentNode[];
+  repliesCursor: string | null;
+}
+
+// Matches the server's nesting limit; top-level comments are depth 0
+const MAX_COMMENT_DEPTH = 5;
+const REPLIES_PAGE_SIZE = 10;
+
+interface CommentItemProps {
+  comment: CommentNode;
+  postId: string;
+}
+
+export default function CommentItem({ comment, postId }: CommentItemProps) {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [liked, setLiked] = useState(comment.isLiked);
+  const [likeCount, setLikeCount] = useState(comment.likeCount);
+  const [isReplying, setIsReplying] = useState(false);
+  // Replies fetched with "view more", after the ones inlined in the tree
+  const [moreReplies, setMoreReplies] = useState<CommentNode[]>([]);
+  const [repliesCursor, setRepliesCursor] = useState(comment.repliesCursor);
+
+  const isAuthor = comment.authorId._id === user?.id;
+  const replies = [...comment.replies, ...moreReplies];
+  const hiddenReplies = comment.replyCount - replies.length;
+  const displayName = comment.authorId.profile.displayName || comment.authorId.username;
+
+  const likeMutation = useMutation({
+    mutationFn: () => commentsAPI.like(comment._id),
+    onSuccess: (res) => {
+      setLiked(res.data.data.liked);
+      setLikeCount(res.data.data.likeCount);
+    },
+    onError: () => {
+      toast({ title: 'Failed to like comment', variant: 'destructive' });
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => commentsAPI.delete(postId, comment._id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['comments', postId] });
+      queryClient.invalidateQueries({ queryKey: ['posts'] });
+      toast({ title: 'Comment deleted' });
+    },
+    onError: () => {
+      toast({ title: 'Failed to delete comment', variant: 'destructive' });
+    }
+  });
+
+  const loadRepliesMutation = useMutation({
+    // Without a cursor (nothing inlined yet) this starts from the oldest reply
+    mutationFn: () =>
+      commentsAPI
+        .getReplies(comment._id, { cursor: repliesCursor || undefined, limit: REPLIES_PAGE_SIZE })
+        .then((res) => res.data.data as { replies: CommentNode[]; nextCursor: string | null }),
+    onSuccess: ({ replies: page, nextCursor }) => {
+      setMoreReplies((current) => [...current, ...page]);
+      setRepliesCursor(nextCursor);
+    },
+    onError: () => {
+      toast({ title: 'Failed to load replies', variant: 'destructive' });
+    }
+  });
+
+  const handleDelete = () => {
+    if (window.confirm('Are you sure you want to delete this comment?')) {
+      deleteMutation.mutate();
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex space-x-3">
+        <Avatar className="w-8 h-8">
+          <AvatarImage src={comment.authorId.profile.avatar} />
+          <AvatarFallback>{displayName.charAt(0).toUpperCase()}</AvatarFallback>
+        </Avatar>
+
+        <div className="flex-1 min-w-0 space-y-1">
+          <div className="flex items-center space-x-2 text-xs">
+            <span className="font-semibold">{displayName}</span>
+            <span className="text-muted-foreground">
+              {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+            </span>
+          </div>
+
+          <AudioPlayer
+            src={`/comments/${comment._id}/audio`}
+            renditions={comment.audio.renditions}
+            waveforms={comment.audio.waveforms}
+            duration={comment.audio.duration}
+          />
+
+          {comment.content.transcription && (
+            <p className="text-xs text-muted-foreground italic">"{comment.content.transcription}"</p>
+          )}
+
+          <div className="flex items-center space-x-1">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => likeMutation.mutate()}
+              disabled={!user || likeMutation.isPending}
+              className={`h-7 px-2 space-x-1 ${liked ? 'text-red-500' : ''}`}
+            >
+              <Heart className={`w-3 h-3 ${liked ? 'fill-current' : ''}`} />
+              <span className="text-xs">{likeCount}</span>
+            </Button>
+
+            {user && comment.depth < MAX_COMMENT_DEPTH && (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setIsReplying(!isReplying)}
+                className="h-7 px-2 space-x-1"
+              >
+                <Reply className="w-3 h-3" />
+                <span className="text-xs">Reply</span>
+              </Button>
+            )}
+
+            {isAuthor && (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={handleDelete}
+                disabled={deleteMutation.isPending}
+                className="h-7 px-2 text-destructive"
+              >
+                <Trash2 className="w-3 h-3" />
+              </Button>
+            )}
+          </div>
+
+          {isReplying && (
+            <VoiceCommentComposer
+              postId={postId}
+              parentCommentId={comment._id}
+              onPosted={() => setIsReplying(false)}
+              onCancel={() => setIsReplying(false)}
+            />
+          )}
+        </div>
+      </div>
+
+      {(replies.length > 0 || hiddenReplies > 0) && (
+        <div className="ml-4 pl-4 border-l space-y-3">
+          {replies.map((reply) => (
+            <CommentItem key={reply._id} comment={reply} postId={postId} />
+          ))}
+
+          {hiddenReplies > 0 && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => loadRepliesMutation.mutate()}
+              disabled={loadRepliesMutation.isPending}
+              className="h-7 px-2 text-xs text-primary"
+            >
+              {loadRepliesMutation.isPending
+                ? 'Loading...'
+                : `View ${hiddenReplies} more ${hiddenReplies === 1 ? 'reply' : 'replies'}`}
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { useInfiniteQuery } from '@tanstack/react-query';
+import { commentsAPI } from '@/lib/api';
+import { useAuth } from '@/hooks/useAuth';
+import CommentItem, { type CommentNode } from '@/components/comments/CommentItem';
+import VoiceCommentComposer from '@/components/comments/VoiceCommentComposer';
+import { Button } from '@/components/ui/button';
+
+type CommentSort = 'top' | 'new';
+
+interface CommentTreePage {
+  comments: CommentNode[];
+  nextCursor: string | null;
+  total: number;
+}
+
+interface CommentThreadProps {
+  postId: string;
+}
+
+export default function CommentThread({ postId }: CommentThreadProps) {
+  const { user } = useAuth();
+  const [sort, setSort] = useState<CommentSort>('top');
+
+  const {
+    data,
+    isLoading,
+    isError,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery({
+    queryKey: ['comments', postId, sort],
+    queryFn: ({ pageParam }) =>
+      commentsAPI
+        .getTree(postId, { sort, cursor: pageParam })
+        .then((res) => res.data.data as CommentTreePage),
+    initialPageParam: undefined as string | undefined,
+    getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined
+  });
+
+  const comments = data?.pages.flatMap((page) => page.comments) ?? [];
+
+  return (
+    <div className="space-y-4 pt-3 border-t">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium">
+          {data ? `${data.pages[0].total} comments` : 'Comments'}
+        </span>
+        <div className="flex space-x-1">
+          {(['top', 'new'] as const).map((option) => (
+            <Button
+              key={option}
+              variant={sort === option ? 'secondary' : 'ghost'}
+              size="sm"
+              onClick={() => setSort(option)}
+              className="h-7 px-2 text-xs capitalize"
+            >
+              {option}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {user && <VoiceCommentComposer postId={postId} />}
+
+      {isLoading ? (
+        <p className="text-sm text-muted-foreground">Loading comments...</p>
+      ) : isError ? (
+        <p className="text-sm text-destructive">Failed to load comments</p>
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No comments yet</p>
+      ) : (
+        <div className="space-y-4">
+          {comments.map((comment) => (
+            <CommentItem key={comment._id} comment={comment} postId={postId} />
+          ))}
+        </div>
+      )}
+
+      {hasNextPage && (
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => fetchNextPage()}
+          disabled={isFetchingNextPage}
+          className="w-full"
+        >
+          {isFetchingNextPage ? 'Loading...' : 'Load more comments'}
+        </Button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { useRef, useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import type { AxiosError } from 'axios';
+import { commentsAPI } from '@/lib/api';
+import { getRecordingName, uploadResumable } from '@/lib/resumableUpload';
+import AudioRecorder from '@/components/audio/AudioRecorder';
+import { Button } from '@/components/ui/button';
+import { Progress } from '@/components/ui/progress';
+import { toast } from '@/hooks/use-toast';
+
+interface VoiceCommentComposerProps {
+  postId: string;
+  /** Comment being replied to; omit for a top-level comment */
+  parentCommentId?: string;
+  onPosted?: () => void;
+  onCancel?: () => void;
+}
+
+const MAX_COMMENT_DURATION = 120;
+
+export default function VoiceCommentComposer({
+  postId,
+  parentCommentId,
+  onPosted,
+  onCancel
+}: VoiceCommentComposerProps) {
+  const [progress, setProgress] = useState(0);
+  // Kept so a failed send resumes the same upload
+  const uploadIdRef = useRef<string | null>(null);
+  const queryClient = useQueryClient();
+
+  const sendComment = useMutation({
+    mutationFn: async (audio: Blob) => {
+      const uploadId = await uploadResumable(audio, {
+        fileName: getRecordingName(audio),
+        uploadId: uploadIdRef.current,
+        onSession: (id) => { uploadIdRef.current = id; },
+        onProgress: setProgress
+      });
+      return commentsAPI.create(postId, { uploadId, parentCommentId });
+    },
+    onSuccess: () => {
+      uploadIdRef.current = null;
+      queryClient.invalidateQueries({ queryKey: ['comments', postId] });
+      queryClient.invalidateQueries({ queryKey: ['posts'] });
+      toast({ title: parentCommentId ? 'Reply posted' : 'Comment posted' });
+      onPosted?.();
+    },
+    onError: (error: AxiosError<{ message?: string }>) => {
+      toast({ title: error.response?.data?.message || 'Failed to post comment', variant: 'destructive' });
+    }
+  });
+
+  if (sendComment.isPending) {
+    return (
+      <div className="space-y-2 py-2">
+        <p className="text-xs text-muted-foreground">
+          {progress < 1 ? `Uploading ${Math.round(progress * 100)}%...` : 'Processing audio...'}
+        </p>
+        <Progress value={progress * 100} className="h-1" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <AudioRecorder
+        onRecordingComplete={(blob) => sendComment.mutate(blob)}
+        maxDuration={MAX_COMMENT_DURATION}
+      />
+      {onCancel && (
+        <div className="flex justify-end">
+          <Button variant="ghost" size="sm" onClick={onCancel}>
+            Cancel
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
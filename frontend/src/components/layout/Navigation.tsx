@@ -1,5 +1,5 @@
 import { NavLink } from 'react-router-dom';
-import { Hop as Home, Compass, User, Users, Bell } from 'lucide-react';
+import { Hop as Home, Compass, User, Users, Bell, Download } from 'lucide-react';
 import { useAuth } from '@/hooks/useAuth';
 
 export default function Navigation() {
@@ -64,6 +64,18 @@ export default function Navigation() {
               <span className="text-xs md:text-sm">Notifications</span>
             </NavLink>
 
+            <NavLink
+              to="/downloads"
+              className={({ isActive }) =>
+                `flex flex-col md:flex-row items-center gap-1 md:gap-2 transition-colors ${
+                  isActive ? 'text-primary' : 'text-muted-foreground hover:text-foreground'
+                }`
+              }
+            >
+              <Download className="w-6 h-6" />
+              <span className="text-xs md:text-sm">Downloads</span>
+            </NavLink>
+
             <NavLink
               to="/profile"
               className={({ isActive }) =>
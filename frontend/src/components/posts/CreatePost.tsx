@@ -1,43 +1,131 @@
-import { useState } from 'react';
-import { useMutation, useQueryClient } from '@tanstack/react-query';
-import { Mic, Hash, Globe, Users, Lock } from 'lucide-react';
-import { postsAPI } from '@/lib/api';
+import { useEffect, useRef, useState } from 'react';
+import type { AxiosError } from 'axios';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Mic, Hash, Globe, Users, Lock, UserCheck, Plus } from 'lucide-react';
+import { audiencesAPI, postsAPI, uploadsAPI } from '@/lib/api';
+import { getRecordingName, uploadResumable, type UploadPhase } from '@/lib/resumableUpload';
+import { addToOutbox } from '@/lib/outbox';
+import { useAuth } from '@/hooks/useAuth';
 import { Button } from '@/components/ui/button';
 import { Textarea } from '@/components/ui/textarea';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Badge } from '@/components/ui/badge';
+import { Progress } from '@/components/ui/progress';
 import AudioRecorder from '@/components/audio/AudioRecorder';
+import OutboxList from '@/components/posts/OutboxList';
+import VerifyEmailBanner from '@/components/auth/VerifyEmailBanner';
+import AudienceDialog, { type Audience } from '@/components/social/AudienceDialog';
 import { toast } from '@/hooks/use-toast';
 
+type Privacy = 'public' | 'connections_only' | 'private' | 'audience';
+
+interface PostDraft {
+  audio: Blob;
+  title: string;
+  tags: string[];
+  privacy: Privacy;
+  audienceId: string;
+}
+
 export default function CreatePost() {
+  const { user } = useAuth();
   const [title, setTitle] = useState('');
   const [tags, setTags] = useState<string[]>([]);
   const [currentTag, setCurrentTag] = useState('');
-  const [privacy, setPrivacy] = useState<'public' | 'connections_only' | 'private'>('public');
+  const [privacy, setPrivacy] = useState<Privacy>('public');
+  const [audienceId, setAudienceId] = useState('');
+  const [showAudienceDialog, setShowAudienceDialog] = useState(false);
   const [audioBlob, setAudioBlob] = useState<Blob | null>(null);
   const [showRecorder, setShowRecorder] = useState(false);
+  const [uploadPhase, setUploadPhase] = useState<UploadPhase | null>(null);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  // Upload session of the current recording, kept so a failed publish
+  // resumes it instead of sending the audio again
+  const uploadIdRef = useRef<string | null>(null);
+  const abortRef = useRef<AbortController | null>(null);
   
   const queryClient = useQueryClient();
+  const needsVerification = user?.emailVerified === false;
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const { data: audiences = [] } = useQuery<Audience[]>({
+    queryKey: ['audiences'],
+    queryFn: () => audiencesAPI.getAll().then(res => res.data.data.audiences),
+    enabled: privacy === 'audience'
+  });
 
   const createPost = useMutation({
-    mutationFn: (formData: FormData) => postsAPI.create(formData),
+    mutationFn: async ({ audio, ...post }: PostDraft) => {
+      abortRef.current = new AbortController();
+      const uploadId = await uploadResumable(audio, {
+        fileName: getRecordingName(audio),
+        uploadId: uploadIdRef.current,
+        onSession: (id) => { uploadIdRef.current = id; },
+        onProgress: setUploadProgress,
+        onPhaseChange: setUploadPhase,
+        signal: abortRef.current.signal
+      });
+
+      return postsAPI.create({
+        uploadId,
+        ...(post.title.trim() && { title: post.title }),
+        tags: post.tags,
+        privacy: post.privacy,
+        ...(post.privacy === 'audience' && { audienceId: post.audienceId })
+      });
+    },
     onSuccess: () => {
+      uploadIdRef.current = null;
       queryClient.invalidateQueries({ queryKey: ['posts'] });
       resetForm();
-      toast.success('Post created!');
+      toast({ title: 'Post created!' });
     },
-    onError: () => {
-      toast.error('Failed to create post');
+    onError: (error: AxiosError<{ message?: string }>, draft) => {
+      if (abortRef.current?.signal.aborted) return;
+
+      // Lost the connection for good: keep the recording and post it later
+      if (error.isAxiosError && !error.response) {
+        saveToOutbox(draft);
+        return;
+      }
+      toast({ title: error.response?.data?.message || 'Failed to create post', variant: 'destructive' });
+    },
+    onSettled: () => {
+      setUploadPhase(null);
     }
   });
 
+  const saveToOutbox = async (draft: PostDraft) => {
+    try {
+      await addToOutbox({
+        ...draft,
+        fileName: getRecordingName(draft.audio),
+        audienceId: draft.privacy === 'audience' ? draft.audienceId : undefined,
+        uploadId: uploadIdRef.current
+      });
+      uploadIdRef.current = null;
+      resetForm();
+      toast({ title: "You're offline. Your post will be published when you reconnect." });
+    } catch {
+      toast({ title: 'Failed to save post for later', variant: 'destructive' });
+    }
+  };
+
+  const discardUpload = () => {
+    if (!uploadIdRef.current) return;
+    uploadsAPI.cancel(uploadIdRef.current).catch(() => {});
+    uploadIdRef.current = null;
+  };
+
   const resetForm = () => {
     setTitle('');
     setTags([]);
     setCurrentTag('');
     setPrivacy('public');
+    setAudienceId('');
     setAudioBlob(null);
     setShowRecorder(false);
   };
@@ -61,6 +149,7 @@ export default function CreatePost() {
   };
 
   const handleRecordingComplete = (blob: Blob) => {
+    discardUpload();
     setAudioBlob(blob);
     setShowRecorder(false);
   };
@@ -68,23 +157,37 @@ export default function CreatePost() {
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
     if (!audioBlob) {
-      toast.error('Please record an audio message');
+      toast({ title: 'Please record an audio message', variant: 'destructive' });
+      return;
+    }
+    if (privacy === 'audience' && !audienceId) {
+      toast({ title: 'Please choose an audience', variant: 'destructive' });
+      return;
+    }
+
+    const draft = { audio: audioBlob, title, tags, privacy, audienceId };
+    if (!navigator.onLine) {
+      saveToOutbox(draft);
       return;
     }
 
-    const formData = new FormData();
-    formData.append('audio', audioBlob);
-    if (title.trim()) formData.append('title', title);
-    if (tags.length > 0) formData.append('tags', JSON.stringify(tags));
-    formData.append('privacy', privacy);
-    
-    createPost.mutate(formData);
+    setUploadProgress(0);
+    createPost.mutate(draft);
+  };
+
+  const getSubmitLabel = () => {
+    if (!createPost.isPending) return 'Publish Post';
+    if (uploadPhase === 'uploading') return `Uploading ${Math.round(uploadProgress * 100)}%...`;
+    if (uploadPhase === 'waiting') return 'Connection lost, retrying...';
+    if (uploadPhase === 'processing') return 'Processing audio...';
+    return 'Publishing...';
   };
 
   const privacyIcons = {
     public: Globe,
     connections_only: Users,
-    private: Lock
+    private: Lock,
+    audience: UserCheck
   };
 
   const PrivacyIcon = privacyIcons[privacy];
@@ -104,6 +207,8 @@ export default function CreatePost() {
         </Button>
       </div>
 
+      {needsVerification && <VerifyEmailBanner email={user?.email} />}
+
       {showRecorder && (
         <AudioRecorder
           onRecordingComplete={handleRecordingComplete}
@@ -120,7 +225,11 @@ export default function CreatePost() {
             <Button
               variant="ghost"
               size="sm"
-              onClick={() => setAudioBlob(null)}
+              onClick={() => {
+                discardUpload();
+                setAudioBlob(null);
+              }}
+              disabled={createPost.isPending}
             >
               Remove
             </Button>
@@ -180,7 +289,7 @@ export default function CreatePost() {
 
         <div className="space-y-2">
           <Label htmlFor="privacy">Privacy</Label>
-          <Select value={privacy} onValueChange={(value: any) => setPrivacy(value)}>
+          <Select value={privacy} onValueChange={(value: Privacy) => setPrivacy(value)}>
             <SelectTrigger>
               <SelectValue>
                 <div className="flex items-center space-x-2">
@@ -189,6 +298,7 @@ export default function CreatePost() {
                     {privacy === 'public' && 'Public'}
                     {privacy === 'connections_only' && 'Connections Only'}
                     {privacy === 'private' && 'Private'}
+                    {privacy === 'audience' && 'Audience'}
                   </span>
                 </div>
               </SelectValue>
@@ -212,18 +322,64 @@ export default function CreatePost() {
                   <span>Private</span>
                 </div>
               </SelectItem>
+              <SelectItem value="audience">
+                <div className="flex items-center space-x-2">
+                  <UserCheck className="w-4 h-4" />
+                  <span>Audience</span>
+                </div>
+              </SelectItem>
             </SelectContent>
           </Select>
         </div>
 
+        {privacy === 'audience' && (
+          <div className="space-y-2">
+            <Label htmlFor="audience">Audience</Label>
+            <div className="flex space-x-2">
+              <Select value={audienceId} onValueChange={setAudienceId}>
+                <SelectTrigger id="audience">
+                  <SelectValue placeholder="Choose who can listen" />
+                </SelectTrigger>
+                <SelectContent>
+                  {audiences.map((audience) => (
+                    <SelectItem key={audience._id} value={audience._id}>
+                      {audience.name} ({audience.memberIds.length})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => setShowAudienceDialog(true)}
+              >
+                <Plus className="w-4 h-4" />
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {createPost.isPending && uploadPhase && (
+          <Progress value={uploadProgress * 100} className="h-2" />
+        )}
+
         <Button
           type="submit"
           className="w-full"
-          disabled={!audioBlob || createPost.isPending}
+          disabled={!audioBlob || createPost.isPending || needsVerification}
         >
-          {createPost.isPending ? 'Publishing...' : 'Publish Post'}
+          {getSubmitLabel()}
         </Button>
       </form>
+
+      <OutboxList />
+
+      <AudienceDialog
+        open={showAudienceDialog}
+        onOpenChange={setShowAudienceDialog}
+        onCreated={(audience) => setAudienceId(audience._id)}
+      />
     </div>
   );
 }
@@ -0,0 +1,82 @@
+import { formatDistanceToNow } from 'date-fns';
+import { AlertTriangle, CloudOff, RotateCcw, Trash2, UploadCloud } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Progress } from '@/components/ui/progress';
+import { useOutbox } from '@/hooks/useOutbox';
+import type { OutboxEntry } from '@/lib/outbox';
+
+const STATUS_BADGES = {
+  pending: { label: 'Waiting for connection', icon: CloudOff, variant: 'secondary' },
+  uploading: { label: 'Uploading', icon: UploadCloud, variant: 'default' },
+  failed: { label: 'Failed', icon: AlertTriangle, variant: 'destructive' }
+} as const;
+
+function OutboxItem({
+  entry,
+  onRetry,
+  onDiscard
+}: {
+  entry: OutboxEntry;
+  onRetry: (id: string) => void;
+  onDiscard: (id: string) => void;
+}) {
+  const { label, icon: Icon, variant } = STATUS_BADGES[entry.status];
+
+  return (
+    <div className="rounded-lg border p-3 space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <div className="min-w-0">
+          <p className="text-sm font-medium truncate">{entry.title.trim() || 'Untitled recording'}</p>
+          <p className="text-xs text-muted-foreground">
+            {Math.round(entry.audio.size / 1024)}KB · recorded{' '}
+            {formatDistanceToNow(new Date(entry.createdAt), { addSuffix: true })}
+          </p>
+        </div>
+        <Badge variant={variant} className="shrink-0">
+          <Icon className="w-3 h-3 mr-1" />
+          {label}
+        </Badge>
+      </div>
+
+      {entry.status === 'uploading' && (
+        <Progress value={entry.progress * 100} className="h-2" />
+      )}
+
+      {entry.status === 'failed' && entry.error && (
+        <p className="text-xs text-destructive">{entry.error}</p>
+      )}
+
+      {entry.status !== 'uploading' && (
+        <div className="flex justify-end space-x-2">
+          <Button variant="ghost" size="sm" onClick={() => onDiscard(entry.id)}>
+            <Trash2 className="w-4 h-4 mr-1" />
+            Discard
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => onRetry(entry.id)}>
+            <RotateCcw className="w-4 h-4 mr-1" />
+            Retry
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Recordings saved while offline, posted once the connection is back
+export default function OutboxList() {
+  const { entries, retry, discard } = useOutbox();
+
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      <h4 className="text-sm font-medium text-muted-foreground">
+        Outbox ({entries.length})
+      </h4>
+      {entries.map((entry) => (
+        <OutboxItem key={entry.id} entry={entry} onRetry={retry} onDiscard={discard} />
+      ))}
+    </div>
+  );
+}
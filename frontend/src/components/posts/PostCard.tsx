@@ -1,13 +1,17 @@
 import { useState } from 'react';
-import { useMutation, useQueryClient } from '@tanstack/react-query';
-import { Heart, MessageCircle, Share2, MoveHorizontal as MoreHorizontal, Trash2 } from 'lucide-react';
-import { postsAPI } from '@/lib/api';
+import { Link } from 'react-router-dom';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Heart, MessageCircle, Share2, MoveHorizontal as MoreHorizontal, Trash2, EyeOff, VolumeX, Download, CheckCircle2 } from 'lucide-react';
+import { postsAPI, usersAPI, type AudioRendition } from '@/lib/api';
 import { useAuth } from '@/hooks/useAuth';
+import { useOfflinePosts } from '@/hooks/useOfflinePosts';
+import { markOfflinePlayed } from '@/lib/offlineAudio';
 import { Button } from '@/components/ui/button';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from '@/components/ui/dropdown-menu';
 import AudioPlayer from '@/components/audio/AudioPlayer';
-import AudioVisualizer from '@/components/audio/AudioVisualizer';
+import CommentThread from '@/components/comments/CommentThread';
+import type { WaveformData } from '@/components/audio/Waveform';
 import { toast } from '@/hooks/use-toast';
 import { formatDistanceToNow } from 'date-fns';
 
@@ -22,9 +26,12 @@ interface Post {
     };
   };
   audio: {
-    url: string;
+    /** 'processing' until the server has transcoded audio uploaded with the post */
+    status?: 'processing' | 'ready' | 'failed';
     duration: number;
     format: string;
+    renditions?: AudioRendition[];
+    waveforms?: WaveformData[];
   };
   content: {
     title?: string;
@@ -39,7 +46,7 @@ interface Post {
   };
   likedBy?: string[];
   createdAt: string;
-  privacy: 'public' | 'connections_only' | 'private';
+  privacy: 'public' | 'connections_only' | 'private' | 'audience';
 }
 
 interface PostCardProps {
@@ -50,6 +57,29 @@ export default function PostCard({ post }: PostCardProps) {
   const { user } = useAuth();
   const queryClient = useQueryClient();
   const [showTranscription, setShowTranscription] = useState(false);
+  const [showComments, setShowComments] = useState(false);
+  const offline = useOfflinePosts();
+  const isSavedOffline = offline.isSaved(post._id);
+  
+  // Check back until the audio uploaded with the post is ready to play
+  const { data: latestAudio } = useQuery({
+    queryKey: ['post-audio', post._id],
+    queryFn: () => postsAPI.getById(post._id).then(res => res.data.data.post.audio as Post['audio']),
+    enabled: post.audio.status === 'processing',
+    refetchInterval: (query) => (query.state.data?.status ?? 'processing') === 'processing' ? 5000 : false
+  });
+  const audio = latestAudio || post.audio;
+  const isProcessing = audio.status === 'processing';
+
+  // Feeds only send a coarse waveform; fetch the detailed ones once the post is played
+  const [wantsDetailedWaveform, setWantsDetailedWaveform] = useState(false);
+  const { data: detailedWaveforms } = useQuery({
+    queryKey: ['post-waveforms', post._id],
+    queryFn: () => postsAPI.getWaveforms(post._id).then(res => res.data.data.waveforms as WaveformData[]),
+    enabled: wantsDetailedWaveform && !isProcessing,
+    staleTime: Infinity
+  });
+  const waveforms = detailedWaveforms?.length ? detailedWaveforms : audio.waveforms;
   
   const isLiked = post.likedBy?.includes(user?.id || '') || false;
   const isAuthor = post.authorId._id === user?.id;
@@ -75,8 +105,30 @@ export default function PostCard({ post }: PostCardProps) {
     }
   });
 
+  const hideMutation = useMutation({
+    mutationFn: () => postsAPI.hide(post._id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['posts', 'feed'] });
+      toast({ title: 'Post hidden from your feed' });
+    },
+    onError: () => {
+      toast({ title: 'Failed to hide post', variant: 'destructive' });
+    }
+  });
+
+  const muteMutation = useMutation({
+    mutationFn: () => usersAPI.mute(post.authorId._id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['posts', 'feed'] });
+      toast({ title: `Muted @${post.authorId.username}` });
+    },
+    onError: () => {
+      toast({ title: 'Failed to mute user', variant: 'destructive' });
+    }
+  });
+
   const recordListenMutation = useMutation({
-    mutationFn: () => postsAPI.recordListen?.(post._id) || Promise.resolve(),
+    mutationFn: (completed?: boolean) => postsAPI.recordListen(post._id, completed),
     onError: () => {
       // Silently fail - listen tracking is not critical
     }
@@ -93,7 +145,21 @@ export default function PostCard({ post }: PostCardProps) {
   };
 
   const handlePlay = () => {
-    recordListenMutation.mutate();
+    recordListenMutation.mutate(false);
+    if (isSavedOffline) markOfflinePlayed(post._id);
+    setWantsDetailedWaveform(true);
+  };
+
+  const handleToggleOffline = () => {
+    if (isSavedOffline) {
+      offline.remove.mutate(post._id);
+    } else {
+      offline.save.mutate({ ...post, audio });
+    }
+  };
+
+  const handleEnded = () => {
+    recordListenMutation.mutate(true);
   };
 
   const handleShare = async () => {
@@ -142,7 +208,7 @@ export default function PostCard({ post }: PostCardProps) {
         <div className="flex items-center space-x-2">
           <span className="text-xs text-muted-foreground">{timeAgo}</span>
           
-          {isAuthor && (
+          {user && (
             <DropdownMenu>
               <DropdownMenuTrigger asChild>
                 <Button variant="ghost" size="sm" className="w-8 h-8 p-0">
@@ -150,13 +216,26 @@ export default function PostCard({ post }: PostCardProps) {
                 </Button>
               </DropdownMenuTrigger>
               <DropdownMenuContent align="end">
-                <DropdownMenuItem
-                  onClick={handleDelete}
-                  className="text-destructive focus:text-destructive"
-                >
-                  <Trash2 className="w-4 h-4 mr-2" />
-                  Delete Post
-                </DropdownMenuItem>
+                {isAuthor ? (
+                  <DropdownMenuItem
+                    onClick={handleDelete}
+                    className="text-destructive focus:text-destructive"
+                  >
+                    <Trash2 className="w-4 h-4 mr-2" />
+                    Delete Post
+                  </DropdownMenuItem>
+                ) : (
+                  <>
+                    <DropdownMenuItem onClick={() => hideMutation.mutate()}>
+                      <EyeOff className="w-4 h-4 mr-2" />
+                      Hide Post
+                    </DropdownMenuItem>
+                    <DropdownMenuItem onClick={() => muteMutation.mutate()}>
+                      <VolumeX className="w-4 h-4 mr-2" />
+                      Mute @{post.authorId.username}
+                    </DropdownMenuItem>
+                  </>
+                )}
               </DropdownMenuContent>
             </DropdownMenu>
           )}
@@ -170,12 +249,22 @@ export default function PostCard({ post }: PostCardProps) {
 
       {/* Audio Player */}
       <div className="space-y-2">
-        <AudioVisualizer audioSrc={post.audio.url} height={80} />
-        <AudioPlayer
-          src={post.audio.url}
-          duration={post.audio.duration}
-          onPlay={handlePlay}
-        />
+        {isProcessing ? (
+          <div className="bg-muted rounded-lg p-4 flex items-center space-x-2 text-sm text-muted-foreground">
+            <div className="w-4 h-4 border-2 border-current border-t-transparent rounded-full animate-spin" />
+            <span>Processing audio...</span>
+          </div>
+        ) : (
+          <AudioPlayer
+            src={`/posts/${post._id}/audio`}
+            renditions={audio.renditions}
+            waveforms={waveforms}
+            offlineId={post._id}
+            duration={audio.duration}
+            onPlay={handlePlay}
+            onEnded={handleEnded}
+          />
+        )}
       </div>
 
       {/* Transcription */}
@@ -204,12 +293,13 @@ export default function PostCard({ post }: PostCardProps) {
       {post.content.tags && post.content.tags.length > 0 && (
         <div className="flex flex-wrap gap-1">
           {post.content.tags.map((tag, index) => (
-            <span
+            <Link
               key={index}
-              className="inline-block bg-primary/10 text-primary text-xs px-2 py-1 rounded-full"
+              to={`/tags/${tag}`}
+              className="inline-block bg-primary/10 text-primary text-xs px-2 py-1 rounded-full hover:bg-primary/20"
             >
               #{tag}
-            </span>
+            </Link>
           ))}
         </div>
       )}
@@ -228,7 +318,12 @@ export default function PostCard({ post }: PostCardProps) {
             <span className="text-xs">{post.engagement.likeCount}</span>
           </Button>
 
-          <Button variant="ghost" size="sm" className="space-x-1">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => setShowComments(!showComments)}
+            className={`space-x-1 ${showComments ? 'text-primary' : ''}`}
+          >
             <MessageCircle className="w-4 h-4" />
             <span className="text-xs">{post.engagement.commentCount}</span>
           </Button>
@@ -244,10 +339,28 @@ export default function PostCard({ post }: PostCardProps) {
           </Button>
         </div>
 
-        <div className="text-xs text-muted-foreground">
-          {post.engagement.listenCount} listens
+        <div className="flex items-center space-x-2">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={handleToggleOffline}
+            disabled={offline.save.isPending || isProcessing}
+            className={`space-x-1 ${isSavedOffline ? 'text-primary' : ''}`}
+            title={isSavedOffline ? 'Remove offline copy' : 'Save for offline'}
+          >
+            {isSavedOffline ? <CheckCircle2 className="w-4 h-4" /> : <Download className="w-4 h-4" />}
+            <span className="text-xs">
+              {offline.save.isPending ? 'Saving...' : isSavedOffline ? 'Saved' : 'Save for offline'}
+            </span>
+          </Button>
+
+          <div className="text-xs text-muted-foreground">
+            {post.engagement.listenCount} listens
+          </div>
         </div>
       </div>
+
+      {showComments && <CommentThread postId={post._id} />}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,132 @@
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Check } from 'lucide-react';
+import { audiencesAPI, usersAPI } from '@/lib/api';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { toast } from '@/hooks/use-toast';
+
+export interface AudienceMember {
+  _id: string;
+  username: string;
+  profile?: {
+    displayName?: string;
+    avatar?: string;
+  };
+}
+
+export interface Audience {
+  _id: string;
+  name: string;
+  memberIds: AudienceMember[];
+}
+
+interface AudienceDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onCreated?: (audience: Audience) => void;
+}
+
+export default function AudienceDialog({ open, onOpenChange, onCreated }: AudienceDialogProps) {
+  const [name, setName] = useState('');
+  const [memberIds, setMemberIds] = useState<string[]>([]);
+  const queryClient = useQueryClient();
+
+  const { data: connections = [], isLoading } = useQuery<AudienceMember[]>({
+    queryKey: ['my-connections'],
+    queryFn: () => usersAPI.getConnections({ limit: 100 }).then(res => res.data.data.connections),
+    enabled: open
+  });
+
+  const createAudience = useMutation({
+    mutationFn: () => audiencesAPI.create({ name: name.trim(), memberIds }),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['audiences'] });
+      onCreated?.(res.data.data.audience);
+      setName('');
+      setMemberIds([]);
+      onOpenChange(false);
+      toast({ title: 'Audience created!' });
+    },
+    onError: () => {
+      toast({ title: 'Failed to create audience', variant: 'destructive' });
+    }
+  });
+
+  const toggleMember = (userId: string) => {
+    setMemberIds(memberIds.includes(userId)
+      ? memberIds.filter(id => id !== userId)
+      : [...memberIds, userId]);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>New Audience</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="audience-name">Name</Label>
+            <Input
+              id="audience-name"
+              placeholder="e.g. Close friends"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={50}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label>Members ({memberIds.length})</Label>
+            <div className="max-h-64 overflow-y-auto space-y-1">
+              {isLoading && (
+                <p className="text-sm text-muted-foreground">Loading connections...</p>
+              )}
+              {!isLoading && connections.length === 0 && (
+                <p className="text-sm text-muted-foreground">
+                  Audiences can only include your connections.
+                </p>
+              )}
+              {connections.map((user) => {
+                const isSelected = memberIds.includes(user._id);
+                return (
+                  <button
+                    key={user._id}
+                    type="button"
+                    onClick={() => toggleMember(user._id)}
+                    className={`flex w-full items-center space-x-3 rounded-lg p-2 text-left hover:bg-accent ${
+                      isSelected ? 'bg-accent' : ''
+                    }`}
+                  >
+                    <Avatar className="w-8 h-8">
+                      <AvatarImage src={user.profile?.avatar} />
+                      <AvatarFallback>{user.username[0]?.toUpperCase()}</AvatarFallback>
+                    </Avatar>
+                    <span className="flex-1 text-sm">
+                      {user.profile?.displayName || user.username}
+                    </span>
+                    {isSelected && <Check className="w-4 h-4 text-primary" />}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button
+            onClick={() => createAudience.mutate()}
+            disabled={!name.trim() || memberIds.length === 0 || createAudience.isPending}
+          >
+            {createAudience.isPending ? 'Creating...' : 'Create Audience'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,22 +1,46 @@
 import { useState, useEffect, createContext, useContext, ReactNode } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import type { AxiosError } from 'axios';
 import { authAPI } from '@/lib/api';
+import { connectRealtime } from '@/lib/realtime';
+import { clearOutbox } from '@/lib/outbox';
+import { clearOfflinePosts } from '@/lib/offlineAudio';
 import { toast } from '@/hooks/use-toast';
 
 interface User {
   id: string;
   email: string;
   username: string;
+  // False until the address is confirmed; unset on older accounts
+  emailVerified?: boolean;
+  twoFactor?: {
+    enabled: boolean;
+  };
   profile?: {
     displayName?: string;
     avatar?: string;
   };
 }
 
+interface AuthSession {
+  user: User;
+  accessToken: string;
+  refreshToken: string;
+}
+
+// Accounts with two-factor authentication get a challenge to answer
+// instead of a session
+export interface LoginResult {
+  challengeToken?: string;
+}
+
 interface AuthContextType {
   user: User | null;
   isAuthenticated: boolean;
   isLoading: boolean;
-  login: (credentials: { email: string; password: string }) => Promise<void>;
+  login: (credentials: { email: string; password: string }) => Promise<LoginResult>;
+  completeTwoFactorLogin: (challengeToken: string, code: string) => Promise<void>;
+  completeGoogleSignIn: (code: string, state: string) => Promise<LoginResult>;
   register: (userData: { email: string; password: string; username: string }) => Promise<void>;
   logout: () => Promise<void>;
   updateUser: (user: User) => void;
@@ -24,9 +48,22 @@ interface AuthContextType {
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
+// Query caches to refresh when a realtime event arrives
+const REALTIME_INVALIDATIONS: Record<string, string[][]> = {
+  // New sign-ins arrive as notifications and belong in the device list
+  notification: [['notifications'], ['sessions']],
+  'post:like': [['posts']],
+  'comment:new': [['comments'], ['posts']],
+  'connection:request': [['connection-requests']],
+  'connection:updated': [['connections'], ['connection-requests'], ['sent-requests']],
+  presence: [['connections']]
+};
+
 export const AuthProvider = ({ children }: { children: ReactNode }) => {
   const [user, setUser] = useState<User | null>(null);
   const [isLoading, setIsLoading] = useState(true);
+  const queryClient = useQueryClient();
+  const isAuthenticated = !!user;
 
   useEffect(() => {
     const token = localStorage.getItem('token');
@@ -37,6 +74,17 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
     }
   }, []);
 
+  // Single realtime subscription for the signed-in user
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    return connectRealtime(({ event }) => {
+      REALTIME_INVALIDATIONS[event]?.forEach((queryKey) => {
+        queryClient.invalidateQueries({ queryKey });
+      });
+    });
+  }, [isAuthenticated, queryClient]);
+
   const loadUser = async () => {
     try {
       // Get current user instead of trying to login with empty credentials
@@ -50,25 +98,54 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
     }
   };
 
-  const login = async (credentials: { email: string; password: string }) => {
+  const startSession = ({ user, accessToken, refreshToken }: AuthSession) => {
+    localStorage.setItem('token', accessToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    setUser(user);
+  };
+
+  const login = async (credentials: { email: string; password: string }): Promise<LoginResult> => {
     try {
       const { data } = await authAPI.login(credentials);
-      localStorage.setItem('token', data.accessToken);
-      localStorage.setItem('refreshToken', data.refreshToken);
-      setUser(data.user);
+      if (data.data.twoFactorRequired) {
+        return { challengeToken: data.data.challengeToken };
+      }
+
+      startSession(data.data);
       toast.success('Welcome back!');
+      return {};
     } catch (error: any) {
       toast.error(error.response?.data?.message || 'Login failed');
       throw error;
     }
   };
 
+  const completeTwoFactorLogin = async (challengeToken: string, code: string) => {
+    try {
+      const { data } = await authAPI.verifyTwoFactorLogin(challengeToken, code);
+      startSession(data.data);
+      toast({ title: 'Welcome back!' });
+    } catch (error) {
+      toast({ title: (error as AxiosError<{ message?: string }>).response?.data?.message || 'Verification failed', variant: 'destructive' });
+      throw error;
+    }
+  };
+
+  const completeGoogleSignIn = async (code: string, state: string): Promise<LoginResult> => {
+    const { data } = await authAPI.googleSignIn(code, state);
+    if (data.data.twoFactorRequired) {
+      return { challengeToken: data.data.challengeToken };
+    }
+
+    startSession(data.data);
+    toast({ title: data.data.created ? 'Account created successfully!' : 'Welcome back!' });
+    return {};
+  };
+
   const register = async (userData: { email: string; password: string; username: string }) => {
     try {
       const { data } = await authAPI.register(userData);
-      localStorage.setItem('token', data.accessToken);
-      localStorage.setItem('refreshToken', data.refreshToken);
-      setUser(data.user);
+      startSession(data.data);
       toast.success('Account created successfully!');
     } catch (error: any) {
       toast.error(error.response?.data?.message || 'Registration failed');
@@ -84,6 +161,11 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
     } finally {
       localStorage.removeItem('token');
       localStorage.removeItem('refreshToken');
+      // Unsent recordings and saved posts belong to this account; never
+      // post or play them as another
+      clearOutbox().catch(() => {});
+      clearOfflinePosts().catch(() => {});
+      queryClient.removeQueries({ queryKey: ['offline-posts'] });
       setUser(null);
       toast.success('Logged out successfully');
     }
@@ -97,9 +179,11 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
     <AuthContext.Provider
       value={{
         user,
-        isAuthenticated: !!user,
+        isAuthenticated,
         isLoading,
         login,
+        completeTwoFactorLogin,
+        completeGoogleSignIn,
         register,
         logout,
         updateUser
@@ -0,0 +1,66 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import {
+  getOfflinePosts,
+  getOfflineQuota,
+  removeOfflinePost,
+  saveOfflinePost,
+  setOfflineQuota,
+  type SavablePost
+} from '@/lib/offlineAudio';
+import { toast } from '@/hooks/use-toast';
+
+// Saved posts live on the device, so these never wait for the network
+const OFFLINE_QUERY_KEY = ['offline-posts'];
+
+export const useOfflinePosts = () => {
+  const queryClient = useQueryClient();
+  const invalidate = () => queryClient.invalidateQueries({ queryKey: OFFLINE_QUERY_KEY });
+
+  const { data: posts = [], isLoading } = useQuery({
+    queryKey: OFFLINE_QUERY_KEY,
+    queryFn: getOfflinePosts,
+    networkMode: 'always',
+    staleTime: Infinity
+  });
+
+  const { data: quota = getOfflineQuota() } = useQuery({
+    queryKey: [...OFFLINE_QUERY_KEY, 'quota'],
+    queryFn: getOfflineQuota,
+    networkMode: 'always',
+    staleTime: Infinity
+  });
+
+  const save = useMutation({
+    mutationFn: (post: SavablePost) => saveOfflinePost(post),
+    onSuccess: () => {
+      invalidate();
+      toast({ title: 'Saved for offline listening' });
+    },
+    onError: (error: Error) => {
+      toast({ title: error.message || 'Failed to save for offline', variant: 'destructive' });
+    }
+  });
+
+  const remove = useMutation({
+    mutationFn: (postId: string) => removeOfflinePost(postId),
+    networkMode: 'always',
+    onSuccess: invalidate
+  });
+
+  const updateQuota = useMutation({
+    mutationFn: (bytes: number) => setOfflineQuota(bytes),
+    networkMode: 'always',
+    onSuccess: invalidate
+  });
+
+  return {
+    posts,
+    isLoading,
+    quota,
+    used: posts.reduce((total, post) => total + post.size, 0),
+    isSaved: (postId: string) => posts.some((post) => post.postId === postId),
+    save,
+    remove,
+    updateQuota
+  };
+};
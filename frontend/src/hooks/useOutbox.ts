@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import {
+  discardOutboxEntry,
+  flushOutbox,
+  getOutbox,
+  retryOutboxEntry,
+  subscribeOutbox,
+  type OutboxEntry
+} from '@/lib/outbox';
+import { useAuth } from '@/hooks/useAuth';
+import { toast } from '@/hooks/use-toast';
+
+export const useOutbox = () => {
+  const [entries, setEntries] = useState<OutboxEntry[]>([]);
+  const { isAuthenticated } = useAuth();
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    let active = true;
+    const refresh = () => {
+      getOutbox().then((list) => {
+        if (active) setEntries(list);
+      });
+    };
+    const flush = () => {
+      flushOutbox();
+    };
+
+    const unsubscribe = subscribeOutbox((event) => {
+      refresh();
+      if (event.type === 'posted') {
+        queryClient.invalidateQueries({ queryKey: ['posts'] });
+        toast({ title: 'Queued post published' });
+      }
+    });
+
+    // The service worker defers to an open tab, which can refresh tokens
+    const handleMessage = (event: MessageEvent) => {
+      if (event.data?.type === 'outbox:flush') flush();
+    };
+
+    refresh();
+    if (navigator.onLine) flush();
+    window.addEventListener('online', flush);
+    navigator.serviceWorker?.addEventListener('message', handleMessage);
+
+    return () => {
+      active = false;
+      unsubscribe();
+      window.removeEventListener('online', flush);
+      navigator.serviceWorker?.removeEventListener('message', handleMessage);
+    };
+  }, [isAuthenticated, queryClient]);
+
+  return {
+    entries,
+    retry: retryOutboxEntry,
+    discard: discardOutboxEntry
+  };
+};
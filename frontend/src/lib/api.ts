@@ -22,6 +22,35 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// Refresh tokens are single use: the server rotates them on every refresh
+// and treats a second use of the same one as theft, revoking the session.
+// So concurrent 401s share one refresh, and the rotated token is stored.
+// Tabs share the tokens too, so a lock makes them take turns: whoever gets
+// it second finds the token already refreshed and uses that.
+let refreshing: Promise<string> | null = null;
+
+const withRefreshLock = <T,>(callback: () => Promise<T>) =>
+  navigator.locks ? navigator.locks.request('echo-token-refresh', callback) : callback();
+
+const refreshAccessToken = (staleToken?: string) => {
+  refreshing ??= withRefreshLock(async () => {
+    const currentToken = localStorage.getItem('token');
+    if (currentToken && currentToken !== staleToken) return currentToken;
+
+    const { data } = await axios.post(`${API_URL}/api/auth/refresh`, {
+      refreshToken: localStorage.getItem('refreshToken')
+    });
+    const { accessToken, refreshToken } = data.data;
+    localStorage.setItem('token', accessToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    return accessToken as string;
+  }).finally(() => {
+    refreshing = null;
+  });
+
+  return refreshing;
+};
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
@@ -32,14 +61,10 @@ api.interceptors.response.use(
       originalRequest._retry = true;
       
       try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        const { data } = await axios.post(`${API_URL}/api/auth/refresh`, {
-          refreshToken
-        });
-        
-        localStorage.setItem('token', data.accessToken);
-        api.defaults.headers.Authorization = `Bearer ${data.accessToken}`;
-        originalRequest.headers.Authorization = `Bearer ${data.accessToken}`;
+        const sentToken = originalRequest.headers.Authorization?.replace(/^Bearer /, '');
+        const accessToken = await refreshAccessToken(sentToken);
+
+        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
         
         return api(originalRequest);
       } catch (refreshError) {
@@ -54,10 +79,42 @@ api.interceptors.response.use(
   }
 );
 
+// Absolute URL for a media endpoint. <audio> elements cannot send the
+// Authorization header, so signed-in users get a short-lived token for this
+// one file in the query. The URL stops working at expiresAt.
+export const getMediaUrl = async (path: string, params: Record<string, string> = {}) => {
+  const query = new URLSearchParams(params);
+  let expiresAt = Infinity;
+
+  if (localStorage.getItem('token')) {
+    const { data } = await api.post(`${path}/token`);
+    query.set('token', data.data.token);
+    expiresAt = new Date(data.data.expiresAt).getTime();
+  }
+
+  const queryString = query.toString();
+  return { url: `${API_URL}/api${path}${queryString ? `?${queryString}` : ''}`, expiresAt };
+};
+
+export interface AudioRendition {
+  format: string;
+  mimeType: string;
+}
+
+// First rendition this browser can decode, e.g. AAC on Safari without Opus
+export const pickRendition = (renditions: AudioRendition[] = []) => {
+  const probe = document.createElement('audio');
+  return renditions.find(({ mimeType }) => probe.canPlayType(mimeType) !== '');
+};
+
 // API endpoints
 export const authAPI = {
   login: (credentials: { email: string; password: string }) =>
     api.post('/auth/login', credentials),
+
+  // Second login step, with the challenge token from login
+  verifyTwoFactorLogin: (challengeToken: string, code: string) =>
+    api.post('/auth/login/2fa', { challengeToken, code }),
   
   register: (userData: { email: string; password: string; username: string }) =>
     api.post('/auth/register', userData),
@@ -69,17 +126,72 @@ export const authAPI = {
     api.post('/auth/logout'),
   
   refreshToken: (refreshToken: string) =>
-    api.post('/auth/refresh', { refreshToken })
+    api.post('/auth/refresh', { refreshToken }),
+
+  verifyEmail: (token: string) =>
+    api.post('/auth/verify-email', { token }),
+
+  resendVerification: () =>
+    api.post('/auth/verify-email/resend'),
+
+  forgotPassword: (email: string) =>
+    api.post('/auth/forgot-password', { email }),
+
+  resetPassword: (token: string, password: string) =>
+    api.post('/auth/reset-password', { token, password }),
+
+  getSessions: () =>
+    api.get('/auth/sessions'),
+
+  revokeSession: (sessionId: string) =>
+    api.delete(`/auth/sessions/${sessionId}`),
+
+  // Sign out every device except this one
+  revokeOtherSessions: () =>
+    api.delete('/auth/sessions'),
+
+  getTwoFactorStatus: () =>
+    api.get('/auth/2fa'),
+
+  setupTwoFactor: () =>
+    api.post('/auth/2fa/setup'),
+
+  enableTwoFactor: (code: string) =>
+    api.post('/auth/2fa/enable', { code }),
+
+  disableTwoFactor: (password: string, code: string) =>
+    api.post('/auth/2fa/disable', { password, code }),
+
+  regenerateRecoveryCodes: (password: string, code: string) =>
+    api.post('/auth/2fa/recovery-codes', { password, code }),
+
+  getGoogleSignInUrl: (includeDrive: boolean) =>
+    api.get('/auth/google/signin/url', { params: { includeDrive } }),
+
+  googleSignIn: (code: string, state: string) =>
+    api.post('/auth/google/signin', { code, state }),
+
+  getGoogleStatus: () =>
+    api.get('/auth/google'),
+
+  getGoogleLinkUrl: (includeDrive: boolean) =>
+    api.get('/auth/google/link/url', { params: { includeDrive } }),
+
+  linkGoogle: (code: string, state: string) =>
+    api.post('/auth/google/link', { code, state }),
+
+  unlinkGoogle: () =>
+    api.delete('/auth/google/link')
 };
 
 export const postsAPI = {
   getAll: (params?: { page?: number; limit?: number }) =>
     api.get('/posts/explore', { params }),
   
-  getFeed: (params?: { page?: number; limit?: number }) =>
+  getFeed: (params?: { mode?: 'latest' | 'top'; cursor?: string; limit?: number }) =>
     api.get('/posts/feed', { params }),
   
-  getTrending: (params?: { page?: number; limit?: number }) =>
+  getTrending: (params?: { window?: '1h' | '24h' | '7d'; limit?: number; skip?: number }) =>
     api.get('/posts/trending', { params }),
   
   getExplore: (params?: { page?: number; limit?: number }) =>
@@ -88,10 +200,16 @@ export const postsAPI = {
   getById: (id: string) =>
     api.get(`/posts/${id}`),
   
-  create: (formData: FormData) =>
-    api.post('/posts', formData, {
+  // Post lists carry only the smallest waveform; this has every resolution
+  getWaveforms: (id: string) =>
+    api.get(`/posts/${id}/waveforms`),
+  
+  // Either a multipart form with the audio file, or JSON naming a
+  // finalized resumable upload by uploadId
+  create: (data: FormData | Record<string, unknown>) =>
+    api.post('/posts', data, data instanceof FormData ? {
       headers: { 'Content-Type': 'multipart/form-data' }
-    }),
+    } : undefined),
   
   delete: (id: string) =>
     api.delete(`/posts/${id}`),
@@ -99,26 +217,66 @@ export const postsAPI = {
   like: (id: string) =>
     api.post(`/posts/${id}/like`),
   
-  recordListen: (id: string) =>
-    api.post(`/posts/${id}/listen`),
+  recordListen: (id: string, completed?: boolean) =>
+    api.post(`/posts/${id}/listen`, completed ? { completed } : {}),
+
+  hide: (id: string) =>
+    api.post(`/posts/${id}/hide`),
+
+  unhide: (id: string) =>
+    api.delete(`/posts/${id}/hide`),
 
   getUserPosts: (userId: string, params?: { page?: number; limit?: number }) =>
     api.get(`/posts/user/${userId}`, { params })
 };
 
+type CommentTreeParams = { limit?: number; replies?: number; depth?: number; cursor?: string };
+
 export const commentsAPI = {
   getByPost: (postId: string) =>
     api.get(`/comments/posts/${postId}/comments`),
+
+  getTree: (postId: string, params?: CommentTreeParams & { sort?: 'top' | 'new' }) =>
+    api.get(`/comments/posts/${postId}/comments/tree`, { params }),
+
+  getReplies: (commentId: string, params?: CommentTreeParams) =>
+    api.get(`/comments/${commentId}/replies/tree`, { params }),
   
-  create: (postId: string, formData: FormData) =>
-    api.post(`/comments/posts/${postId}/comments`, formData, {
+  // Either a multipart form with the audio file, or JSON naming a
+  // finalized resumable upload by uploadId
+  create: (postId: string, data: FormData | { uploadId: string; parentCommentId?: string }) =>
+    api.post(`/comments/posts/${postId}/comments`, data, data instanceof FormData ? {
       headers: { 'Content-Type': 'multipart/form-data' }
-    }),
+    } : undefined),
+
+  like: (commentId: string) =>
+    api.post(`/comments/${commentId}/like`),
   
   delete: (postId: string, commentId: string) =>
     api.delete(`/comments/${commentId}`)
 };
 
+export const uploadsAPI = {
+  create: (file: { fileName: string; mimeType: string; size: number; checksum?: string }) =>
+    api.post('/uploads', file),
+
+  get: (uploadId: string) =>
+    api.get(`/uploads/${uploadId}`),
+
+  appendChunk: (uploadId: string, offset: number, checksum: string, chunk: Blob, signal?: AbortSignal) =>
+    api.put(`/uploads/${uploadId}/chunk`, chunk, {
+      params: { offset, checksum },
+      headers: { 'Content-Type': 'application/octet-stream' },
+      signal
+    }),
+
+  finalize: (uploadId: string) =>
+    api.post(`/uploads/${uploadId}/finalize`),
+
+  cancel: (uploadId: string) =>
+    api.delete(`/uploads/${uploadId}`)
+};
+
 export const usersAPI = {
   getProfile: (userId?: string) =>
     api.get(userId ? `/users/${userId}` : '/users/me'),
@@ -132,7 +290,39 @@ export const usersAPI = {
     api.get('/users/search', { params: { q: query } }),
   
   getStorageInfo: () =>
-    api.get('/users/me/storage')
+    api.get('/users/me/storage'),
+
+  updateStoragePreference: (preference: string) =>
+    api.put('/users/me/storage/preference', { preference }),
+
+  getStorageMigration: () =>
+    api.get('/users/me/storage/migrate'),
+
+  startStorageMigration: (targetType?: string) =>
+    api.post('/users/me/storage/migrate', { targetType }),
+
+  getConnections: (params?: { limit?: number; skip?: number }) =>
+    api.get('/users/me/connections', { params }),
+
+  mute: (userId: string) =>
+    api.post(`/users/${userId}/mute`),
+
+  unmute: (userId: string) =>
+    api.delete(`/users/${userId}/mute`)
+};
+
+export const audiencesAPI = {
+  getAll: () =>
+    api.get('/users/me/audiences'),
+
+  create: (data: { name: string; memberIds?: string[] }) =>
+    api.post('/users/me/audiences', data),
+
+  update: (audienceId: string, data: { name?: string; memberIds?: string[] }) =>
+    api.put(`/users/me/audiences/${audienceId}`, data),
+
+  delete: (audienceId: string) =>
+    api.delete(`/users/me/audiences/${audienceId}`)
 };
 
 export const connectionsAPI = {
@@ -174,3 +364,45 @@ export const contactAPI = {
   reveal: (userId: string) =>
     api.post(`/contact/${userId}/request`)
 };
+
+export const searchAPI = {
+  search: (params: { q: string; type?: 'all' | 'posts' | 'comments' | 'users'; limit?: number; skip?: number }) =>
+    api.get('/search', { params })
+};
+
+export const tagsAPI = {
+  get: (slug: string) =>
+    api.get(`/tags/${slug}`),
+
+  getPosts: (slug: string, params?: { limit?: number; skip?: number }) =>
+    api.get(`/tags/${slug}/posts`, { params }),
+
+  getTrending: (params?: { window?: '1h' | '24h' | '7d'; limit?: number }) =>
+    api.get('/tags/trending', { params }),
+
+  getFollowing: () =>
+    api.get('/tags/following'),
+
+  follow: (slug: string) =>
+    api.post(`/tags/${slug}/follow`),
+
+  unfollow: (slug: string) =>
+    api.delete(`/tags/${slug}/follow`)
+};
+
+export const notificationsAPI = {
+  getAll: (params?: { limit?: number; cursor?: string; unread?: boolean }) =>
+    api.get('/notifications', { params }),
+
+  getUnreadCount: () =>
+    api.get('/notifications/unread-count'),
+
+  markAsRead: (notificationId: string) =>
+    api.put(`/notifications/${notificationId}/read`),
+
+  markAllAsRead: () =>
+    api.put('/notifications/read-all'),
+
+  delete: (notificationId: string) =>
+    api.delete(`/notifications/${notificationId}`)
+};
@@ -0,0 +1,40 @@
+import { authAPI } from '@/lib/api';
+
+// Leaving for Google's consent screen and coming back. The state the
+// backend signed is kept for the tab, so the callback page only accepts a
+// response to a request this tab started.
+
+const STORAGE_KEY = 'echo-google-auth';
+
+export type GoogleAuthIntent = 'signin' | 'link';
+
+interface PendingGoogleAuth {
+  intent: GoogleAuthIntent;
+  state: string;
+}
+
+export async function startGoogleAuth(intent: GoogleAuthIntent, includeDrive: boolean) {
+  const res = intent === 'link'
+    ? await authAPI.getGoogleLinkUrl(includeDrive)
+    : await authAPI.getGoogleSignInUrl(includeDrive);
+  const { authUrl, state } = res.data.data;
+
+  const pending: PendingGoogleAuth = { intent, state };
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(pending));
+  window.location.assign(authUrl);
+}
+
+// The pending request matching the state Google returned, used up so a
+// reload cannot replay it
+export function takeGoogleAuth(state: string | null): PendingGoogleAuth | null {
+  const stored = sessionStorage.getItem(STORAGE_KEY);
+  sessionStorage.removeItem(STORAGE_KEY);
+  if (!stored || !state) return null;
+
+  try {
+    const pending = JSON.parse(stored) as PendingGoogleAuth;
+    return pending.state === state ? pending : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,33 @@
+// Small promise wrappers over IndexedDB for the offline stores
+
+export const promisify = <T>(request: IDBRequest<T>) =>
+  new Promise<T>((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Create a lazy, memoized opener for a database. `upgrade` creates the
+ * object stores the first time (or when the version is bumped).
+ */
+export const createDatabase = (name: string, version: number, upgrade: (db: IDBDatabase) => void) => {
+  let dbPromise: Promise<IDBDatabase> | null = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = () => upgrade(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  };
+
+  return async (storeName: string, mode: IDBTransactionMode = 'readonly') =>
+    (await open()).transaction(storeName, mode).objectStore(storeName);
+};
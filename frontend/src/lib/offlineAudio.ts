@@ -0,0 +1,161 @@
+import { api, pickRendition, type AudioRendition } from '@/lib/api';
+import { createDatabase, promisify } from '@/lib/idb';
+import type { WaveformData } from '@/components/audio/Waveform';
+
+// Posts saved for offline listening. The audio lives in Cache Storage, where
+// public/offline-audio-sw.js can serve it when the network is gone; what the
+// Downloads page needs to show it lives in IndexedDB.
+
+const DB_NAME = 'echo-offline';
+const DB_VERSION = 1;
+const POSTS_STORE = 'posts';
+const AUDIO_CACHE = 'echo-offline-audio';
+const QUOTA_KEY = 'offline-quota';
+
+const MB = 1024 * 1024;
+export const OFFLINE_QUOTA_OPTIONS = [100 * MB, 250 * MB, 500 * MB, 1024 * MB];
+const DEFAULT_QUOTA = 250 * MB;
+
+export interface SavablePost {
+  _id: string;
+  authorId: {
+    username: string;
+    profile: { displayName?: string; avatar?: string };
+  };
+  audio: {
+    duration: number;
+    renditions?: AudioRendition[];
+    waveforms?: WaveformData[];
+  };
+  content: {
+    title?: string;
+    transcription?: string;
+  };
+}
+
+export interface OfflinePost {
+  postId: string;
+  title?: string;
+  author: { username: string; displayName?: string; avatar?: string };
+  duration: number;
+  mimeType: string;
+  waveforms?: WaveformData[];
+  transcription?: string;
+  size: number;
+  savedAt: number;
+  /** Drives least-recently-used eviction */
+  lastPlayedAt: number;
+}
+
+const getStore = createDatabase(DB_NAME, DB_VERSION, (db) => {
+  if (!db.objectStoreNames.contains(POSTS_STORE)) {
+    db.createObjectStore(POSTS_STORE, { keyPath: 'postId' });
+  }
+});
+
+// Token-free cache key, so the copy outlives access token rotation. Keep
+// in sync with public/offline-audio-sw.js.
+const getAudioKey = (postId: string) => `/offline-audio/${postId}`;
+
+export const getOfflineQuota = () => Number(localStorage.getItem(QUOTA_KEY)) || DEFAULT_QUOTA;
+
+export const getOfflinePosts = async (): Promise<OfflinePost[]> => {
+  const posts: OfflinePost[] = await promisify((await getStore(POSTS_STORE)).getAll());
+  return posts.sort((a, b) => b.savedAt - a.savedAt);
+};
+
+export const removeOfflinePost = async (postId: string) => {
+  await promisify((await getStore(POSTS_STORE, 'readwrite')).delete(postId));
+  await (await caches.open(AUDIO_CACHE)).delete(getAudioKey(postId));
+};
+
+// Drop least recently played posts until `incoming` more bytes fit
+const evictToFit = async (incoming: number, quota = getOfflineQuota()) => {
+  const posts = (await getOfflinePosts()).sort((a, b) => a.lastPlayedAt - b.lastPlayedAt);
+  let used = posts.reduce((total, post) => total + post.size, 0);
+
+  for (const post of posts) {
+    if (used + incoming <= quota) break;
+    await removeOfflinePost(post.postId);
+    used -= post.size;
+  }
+};
+
+/**
+ * Forget every saved post, e.g. on logout since some may be private
+ */
+export const clearOfflinePosts = async () => {
+  await promisify((await getStore(POSTS_STORE, 'readwrite')).clear());
+  await caches.delete(AUDIO_CACHE);
+};
+
+export const setOfflineQuota = async (quota: number) => {
+  localStorage.setItem(QUOTA_KEY, String(quota));
+  await evictToFit(0, quota);
+};
+
+/**
+ * Download a post's audio (in a format this browser plays) and keep it,
+ * with its waveform and transcript, for listening offline
+ */
+export const saveOfflinePost = async (post: SavablePost) => {
+  const rendition = pickRendition(post.audio.renditions);
+  const { data: audio } = await api.get<Blob>(`/posts/${post._id}/audio`, {
+    params: rendition ? { format: rendition.format } : undefined,
+    responseType: 'blob'
+  });
+  // Posts from a feed only carry the coarse waveform
+  const waveforms = await api
+    .get(`/posts/${post._id}/waveforms`)
+    .then(res => res.data.data.waveforms as WaveformData[]);
+
+  if (audio.size > getOfflineQuota()) {
+    throw new Error('This post is larger than your offline storage limit');
+  }
+  await evictToFit(audio.size);
+
+  const mimeType = rendition?.mimeType || audio.type;
+  await (await caches.open(AUDIO_CACHE)).put(
+    getAudioKey(post._id),
+    new Response(audio, {
+      headers: { 'Content-Type': mimeType, 'Content-Length': String(audio.size) }
+    })
+  );
+
+  const offlinePost: OfflinePost = {
+    postId: post._id,
+    title: post.content.title,
+    author: {
+      username: post.authorId.username,
+      displayName: post.authorId.profile.displayName,
+      avatar: post.authorId.profile.avatar
+    },
+    duration: post.audio.duration,
+    mimeType,
+    waveforms,
+    transcription: post.content.transcription,
+    size: audio.size,
+    savedAt: Date.now(),
+    lastPlayedAt: Date.now()
+  };
+  await promisify((await getStore(POSTS_STORE, 'readwrite')).put(offlinePost));
+
+  // Ask the browser not to clear the cache under storage pressure
+  navigator.storage?.persist?.().catch(() => {});
+
+  return offlinePost;
+};
+
+export const markOfflinePlayed = async (postId: string) => {
+  const store = await getStore(POSTS_STORE, 'readwrite');
+  const post: OfflinePost | undefined = await promisify(store.get(postId));
+  if (post) await promisify(store.put({ ...post, lastPlayedAt: Date.now() }));
+};
+
+/**
+ * Object URL for a saved post's audio; the caller revokes it
+ */
+export const getOfflineAudioUrl = async (postId: string) => {
+  const response = await (await caches.open(AUDIO_CACHE)).match(getAudioKey(postId));
+  return response ? URL.createObjectURL(await response.blob()) : null;
+};
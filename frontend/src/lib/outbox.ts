@@ -0,0 +1,226 @@
+import type { AxiosError } from 'axios';
+import { postsAPI, uploadsAPI } from '@/lib/api';
+import { uploadResumable } from '@/lib/resumableUpload';
+import { createDatabase, promisify } from '@/lib/idb';
+
+// Recordings waiting to be posted, kept in IndexedDB so they survive going
+// offline or closing the app. public/outbox-sw.js reads the same database
+// to post them from the service worker via Background Sync.
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const DB_NAME = 'echo-outbox';
+const DB_VERSION = 1;
+const POSTS_STORE = 'posts';
+const META_STORE = 'meta';
+const SYNC_TAG = 'outbox-sync';
+const CHANNEL_NAME = 'echo-outbox';
+
+// An "uploading" entry not touched for this long was abandoned mid-upload
+const UPLOAD_LOCK_MS = 2 * 60 * 1000;
+
+export type OutboxStatus = 'pending' | 'uploading' | 'failed';
+
+export interface OutboxPost {
+  audio: Blob;
+  fileName: string;
+  title: string;
+  tags: string[];
+  privacy: string;
+  audienceId?: string;
+  /** Resumable upload session already started for this recording */
+  uploadId?: string | null;
+}
+
+export interface OutboxEntry extends OutboxPost {
+  id: string;
+  status: OutboxStatus;
+  progress: number;
+  error?: string;
+  createdAt: number;
+  updatedAt: number;
+}
+
+export type OutboxEvent = { type: 'changed' } | { type: 'posted'; id: string };
+
+const listeners = new Set<(event: OutboxEvent) => void>();
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+channel?.addEventListener('message', (event: MessageEvent<OutboxEvent>) => {
+  listeners.forEach((listener) => listener(event.data));
+});
+
+const getStore = createDatabase(DB_NAME, DB_VERSION, (db) => {
+  if (!db.objectStoreNames.contains(POSTS_STORE)) {
+    db.createObjectStore(POSTS_STORE, { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains(META_STORE)) {
+    db.createObjectStore(META_STORE);
+  }
+});
+
+// Tell this tab and every other tab (and the service worker's clients)
+const emit = (event: OutboxEvent) => {
+  listeners.forEach((listener) => listener(event));
+  channel?.postMessage(event);
+};
+
+export const subscribeOutbox = (listener: (event: OutboxEvent) => void) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+export const getOutbox = async (): Promise<OutboxEntry[]> => {
+  const entries: OutboxEntry[] = await promisify((await getStore(POSTS_STORE)).getAll());
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+const updateEntry = async (id: string, changes: Partial<OutboxEntry>) => {
+  const store = await getStore(POSTS_STORE, 'readwrite');
+  const entry: OutboxEntry | undefined = await promisify(store.get(id));
+  if (!entry) return;
+  await promisify(store.put({ ...entry, ...changes, updatedAt: Date.now() }));
+  emit({ type: 'changed' });
+};
+
+// Take an entry for uploading. Runs in one transaction so a tab and the
+// service worker never upload the same recording at once.
+const claimEntry = async (id: string) => {
+  const store = await getStore(POSTS_STORE, 'readwrite');
+  const entry: OutboxEntry | undefined = await promisify(store.get(id));
+  if (!entry || entry.status === 'failed') return null;
+  if (entry.status === 'uploading' && Date.now() - entry.updatedAt < UPLOAD_LOCK_MS) return null;
+
+  const claimed = { ...entry, status: 'uploading' as const, error: undefined, updatedAt: Date.now() };
+  await promisify(store.put(claimed));
+  emit({ type: 'changed' });
+  return claimed;
+};
+
+// Hand the service worker what it needs to post while no tab is open
+const saveSyncAuth = async () => {
+  const token = localStorage.getItem('token');
+  const store = await getStore(META_STORE, 'readwrite');
+  await promisify(token ? store.put({ token, apiUrl: `${API_URL}/api` }, 'auth') : store.delete('auth'));
+};
+
+/**
+ * Ask the service worker to post the outbox once the connection is back.
+ * Browsers without Background Sync fall back to the "online" event.
+ */
+export const requestOutboxSync = async () => {
+  await saveSyncAuth();
+  if (!('serviceWorker' in navigator)) return;
+
+  const registration = (await navigator.serviceWorker.ready) as ServiceWorkerRegistration & {
+    sync?: { register: (tag: string) => Promise<void> };
+  };
+  await registration.sync?.register(SYNC_TAG).catch(() => {
+    // Sync permission denied; the app flushes when it is next online
+  });
+};
+
+export const addToOutbox = async (post: OutboxPost) => {
+  const entry: OutboxEntry = {
+    ...post,
+    id: crypto.randomUUID(),
+    status: 'pending',
+    progress: 0,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+
+  await promisify((await getStore(POSTS_STORE, 'readwrite')).add(entry));
+  emit({ type: 'changed' });
+  await requestOutboxSync();
+  return entry;
+};
+
+const uploadEntry = async (entry: OutboxEntry) => {
+  try {
+    const uploadId = await uploadResumable(entry.audio, {
+      fileName: entry.fileName,
+      uploadId: entry.uploadId,
+      onSession: (id) => {
+        updateEntry(entry.id, { uploadId: id });
+      },
+      onProgress: (progress) => {
+        updateEntry(entry.id, { progress });
+      }
+    });
+
+    await postsAPI.create({
+      uploadId,
+      ...(entry.title.trim() && { title: entry.title }),
+      tags: entry.tags,
+      privacy: entry.privacy,
+      ...(entry.audienceId && { audienceId: entry.audienceId })
+    });
+
+    await promisify((await getStore(POSTS_STORE, 'readwrite')).delete(entry.id));
+    emit({ type: 'posted', id: entry.id });
+  } catch (error) {
+    const { isAxiosError, response, message } = error as AxiosError<{ message?: string }>;
+
+    // Still offline: leave it queued for the next sync
+    if (isAxiosError && !response) {
+      await updateEntry(entry.id, { status: 'pending' });
+      await requestOutboxSync();
+      return;
+    }
+
+    await updateEntry(entry.id, {
+      status: 'failed',
+      error: response.data?.message || message
+    });
+  }
+};
+
+let flushing: Promise<void> | null = null;
+
+/**
+ * Post every pending recording from this tab, one at a time
+ */
+export const flushOutbox = () => {
+  if (!flushing) {
+    flushing = (async () => {
+      for (const { id } of await getOutbox()) {
+        if (!navigator.onLine) break;
+        const entry = await claimEntry(id);
+        if (entry) await uploadEntry(entry);
+      }
+    })().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+};
+
+export const retryOutboxEntry = async (id: string) => {
+  await updateEntry(id, { status: 'pending', error: undefined });
+  return flushOutbox();
+};
+
+export const discardOutboxEntry = async (id: string) => {
+  const store = await getStore(POSTS_STORE, 'readwrite');
+  const entry: OutboxEntry | undefined = await promisify(store.get(id));
+  if (!entry) return;
+
+  await promisify(store.delete(id));
+  emit({ type: 'changed' });
+
+  if (entry.uploadId) {
+    uploadsAPI.cancel(entry.uploadId).catch(() => {});
+  }
+};
+
+/**
+ * Drop everything queued, e.g. on logout so another account never posts it
+ */
+export const clearOutbox = async () => {
+  await promisify((await getStore(POSTS_STORE, 'readwrite')).clear());
+  await promisify((await getStore(META_STORE, 'readwrite')).clear());
+  emit({ type: 'changed' });
+};
@@ -0,0 +1,54 @@
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+const WS_URL = `${API_URL.replace(/^http/, 'ws')}/ws`;
+
+const MAX_RECONNECT_DELAY = 30 * 1000;
+
+export interface RealtimeMessage {
+  event: string;
+  data: Record<string, unknown>;
+  timestamp: string;
+}
+
+// Opens the authenticated realtime socket and keeps it open with exponential
+// backoff. Returns a function that closes the connection for good.
+export const connectRealtime = (onMessage: (message: RealtimeMessage) => void) => {
+  let socket: WebSocket | null = null;
+  let reconnectTimer: ReturnType<typeof setTimeout> | undefined;
+  let attempts = 0;
+  let closed = false;
+
+  const open = () => {
+    // Read the token on every attempt so refreshed tokens are picked up
+    const token = localStorage.getItem('token');
+    if (!token || closed) return;
+
+    socket = new WebSocket(`${WS_URL}?token=${encodeURIComponent(token)}`);
+
+    socket.onopen = () => {
+      attempts = 0;
+    };
+
+    socket.onmessage = (event) => {
+      try {
+        onMessage(JSON.parse(event.data));
+      } catch {
+        // Ignore malformed messages
+      }
+    };
+
+    socket.onclose = () => {
+      if (closed) return;
+      const delay = Math.min(1000 * 2 ** attempts, MAX_RECONNECT_DELAY);
+      attempts += 1;
+      reconnectTimer = setTimeout(open, delay);
+    };
+  };
+
+  open();
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    socket?.close();
+  };
+};
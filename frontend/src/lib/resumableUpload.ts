@@ -0,0 +1,176 @@
+import type { AxiosError } from 'axios';
+import { uploadsAPI } from '@/lib/api';
+
+export type UploadStatus = 'uploading' | 'processing' | 'ready' | 'claimed' | 'failed';
+
+export interface UploadState {
+  uploadId: string;
+  status: UploadStatus;
+  size: number;
+  receivedBytes: number;
+  chunkSize: number;
+  expiresAt: string;
+  error?: string;
+}
+
+export type UploadPhase = 'uploading' | 'waiting' | 'processing';
+
+interface ResumableUploadOptions {
+  fileName: string;
+  /** Session from an earlier attempt to pick up where it stopped */
+  uploadId?: string | null;
+  onSession?: (uploadId: string) => void;
+  onProgress?: (fraction: number) => void;
+  onPhaseChange?: (phase: UploadPhase) => void;
+  signal?: AbortSignal;
+}
+
+// Consecutive failures tolerated before giving up; a successful request resets the count
+const MAX_ATTEMPTS = 8;
+const MAX_BACKOFF_MS = 30000;
+const PROCESSING_POLL_MS = 2000;
+
+const toHex = (buffer: ArrayBuffer) =>
+  Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const sha256 = async (data: Blob) =>
+  toHex(await crypto.subtle.digest('SHA-256', await data.arrayBuffer()));
+
+const abortError = () => new DOMException('Upload aborted', 'AbortError');
+
+const sleep = (ms: number, signal?: AbortSignal) =>
+  new Promise<void>((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(done, ms);
+    function done() {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    }
+    function abort() {
+      clearTimeout(timer);
+      reject(abortError());
+    }
+    signal?.addEventListener('abort', abort, { once: true });
+  });
+
+// Wait out a failure: until the browser is back online, then back off
+const waitForRetry = async (attempt: number, signal?: AbortSignal) => {
+  if (!navigator.onLine) {
+    await new Promise<void>((resolve, reject) => {
+      const online = () => {
+        signal?.removeEventListener('abort', abort);
+        resolve();
+      };
+      const abort = () => {
+        window.removeEventListener('online', online);
+        reject(abortError());
+      };
+      window.addEventListener('online', online, { once: true });
+      signal?.addEventListener('abort', abort, { once: true });
+    });
+  }
+  await sleep(Math.min(1000 * 2 ** (attempt - 1), MAX_BACKOFF_MS), signal);
+};
+
+// Dropped connections, server hiccups and offset conflicts are worth
+// another go; validation failures and failed processing are not
+const isRetryable = (error: unknown) => {
+  if (!(error as AxiosError).isAxiosError) return false;
+  const status = (error as AxiosError).response?.status;
+  return status === undefined || status === 409 || status === 429 || status >= 500;
+};
+
+// The server checks uploads by extension, so name a recording after its type
+export const getRecordingName = (blob: Blob) => {
+  const subtype = blob.type.split(';')[0].split('/')[1];
+  return `recording.${subtype === 'mpeg' ? 'mp3' : subtype || 'webm'}`;
+};
+
+const getUpload = async (uploadId: string): Promise<UploadState> =>
+  (await uploadsAPI.get(uploadId)).data.data.upload;
+
+// Reuse the earlier session when it can still take this file
+const openSession = async (blob: Blob, options: ResumableUploadOptions): Promise<UploadState> => {
+  if (options.uploadId) {
+    try {
+      const upload = await getUpload(options.uploadId);
+      if (upload.status !== 'claimed' && upload.size === blob.size) return upload;
+    } catch (error) {
+      if ((error as AxiosError).response?.status !== 404) throw error;
+    }
+  }
+
+  const { data } = await uploadsAPI.create({
+    fileName: options.fileName,
+    mimeType: blob.type.split(';')[0],
+    size: blob.size,
+    checksum: await sha256(blob)
+  });
+  const upload: UploadState = data.data.upload;
+  options.onSession?.(upload.uploadId);
+  return upload;
+};
+
+/**
+ * Upload a file in checksummed chunks, resuming from the server's offset
+ * after network drops, then finalize it for use as a post's or comment's
+ * audio. Resolves with the upload ID to create the post or comment with.
+ */
+export async function uploadResumable(blob: Blob, options: ResumableUploadOptions): Promise<string> {
+  const { signal, onProgress, onPhaseChange } = options;
+
+  let upload = await openSession(blob, options);
+  let attempt = 0;
+  let stale = false;
+  // Set once this call has handed the file to the server for processing
+  let finalized = false;
+
+  onPhaseChange?.('uploading');
+  onProgress?.(upload.receivedBytes / upload.size);
+
+  for (;;) {
+    if (signal?.aborted) throw abortError();
+
+    try {
+      // After a failure the server is the source of truth for the offset
+      if (stale) {
+        upload = await getUpload(upload.uploadId);
+        stale = false;
+      }
+
+      if (upload.status === 'ready') {
+        return upload.uploadId;
+      }
+
+      if (upload.status === 'uploading' && upload.receivedBytes < upload.size) {
+        onPhaseChange?.('uploading');
+        const offset = upload.receivedBytes;
+        const chunk = blob.slice(offset, offset + upload.chunkSize);
+        const { data } = await uploadsAPI.appendChunk(upload.uploadId, offset, await sha256(chunk), chunk, signal);
+        upload = data.data.upload;
+        onProgress?.(upload.receivedBytes / upload.size);
+      } else if (upload.status === 'processing') {
+        // The server transcodes in the background; check back until it's done
+        onPhaseChange?.('processing');
+        finalized = true;
+        await sleep(PROCESSING_POLL_MS, signal);
+        stale = true;
+      } else if (upload.status === 'failed' && finalized) {
+        throw new Error(upload.error || 'Processing the upload failed');
+      } else {
+        onPhaseChange?.('processing');
+        upload = (await uploadsAPI.finalize(upload.uploadId)).data.data.upload;
+        finalized = true;
+      }
+
+      attempt = 0;
+    } catch (error) {
+      if (signal?.aborted || !isRetryable(error) || ++attempt > MAX_ATTEMPTS) {
+        throw error;
+      }
+      onPhaseChange?.('waiting');
+      await waitForRetry(attempt, signal);
+      stale = true;
+    }
+  }
+}
@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import * as z from 'zod';
@@ -7,6 +8,12 @@ import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import VerifyEmailScreen from '@/components/auth/VerifyEmailScreen';
+import ForgotPasswordScreen from '@/components/auth/ForgotPasswordScreen';
+import ResetPasswordScreen from '@/components/auth/ResetPasswordScreen';
+import TwoFactorChallenge from '@/components/auth/TwoFactorChallenge';
+import GoogleCallbackScreen from '@/components/auth/GoogleCallbackScreen';
+import GoogleSignInButton from '@/components/auth/GoogleSignInButton';
 
 const loginSchema = z.object({
   email: z.string().email('Invalid email address'),
@@ -17,9 +24,23 @@ const registerSchema = loginSchema.extend({
   username: z.string().min(3, 'Username must be at least 3 characters')
 });
 
-export default function AuthPage() {
+// Screens opened from account emails, shown in place of the login tabs
+const screens = {
+  'verify-email': VerifyEmailScreen,
+  'forgot-password': ForgotPasswordScreen,
+  'reset-password': ResetPasswordScreen,
+  'google-callback': GoogleCallbackScreen
+};
+
+interface AuthPageProps {
+  screen?: keyof typeof screens;
+}
+
+export default function AuthPage({ screen }: AuthPageProps) {
   const { login, register: registerUser } = useAuth();
   const [isLoading, setIsLoading] = useState(false);
+  // Set when the password was right but a second factor is needed
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
 
   const loginForm = useForm({
     resolver: zodResolver(loginSchema)
@@ -32,7 +53,10 @@ export default function AuthPage() {
   const handleLogin = async (data: z.infer<typeof loginSchema>) => {
     setIsLoading(true);
     try {
-      await login(data);
+      const result = await login(data);
+      if (result.challengeToken) {
+        setChallengeToken(result.challengeToken);
+      }
     } finally {
       setIsLoading(false);
     }
@@ -47,6 +71,8 @@ export default function AuthPage() {
     }
   };
 
+  const Screen = screen ? screens[screen] : null;
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-background p-4">
       <div className="w-full max-w-md">
@@ -57,97 +83,117 @@ export default function AuthPage() {
           <p className="text-muted-foreground">Connect through voice</p>
         </div>
 
-        <Tabs defaultValue="login" className="w-full">
-          <TabsList className="grid w-full grid-cols-2">
-            <TabsTrigger value="login">Login</TabsTrigger>
-            <TabsTrigger value="register">Register</TabsTrigger>
-          </TabsList>
-
-          <TabsContent value="login">
-            <form onSubmit={loginForm.handleSubmit(handleLogin)} className="space-y-4">
-              <div>
-                <Label htmlFor="login-email">Email</Label>
-                <Input
-                  id="login-email"
-                  type="email"
-                  {...loginForm.register('email')}
-                />
-                {loginForm.formState.errors.email && (
-                  <p className="text-sm text-destructive mt-1">
-                    {loginForm.formState.errors.email.message}
-                  </p>
-                )}
-              </div>
-
-              <div>
-                <Label htmlFor="login-password">Password</Label>
-                <Input
-                  id="login-password"
-                  type="password"
-                  {...loginForm.register('password')}
-                />
-                {loginForm.formState.errors.password && (
-                  <p className="text-sm text-destructive mt-1">
-                    {loginForm.formState.errors.password.message}
-                  </p>
-                )}
-              </div>
-
-              <Button type="submit" className="w-full" disabled={isLoading}>
-                {isLoading ? 'Loading...' : 'Login'}
-              </Button>
-            </form>
-          </TabsContent>
-
-          <TabsContent value="register">
-            <form onSubmit={registerForm.handleSubmit(handleRegister)} className="space-y-4">
-              <div>
-                <Label htmlFor="register-username">Username</Label>
-                <Input
-                  id="register-username"
-                  {...registerForm.register('username')}
-                />
-                {registerForm.formState.errors.username && (
-                  <p className="text-sm text-destructive mt-1">
-                    {registerForm.formState.errors.username.message}
-                  </p>
-                )}
-              </div>
-
-              <div>
-                <Label htmlFor="register-email">Email</Label>
-                <Input
-                  id="register-email"
-                  type="email"
-                  {...registerForm.register('email')}
-                />
-                {registerForm.formState.errors.email && (
-                  <p className="text-sm text-destructive mt-1">
-                    {registerForm.formState.errors.email.message}
-                  </p>
-                )}
-              </div>
-
-              <div>
-                <Label htmlFor="register-password">Password</Label>
-                <Input
-                  id="register-password"
-                  type="password"
-                  {...registerForm.register('password')}
-                />
-                {registerForm.formState.errors.password && (
-                  <p className="text-sm text-destructive mt-1">
-                    {registerForm.formState.errors.password.message}
-                  </p>
-                )}
-              </div>
-
-              <Button type="submit" className="w-full" disabled={isLoading}>
-                {isLoading ? 'Loading...' : 'Register'}
-              </Button>
-            </form>
-          </TabsContent>
-        </Tabs>
+        {Screen ? (
+          <Screen />
+        ) : challengeToken ? (
+          <TwoFactorChallenge
+            challengeToken={challengeToken}
+            onCancel={() => setChallengeToken(null)}
+          />
+        ) : (
+          <Tabs defaultValue="login" className="w-full">
+            <TabsList className="grid w-full grid-cols-2">
+              <TabsTrigger value="login">Login</TabsTrigger>
+              <TabsTrigger value="register">Register</TabsTrigger>
+            </TabsList>
+
+            <TabsContent value="login">
+              <form onSubmit={loginForm.handleSubmit(handleLogin)} className="space-y-4">
+                <div>
+                  <Label htmlFor="login-email">Email</Label>
+                  <Input
+                    id="login-email"
+                    type="email"
+                    {...loginForm.register('email')}
+                  />
+                  {loginForm.formState.errors.email && (
+                    <p className="text-sm text-destructive mt-1">
+                      {loginForm.formState.errors.email.message}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="login-password">Password</Label>
+                    <Link to="/auth/forgot-password" className="text-sm text-primary hover:underline">
+                      Forgot password?
+                    </Link>
+                  </div>
+                  <Input
+                    id="login-password"
+                    type="password"
+                    {...loginForm.register('password')}
+                  />
+                  {loginForm.formState.errors.password && (
+                    <p className="text-sm text-destructive mt-1">
+                      {loginForm.formState.errors.password.message}
+                    </p>
+                  )}
+                </div>
+
+                <Button type="submit" className="w-full" disabled={isLoading}>
+                  {isLoading ? 'Loading...' : 'Login'}
+                </Button>
+              </form>
+            </TabsContent>
+
+            <TabsContent value="register">
+              <form onSubmit={registerForm.handleSubmit(handleRegister)} className="space-y-4">
+                <div>
+                  <Label htmlFor="register-username">Username</Label>
+                  <Input
+                    id="register-username"
+                    {...registerForm.register('username')}
+                  />
+                  {registerForm.formState.errors.username && (
+                    <p className="text-sm text-destructive mt-1">
+                      {registerForm.formState.errors.username.message}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <Label htmlFor="register-email">Email</Label>
+                  <Input
+                    id="register-email"
+                    type="email"
+                    {...registerForm.register('email')}
+                  />
+                  {registerForm.formState.errors.email && (
+                    <p className="text-sm text-destructive mt-1">
+                      {registerForm.formState.errors.email.message}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <Label htmlFor="register-password">Password</Label>
+                  <Input
+                    id="register-password"
+                    type="password"
+                    {...registerForm.register('password')}
+                  />
+                  {registerForm.formState.errors.password && (
+                    <p className="text-sm text-destructive mt-1">
+                      {registerForm.formState.errors.password.message}
+                    </p>
+                  )}
+                </div>
+
+                <Button type="submit" className="w-full" disabled={isLoading}>
+                  {isLoading ? 'Loading...' : 'Register'}
+                </Button>
+              </form>
+            </TabsContent>
+          </Tabs>
+        )}
+
+        {!Screen && !challengeToken && (
+          <div className="mt-6">
+            <GoogleSignInButton />
+          </div>
+        )}
       </div>
     </div>
   );
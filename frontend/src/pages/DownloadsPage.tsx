@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { Download, Trash2, WifiOff } from 'lucide-react';
+import { useOfflinePosts } from '@/hooks/useOfflinePosts';
+import { markOfflinePlayed, OFFLINE_QUOTA_OPTIONS, type OfflinePost } from '@/lib/offlineAudio';
+import AudioPlayer from '@/components/audio/AudioPlayer';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Progress } from '@/components/ui/progress';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+
+const formatSize = (bytes: number) =>
+  bytes >= 1024 * 1024 * 1024
+    ? `${(bytes / 1024 / 1024 / 1024).toFixed(1)}GB`
+    : `${Math.round(bytes / 1024 / 1024)}MB`;
+
+function DownloadItem({ post, onRemove }: { post: OfflinePost; onRemove: () => void }) {
+  const [showTranscription, setShowTranscription] = useState(false);
+  const displayName = post.author.displayName || post.author.username;
+
+  return (
+    <div className="bg-card rounded-lg border p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3 min-w-0">
+          <Avatar className="w-10 h-10">
+            <AvatarImage src={post.author.avatar} />
+            <AvatarFallback>{displayName.charAt(0).toUpperCase()}</AvatarFallback>
+          </Avatar>
+          <div className="min-w-0">
+            <p className="font-semibold text-sm truncate">{post.title || displayName}</p>
+            <p className="text-xs text-muted-foreground">
+              @{post.author.username} · {formatSize(post.size)} · saved{' '}
+              {formatDistanceToNow(new Date(post.savedAt), { addSuffix: true })}
+            </p>
+          </div>
+        </div>
+
+        <Button variant="ghost" size="sm" onClick={onRemove}>
+          <Trash2 className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <AudioPlayer
+        src={`/posts/${post.postId}/audio`}
+        waveforms={post.waveforms}
+        offlineId={post.postId}
+        duration={post.duration}
+        onPlay={() => markOfflinePlayed(post.postId)}
+      />
+
+      {post.transcription && (
+        <div className="space-y-2">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => setShowTranscription(!showTranscription)}
+            className="text-xs"
+          >
+            {showTranscription ? 'Hide' : 'Show'} Transcription
+          </Button>
+
+          {showTranscription && (
+            <div className="bg-muted rounded-lg p-3">
+              <p className="text-sm text-muted-foreground italic">"{post.transcription}"</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function DownloadsPage() {
+  const { posts, isLoading, quota, used, remove, updateQuota } = useOfflinePosts();
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold">Downloads</h1>
+        <p className="text-muted-foreground">
+          Posts saved on this device to listen to without a connection
+        </p>
+      </div>
+
+      <div className="bg-card rounded-lg border p-4 space-y-3">
+        <div className="flex items-center justify-between text-sm">
+          <span>{formatSize(used)} of {formatSize(quota)} used</span>
+          <span className="text-muted-foreground">{posts.length} saved</span>
+        </div>
+        <Progress value={Math.min((used / quota) * 100, 100)} className="h-2" />
+
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <Label htmlFor="offline-quota">Storage limit</Label>
+            <p className="text-xs text-muted-foreground">
+              The least recently played posts are removed to make room
+            </p>
+          </div>
+          <Select
+            value={String(quota)}
+            onValueChange={(value) => updateQuota.mutate(Number(value))}
+          >
+            <SelectTrigger id="offline-quota" className="w-28">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {OFFLINE_QUOTA_OPTIONS.map((option) => (
+                <SelectItem key={option} value={String(option)}>
+                  {formatSize(option)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {!navigator.onLine && (
+        <div className="flex items-center space-x-2 text-sm text-muted-foreground">
+          <WifiOff className="w-4 h-4" />
+          <span>You're offline. Saved posts still play.</span>
+        </div>
+      )}
+
+      {posts.length === 0 ? (
+        <div className="text-center py-12">
+          <Download className="w-12 h-12 mx-auto text-muted-foreground mb-4" />
+          <p className="text-muted-foreground">
+            Nothing saved yet. Use "Save for offline" on a post to keep it here.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {posts.map((post) => (
+            <DownloadItem
+              key={post.postId}
+              post={post}
+              onRemove={() => remove.mutate(post.postId)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
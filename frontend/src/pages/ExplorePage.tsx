@@ -1,47 +1,256 @@
-import { useState } from 'react';
+import { useEffect, useState, Fragment } from 'react';
+import { Link } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
-import { Search } from 'lucide-react';
-import { usersAPI } from '@/lib/api';
+import { Search, FileAudio, MessageCircle, User } from 'lucide-react';
+import { searchAPI } from '@/lib/api';
 import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+
+type SearchType = 'all' | 'posts' | 'comments' | 'users';
+
+interface SearchAuthor {
+  _id: string;
+  username: string;
+  profile?: {
+    displayName?: string;
+    avatar?: string;
+  };
+}
+
+interface Highlight {
+  field: 'title' | 'tags' | 'transcription';
+  snippet: string;
+  start?: number;
+  end?: number;
+}
+
+interface PostResult {
+  _id: string;
+  authorId: SearchAuthor;
+  content: {
+    title?: string;
+    tags?: string[];
+  };
+  highlights: Highlight[];
+}
+
+interface CommentResult {
+  _id: string;
+  authorId: SearchAuthor;
+  post: {
+    _id: string;
+    title?: string;
+  };
+  highlights: Highlight[];
+}
+
+interface UserResult extends SearchAuthor {
+  profile?: SearchAuthor['profile'] & {
+    bio?: string;
+  };
+}
+
+interface SearchData {
+  results: {
+    posts?: PostResult[];
+    comments?: CommentResult[];
+    users?: UserResult[];
+  };
+  facets: Record<Exclude<SearchType, 'all'>, number>;
+}
+
+const formatTimestamp = (seconds: number) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Bold every word that starts with one of the search terms
+const HighlightedText = ({ text, terms }: { text: string; terms: string[] }) => (
+  <>
+    {text.split(/(\s+)/).map((part, index) => {
+      const word = part.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+      const isMatch = word.length > 0 && terms.some((term) => word.startsWith(term));
+      return isMatch ? (
+        <mark key={index} className="bg-primary/20 text-foreground rounded px-0.5">{part}</mark>
+      ) : (
+        <Fragment key={index}>{part}</Fragment>
+      );
+    })}
+  </>
+);
+
+const Highlights = ({ highlights, terms }: { highlights: Highlight[]; terms: string[] }) => (
+  <div className="space-y-1">
+    {highlights
+      .filter((highlight) => highlight.field === 'transcription')
+      .map((highlight, index) => (
+        <p key={index} className="text-sm text-muted-foreground">
+          {highlight.start !== undefined && (
+            <Badge variant="outline" className="mr-2 font-mono text-xs">
+              {formatTimestamp(highlight.start)}
+            </Badge>
+          )}
+          <HighlightedText text={highlight.snippet} terms={terms} />
+        </p>
+      ))}
+  </div>
+);
+
+const AuthorAvatar = ({ author }: { author: SearchAuthor }) => (
+  <Avatar className="w-8 h-8">
+    <AvatarImage src={author.profile?.avatar} />
+    <AvatarFallback>{author.username?.[0]?.toUpperCase()}</AvatarFallback>
+  </Avatar>
+);
 
 export default function ExplorePage() {
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [type, setType] = useState<SearchType>('all');
 
-  const { data: users, isLoading } = useQuery({
-    queryKey: ['users', searchQuery],
-    queryFn: () => usersAPI.search(searchQuery).then(res => res.data),
-    enabled: searchQuery.length > 0
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  const { data, isLoading } = useQuery<SearchData>({
+    queryKey: ['search', debouncedQuery, type],
+    queryFn: () =>
+      searchAPI
+        .search({ q: debouncedQuery, type, limit: type === 'all' ? 5 : 20 })
+        .then(res => res.data.data),
+    enabled: debouncedQuery.length >= 2
   });
 
+  const terms = debouncedQuery
+    .toLowerCase()
+    .split(/\s+/)
+    .map((term) => term.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter((term) => term.length > 1);
+
+  const posts = data?.results.posts || [];
+  const comments = data?.results.comments || [];
+  const users = data?.results.users || [];
+  const total = data ? data.facets.posts + data.facets.comments + data.facets.users : 0;
+
   return (
     <div className="max-w-2xl mx-auto space-y-6">
       <div className="relative">
         <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-muted-foreground w-5 h-5" />
         <Input
           type="text"
-          placeholder="Search users..."
+          placeholder="Search posts, transcripts and people..."
           value={searchQuery}
           onChange={(e) => setSearchQuery(e.target.value)}
           className="pl-10"
         />
       </div>
 
+      {data && (
+        <Tabs value={type} onValueChange={(value) => setType(value as SearchType)}>
+          <TabsList className="grid w-full grid-cols-4">
+            <TabsTrigger value="all">All ({total})</TabsTrigger>
+            <TabsTrigger value="posts">Posts ({data.facets.posts})</TabsTrigger>
+            <TabsTrigger value="comments">Comments ({data.facets.comments})</TabsTrigger>
+            <TabsTrigger value="users">People ({data.facets.users})</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value={type} className="space-y-6">
+            {posts.length > 0 && (
+              <section className="space-y-2">
+                <h2 className="flex items-center gap-2 font-semibold">
+                  <FileAudio className="w-4 h-4" /> Posts
+                </h2>
+                {posts.map((post) => (
+                  <div key={post._id} className="p-4 bg-card rounded-lg border space-y-2">
+                    <div className="flex items-center gap-2">
+                      <AuthorAvatar author={post.authorId} />
+                      <Link to={`/profile/${post.authorId._id}`} className="text-sm font-medium hover:underline">
+                        {post.authorId.profile?.displayName || post.authorId.username}
+                      </Link>
+                    </div>
+                    {post.content.title && (
+                      <p className="font-semibold">
+                        <HighlightedText text={post.content.title} terms={terms} />
+                      </p>
+                    )}
+                    {post.content.tags && post.content.tags.length > 0 && (
+                      <div className="flex flex-wrap gap-1">
+                        {post.content.tags.map((tag) => (
+                          <Link key={tag} to={`/tags/${tag}`}>
+                            <Badge variant="secondary">#{tag}</Badge>
+                          </Link>
+                        ))}
+                      </div>
+                    )}
+                    <Highlights highlights={post.highlights} terms={terms} />
+                  </div>
+                ))}
+              </section>
+            )}
+
+            {comments.length > 0 && (
+              <section className="space-y-2">
+                <h2 className="flex items-center gap-2 font-semibold">
+                  <MessageCircle className="w-4 h-4" /> Comments
+                </h2>
+                {comments.map((comment) => (
+                  <div key={comment._id} className="p-4 bg-card rounded-lg border space-y-2">
+                    <div className="flex items-center gap-2">
+                      <AuthorAvatar author={comment.authorId} />
+                      <p className="text-sm">
+                        <span className="font-medium">
+                          {comment.authorId.profile?.displayName || comment.authorId.username}
+                        </span>
+                        {comment.post.title && (
+                          <span className="text-muted-foreground"> on “{comment.post.title}”</span>
+                        )}
+                      </p>
+                    </div>
+                    <Highlights highlights={comment.highlights} terms={terms} />
+                  </div>
+                ))}
+              </section>
+            )}
+
+            {users.length > 0 && (
+              <section className="space-y-2">
+                <h2 className="flex items-center gap-2 font-semibold">
+                  <User className="w-4 h-4" /> People
+                </h2>
+                {users.map((user) => (
+                  <Link
+                    key={user._id}
+                    to={`/profile/${user._id}`}
+                    className="flex items-center gap-3 p-4 bg-card rounded-lg border hover:bg-accent"
+                  >
+                    <AuthorAvatar author={user} />
+                    <div>
+                      <p className="font-semibold">{user.profile?.displayName || user.username}</p>
+                      <p className="text-sm text-muted-foreground">@{user.username}</p>
+                    </div>
+                  </Link>
+                ))}
+              </section>
+            )}
+
+            {posts.length + comments.length + users.length === 0 && (
+              <p className="text-center text-muted-foreground py-12">
+                No results for “{debouncedQuery}”
+              </p>
+            )}
+          </TabsContent>
+        </Tabs>
+      )}
+
       {isLoading && (
         <div className="flex justify-center py-12">
           <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
         </div>
       )}
-
-      {users && (
-        <div className="space-y-2">
-          {users.map((user: any) => (
-            <div key={user._id} className="p-4 bg-card rounded-lg border">
-              <p className="font-semibold">{user.username}</p>
-              <p className="text-sm text-muted-foreground">{user.email}</p>
-            </div>
-          ))}
-        </div>
-      )}
     </div>
   );
 }
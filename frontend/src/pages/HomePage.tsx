@@ -1,18 +1,51 @@
-import { useQuery } from '@tanstack/react-query';
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useInfiniteQuery, useQuery } from '@tanstack/react-query';
+import { Clock, Flame } from 'lucide-react';
 import { postsAPI } from '@/lib/api';
 import PostCard from '@/components/posts/PostCard';
 import CreatePost from '@/components/posts/CreatePost';
+import { Button } from '@/components/ui/button';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 
+type FeedMode = 'latest' | 'top';
+type TrendingWindow = '1h' | '24h' | '7d';
+
+interface TrendingTag {
+  tag: string;
+  score: number;
+  postCount: number;
+}
+
+const TRENDING_WINDOWS: { value: TrendingWindow; label: string }[] = [
+  { value: '1h', label: 'Past hour' },
+  { value: '24h', label: 'Today' },
+  { value: '7d', label: 'This week' }
+];
+
 export default function HomePage() {
-  const { data: feedPosts, isLoading: feedLoading } = useQuery({
-    queryKey: ['posts', 'feed'],
-    queryFn: () => postsAPI.getFeed?.().then(res => res.data) || postsAPI.getAll().then(res => res.data)
+  const [feedMode, setFeedMode] = useState<FeedMode>('latest');
+  const [trendingWindow, setTrendingWindow] = useState<TrendingWindow>('24h');
+
+  const {
+    data: feedData,
+    isLoading: feedLoading,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery({
+    queryKey: ['posts', 'feed', feedMode],
+    queryFn: ({ pageParam }) =>
+      postsAPI.getFeed({ mode: feedMode, cursor: pageParam }).then(res => res.data.data),
+    initialPageParam: undefined as string | undefined,
+    getNextPageParam: (lastPage) => lastPage.nextCursor || undefined
   });
 
+  const feedPosts = feedData?.pages.flatMap((page) => page.posts) || [];
+
   const { data: trendingPosts, isLoading: trendingLoading } = useQuery({
-    queryKey: ['posts', 'trending'],
-    queryFn: () => postsAPI.getTrending?.().then(res => res.data) || postsAPI.getAll().then(res => res.data)
+    queryKey: ['posts', 'trending', trendingWindow],
+    queryFn: () => postsAPI.getTrending({ window: trendingWindow }).then(res => res.data.data)
   });
 
   const { data: explorePosts, isLoading: exploreLoading } = useQuery({
@@ -32,14 +65,45 @@ export default function HomePage() {
         </TabsList>
         
         <TabsContent value="feed" className="space-y-4">
+          <div className="flex justify-end space-x-2">
+            <Button
+              variant={feedMode === 'latest' ? 'secondary' : 'ghost'}
+              size="sm"
+              onClick={() => setFeedMode('latest')}
+            >
+              <Clock className="w-4 h-4 mr-2" />
+              Latest
+            </Button>
+            <Button
+              variant={feedMode === 'top' ? 'secondary' : 'ghost'}
+              size="sm"
+              onClick={() => setFeedMode('top')}
+            >
+              <Flame className="w-4 h-4 mr-2" />
+              Top
+            </Button>
+          </div>
+
           {feedLoading ? (
             <div className="flex justify-center py-12">
               <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
             </div>
-          ) : feedPosts?.posts?.length > 0 ? (
-            feedPosts.posts.map((post: any) => (
-              <PostCard key={post._id} post={post} />
-            ))
+          ) : feedPosts.length > 0 ? (
+            <>
+              {feedPosts.map((post: any) => (
+                <PostCard key={post._id} post={post} />
+              ))}
+              {hasNextPage && (
+                <Button
+                  variant="outline"
+                  className="w-full"
+                  onClick={() => fetchNextPage()}
+                  disabled={isFetchingNextPage}
+                >
+                  {isFetchingNextPage ? 'Loading...' : 'Load more'}
+                </Button>
+              )}
+            </>
           ) : (
             <div className="text-center py-12">
               <p className="text-muted-foreground">
@@ -50,6 +114,33 @@ export default function HomePage() {
         </TabsContent>
         
         <TabsContent value="trending" className="space-y-4">
+          <div className="flex justify-end space-x-2">
+            {TRENDING_WINDOWS.map(({ value, label }) => (
+              <Button
+                key={value}
+                variant={trendingWindow === value ? 'secondary' : 'ghost'}
+                size="sm"
+                onClick={() => setTrendingWindow(value)}
+              >
+                {label}
+              </Button>
+            ))}
+          </div>
+
+          {trendingPosts?.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {trendingPosts.tags.slice(0, 10).map((tag: TrendingTag) => (
+                <Link
+                  key={tag.tag}
+                  to={`/tags/${tag.tag}`}
+                  className="inline-block bg-primary/10 text-primary text-xs px-2 py-1 rounded-full hover:bg-primary/20"
+                >
+                  #{tag.tag} · {tag.postCount}
+                </Link>
+              ))}
+            </div>
+          )}
+
           {trendingLoading ? (
             <div className="flex justify-center py-12">
               <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
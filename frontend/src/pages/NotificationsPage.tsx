@@ -1,6 +1,7 @@
 import { useState } from 'react';
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { Bell, BellOff, Check, Trash2 } from 'lucide-react';
+import { notificationsAPI } from '@/lib/api';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
@@ -9,67 +10,55 @@ import { formatDistanceToNow } from 'date-fns';
 
 interface Notification {
   _id: string;
-  type: 'connection_request' | 'connection_accepted' | 'contact_reveal_request' | 'new_post' | 'post_like' | 'post_comment';
+  type: 'connection_request' | 'connection_accepted' | 'contact_reveal_request' | 'contact_reveal_accepted' | 'new_post' | 'post_like' | 'post_comment' | 'storage_reconnect' | 'new_login';
   title: string;
   message: string;
-  data: any;
+  data: Record<string, unknown>;
   read: boolean;
   createdAt: string;
 }
 
+interface NotificationPageData {
+  notifications: Notification[];
+  nextCursor: string | null;
+  hasMore: boolean;
+}
+
 export default function NotificationsPage() {
   const [filter, setFilter] = useState<'all' | 'unread'>('all');
   const queryClient = useQueryClient();
 
-  // Mock data for now - replace with actual API calls
-  const { data: notifications, isLoading } = useQuery({
-    queryKey: ['notifications'],
-    queryFn: () => Promise.resolve({
-      notifications: [
-        {
-          _id: '1',
-          type: 'connection_request',
-          title: 'New Connection Request',
-          message: 'John Doe wants to connect with you',
-          data: { userId: 'user1', username: 'johndoe' },
-          read: false,
-          createdAt: new Date(Date.now() - 1000 * 60 * 30).toISOString() // 30 minutes ago
-        },
-        {
-          _id: '2',
-          type: 'post_like',
-          title: 'Post Liked',
-          message: 'Sarah liked your audio post "Morning Thoughts"',
-          data: { userId: 'user2', postId: 'post1' },
-          read: false,
-          createdAt: new Date(Date.now() - 1000 * 60 * 60 * 2).toISOString() // 2 hours ago
-        },
-        {
-          _id: '3',
-          type: 'connection_accepted',
-          title: 'Connection Accepted',
-          message: 'Mike accepted your connection request',
-          data: { userId: 'user3' },
-          read: true,
-          createdAt: new Date(Date.now() - 1000 * 60 * 60 * 24).toISOString() // 1 day ago
-        }
-      ] as Notification[]
-    })
+  const {
+    data: notifications,
+    isLoading,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery({
+    queryKey: ['notifications', filter],
+    queryFn: ({ pageParam }) =>
+      notificationsAPI.getAll({
+        cursor: pageParam || undefined,
+        unread: filter === 'unread' || undefined
+      }).then(res => res.data.data as NotificationPageData),
+    initialPageParam: '',
+    getNextPageParam: (lastPage) => lastPage.nextCursor || undefined
+  });
+
+  const { data: unreadData } = useQuery({
+    queryKey: ['notifications', 'unread-count'],
+    queryFn: () => notificationsAPI.getUnreadCount().then(res => res.data.data)
   });
 
   const markAsReadMutation = useMutation({
-    mutationFn: (notificationId: string) => 
-      // Replace with actual API call
-      Promise.resolve(),
+    mutationFn: (notificationId: string) => notificationsAPI.markAsRead(notificationId),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['notifications'] });
     }
   });
 
   const markAllAsReadMutation = useMutation({
-    mutationFn: () => 
-      // Replace with actual API call
-      Promise.resolve(),
+    mutationFn: () => notificationsAPI.markAllAsRead(),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['notifications'] });
       toast.success('All notifications marked as read');
@@ -77,9 +66,7 @@ export default function NotificationsPage() {
   });
 
   const deleteNotificationMutation = useMutation({
-    mutationFn: (notificationId: string) => 
-      // Replace with actual API call
-      Promise.resolve(),
+    mutationFn: (notificationId: string) => notificationsAPI.delete(notificationId),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['notifications'] });
       toast.success('Notification deleted');
@@ -111,16 +98,18 @@ export default function NotificationsPage() {
         return '❤️';
       case 'post_comment':
         return '💬';
+      case 'storage_reconnect':
+        return '⚠️';
+      case 'new_login':
+        return '🔐';
       default:
         return '🔔';
     }
   };
 
-  const filteredNotifications = notifications?.notifications?.filter((notification: Notification) => 
-    filter === 'all' || !notification.read
-  ) || [];
+  const filteredNotifications = notifications?.pages.flatMap((page) => page.notifications) || [];
 
-  const unreadCount = notifications?.notifications?.filter((n: Notification) => !n.read).length || 0;
+  const unreadCount: number = unreadData?.unreadCount || 0;
 
   if (isLoading) {
     return (
@@ -240,6 +229,17 @@ export default function NotificationsPage() {
               </div>
             </div>
           ))}
+
+          {hasNextPage && (
+            <Button
+              variant="outline"
+              className="w-full"
+              onClick={() => fetchNextPage()}
+              disabled={isFetchingNextPage}
+            >
+              {isFetchingNextPage ? 'Loading...' : 'Load more'}
+            </Button>
+          )}
         </div>
       )}
     </div>
@@ -1,6 +1,8 @@
 import { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { Save, Upload, Trash2, HardDrive, Cloud } from 'lucide-react';
+import type { AxiosError } from 'axios';
+import { Save, Upload, Trash2, HardDrive, Cloud, AlertTriangle, Monitor, Smartphone, LogOut } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
 import { usersAPI, authAPI } from '@/lib/api';
 import { useAuth } from '@/hooks/useAuth';
 import { Button } from '@/components/ui/button';
@@ -11,8 +13,54 @@ import { Switch } from '@/components/ui/switch';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { Progress } from '@/components/ui/progress';
+import TwoFactorSettings from '@/components/auth/TwoFactorSettings';
+import GoogleAccountSettings from '@/components/auth/GoogleAccountSettings';
 import { toast } from '@/hooks/use-toast';
 
+type StorageType = 'google_drive' | 'local' | 's3';
+
+interface StorageInfo {
+  preference: StorageType;
+  defaultType: StorageType;
+  available: StorageType[];
+  connected: boolean;
+  quota: { used: number; total: number; available: number } | null;
+  googleDrive: {
+    status: 'not_connected' | 'connected' | 'reconnect_required';
+    expiresAt: string | null;
+    lastRefreshAt: string | null;
+    lastError: string | null;
+  };
+}
+
+interface StorageMigration {
+  _id: string;
+  targetType: StorageType;
+  status: 'pending' | 'running' | 'completed' | 'failed';
+  total: number;
+  migrated: number;
+  failedCount: number;
+  lastError?: string;
+}
+
+interface SessionInfo {
+  id: string;
+  device: string;
+  userAgent?: string;
+  ip?: string;
+  location: string | null;
+  createdAt: string;
+  lastUsedAt: string;
+  current: boolean;
+}
+
+const STORAGE_LABELS: Record<StorageType, string> = {
+  google_drive: 'My Google Drive',
+  local: 'Server storage',
+  s3: 'Cloud object storage'
+};
+
 export default function SettingsPage() {
   const { user, updateUser } = useAuth();
   const queryClient = useQueryClient();
@@ -33,9 +81,73 @@ export default function SettingsPage() {
     }
   });
 
-  const { data: storageInfo } = useQuery({
+  const { data: storageInfo } = useQuery<{ storage: StorageInfo }>({
     queryKey: ['storage-info'],
-    queryFn: () => usersAPI.getStorageInfo?.().then(res => res.data) || Promise.resolve(null)
+    queryFn: () => usersAPI.getStorageInfo().then(res => res.data.data)
+  });
+
+  const { data: migrationData } = useQuery<{ migration: StorageMigration | null }>({
+    queryKey: ['storage-migration'],
+    queryFn: () => usersAPI.getStorageMigration().then(res => res.data.data),
+    // Poll while files are moving so progress stays current
+    refetchInterval: (query) => {
+      const status = query.state.data?.migration?.status;
+      return status === 'pending' || status === 'running' ? 2000 : false;
+    }
+  });
+  const migration = migrationData?.migration;
+  const isMigrating = migration?.status === 'pending' || migration?.status === 'running';
+
+  const startMigrationMutation = useMutation({
+    mutationFn: () => usersAPI.startStorageMigration(),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['storage-migration'] });
+      queryClient.invalidateQueries({ queryKey: ['storage-info'] });
+      toast({ title: 'Moving your audio' });
+    },
+    onError: (error: AxiosError<{ message?: string }>) => {
+      toast({ title: error.response?.data?.message || 'Failed to start moving audio', variant: 'destructive' });
+    }
+  });
+
+  const storagePreferenceMutation = useMutation({
+    mutationFn: (preference: StorageType) => usersAPI.updateStoragePreference(preference),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['storage-info'] });
+      toast({ title: 'Storage location updated' });
+    },
+    onError: (error: AxiosError<{ message?: string }>) => {
+      toast({ title: error.response?.data?.message || 'Failed to update storage location', variant: 'destructive' });
+    }
+  });
+
+  const { data: sessionsData } = useQuery<{ sessions: SessionInfo[] }>({
+    queryKey: ['sessions'],
+    queryFn: () => authAPI.getSessions().then(res => res.data.data)
+  });
+  const sessions = sessionsData?.sessions || [];
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
+  const revokeSessionMutation = useMutation({
+    mutationFn: (sessionId: string) => authAPI.revokeSession(sessionId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      toast({ title: 'Device signed out' });
+    },
+    onError: (error: AxiosError<{ message?: string }>) => {
+      toast({ title: error.response?.data?.message || 'Failed to sign out device', variant: 'destructive' });
+    }
+  });
+
+  const revokeOtherSessionsMutation = useMutation({
+    mutationFn: () => authAPI.revokeOtherSessions(),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      toast({ title: 'Signed out everywhere else' });
+    },
+    onError: (error: AxiosError<{ message?: string }>) => {
+      toast({ title: error.response?.data?.message || 'Failed to sign out other devices', variant: 'destructive' });
+    }
   });
 
   const updateProfileMutation = useMutation({
@@ -100,11 +212,12 @@ export default function SettingsPage() {
       </div>
 
       <Tabs defaultValue="profile" className="w-full">
-        <TabsList className="grid w-full grid-cols-4">
+        <TabsList className="grid w-full grid-cols-5">
           <TabsTrigger value="profile">Profile</TabsTrigger>
           <TabsTrigger value="privacy">Privacy</TabsTrigger>
           <TabsTrigger value="notifications">Notifications</TabsTrigger>
           <TabsTrigger value="storage">Storage</TabsTrigger>
+          <TabsTrigger value="security">Security</TabsTrigger>
         </TabsList>
 
         <TabsContent value="profile" className="space-y-6">
@@ -320,6 +433,11 @@ export default function SettingsPage() {
                     <Cloud className="w-4 h-4 mr-1" />
                     Connected
                   </div>
+                ) : storageInfo?.storage?.googleDrive?.status === 'reconnect_required' ? (
+                  <div className="flex items-center text-destructive text-sm">
+                    <AlertTriangle className="w-4 h-4 mr-1" />
+                    Reconnect needed
+                  </div>
                 ) : (
                   <div className="flex items-center text-muted-foreground text-sm">
                     <Cloud className="w-4 h-4 mr-1" />
@@ -328,6 +446,19 @@ export default function SettingsPage() {
                 )}
               </div>
 
+              {storageInfo?.storage?.googleDrive?.status === 'reconnect_required' && (
+                <p className="text-sm text-destructive">
+                  Google Drive access was revoked, so audio stored there can't be played.
+                  Reconnect to restore it.
+                </p>
+              )}
+
+              {storageInfo?.storage?.connected && storageInfo.storage.googleDrive?.lastRefreshAt && (
+                <p className="text-xs text-muted-foreground">
+                  Last refreshed {new Date(storageInfo.storage.googleDrive.lastRefreshAt).toLocaleString()}
+                </p>
+              )}
+
               {storageInfo?.storage?.connected && storageInfo?.storage?.quota ? (
                 <div className="space-y-2">
                   <div className="flex justify-between text-sm">
@@ -360,22 +491,173 @@ export default function SettingsPage() {
                 className="w-full"
               >
                 <Cloud className="w-4 h-4 mr-2" />
-                {storageInfo?.storage?.connected ? 'Reconnect' : 'Connect'} Google Drive
+                {storageInfo?.storage?.connected ||
+                storageInfo?.storage?.googleDrive?.status === 'reconnect_required'
+                  ? 'Reconnect'
+                  : 'Connect'}{' '}
+                Google Drive
               </Button>
             </div>
 
             <div className="bg-card rounded-lg border p-4 space-y-3">
               <div className="flex items-center justify-between">
-                <h3 className="font-semibold">Local Device Storage</h3>
+                <h3 className="font-semibold">Storage Location</h3>
                 <div className="flex items-center text-muted-foreground text-sm">
                   <HardDrive className="w-4 h-4 mr-1" />
-                  Fallback
+                  New uploads
                 </div>
               </div>
               <p className="text-sm text-muted-foreground">
-                Audio files will be stored locally on your device as a fallback option
+                Choose where your new audio posts and comments are stored
               </p>
+              {storageInfo && (
+                <Select
+                  value={storageInfo.storage.preference}
+                  onValueChange={(value) => storagePreferenceMutation.mutate(value as StorageType)}
+                  disabled={storagePreferenceMutation.isPending}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {storageInfo.storage.available.map((type) => (
+                      <SelectItem
+                        key={type}
+                        value={type}
+                        disabled={type === 'google_drive' && !storageInfo.storage.connected}
+                      >
+                        {STORAGE_LABELS[type] || type}
+                        {type === storageInfo.storage.defaultType && ' (default)'}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+            </div>
+
+            <div className="bg-card rounded-lg border p-4 space-y-3">
+              <div className="flex items-center justify-between">
+                <h3 className="font-semibold">Move Existing Audio</h3>
+                {migration && (
+                  <span className="text-sm text-muted-foreground capitalize">
+                    {migration.status}
+                  </span>
+                )}
+              </div>
+              <p className="text-sm text-muted-foreground">
+                Copy your earlier posts and comments to your current storage location.
+                Originals are removed only after each copy is verified.
+              </p>
+
+              {migration && (
+                <div className="space-y-2">
+                  <Progress
+                    value={
+                      migration.total > 0
+                        ? ((migration.migrated + migration.failedCount) / migration.total) * 100
+                        : 100
+                    }
+                    className="h-2"
+                  />
+                  <p className="text-sm text-muted-foreground">
+                    {migration.migrated} of {migration.total} files moved to{' '}
+                    {STORAGE_LABELS[migration.targetType] || migration.targetType}
+                    {migration.failedCount > 0 && ` · ${migration.failedCount} could not be moved`}
+                  </p>
+                  {migration.status === 'failed' && migration.lastError && (
+                    <p className="text-sm text-destructive">{migration.lastError}</p>
+                  )}
+                </div>
+              )}
+
+              <Button
+                onClick={() => startMigrationMutation.mutate()}
+                disabled={isMigrating || startMigrationMutation.isPending || !storageInfo}
+                variant="outline"
+                className="w-full"
+              >
+                <HardDrive className="w-4 h-4 mr-2" />
+                {isMigrating
+                  ? 'Moving audio...'
+                  : migration?.status === 'failed'
+                    ? 'Resume moving audio'
+                    : `Move audio to ${storageInfo ? STORAGE_LABELS[storageInfo.storage.preference] : 'current location'}`}
+              </Button>
+            </div>
+          </div>
+        </TabsContent>
+
+        <TabsContent value="security" className="space-y-6">
+          <TwoFactorSettings />
+
+          <GoogleAccountSettings />
+
+          <div className="bg-card rounded-lg border p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="font-semibold">Where You're Signed In</h3>
+              <span className="text-sm text-muted-foreground">
+                {sessions.length} {sessions.length === 1 ? 'device' : 'devices'}
+              </span>
             </div>
+            <p className="text-sm text-muted-foreground">
+              You'll get a notification whenever a new device signs in. Sign out any you don't recognize.
+            </p>
+
+            <div className="divide-y">
+              {sessions.map((session) => {
+                const DeviceIcon = /Android|iPhone|iPad|iPod|Mobile/.test(session.userAgent || '')
+                  ? Smartphone
+                  : Monitor;
+
+                return (
+                  <div key={session.id} className="flex items-center justify-between py-3">
+                    <div className="flex items-center space-x-3 min-w-0">
+                      <DeviceIcon className="w-5 h-5 text-muted-foreground shrink-0" />
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium truncate">
+                          {session.device}
+                          {session.current && (
+                            <span className="ml-2 text-xs text-green-600">This device</span>
+                          )}
+                        </p>
+                        <p className="text-xs text-muted-foreground truncate">
+                          {[session.location, session.ip].filter(Boolean).join(' · ')}
+                        </p>
+                        <p className="text-xs text-muted-foreground">
+                          {session.current
+                            ? 'Active now'
+                            : `Last active ${formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })}`}
+                          {' · '}Signed in {new Date(session.createdAt).toLocaleDateString()}
+                        </p>
+                      </div>
+                    </div>
+
+                    {!session.current && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => revokeSessionMutation.mutate(session.id)}
+                        disabled={revokeSessionMutation.isPending}
+                        className="text-destructive shrink-0"
+                      >
+                        <LogOut className="w-4 h-4 mr-1" />
+                        Sign out
+                      </Button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            <Button
+              onClick={() => revokeOtherSessionsMutation.mutate()}
+              disabled={!hasOtherSessions || revokeOtherSessionsMutation.isPending}
+              variant="outline"
+              className="w-full"
+            >
+              <LogOut className="w-4 h-4 mr-2" />
+              {revokeOtherSessionsMutation.isPending ? 'Signing out...' : 'Sign out everywhere else'}
+            </Button>
           </div>
         </TabsContent>
       </Tabs>
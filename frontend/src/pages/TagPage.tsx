@@ -0,0 +1,119 @@
+import { useParams } from 'react-router-dom';
+import { useInfiniteQuery, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Hash } from 'lucide-react';
+import { tagsAPI } from '@/lib/api';
+import { Button } from '@/components/ui/button';
+import PostCard from '@/components/posts/PostCard';
+import { toast } from '@/hooks/use-toast';
+
+const PAGE_SIZE = 20;
+
+interface Tag {
+  slug: string;
+  name: string;
+  postCount: number;
+  followerCount: number;
+}
+
+export default function TagPage() {
+  const { slug = '' } = useParams();
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery<{ tag: Tag; isFollowing: boolean }>({
+    queryKey: ['tag', slug],
+    queryFn: () => tagsAPI.get(slug).then(res => res.data.data)
+  });
+
+  const {
+    data: postPages,
+    isLoading: postsLoading,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery({
+    queryKey: ['posts', 'tag', slug],
+    queryFn: ({ pageParam }) =>
+      tagsAPI.getPosts(slug, { limit: PAGE_SIZE, skip: pageParam }).then(res => res.data.data),
+    initialPageParam: 0,
+    getNextPageParam: (lastPage, pages) => {
+      const loaded = pages.length * PAGE_SIZE;
+      return loaded < lastPage.total ? loaded : undefined;
+    }
+  });
+
+  const followMutation = useMutation({
+    mutationFn: () => (data?.isFollowing ? tagsAPI.unfollow(slug) : tagsAPI.follow(slug)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['tag', slug] });
+      queryClient.invalidateQueries({ queryKey: ['posts', 'feed'] });
+      toast({ title: data?.isFollowing ? `Unfollowed #${slug}` : `Following #${slug}` });
+    },
+    onError: () => {
+      toast({ title: 'Failed to update tag', variant: 'destructive' });
+    }
+  });
+
+  const posts = postPages?.pages.flatMap((page) => page.posts) || [];
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <div className="bg-card rounded-lg border p-6 flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold flex items-center">
+            <Hash className="w-7 h-7 mr-1" />
+            {data?.tag.slug || slug}
+          </h1>
+          {data && (
+            <p className="text-sm text-muted-foreground">
+              {data.tag.postCount} posts · {data.tag.followerCount} followers
+            </p>
+          )}
+        </div>
+
+        {data && (
+          <Button
+            variant={data.isFollowing ? 'outline' : 'default'}
+            onClick={() => followMutation.mutate()}
+            disabled={followMutation.isPending}
+          >
+            {data.isFollowing ? 'Following' : 'Follow'}
+          </Button>
+        )}
+      </div>
+
+      {postsLoading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
+        </div>
+      ) : posts.length > 0 ? (
+        <div className="space-y-4">
+          {posts.map((post) => (
+            <PostCard key={post._id} post={post} />
+          ))}
+          {hasNextPage && (
+            <Button
+              variant="outline"
+              className="w-full"
+              onClick={() => fetchNextPage()}
+              disabled={isFetchingNextPage}
+            >
+              {isFetchingNextPage ? 'Loading...' : 'Load more'}
+            </Button>
+          )}
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <p className="text-muted-foreground">No posts tagged #{slug} yet.</p>
+        </div>
+      )}
+    </div>
+  );
+}
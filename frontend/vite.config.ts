@@ -46,6 +46,9 @@ export default defineConfig({
       },
       workbox: {
         globPatterns: ['**/*.{js,css,html,ico,png,svg,woff2}'],
+        // Background Sync for the recording outbox, and the offline
+        // fallback for saved post audio
+        importScripts: ['outbox-sw.js', 'offline-audio-sw.js'],
         runtimeCaching: [
           {
             urlPattern: /^https:\/\/api\./,